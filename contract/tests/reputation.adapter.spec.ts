@@ -49,7 +49,7 @@ describe('createMeshReputationAdapter', () => {
       stake: 1.5,
     });
     expect(registered.address).toBe(agent.address.toString());
-    expect(registered.stake).toBeCloseTo(1.5, 6);
+    expect(registered.stake).toBe(toNano('1.5'));
     expect(registered.reputation).toBe(100);
     expect(registered.registeredAt).toBeGreaterThan(0);
 
@@ -61,10 +61,17 @@ describe('createMeshReputationAdapter', () => {
     const stake1 = await adapter.getStakeInfo({
       address: agent.address.toString(),
     });
-    expect(stake1.stake).toBeCloseTo(1.5, 6);
+    expect(stake1.stake).toBe(toNano('1.5'));
     expect(stake1.since).toBeGreaterThan(0);
     expect(stake1.ageSeconds).toBeGreaterThanOrEqual(0);
 
+    await expect(adapter.recordOutcome({
+      executorAddress: agent.address.toString(),
+      raterAddress: agent.address.toString(),
+      txHash: '0xself',
+      rating: 10,
+    })).rejects.toThrow('executor cannot rate its own outcome');
+
     const outcome = await adapter.recordOutcome({
       executorAddress: agent.address.toString(),
       txHash: '0xabc123',
@@ -78,14 +85,14 @@ describe('createMeshReputationAdapter', () => {
       reason: 'test_dispute',
     });
     expect(slash.reason).toBe('test_dispute');
-    expect(slash.slashedStake).toBeCloseTo(0.3, 6);
-    expect(slash.remainingStake).toBeCloseTo(1.2, 6);
+    expect(slash.slashedStake).toBe(toNano('0.3'));
+    expect(slash.remainingStake).toBe(toNano('1.2'));
     expect(slash.reputation).toBe(65);
 
     const withdrawn = await adapter.withdrawStake({
       address: agent.address.toString(),
     });
-    expect(withdrawn.amount).toBeCloseTo(1.2, 6);
+    expect(withdrawn.amount).toBe(toNano('1.2'));
 
     const rep2 = await adapter.getReputation({
       address: agent.address.toString(),
@@ -95,7 +102,7 @@ describe('createMeshReputationAdapter', () => {
     const stake2 = await adapter.getStakeInfo({
       address: agent.address.toString(),
     });
-    expect(stake2.stake).toBe(0);
+    expect(stake2.stake).toBe(0n);
   });
 
   it('rejects mismatched agent sender configuration before sending on-chain', async () => {
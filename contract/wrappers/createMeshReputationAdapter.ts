@@ -1,4 +1,4 @@
-import { Address, fromNano, Sender, toNano } from '@ton/core';
+import { Address, Sender, toNano } from '@ton/core';
 import { Reputation } from './Reputation';
 
 type AddressLike = string | Address;
@@ -12,19 +12,20 @@ export type MeshReputationAdapter = {
     contractAddress?: string;
   }): Promise<{
     address: string;
-    stake: number;
+    stake: bigint;
     reputation: number;
     registeredAt: number;
     raw?: unknown;
   }>;
   getReputation(args: { address: string; contractAddress?: string }): Promise<number>;
   getStakeInfo(args: { address: string; contractAddress?: string }): Promise<{
-    stake: number;
+    stake: bigint;
     since: number;
     ageSeconds: number;
   }>;
   recordOutcome(args: {
     executorAddress: string;
+    raterAddress?: string;
     txHash: string;
     rating: number;
     contractAddress?: string;
@@ -43,8 +44,8 @@ export type MeshReputationAdapter = {
   }): Promise<{
     offenderAddress: string;
     reason: string;
-    slashedStake: number;
-    remainingStake: number;
+    slashedStake: bigint;
+    remainingStake: bigint;
     reputation: number;
     raw?: unknown;
   }>;
@@ -53,7 +54,7 @@ export type MeshReputationAdapter = {
     contractAddress?: string;
   }): Promise<{
     address: string;
-    amount: number;
+    amount: bigint;
     raw?: unknown;
   }>;
 };
@@ -103,14 +104,6 @@ function normalizeContractAddress(
   throw new Error('contractAddress is required');
 }
 
-function tonNumber(value: bigint): number {
-  const n = Number(fromNano(value));
-  if (!Number.isFinite(n)) {
-    throw new Error('TON amount is not representable as a number');
-  }
-  return n;
-}
-
 function unixNowSeconds(nowSeconds?: () => number): number {
   const n = Number(nowSeconds ? nowSeconds() : Math.floor(Date.now() / 1000));
   return Number.isFinite(n) ? Math.floor(n) : Math.floor(Date.now() / 1000);
@@ -161,7 +154,7 @@ export function createMeshReputationAdapter(
 
       return {
         address,
-        stake: tonNumber(stakeInfo.stake),
+        stake: stakeInfo.stake,
         reputation,
         registeredAt: Number(stakeInfo.since),
         raw,
@@ -180,16 +173,19 @@ export function createMeshReputationAdapter(
       const since = Number(stakeInfo.since);
       const now = unixNowSeconds(options.nowSeconds);
       return {
-        stake: tonNumber(stakeInfo.stake),
+        stake: stakeInfo.stake,
         since,
         ageSeconds: Math.max(0, now - since),
       };
     },
 
-    async recordOutcome({ executorAddress, txHash, rating, contractAddress }) {
+    async recordOutcome({ executorAddress, raterAddress, txHash, rating, contractAddress }) {
       if (!Number.isInteger(rating) || rating < 1 || rating > 10) {
         throw new Error('rating must be an integer between 1 and 10');
       }
+      if (raterAddress && Address.parse(raterAddress).equals(Address.parse(executorAddress))) {
+        throw new Error('executor cannot rate its own outcome');
+      }
 
       const { contract } = await open(contractAddress);
       const executor = Address.parse(executorAddress);
@@ -229,8 +225,8 @@ export function createMeshReputationAdapter(
       return {
         offenderAddress,
         reason,
-        slashedStake: tonNumber(beforeStake.stake - afterStake.stake),
-        remainingStake: tonNumber(afterStake.stake),
+        slashedStake: beforeStake.stake - afterStake.stake,
+        remainingStake: afterStake.stake,
         reputation: afterRep,
         raw,
       };
@@ -249,7 +245,7 @@ export function createMeshReputationAdapter(
 
       return {
         address,
-        amount: tonNumber(before.stake),
+        amount: before.stake,
         raw,
       };
     },
@@ -0,0 +1,64 @@
+// TON amounts travel as decimal strings (at most 9 decimals) and are bigint nanotons everywhere else,
+// so fee/budget/stake comparisons and arithmetic are exact.
+export const NANOTON_PER_TON = 1_000_000_000n;
+
+export const TON_AMOUNT_PATTERN = '^(\\d+)(?:\\.(\\d{1,9}))?$';
+
+const TON_DECIMAL = new RegExp(TON_AMOUNT_PATTERN);
+
+export function isTonAmount(value) {
+  return typeof value === 'string' && TON_DECIMAL.test(value.trim());
+}
+
+// Decimal TON strings (and finite numbers from config or tool args) become nanotons; bigints already are.
+export function parseTon(value, name = 'amount') {
+  if (typeof value === 'bigint') {
+    if (value < 0n) throw new Error(`${name} must not be negative`);
+    return value;
+  }
+  const text = typeof value === 'number' && Number.isFinite(value) && value >= 0
+    ? value.toFixed(9)
+    : String(value ?? '').trim();
+  const match = text.match(TON_DECIMAL);
+  if (!match) throw new Error(`${name} must be a decimal TON amount with at most 9 decimals`);
+  return (BigInt(match[1]) * NANOTON_PER_TON) + BigInt((match[2] ?? '').padEnd(9, '0'));
+}
+
+// Nanoton columns come back as bigint, number or string depending on the driver.
+export function asNanoton(value) {
+  return value == null ? null : BigInt(value);
+}
+
+export function formatTon(nano) {
+  const value = BigInt(nano);
+  const fraction = (value % NANOTON_PER_TON).toString().padStart(9, '0').replace(/0+$/, '');
+  return fraction ? `${value / NANOTON_PER_TON}.${fraction}` : String(value / NANOTON_PER_TON);
+}
+
+// Multiplies by a decimal factor such as a 0.75 budget share, rounding down to whole nanotons.
+export function scaleTon(nano, factor) {
+  return (nano * parseTon(factor, 'factor')) / NANOTON_PER_TON;
+}
+
+export function minTon(a, b) {
+  return a < b ? a : b;
+}
+
+export function maxTon(a, b) {
+  return a > b ? a : b;
+}
+
+// Only for scoring, where relative size matters and exactness does not.
+export function tonToNumber(nano) {
+  return Number(nano) / Number(NANOTON_PER_TON);
+}
+
+// Tool results are JSON, so nanotons leave the plugin as decimal TON strings.
+export function jsonAmounts(value) {
+  if (typeof value === 'bigint') return formatTon(value);
+  if (Array.isArray(value)) return value.map(jsonAmounts);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, jsonAmounts(item)]));
+  }
+  return value;
+}
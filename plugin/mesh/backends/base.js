@@ -0,0 +1,104 @@
+// Operations every registry backend implements; registry.js forwards each export to the active backend.
+export const REGISTRY_BACKEND_METHODS = [
+  'migrate',
+  'rollback',
+  'appliedMigrations',
+  'close',
+  'upsertPeer',
+  'getPeer',
+  'listPeers',
+  'queryPeers',
+  'saveIntent',
+  'getIntent',
+  'listIntents',
+  'countActiveDeals',
+  'updateIntentStatus',
+  'acceptIntentOffer',
+  'cancelIntent',
+  'recordOffer',
+  'listOffersForIntent',
+  'markOfferCountered',
+  'supersedeOffers',
+  'deleteOffersForIntent',
+  'commitOffer',
+  'revealCommitment',
+  'updateCommitmentStatus',
+  'listOfferCommitments',
+  'settleDeal',
+  'getDeal',
+  'listDeals',
+  'executorTrackRecord',
+  'openDispute',
+  'getDispute',
+  'listDisputes',
+  'resolveDispute',
+  'recordDisputeSlash',
+  'createWorkflow',
+  'getWorkflow',
+  'listWorkflows',
+  'updateWorkflowStatus',
+  'updateWorkflowStep',
+  'expireIntents',
+  'markProcessedMessage',
+  'compact',
+  'listArchivedDeals',
+];
+
+export class RegistryBackend {
+  constructor(sdk, mode) {
+    this.sdk = sdk;
+    this.mode = mode;
+  }
+
+  async migrate() {
+    return [];
+  }
+
+  async rollback() {
+    return [];
+  }
+
+  async appliedMigrations() {
+    return [];
+  }
+
+  async close() {}
+
+  async updateIntentStatus(id, status, extra = {}) {
+    const current = await this.getIntent(id);
+    if (!current) return null;
+    return this.saveIntent({ ...current, status, ...extra });
+  }
+
+  async acceptFailure(intentId) {
+    const current = await this.getIntent(intentId);
+    if (!current) return { ok: false, reason: 'intent_not_found' };
+    if (current.status !== 'pending') return { ok: false, reason: 'intent_not_pending', intent: current };
+    return { ok: false, reason: 'intent_accept_failed', intent: current };
+  }
+
+  async cancelFailure(intentId, fromAddress) {
+    const current = await this.getIntent(intentId);
+    if (!current) return { ok: false, reason: 'intent_not_found' };
+    if (current.fromAddress !== fromAddress) return { ok: false, reason: 'not_intent_owner', intent: current };
+    return { ok: false, reason: 'intent_not_pending', intent: current };
+  }
+
+  async revealFailure(intentId, fromAddress) {
+    const current = (await this.listOfferCommitments(intentId)).find((c) => c.fromAddress === fromAddress);
+    if (!current) return { ok: false, reason: 'no_commitment' };
+    return { ok: false, reason: 'already_revealed', commitment: current };
+  }
+
+  async resolveFailure(id) {
+    const current = await this.getDispute(id);
+    if (!current) return { ok: false, reason: 'dispute_not_found' };
+    return { ok: false, reason: 'dispute_not_open', dispute: current };
+  }
+
+  async workflowStepFailure(workflowId, stepId) {
+    const step = (await this.getWorkflow(workflowId))?.steps.find((item) => item.stepId === stepId);
+    if (!step) return { ok: false, reason: 'step_not_found' };
+    return { ok: false, reason: 'step_status_changed', step };
+  }
+}
@@ -0,0 +1,30 @@
+import { MemoryBackend } from './memory.js';
+import { PostgresBackend, resolveDbUrl } from './postgres.js';
+import { SqliteBackend, isSqliteHandle, resolveSqlitePath } from './sqlite.js';
+import { SupabaseRestBackend, hasSupabaseRestConfig } from './supabase.js';
+
+export { REGISTRY_BACKEND_METHODS, RegistryBackend } from './base.js';
+export { MemoryBackend, PostgresBackend, SqliteBackend, SupabaseRestBackend };
+
+// Precedence: Supabase REST, then Postgres, then SQLite, then in-memory.
+export function getBackendMode(sdk) {
+  if (hasSupabaseRestConfig(sdk)) return 'supabase-rest';
+  if (resolveDbUrl(sdk)) return 'postgres';
+  if (resolveSqlitePath(sdk) || isSqliteHandle(sdk?.db)) return 'sqlite';
+  return 'memory';
+}
+
+export function createRegistryBackend(sdk, mode = getBackendMode(sdk)) {
+  switch (mode) {
+    case 'supabase-rest':
+      return new SupabaseRestBackend(sdk);
+    case 'postgres':
+      return new PostgresBackend(sdk);
+    case 'sqlite':
+      return new SqliteBackend(sdk);
+    case 'memory':
+      return new MemoryBackend(sdk);
+    default:
+      throw new Error(`Unknown registry backend: ${mode}`);
+  }
+}
@@ -0,0 +1,480 @@
+import { parseTon } from '../amounts.js';
+import { RegistryBackend } from './base.js';
+import {
+  CLOSED_DEAL_STATUSES,
+  UNMATCHED_INTENT_STATUSES,
+  buildDealRecord,
+  buildCommitmentRecord,
+  buildDisputeRecord,
+  buildIntentRecord,
+  buildOfferRecord,
+  buildPeerRecord,
+  buildWorkflowRecord,
+  now,
+  tallyBySkill,
+  tallyTrackRecord,
+} from './shared.js';
+
+function dealKey(intentId, executorAddress) {
+  return `${intentId}:${executorAddress ?? ''}`;
+}
+
+function isSelected(intent, executorAddress) {
+  return intent.selectedExecutor === executorAddress || Boolean(intent.selectedExecutors?.includes(executorAddress));
+}
+
+// Process-local maps on sdk.__meshStore. Check-and-set operations run without an await in between,
+// which is what makes them atomic here.
+export class MemoryBackend extends RegistryBackend {
+  constructor(sdk) {
+    super(sdk, 'memory');
+  }
+
+  get store() {
+    if (!this.sdk.__meshStore) {
+      this.sdk.__meshStore = {
+        peers: new Map(),
+        intents: new Map(),
+        offers: new Map(),
+        deals: new Map(),
+        processedMessages: new Map(),
+        disputes: new Map(),
+        dealsHistory: new Map(),
+        commitments: new Map(),
+        workflows: new Map(),
+      };
+    }
+    return this.sdk.__meshStore;
+  }
+
+  async upsertPeer(peer) {
+    const record = buildPeerRecord(peer, this.store.peers.get(peer.address));
+    this.store.peers.set(record.address, record);
+    return record;
+  }
+
+  async getPeer(address) {
+    return this.store.peers.get(address) || null;
+  }
+
+  async listPeers() {
+    return Array.from(this.store.peers.values()).sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+  }
+
+  async queryPeers({
+    skill,
+    minReputation,
+    maxMinFee,
+    minStake,
+    seenSince,
+    seenBefore,
+    sort = 'lastSeen',
+    order = 'desc',
+    limit,
+    after,
+  } = {}) {
+    const direction = order === 'asc' ? 1 : -1;
+    const compare = ([value, address], [otherValue, otherAddress]) => {
+      if (value !== otherValue) return (value < otherValue ? -1 : 1) * direction;
+      if (address === otherAddress) return 0;
+      return (address < otherAddress ? -1 : 1) * direction;
+    };
+    const key = (peer) => [peer[sort], peer.address];
+
+    return Array.from(this.store.peers.values())
+      .filter((peer) => skill == null || peer.skills.includes(skill))
+      .filter((peer) => minReputation == null || peer.reputation >= minReputation)
+      .filter((peer) => maxMinFee == null || peer.minFee <= maxMinFee)
+      .filter((peer) => minStake == null || peer.stake >= minStake)
+      .filter((peer) => seenSince == null || peer.lastSeen >= seenSince)
+      .filter((peer) => seenBefore == null || peer.lastSeen < seenBefore)
+      .filter((peer) => !after || compare(key(peer), [after.value, after.address]) > 0)
+      .sort((a, b) => compare(key(a), key(b)))
+      .slice(0, limit);
+  }
+
+  async saveIntent(intent) {
+    const record = buildIntentRecord(intent, this.store.intents.get(intent.id));
+    this.store.intents.set(record.id, record);
+    return record;
+  }
+
+  async getIntent(id) {
+    return this.store.intents.get(id) || null;
+  }
+
+  async listIntents({ status, fromAddress, selectedExecutor, limit } = {}) {
+    return Array.from(this.store.intents.values())
+      .filter((item) => (!status || item.status === status)
+        && (!fromAddress || item.fromAddress === fromAddress)
+        && (!selectedExecutor || isSelected(item, selectedExecutor)))
+      .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+      .slice(0, limit);
+  }
+
+  async countActiveDeals(executorAddress) {
+    const active = Array.from(this.store.intents.values())
+      .filter((item) => item.status === 'accepted' && isSelected(item, executorAddress));
+    return tallyBySkill(active.map((item) => item.skill));
+  }
+
+  async updateIntentStatus(id, status, extra = {}) {
+    const current = this.store.intents.get(id);
+    if (!current) return null;
+    const updated = { ...current, status, ...extra, updatedAt: now() };
+    this.store.intents.set(id, updated);
+    return updated;
+  }
+
+  async acceptIntentOffer(intentId, offerId, executorAddress, selectedExecutors = null) {
+    const current = this.store.intents.get(intentId);
+    if (!current) return { ok: false, reason: 'intent_not_found' };
+    if (current.status !== 'pending') return { ok: false, reason: 'intent_not_pending', intent: current };
+    const updated = {
+      ...current,
+      status: 'accepted',
+      acceptedOfferId: offerId,
+      selectedExecutor: executorAddress,
+      selectedExecutors,
+      updatedAt: now(),
+    };
+    this.store.intents.set(intentId, updated);
+    return { ok: true, intent: updated };
+  }
+
+  async cancelIntent(intentId, fromAddress) {
+    const current = this.store.intents.get(intentId);
+    if (!current || current.fromAddress !== fromAddress || current.status !== 'pending') {
+      return this.cancelFailure(intentId, fromAddress);
+    }
+    const updated = { ...current, status: 'cancelled', updatedAt: now() };
+    this.store.intents.set(intentId, updated);
+    return { ok: true, intent: updated };
+  }
+
+  async recordOffer(offer) {
+    const record = buildOfferRecord(offer);
+    this.store.offers.set(record.id, record);
+    return record;
+  }
+
+  async listOffersForIntent(intentId) {
+    return Array.from(this.store.offers.values())
+      .filter((offer) => offer.intentId === intentId)
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+
+  async markOfferCountered(offerId, { round, counterFee, counterEta }) {
+    const current = this.store.offers.get(offerId);
+    if (!current) return null;
+    const updated = { ...current, status: 'countered', round, counterFee: parseTon(counterFee, 'counterFee'), counterEta };
+    this.store.offers.set(offerId, updated);
+    return updated;
+  }
+
+  async supersedeOffers(intentId, fromAddress, keepOfferId) {
+    let superseded = 0;
+    for (const [id, offer] of this.store.offers.entries()) {
+      if (offer.intentId === intentId && offer.fromAddress === fromAddress && id !== keepOfferId) {
+        this.store.offers.set(id, { ...offer, status: 'superseded' });
+        superseded += 1;
+      }
+    }
+    return superseded;
+  }
+
+  async deleteOffersForIntent(intentId) {
+    let removed = 0;
+    for (const [id, offer] of this.store.offers.entries()) {
+      if (offer.intentId === intentId) {
+        this.store.offers.delete(id);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  async commitOffer(commitment) {
+    const record = buildCommitmentRecord(commitment);
+    const key = `${record.intentId}:${record.fromAddress}`;
+    const existing = this.store.commitments.get(key);
+    if (existing) return { created: false, commitment: existing };
+    this.store.commitments.set(key, record);
+    return { created: true, commitment: record };
+  }
+
+  async revealCommitment(intentId, fromAddress, { fee, eta, escrowAddress, nonce, ts = now() }) {
+    const key = `${intentId}:${fromAddress}`;
+    const current = this.store.commitments.get(key);
+    if (current?.status !== 'committed') return this.revealFailure(intentId, fromAddress);
+    const updated = {
+      ...current,
+      fee: parseTon(fee, 'fee'),
+      eta,
+      escrowAddress: escrowAddress ?? null,
+      nonce,
+      status: 'revealed',
+      revealedAt: ts,
+      updatedAt: ts,
+    };
+    this.store.commitments.set(key, updated);
+    return { ok: true, commitment: updated };
+  }
+
+  async updateCommitmentStatus(intentId, fromAddress, status, ts = now()) {
+    const key = `${intentId}:${fromAddress}`;
+    const current = this.store.commitments.get(key);
+    if (!current) return null;
+    const updated = { ...current, status, updatedAt: ts };
+    this.store.commitments.set(key, updated);
+    return updated;
+  }
+
+  async listOfferCommitments(intentId) {
+    return Array.from(this.store.commitments.values())
+      .filter((commitment) => commitment.intentId === intentId)
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+
+  // Without an executor, the intent's deal with the lowest executor address (its only one, unless multi-executor).
+  findDeal(intentId, executorAddress) {
+    if (executorAddress) return this.store.deals.get(dealKey(intentId, executorAddress)) || null;
+    const deals = Array.from(this.store.deals.values()).filter((deal) => deal.intentId === intentId);
+    return deals.reduce((first, deal) => ((deal.executorAddress ?? '') < (first.executorAddress ?? '') ? deal : first), deals[0]) ?? null;
+  }
+
+  async settleDeal(deal) {
+    const record = buildDealRecord(deal, this.findDeal(deal.intentId, deal.executorAddress));
+    this.store.deals.set(dealKey(record.intentId, record.executorAddress), record);
+    return record;
+  }
+
+  async getDeal(intentId, executorAddress = null) {
+    return this.findDeal(intentId, executorAddress);
+  }
+
+  async listDeals({ executorAddress, intentId } = {}) {
+    return Array.from(this.store.deals.values())
+      .filter((deal) => (!executorAddress || deal.executorAddress === executorAddress)
+        && (!intentId || deal.intentId === intentId))
+      .sort((a, b) => (b.settledAt || 0) - (a.settledAt || 0));
+  }
+
+  async executorTrackRecord(executorAddress) {
+    const { deals, dealsHistory, intents } = this.store;
+    const live = Array.from(deals.values())
+      .filter((deal) => deal.executorAddress === executorAddress)
+      .map((deal) => ({ ...deal, skill: intents.get(deal.intentId)?.skill }));
+    const archived = Array.from(dealsHistory.values()).filter((deal) => deal.executorAddress === executorAddress);
+    return tallyTrackRecord([...live, ...archived]);
+  }
+
+  async openDispute(dispute) {
+    const record = buildDisputeRecord(dispute);
+    if (this.store.disputes.has(record.id)) {
+      return { created: false, dispute: this.store.disputes.get(record.id) };
+    }
+    this.store.disputes.set(record.id, record);
+    return { created: true, dispute: record };
+  }
+
+  async getDispute(id) {
+    return this.store.disputes.get(id) || null;
+  }
+
+  async listDisputes({ intentId, status } = {}) {
+    return Array.from(this.store.disputes.values())
+      .filter((item) => (!intentId || item.intentId === intentId) && (!status || item.status === status))
+      .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  }
+
+  async resolveDispute(id, { status, resolution, slashedStake, ts }) {
+    const current = this.store.disputes.get(id);
+    if (!current) return { ok: false, reason: 'dispute_not_found' };
+    if (current.status !== 'open') return { ok: false, reason: 'dispute_not_open', dispute: current };
+    const updated = {
+      ...current,
+      status,
+      resolution,
+      slashedStake: slashedStake == null ? null : parseTon(slashedStake, 'slashedStake'),
+      resolvedAt: ts,
+      updatedAt: ts,
+    };
+    this.store.disputes.set(id, updated);
+    return { ok: true, dispute: updated };
+  }
+
+  async recordDisputeSlash(id, { slashedStake, ts }) {
+    const current = this.store.disputes.get(id);
+    if (!current) return null;
+    const updated = { ...current, slashedStake: parseTon(slashedStake, 'slashedStake'), updatedAt: ts };
+    this.store.disputes.set(id, updated);
+    return updated;
+  }
+
+  async createWorkflow(workflow) {
+    const record = buildWorkflowRecord(workflow);
+    if (this.store.workflows.has(record.id)) {
+      return { created: false, workflow: this.store.workflows.get(record.id) };
+    }
+    this.store.workflows.set(record.id, record);
+    return { created: true, workflow: record };
+  }
+
+  async getWorkflow(id) {
+    return this.store.workflows.get(id) || null;
+  }
+
+  async listWorkflows({ fromAddress, status, limit = null } = {}) {
+    return Array.from(this.store.workflows.values())
+      .filter((item) => (!fromAddress || item.fromAddress === fromAddress) && (!status || item.status === status))
+      .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+      .slice(0, limit ?? undefined);
+  }
+
+  async updateWorkflowStatus(id, status, { error = null } = {}, ts = now()) {
+    const current = this.store.workflows.get(id);
+    if (!current) return null;
+    const updated = { ...current, status, error, updatedAt: ts };
+    this.store.workflows.set(id, updated);
+    return updated;
+  }
+
+  async updateWorkflowStep(workflowId, stepId, fromStatus, fields, ts = now()) {
+    const current = this.store.workflows.get(workflowId);
+    const step = current?.steps.find((item) => item.stepId === stepId);
+    if (!step) return { ok: false, reason: 'step_not_found' };
+    if (step.status !== fromStatus) return { ok: false, reason: 'step_status_changed', step };
+    const updated = {
+      ...step,
+      ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)),
+      updatedAt: ts,
+    };
+    const steps = current.steps.map((item) => (item.stepId === stepId ? updated : item));
+    this.store.workflows.set(workflowId, {
+      ...current,
+      steps,
+      spent: steps.reduce((sum, item) => sum + (item.spent ?? 0n), 0n),
+      updatedAt: ts,
+    });
+    return { ok: true, step: updated };
+  }
+
+  // Sealed-bid intents stay pending through their reveal window.
+  async expireIntents(ts) {
+    const expired = [];
+    for (const [id, intent] of this.store.intents.entries()) {
+      if (intent.status === 'pending' && intent.deadline < ts && (intent.revealDeadline ?? intent.deadline) < ts) {
+        const next = { ...intent, status: 'expired', updatedAt: now() };
+        this.store.intents.set(id, next);
+        expired.push(next);
+      }
+    }
+    return expired;
+  }
+
+  async markProcessedMessage(meta) {
+    if (this.store.processedMessages.has(meta.key)) {
+      return { inserted: false };
+    }
+    this.store.processedMessages.set(meta.key, meta.firstSeenAt ?? now());
+    return { inserted: true };
+  }
+
+  async compact({
+    processedMessagesBefore,
+    offersBefore,
+    intentsBefore,
+    dealsBefore,
+    peersBefore,
+    archiveDeals = true,
+    ts = now(),
+  } = {}) {
+    const { processedMessages, intents, offers, deals, dealsHistory, peers, commitments } = this.store;
+    const result = { processedMessages: 0, offers: 0, intents: 0, deals: 0, archivedDeals: 0, peers: 0 };
+
+    if (processedMessagesBefore != null) {
+      for (const [key, firstSeenAt] of processedMessages.entries()) {
+        if (firstSeenAt < processedMessagesBefore) {
+          processedMessages.delete(key);
+          result.processedMessages += 1;
+        }
+      }
+    }
+
+    const dropIntent = (intent) => {
+      for (const [id, offer] of offers.entries()) {
+        if (offer.intentId === intent.id) {
+          offers.delete(id);
+          result.offers += 1;
+        }
+      }
+      for (const [key, commitment] of commitments.entries()) {
+        if (commitment.intentId === intent.id) {
+          commitments.delete(key);
+          result.offers += 1;
+        }
+      }
+      intents.delete(intent.id);
+      result.intents += 1;
+    };
+
+    if (dealsBefore != null) {
+      for (const intent of intents.values()) {
+        if (!CLOSED_DEAL_STATUSES.includes(intent.status) || !(intent.updatedAt < dealsBefore)) continue;
+        const intentDeals = Array.from(deals.entries()).filter(([, deal]) => deal.intentId === intent.id);
+        if (intentDeals.some(([, deal]) => deal.escrowStatus === 'locked')) continue;
+        for (const [key, deal] of intentDeals) {
+          if (archiveDeals) {
+            dealsHistory.set(key, {
+              ...deal,
+              requesterAddress: intent.fromAddress,
+              skill: intent.skill,
+              budget: intent.budget,
+              intentStatus: intent.status,
+              archivedAt: ts,
+            });
+            result.archivedDeals += 1;
+          }
+          deals.delete(key);
+          result.deals += 1;
+        }
+        dropIntent(intent);
+      }
+    }
+
+    if (intentsBefore != null) {
+      for (const intent of intents.values()) {
+        if (UNMATCHED_INTENT_STATUSES.includes(intent.status) && intent.updatedAt < intentsBefore) {
+          dropIntent(intent);
+        }
+      }
+    }
+
+    if (offersBefore != null) {
+      for (const [id, offer] of offers.entries()) {
+        if (!(offer.createdAt < offersBefore)) continue;
+        const intent = intents.get(offer.intentId);
+        if (intent?.status === 'pending' || intent?.acceptedOfferId === id) continue;
+        offers.delete(id);
+        result.offers += 1;
+      }
+    }
+
+    // Peers with a pinned public key are kept, so a silent peer's key cannot be pinned again by someone else.
+    if (peersBefore != null) {
+      for (const [address, peer] of peers.entries()) {
+        if (peer.lastSeen < peersBefore && peer.publicKey == null) {
+          peers.delete(address);
+          result.peers += 1;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  async listArchivedDeals() {
+    return Array.from(this.store.dealsHistory.values()).sort((a, b) => (b.archivedAt || 0) - (a.archivedAt || 0));
+  }
+}
@@ -0,0 +1,78 @@
+import { Pool } from 'pg';
+import { SqlBackend } from './sql.js';
+import { getLogger, getRuntimeConfig, toInt } from './shared.js';
+
+// 'MESH' in ASCII; serializes migration runs across agents sharing one database.
+const MIGRATION_LOCK_KEY = 0x4d455348;
+
+export function resolveDbUrl(sdk) {
+  const cfg = getRuntimeConfig(sdk);
+  return cfg.databaseUrl || process.env.MESH_DATABASE_URL || process.env.DATABASE_URL || null;
+}
+
+function resolvePgSsl(sdk) {
+  const cfg = getRuntimeConfig(sdk);
+  if (cfg.dbSsl === false) return false;
+  return { rejectUnauthorized: false };
+}
+
+function createPool(sdk) {
+  const databaseUrl = resolveDbUrl(sdk);
+  if (!databaseUrl) {
+    throw new Error('Postgres backend requires databaseUrl or MESH_DATABASE_URL');
+  }
+
+  const cfg = getRuntimeConfig(sdk);
+  const pool = new Pool({
+    connectionString: databaseUrl,
+    max: toInt(cfg.dbPoolMax || process.env.MESH_DB_POOL_MAX, 10) || 10,
+    ssl: resolvePgSsl(sdk),
+  });
+  pool.on('error', (err) => {
+    getLogger(sdk).error?.('[MESH] Postgres pool error', err);
+  });
+  return pool;
+}
+
+// node-postgres pool from databaseUrl, or any pg-compatible pool passed as options.pool.
+export class PostgresBackend extends SqlBackend {
+  constructor(sdk, { pool } = {}) {
+    super(sdk, 'postgres');
+    this.pool = pool || createPool(sdk);
+  }
+
+  async query(text, params = [], client = null) {
+    return (client || this.pool).query(text, params);
+  }
+
+  async withTransaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch {
+        // ignore rollback failure
+      }
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async execDdl(sql, client = null) {
+    await (client || this.pool).query(sql);
+  }
+
+  async lockMigrations(client) {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
@@ -0,0 +1,409 @@
+import { asNanoton, formatTon, parseTon } from '../amounts.js';
+
+export function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+export function toInt(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : fallback;
+}
+
+export function parseMaybeJson(value, fallback) {
+  if (value == null) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+export function getRuntimeConfig(sdk) {
+  return sdk?.__meshRuntimeConfig || {};
+}
+
+export function getLogger(sdk) {
+  return sdk?.logger || console;
+}
+
+export function tallyBySkill(skills) {
+  const bySkill = {};
+  for (const skill of skills) {
+    bySkill[skill] = (bySkill[skill] || 0) + 1;
+  }
+  return { total: skills.length, bySkill };
+}
+
+// An executor's history from deal rows ({ skill, outcome, dueAt, deliveredAt }), live and archived:
+// settled/succeeded per skill and overall, and how many deliveries with a due time arrived by it.
+export function tallyTrackRecord(rows) {
+  const record = { settled: 0, succeeded: 0, delivered: 0, onTime: 0, bySkill: {} };
+  for (const row of rows) {
+    if (row.outcome) {
+      const skill = (record.bySkill[row.skill ?? ''] ??= { settled: 0, succeeded: 0 });
+      const succeeded = row.outcome === 'success' ? 1 : 0;
+      skill.settled += 1;
+      skill.succeeded += succeeded;
+      record.settled += 1;
+      record.succeeded += succeeded;
+    }
+    if (row.dueAt != null && row.deliveredAt != null) {
+      record.delivered += 1;
+      if (toInt(row.deliveredAt) <= toInt(row.dueAt)) record.onTime += 1;
+    }
+  }
+  return record;
+}
+
+// Intents compaction may drop: closed deals (subject to the deals TTL) and intents that never got one.
+export const CLOSED_DEAL_STATUSES = ['settled', 'refunded', 'failed'];
+export const UNMATCHED_INTENT_STATUSES = ['expired', 'cancelled'];
+
+// Sort keys accepted by queryPeers; address breaks ties so cursors are stable.
+export const PEER_SORT_COLUMNS = {
+  lastSeen: 'last_seen',
+  reputation: 'reputation',
+  minFee: 'min_fee_nano',
+  stake: 'stake_nano',
+};
+
+// One dispute per requester and executor, so each executor of a multi-executor intent can be disputed.
+export function disputeIdFor(intentId, fromAddress, againstAddress) {
+  return `${intentId}:${fromAddress}:${againstAddress}`;
+}
+
+// Record builders merge a partial update over the stored record so every backend applies the same defaults.
+export function buildPeerRecord(peer, existing, ts = now()) {
+  return {
+    address: peer.address,
+    skills: Array.isArray(peer.skills) ? peer.skills.slice() : (existing?.skills ?? []),
+    minFee: peer.minFee == null ? (existing?.minFee ?? 0n) : parseTon(peer.minFee, 'minFee'),
+    responseTime: peer.responseTime ?? existing?.responseTime ?? '< 5s',
+    reputation: Number.isFinite(peer.reputation) ? peer.reputation : (existing?.reputation ?? 100),
+    stake: peer.stake == null ? (existing?.stake ?? 0n) : parseTon(peer.stake, 'stake'),
+    stakeAgeSeconds: Number.isFinite(peer.stakeAgeSeconds) ? peer.stakeAgeSeconds : (existing?.stakeAgeSeconds ?? 0),
+    replyChat: peer.replyChat == null ? (existing?.replyChat ?? null) : String(peer.replyChat),
+    publicKey: peer.publicKey ?? existing?.publicKey ?? null,
+    activeDeals: Number.isFinite(peer.activeDeals) ? peer.activeDeals : (existing?.activeDeals ?? 0),
+    maxConcurrentDeals: peer.maxConcurrentDeals !== undefined ? peer.maxConcurrentDeals : (existing?.maxConcurrentDeals ?? null),
+    protocolVersions: Array.isArray(peer.protocolVersions) ? peer.protocolVersions.slice() : (existing?.protocolVersions ?? null),
+    lastSeen: peer.lastSeen ?? existing?.lastSeen ?? ts,
+    createdAt: existing?.createdAt ?? ts,
+    updatedAt: ts,
+  };
+}
+
+export function buildIntentRecord(intent, existing, ts = now()) {
+  return {
+    id: intent.id,
+    fromAddress: intent.fromAddress ?? existing?.fromAddress ?? null,
+    skill: intent.skill ?? existing?.skill ?? null,
+    payload: intent.payload ?? existing?.payload ?? {},
+    budget: intent.budget == null ? (existing?.budget ?? 0n) : parseTon(intent.budget, 'budget'),
+    deadline: intent.deadline ?? existing?.deadline ?? null,
+    minReputation: Number.isFinite(intent.minReputation) ? intent.minReputation : (existing?.minReputation ?? 0),
+    status: intent.status ?? existing?.status ?? 'pending',
+    createdAt: intent.createdAt ?? existing?.createdAt ?? ts,
+    acceptedOfferId: intent.acceptedOfferId ?? existing?.acceptedOfferId ?? null,
+    selectedExecutor: intent.selectedExecutor ?? existing?.selectedExecutor ?? null,
+    routerWeights: intent.routerWeights ?? existing?.routerWeights ?? null,
+    routerPolicy: intent.routerPolicy ?? existing?.routerPolicy ?? null,
+    auction: intent.auction ?? existing?.auction ?? 'open',
+    revealDeadline: intent.revealDeadline ?? existing?.revealDeadline ?? null,
+    executors: Number.isFinite(intent.executors) ? intent.executors : (existing?.executors ?? 1),
+    quorum: Number.isFinite(intent.quorum) ? intent.quorum : (existing?.quorum ?? null),
+    selectedExecutors: intent.selectedExecutors ?? existing?.selectedExecutors ?? null,
+    quorumStatus: intent.quorumStatus ?? existing?.quorumStatus ?? null,
+    quorumHash: intent.quorumHash ?? existing?.quorumHash ?? null,
+    updatedAt: ts,
+  };
+}
+
+export function buildOfferRecord(offer) {
+  const fee = parseTon(offer.fee, 'fee');
+  return {
+    id: offer.id ?? `${offer.intentId}:${offer.fromAddress}:${offer.createdAt ?? now()}`,
+    intentId: offer.intentId,
+    fromAddress: offer.fromAddress,
+    fee,
+    feeRaw: offer.feeRaw ?? formatTon(fee),
+    eta: offer.eta,
+    reputation: Number.isFinite(offer.reputation) ? offer.reputation : null,
+    stakeAgeSeconds: Number.isFinite(offer.stakeAgeSeconds) ? offer.stakeAgeSeconds : 0,
+    escrowAddress: offer.escrowAddress ?? null,
+    round: Number.isInteger(offer.round) ? offer.round : 0,
+    status: offer.status ?? 'open',
+    counterFee: null,
+    counterEta: null,
+    createdAt: offer.createdAt ?? now(),
+  };
+}
+
+export function buildDealRecord(deal, existing, ts = now()) {
+  return {
+    intentId: deal.intentId,
+    executorAddress: deal.executorAddress ?? existing?.executorAddress ?? null,
+    fee: deal.fee == null ? (existing?.fee ?? null) : parseTon(deal.fee, 'fee'),
+    txHash: deal.txHash ?? existing?.txHash ?? null,
+    outcome: deal.outcome ?? existing?.outcome ?? null,
+    rating: Number.isFinite(deal.rating) ? deal.rating : (existing?.rating ?? null),
+    settledAt: deal.settledAt ?? (deal.outcome ? ts : (existing?.settledAt ?? null)),
+    escrowId: deal.escrowId ?? existing?.escrowId ?? null,
+    escrowStatus: deal.escrowStatus ?? existing?.escrowStatus ?? null,
+    resultStatus: deal.resultStatus ?? existing?.resultStatus ?? null,
+    resultHash: deal.resultHash ?? existing?.resultHash ?? null,
+    resultRef: deal.resultRef ?? existing?.resultRef ?? null,
+    resultOutput: deal.resultOutput !== undefined ? deal.resultOutput : (existing?.resultOutput ?? null),
+    resultError: deal.resultError ?? existing?.resultError ?? null,
+    resultVerified: typeof deal.resultVerified === 'boolean' ? deal.resultVerified : (existing?.resultVerified ?? null),
+    deliveredAt: deal.deliveredAt ?? existing?.deliveredAt ?? null,
+    dueAt: deal.dueAt ?? existing?.dueAt ?? null,
+    updatedAt: ts,
+  };
+}
+
+export function buildDisputeRecord(dispute, ts = now()) {
+  return {
+    id: dispute.id ?? disputeIdFor(dispute.intentId, dispute.fromAddress, dispute.againstAddress),
+    intentId: dispute.intentId,
+    fromAddress: dispute.fromAddress,
+    againstAddress: dispute.againstAddress,
+    reason: dispute.reason ?? null,
+    evidenceTx: dispute.evidenceTx ?? null,
+    status: 'open',
+    intentStatus: dispute.intentStatus ?? null,
+    resolution: null,
+    slashedStake: null,
+    createdAt: dispute.createdAt ?? ts,
+    resolvedAt: null,
+    updatedAt: ts,
+  };
+}
+
+// A sealed bid: the requester holds only the commitment until the reveal; the executor keeps the offer behind it.
+export function buildCommitmentRecord(commitment, ts = now()) {
+  return {
+    intentId: commitment.intentId,
+    fromAddress: commitment.fromAddress,
+    commitment: commitment.commitment,
+    fee: commitment.fee == null ? null : parseTon(commitment.fee, 'fee'),
+    eta: commitment.eta ?? null,
+    escrowAddress: commitment.escrowAddress ?? null,
+    nonce: commitment.nonce ?? null,
+    status: 'committed',
+    createdAt: commitment.createdAt ?? ts,
+    revealedAt: null,
+    updatedAt: ts,
+  };
+}
+
+// A workflow and its steps in dependency order. Steps wait until their dependencies settle, then run as an intent.
+export function buildWorkflowRecord(workflow, ts = now()) {
+  return {
+    id: workflow.id,
+    fromAddress: workflow.fromAddress,
+    status: 'running',
+    budget: parseTon(workflow.budget, 'budget'),
+    spent: 0n,
+    error: null,
+    createdAt: workflow.createdAt ?? ts,
+    updatedAt: ts,
+    steps: workflow.steps.map((step, position) => ({
+      workflowId: workflow.id,
+      stepId: step.stepId,
+      position,
+      skill: step.skill,
+      payload: step.payload ?? {},
+      budget: parseTon(step.budget, 'budget'),
+      dependsOn: step.dependsOn ?? [],
+      options: step.options ?? {},
+      status: 'waiting',
+      intentId: null,
+      output: null,
+      spent: null,
+      error: null,
+      startedAt: null,
+      updatedAt: ts,
+    })),
+  };
+}
+
+export function mapPeerRow(row) {
+  if (!row) return null;
+  return {
+    address: row.address,
+    skills: Array.isArray(row.skills) ? row.skills : parseMaybeJson(row.skills, []),
+    minFee: asNanoton(row.min_fee_nano) ?? 0n,
+    responseTime: row.response_time ?? row.responsetime ?? '< 5s',
+    reputation: toInt(row.reputation, 100),
+    stake: asNanoton(row.stake_nano) ?? 0n,
+    stakeAgeSeconds: toInt(row.stake_age_seconds),
+    replyChat: row.reply_chat ?? null,
+    publicKey: row.public_key ?? null,
+    activeDeals: toInt(row.active_deals),
+    maxConcurrentDeals: row.max_concurrent_deals == null ? null : toInt(row.max_concurrent_deals),
+    protocolVersions: Array.isArray(row.protocol_versions) ? row.protocol_versions : parseMaybeJson(row.protocol_versions, null),
+    lastSeen: toInt(row.last_seen),
+    createdAt: toInt(row.created_at),
+    updatedAt: toInt(row.updated_at),
+  };
+}
+
+export function mapIntentRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    fromAddress: row.from_address,
+    skill: row.skill,
+    payload: parseMaybeJson(row.payload, {}),
+    budget: asNanoton(row.budget_nano) ?? 0n,
+    deadline: toInt(row.deadline),
+    minReputation: toInt(row.min_reputation),
+    status: row.status,
+    createdAt: toInt(row.created_at),
+    acceptedOfferId: row.accepted_offer_id ?? null,
+    selectedExecutor: row.selected_executor ?? null,
+    routerWeights: parseMaybeJson(row.router_weights, null),
+    routerPolicy: parseMaybeJson(row.router_policy, null),
+    auction: row.auction ?? 'open',
+    revealDeadline: row.reveal_deadline == null ? null : toInt(row.reveal_deadline),
+    executors: row.executors == null ? 1 : toInt(row.executors),
+    quorum: row.quorum == null ? null : toInt(row.quorum),
+    selectedExecutors: parseMaybeJson(row.selected_executors, null),
+    quorumStatus: row.quorum_status ?? null,
+    quorumHash: row.quorum_hash ?? null,
+    updatedAt: toInt(row.updated_at),
+  };
+}
+
+export function mapOfferRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    intentId: row.intent_id,
+    fromAddress: row.from_address,
+    fee: asNanoton(row.fee_nano) ?? 0n,
+    feeRaw: row.fee_raw ?? formatTon(asNanoton(row.fee_nano) ?? 0n),
+    eta: row.eta,
+    reputation: row.reputation == null ? null : toInt(row.reputation),
+    stakeAgeSeconds: toInt(row.stake_age_seconds),
+    escrowAddress: row.escrow_address ?? null,
+    round: toInt(row.round),
+    status: row.status ?? 'open',
+    counterFee: asNanoton(row.counter_fee_nano),
+    counterEta: row.counter_eta ?? null,
+    createdAt: toInt(row.created_at),
+  };
+}
+
+export function mapDealRow(row) {
+  if (!row) return null;
+  return {
+    intentId: row.intent_id,
+    // Deals recorded before their executor was known are keyed by ''.
+    executorAddress: row.executor_address || null,
+    fee: asNanoton(row.fee_nano),
+    txHash: row.tx_hash ?? null,
+    outcome: row.outcome ?? null,
+    rating: row.rating == null ? null : toInt(row.rating),
+    settledAt: row.settled_at == null ? null : toInt(row.settled_at),
+    escrowId: row.escrow_id ?? null,
+    escrowStatus: row.escrow_status ?? null,
+    resultStatus: row.result_status ?? null,
+    resultHash: row.result_hash ?? null,
+    resultRef: row.result_ref ?? null,
+    resultOutput: row.result_output == null ? null : parseMaybeJson(row.result_output, row.result_output),
+    resultError: row.result_error ?? null,
+    resultVerified: row.result_verified == null ? null : Boolean(row.result_verified),
+    deliveredAt: row.delivered_at == null ? null : toInt(row.delivered_at),
+    dueAt: row.due_at == null ? null : toInt(row.due_at),
+    updatedAt: row.updated_at == null ? null : toInt(row.updated_at),
+  };
+}
+
+export function mapArchivedDealRow(row) {
+  if (!row) return null;
+  return {
+    ...mapDealRow(row),
+    requesterAddress: row.requester_address ?? null,
+    skill: row.skill ?? null,
+    budget: asNanoton(row.budget_nano),
+    intentStatus: row.intent_status ?? null,
+    archivedAt: toInt(row.archived_at),
+  };
+}
+
+export function mapDisputeRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    intentId: row.intent_id,
+    fromAddress: row.from_address,
+    againstAddress: row.against_address,
+    reason: row.reason ?? null,
+    evidenceTx: row.evidence_tx ?? null,
+    status: row.status,
+    intentStatus: row.intent_status ?? null,
+    resolution: row.resolution ?? null,
+    slashedStake: asNanoton(row.slashed_stake_nano),
+    createdAt: toInt(row.created_at),
+    resolvedAt: row.resolved_at == null ? null : toInt(row.resolved_at),
+    updatedAt: toInt(row.updated_at),
+  };
+}
+
+export function mapCommitmentRow(row) {
+  if (!row) return null;
+  return {
+    intentId: row.intent_id,
+    fromAddress: row.from_address,
+    commitment: row.commitment,
+    fee: asNanoton(row.fee_nano),
+    eta: row.eta ?? null,
+    escrowAddress: row.escrow_address ?? null,
+    nonce: row.nonce ?? null,
+    status: row.status,
+    createdAt: toInt(row.created_at),
+    revealedAt: row.revealed_at == null ? null : toInt(row.revealed_at),
+    updatedAt: toInt(row.updated_at),
+  };
+}
+
+export function mapWorkflowStepRow(row) {
+  if (!row) return null;
+  return {
+    workflowId: row.workflow_id,
+    stepId: row.step_id,
+    position: toInt(row.position),
+    skill: row.skill,
+    payload: parseMaybeJson(row.payload, {}),
+    budget: asNanoton(row.budget_nano) ?? 0n,
+    dependsOn: parseMaybeJson(row.depends_on, []),
+    options: parseMaybeJson(row.options, {}),
+    status: row.status,
+    intentId: row.intent_id ?? null,
+    output: row.output == null ? null : parseMaybeJson(row.output, row.output),
+    spent: asNanoton(row.spent_nano),
+    error: row.error ?? null,
+    startedAt: row.started_at == null ? null : toInt(row.started_at),
+    updatedAt: row.updated_at == null ? null : toInt(row.updated_at),
+  };
+}
+
+// spent is what the workflow's finished steps paid their executors.
+export function mapWorkflowRow(row, steps = []) {
+  if (!row) return null;
+  const ordered = [...steps].sort((a, b) => a.position - b.position);
+  return {
+    id: row.id,
+    fromAddress: row.from_address,
+    status: row.status,
+    budget: asNanoton(row.budget_nano) ?? 0n,
+    spent: ordered.reduce((sum, step) => sum + (step.spent ?? 0n), 0n),
+    error: row.error ?? null,
+    createdAt: toInt(row.created_at),
+    updatedAt: row.updated_at == null ? null : toInt(row.updated_at),
+    steps: ordered,
+  };
+}
@@ -0,0 +1,873 @@
+import { parseTon } from '../amounts.js';
+import {
+  MIGRATIONS,
+  MIGRATIONS_TABLE,
+  MIGRATIONS_TABLE_DDL,
+  latestMigrationVersion,
+  migrationsToRollBack,
+} from '../migrations.js';
+import { RegistryBackend } from './base.js';
+import {
+  CLOSED_DEAL_STATUSES,
+  UNMATCHED_INTENT_STATUSES,
+  buildCommitmentRecord,
+  buildDealRecord,
+  buildDisputeRecord,
+  buildIntentRecord,
+  buildOfferRecord,
+  PEER_SORT_COLUMNS,
+  buildPeerRecord,
+  buildWorkflowRecord,
+  mapArchivedDealRow,
+  mapCommitmentRow,
+  mapDealRow,
+  mapDisputeRow,
+  mapIntentRow,
+  mapOfferRow,
+  mapPeerRow,
+  mapWorkflowRow,
+  mapWorkflowStepRow,
+  now,
+  tallyBySkill,
+  tallyTrackRecord,
+  toInt,
+} from './shared.js';
+
+function sqlList(values) {
+  return values.map((value) => `'${value}'`).join(', ');
+}
+
+// Closed intents none of whose deals holds a locked escrow.
+const CLOSED_INTENT_IDS = `SELECT id FROM intents
+  WHERE status IN (${sqlList(CLOSED_DEAL_STATUSES)}) AND updated_at < $1
+    AND id NOT IN (SELECT intent_id FROM deals WHERE escrow_status = 'locked')`;
+
+const UNMATCHED_INTENT_IDS = `SELECT id FROM intents
+  WHERE status IN (${sqlList(UNMATCHED_INTENT_STATUSES)}) AND updated_at < $1`;
+
+// Registry operations written once in Postgres SQL. Drivers implement query(text, params, client)
+// returning { rows, rowCount }, withTransaction(fn), which passes fn the client to query with, and execDdl(sql, client).
+export class SqlBackend extends RegistryBackend {
+  async query() {
+    throw new Error(`${this.constructor.name} does not implement query`);
+  }
+
+  async withTransaction() {
+    throw new Error(`${this.constructor.name} does not implement withTransaction`);
+  }
+
+  async execDdl() {
+    throw new Error(`${this.constructor.name} does not implement execDdl`);
+  }
+
+  async lockMigrations() {}
+
+  // `column` is a JSON array of strings; param(value) binds a value and returns its placeholder.
+  arrayContains(column, value, param) {
+    return `${column} @> ${param(JSON.stringify([value]))}::jsonb`;
+  }
+
+  selectedExecutorIs(executorAddress, param) {
+    return `(selected_executor = ${param(executorAddress)} OR ${this.arrayContains('selected_executors', executorAddress, param)})`;
+  }
+
+  async appliedMigrations() {
+    if (!this.migrationsTableReady) {
+      await this.execDdl(MIGRATIONS_TABLE_DDL);
+      this.migrationsTableReady = true;
+    }
+    const { rows } = await this.query(`SELECT version, name, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version ASC`);
+    return rows.map((row) => ({ version: toInt(row.version), name: row.name, appliedAt: toInt(row.applied_at) }));
+  }
+
+  // Each migration and its history row commit together; a version applied meanwhile by another agent is skipped.
+  async migrate({ to } = {}) {
+    const target = to ?? latestMigrationVersion();
+    const applied = new Set((await this.appliedMigrations()).map((m) => m.version));
+    const ran = [];
+    for (const migration of MIGRATIONS) {
+      if (migration.version > target || applied.has(migration.version)) continue;
+      const done = await this.withTransaction(async (client) => {
+        await this.lockMigrations(client);
+        const { rows } = await this.query(
+          `SELECT version FROM ${MIGRATIONS_TABLE} WHERE version = $1`,
+          [migration.version],
+          client,
+        );
+        if (rows.length > 0) return false;
+        for (const sql of migration.up) {
+          await this.execDdl(sql, client);
+        }
+        await this.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (version, name, applied_at) VALUES ($1,$2,$3)`,
+          [migration.version, migration.name, now()],
+          client,
+        );
+        return true;
+      });
+      if (done) ran.push({ version: migration.version, name: migration.name });
+    }
+    return ran;
+  }
+
+  // Rolls back to `to` (default: one migration back), newest first.
+  async rollback({ to } = {}) {
+    const applied = (await this.appliedMigrations()).map((m) => m.version);
+    const target = to ?? (applied.length > 1 ? applied[applied.length - 2] : 0);
+    const steps = migrationsToRollBack(applied, target);
+    const unknown = steps.find((step) => !step.migration);
+    if (unknown) {
+      throw new Error(`Cannot roll back migration ${unknown.version}: it is not defined in this build`);
+    }
+
+    const rolledBack = [];
+    for (const { migration } of steps) {
+      await this.withTransaction(async (client) => {
+        await this.lockMigrations(client);
+        for (const sql of migration.down) {
+          await this.execDdl(sql, client);
+        }
+        await this.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [migration.version], client);
+      });
+      rolledBack.push({ version: migration.version, name: migration.name });
+    }
+    return rolledBack;
+  }
+
+  async upsertPeer(peer) {
+    const record = buildPeerRecord(peer, await this.getPeer(peer.address));
+    const { rows } = await this.query(
+      `INSERT INTO peers (
+         address, skills, min_fee_nano, response_time, reputation, stake_nano, stake_age_seconds,
+         reply_chat, last_seen, created_at, updated_at, public_key, active_deals, max_concurrent_deals, protocol_versions
+       ) VALUES ($1,$2::jsonb,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15::jsonb)
+       ON CONFLICT (address) DO UPDATE SET
+         skills = EXCLUDED.skills,
+         min_fee_nano = EXCLUDED.min_fee_nano,
+         response_time = EXCLUDED.response_time,
+         reputation = EXCLUDED.reputation,
+         stake_nano = EXCLUDED.stake_nano,
+         stake_age_seconds = EXCLUDED.stake_age_seconds,
+         reply_chat = EXCLUDED.reply_chat,
+         last_seen = EXCLUDED.last_seen,
+         updated_at = EXCLUDED.updated_at,
+         public_key = EXCLUDED.public_key,
+         active_deals = EXCLUDED.active_deals,
+         max_concurrent_deals = EXCLUDED.max_concurrent_deals,
+         protocol_versions = EXCLUDED.protocol_versions
+       RETURNING *`,
+      [
+        record.address,
+        JSON.stringify(record.skills),
+        record.minFee,
+        record.responseTime,
+        record.reputation,
+        record.stake,
+        record.stakeAgeSeconds,
+        record.replyChat,
+        record.lastSeen,
+        record.createdAt,
+        record.updatedAt,
+        record.publicKey,
+        record.activeDeals,
+        record.maxConcurrentDeals,
+        record.protocolVersions ? JSON.stringify(record.protocolVersions) : null,
+      ],
+    );
+    return mapPeerRow(rows[0]);
+  }
+
+  async getPeer(address) {
+    const { rows } = await this.query('SELECT * FROM peers WHERE address = $1 LIMIT 1', [address]);
+    return mapPeerRow(rows[0]);
+  }
+
+  async listPeers() {
+    const { rows } = await this.query('SELECT * FROM peers ORDER BY last_seen DESC NULLS LAST');
+    return rows.map(mapPeerRow);
+  }
+
+  async queryPeers({
+    skill,
+    minReputation,
+    maxMinFee,
+    minStake,
+    seenSince,
+    seenBefore,
+    sort = 'lastSeen',
+    order = 'desc',
+    limit,
+    after,
+  } = {}) {
+    const column = PEER_SORT_COLUMNS[sort];
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const beyond = order === 'asc' ? '>' : '<';
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const where = [];
+    if (skill != null) where.push(this.arrayContains('skills', skill, param));
+    if (minReputation != null) where.push(`reputation >= ${param(minReputation)}`);
+    if (maxMinFee != null) where.push(`min_fee_nano <= ${param(maxMinFee)}`);
+    if (minStake != null) where.push(`stake_nano >= ${param(minStake)}`);
+    if (seenSince != null) where.push(`last_seen >= ${param(seenSince)}`);
+    if (seenBefore != null) where.push(`last_seen < ${param(seenBefore)}`);
+    if (after) {
+      const value = param(after.value);
+      where.push(`(${column} ${beyond} ${value} OR (${column} = ${value} AND address ${beyond} ${param(after.address)}))`);
+    }
+
+    const { rows } = await this.query(
+      `SELECT * FROM peers
+       ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY ${column} ${direction}, address ${direction}
+       ${limit == null ? '' : `LIMIT ${param(limit)}`}`,
+      params,
+    );
+    return rows.map(mapPeerRow);
+  }
+
+  async saveIntent(intent) {
+    const record = buildIntentRecord(intent, await this.getIntent(intent.id));
+    const { rows } = await this.query(
+      `INSERT INTO intents (
+         id, from_address, skill, payload, budget_nano, deadline, min_reputation,
+         status, created_at, accepted_offer_id, selected_executor, updated_at, router_weights,
+         router_policy, auction, reveal_deadline, executors, quorum, selected_executors, quorum_status, quorum_hash
+       ) VALUES ($1,$2,$3,$4::jsonb,$5,$6,$7,$8,$9,$10,$11,$12,$13::jsonb,$14::jsonb,$15,$16,$17,$18,$19::jsonb,$20,$21)
+       ON CONFLICT (id) DO UPDATE SET
+         from_address = EXCLUDED.from_address,
+         skill = EXCLUDED.skill,
+         payload = EXCLUDED.payload,
+         budget_nano = EXCLUDED.budget_nano,
+         deadline = EXCLUDED.deadline,
+         min_reputation = EXCLUDED.min_reputation,
+         status = EXCLUDED.status,
+         accepted_offer_id = EXCLUDED.accepted_offer_id,
+         selected_executor = EXCLUDED.selected_executor,
+         updated_at = EXCLUDED.updated_at,
+         router_weights = EXCLUDED.router_weights,
+         router_policy = EXCLUDED.router_policy,
+         auction = EXCLUDED.auction,
+         reveal_deadline = EXCLUDED.reveal_deadline,
+         executors = EXCLUDED.executors,
+         quorum = EXCLUDED.quorum,
+         selected_executors = EXCLUDED.selected_executors,
+         quorum_status = EXCLUDED.quorum_status,
+         quorum_hash = EXCLUDED.quorum_hash
+       RETURNING *`,
+      [
+        record.id,
+        record.fromAddress,
+        record.skill,
+        JSON.stringify(record.payload),
+        record.budget,
+        record.deadline,
+        record.minReputation,
+        record.status,
+        record.createdAt,
+        record.acceptedOfferId,
+        record.selectedExecutor,
+        record.updatedAt,
+        record.routerWeights == null ? null : JSON.stringify(record.routerWeights),
+        record.routerPolicy == null ? null : JSON.stringify(record.routerPolicy),
+        record.auction,
+        record.revealDeadline,
+        record.executors,
+        record.quorum,
+        record.selectedExecutors == null ? null : JSON.stringify(record.selectedExecutors),
+        record.quorumStatus,
+        record.quorumHash,
+      ],
+    );
+    return mapIntentRow(rows[0]);
+  }
+
+  async getIntent(id) {
+    const { rows } = await this.query('SELECT * FROM intents WHERE id = $1 LIMIT 1', [id]);
+    return mapIntentRow(rows[0]);
+  }
+
+  async listIntents({ status, fromAddress, selectedExecutor, limit } = {}) {
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    const where = [];
+    if (status) where.push(`status = ${param(status)}`);
+    if (fromAddress) where.push(`from_address = ${param(fromAddress)}`);
+    if (selectedExecutor) where.push(this.selectedExecutorIs(selectedExecutor, param));
+
+    const { rows } = await this.query(
+      `SELECT * FROM intents
+       ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY created_at DESC
+       ${limit == null ? '' : `LIMIT ${param(limit)}`}`,
+      params,
+    );
+    return rows.map(mapIntentRow);
+  }
+
+  async countActiveDeals(executorAddress) {
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    const { rows } = await this.query(
+      `SELECT skill FROM intents WHERE status = 'accepted' AND ${this.selectedExecutorIs(executorAddress, param)}`,
+      params,
+    );
+    return tallyBySkill(rows.map((row) => row.skill));
+  }
+
+  // The status guard lives in the UPDATE itself, so concurrent accepts cannot both match a pending row.
+  async acceptIntentOffer(intentId, offerId, executorAddress, selectedExecutors = null) {
+    return this.withTransaction(async (client) => {
+      const { rows } = await this.query(
+        `UPDATE intents
+         SET status = 'accepted', accepted_offer_id = $2, selected_executor = $3, selected_executors = $4::jsonb,
+           updated_at = $5
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [intentId, offerId, executorAddress, selectedExecutors == null ? null : JSON.stringify(selectedExecutors), now()],
+        client,
+      );
+      if (rows.length > 0) {
+        return { ok: true, intent: mapIntentRow(rows[0]) };
+      }
+
+      const { rows: currentRows } = await this.query('SELECT * FROM intents WHERE id = $1', [intentId], client);
+      if (currentRows.length === 0) return { ok: false, reason: 'intent_not_found' };
+      return { ok: false, reason: 'intent_not_pending', intent: mapIntentRow(currentRows[0]) };
+    });
+  }
+
+  async cancelIntent(intentId, fromAddress) {
+    const { rows } = await this.query(
+      `UPDATE intents
+       SET status = 'cancelled', updated_at = $3
+       WHERE id = $1 AND from_address = $2 AND status = 'pending'
+       RETURNING *`,
+      [intentId, fromAddress, now()],
+    );
+    if (rows.length > 0) {
+      return { ok: true, intent: mapIntentRow(rows[0]) };
+    }
+    return this.cancelFailure(intentId, fromAddress);
+  }
+
+  async recordOffer(offer) {
+    const record = buildOfferRecord(offer);
+    const { rows } = await this.query(
+      `INSERT INTO offers (
+         id, intent_id, from_address, fee_nano, fee_raw, eta, reputation,
+         stake_age_seconds, escrow_address, created_at, round, status
+       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+       ON CONFLICT (id) DO UPDATE SET
+         fee_nano = EXCLUDED.fee_nano,
+         fee_raw = EXCLUDED.fee_raw,
+         eta = EXCLUDED.eta,
+         reputation = EXCLUDED.reputation,
+         stake_age_seconds = EXCLUDED.stake_age_seconds,
+         escrow_address = EXCLUDED.escrow_address,
+         round = EXCLUDED.round,
+         status = EXCLUDED.status
+       RETURNING *`,
+      [
+        record.id,
+        record.intentId,
+        record.fromAddress,
+        record.fee,
+        record.feeRaw,
+        record.eta,
+        record.reputation,
+        record.stakeAgeSeconds,
+        record.escrowAddress,
+        record.createdAt,
+        record.round,
+        record.status,
+      ],
+    );
+    return mapOfferRow(rows[0]);
+  }
+
+  async listOffersForIntent(intentId) {
+    const { rows } = await this.query(
+      'SELECT * FROM offers WHERE intent_id = $1 ORDER BY created_at ASC',
+      [intentId],
+    );
+    return rows.map(mapOfferRow);
+  }
+
+  async markOfferCountered(offerId, { round, counterFee, counterEta }) {
+    const { rows } = await this.query(
+      `UPDATE offers
+       SET status = 'countered', round = $2, counter_fee_nano = $3, counter_eta = $4
+       WHERE id = $1
+       RETURNING *`,
+      [offerId, round, parseTon(counterFee, 'counterFee'), counterEta],
+    );
+    return mapOfferRow(rows[0]);
+  }
+
+  async supersedeOffers(intentId, fromAddress, keepOfferId) {
+    const { rowCount } = await this.query(
+      `UPDATE offers SET status = 'superseded'
+       WHERE intent_id = $1 AND from_address = $2 AND id <> $3`,
+      [intentId, fromAddress, keepOfferId],
+    );
+    return rowCount;
+  }
+
+  async deleteOffersForIntent(intentId) {
+    const { rowCount } = await this.query('DELETE FROM offers WHERE intent_id = $1', [intentId]);
+    return rowCount;
+  }
+
+  async commitOffer(commitment) {
+    const record = buildCommitmentRecord(commitment);
+    const { rows } = await this.query(
+      `INSERT INTO offer_commitments (
+         intent_id, from_address, commitment, fee_nano, eta, escrow_address, nonce, status,
+         created_at, revealed_at, updated_at
+       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [
+        record.intentId,
+        record.fromAddress,
+        record.commitment,
+        record.fee,
+        record.eta,
+        record.escrowAddress,
+        record.nonce,
+        record.status,
+        record.createdAt,
+        record.revealedAt,
+        record.updatedAt,
+      ],
+    );
+    if (rows.length > 0) {
+      return { created: true, commitment: mapCommitmentRow(rows[0]) };
+    }
+    const existing = (await this.listOfferCommitments(record.intentId)).find((c) => c.fromAddress === record.fromAddress);
+    return { created: false, commitment: existing ?? null };
+  }
+
+  async revealCommitment(intentId, fromAddress, { fee, eta, escrowAddress, nonce, ts = now() }) {
+    const { rows } = await this.query(
+      `UPDATE offer_commitments
+       SET fee_nano = $3, eta = $4, escrow_address = $5, nonce = $6, status = 'revealed', revealed_at = $7, updated_at = $7
+       WHERE intent_id = $1 AND from_address = $2 AND status = 'committed'
+       RETURNING *`,
+      [intentId, fromAddress, parseTon(fee, 'fee'), eta, escrowAddress ?? null, nonce, ts],
+    );
+    if (rows.length > 0) {
+      return { ok: true, commitment: mapCommitmentRow(rows[0]) };
+    }
+    return this.revealFailure(intentId, fromAddress);
+  }
+
+  async updateCommitmentStatus(intentId, fromAddress, status, ts = now()) {
+    const { rows } = await this.query(
+      `UPDATE offer_commitments SET status = $3, updated_at = $4
+       WHERE intent_id = $1 AND from_address = $2
+       RETURNING *`,
+      [intentId, fromAddress, status, ts],
+    );
+    return mapCommitmentRow(rows[0]);
+  }
+
+  async listOfferCommitments(intentId) {
+    const { rows } = await this.query(
+      'SELECT * FROM offer_commitments WHERE intent_id = $1 ORDER BY created_at ASC',
+      [intentId],
+    );
+    return rows.map(mapCommitmentRow);
+  }
+
+  async settleDeal(deal) {
+    const record = buildDealRecord(deal, await this.getDeal(deal.intentId, deal.executorAddress));
+    const { rows } = await this.query(
+      `INSERT INTO deals (
+         intent_id, executor_address, fee_nano, tx_hash, outcome, rating, settled_at, updated_at,
+         escrow_id, escrow_status, result_status, result_hash, result_ref, result_output,
+         result_error, result_verified, delivered_at, due_at
+       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14::jsonb,$15,$16,$17,$18)
+       ON CONFLICT (intent_id, executor_address) DO UPDATE SET
+         fee_nano = EXCLUDED.fee_nano,
+         tx_hash = EXCLUDED.tx_hash,
+         outcome = EXCLUDED.outcome,
+         rating = EXCLUDED.rating,
+         settled_at = EXCLUDED.settled_at,
+         updated_at = EXCLUDED.updated_at,
+         escrow_id = EXCLUDED.escrow_id,
+         escrow_status = EXCLUDED.escrow_status,
+         result_status = EXCLUDED.result_status,
+         result_hash = EXCLUDED.result_hash,
+         result_ref = EXCLUDED.result_ref,
+         result_output = EXCLUDED.result_output,
+         result_error = EXCLUDED.result_error,
+         result_verified = EXCLUDED.result_verified,
+         delivered_at = EXCLUDED.delivered_at,
+         due_at = EXCLUDED.due_at
+       RETURNING *`,
+      [
+        record.intentId,
+        record.executorAddress ?? '',
+        record.fee,
+        record.txHash,
+        record.outcome,
+        record.rating,
+        record.settledAt,
+        record.updatedAt,
+        record.escrowId,
+        record.escrowStatus,
+        record.resultStatus,
+        record.resultHash,
+        record.resultRef,
+        record.resultOutput == null ? null : JSON.stringify(record.resultOutput),
+        record.resultError,
+        record.resultVerified,
+        record.deliveredAt,
+        record.dueAt,
+      ],
+    );
+    return mapDealRow(rows[0]);
+  }
+
+  // Without an executor, the intent's deal with the lowest executor address (its only one, unless multi-executor).
+  async getDeal(intentId, executorAddress = null) {
+    const { rows } = await this.query(
+      `SELECT * FROM deals
+       WHERE intent_id = $1 AND ($2::text IS NULL OR executor_address = $2)
+       ORDER BY executor_address
+       LIMIT 1`,
+      [intentId, executorAddress ?? null],
+    );
+    return mapDealRow(rows[0]);
+  }
+
+  async listDeals({ executorAddress, intentId } = {}) {
+    const { rows } = await this.query(
+      `SELECT * FROM deals
+       WHERE ($1::text IS NULL OR executor_address = $1)
+         AND ($2::text IS NULL OR intent_id = $2)
+       ORDER BY settled_at DESC NULLS LAST`,
+      [executorAddress ?? null, intentId ?? null],
+    );
+    return rows.map(mapDealRow);
+  }
+
+  async executorTrackRecord(executorAddress) {
+    const { rows } = await this.query(
+      `SELECT intents.skill, deals.outcome, deals.due_at, deals.delivered_at
+       FROM deals LEFT JOIN intents ON intents.id = deals.intent_id
+       WHERE deals.executor_address = $1
+       UNION ALL
+       SELECT skill, outcome, due_at, delivered_at FROM deals_history WHERE executor_address = $1`,
+      [executorAddress],
+    );
+    return tallyTrackRecord(rows.map((row) => ({
+      skill: row.skill,
+      outcome: row.outcome,
+      dueAt: row.due_at,
+      deliveredAt: row.delivered_at,
+    })));
+  }
+
+  async openDispute(dispute) {
+    const record = buildDisputeRecord(dispute);
+    const { rows } = await this.query(
+      `INSERT INTO disputes (
+         id, intent_id, from_address, against_address, reason, evidence_tx, status,
+         intent_status, resolution, slashed_stake_nano, created_at, resolved_at, updated_at
+       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [
+        record.id,
+        record.intentId,
+        record.fromAddress,
+        record.againstAddress,
+        record.reason,
+        record.evidenceTx,
+        record.status,
+        record.intentStatus,
+        record.resolution,
+        record.slashedStake,
+        record.createdAt,
+        record.resolvedAt,
+        record.updatedAt,
+      ],
+    );
+    if (rows.length > 0) {
+      return { created: true, dispute: mapDisputeRow(rows[0]) };
+    }
+    return { created: false, dispute: await this.getDispute(record.id) };
+  }
+
+  async getDispute(id) {
+    const { rows } = await this.query('SELECT * FROM disputes WHERE id = $1 LIMIT 1', [id]);
+    return mapDisputeRow(rows[0]);
+  }
+
+  async listDisputes({ intentId, status } = {}) {
+    const { rows } = await this.query(
+      `SELECT * FROM disputes
+       WHERE ($1::text IS NULL OR intent_id = $1) AND ($2::text IS NULL OR status = $2)
+       ORDER BY created_at DESC`,
+      [intentId ?? null, status ?? null],
+    );
+    return rows.map(mapDisputeRow);
+  }
+
+  async resolveDispute(id, { status, resolution, slashedStake, ts }) {
+    const { rows } = await this.query(
+      `UPDATE disputes
+       SET status = $2, resolution = $3, slashed_stake_nano = $4, resolved_at = $5, updated_at = $5
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [id, status, resolution, slashedStake == null ? null : parseTon(slashedStake, 'slashedStake'), ts],
+    );
+    if (rows.length > 0) {
+      return { ok: true, dispute: mapDisputeRow(rows[0]) };
+    }
+    return this.resolveFailure(id);
+  }
+
+  async recordDisputeSlash(id, { slashedStake, ts }) {
+    const { rows } = await this.query(
+      `UPDATE disputes SET slashed_stake_nano = $2, updated_at = $3 WHERE id = $1 RETURNING *`,
+      [id, parseTon(slashedStake, 'slashedStake'), ts],
+    );
+    return mapDisputeRow(rows[0]);
+  }
+
+  async createWorkflow(workflow) {
+    const record = buildWorkflowRecord(workflow);
+    const created = await this.withTransaction(async (client) => {
+      const { rows } = await this.query(
+        `INSERT INTO workflows (id, from_address, status, budget_nano, error, created_at, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7)
+         ON CONFLICT DO NOTHING
+         RETURNING id`,
+        [record.id, record.fromAddress, record.status, record.budget, record.error, record.createdAt, record.updatedAt],
+        client,
+      );
+      if (rows.length === 0) return false;
+      for (const step of record.steps) {
+        await this.query(
+          `INSERT INTO workflow_steps (
+             workflow_id, step_id, position, skill, payload, budget_nano, depends_on, options, status, updated_at
+           ) VALUES ($1,$2,$3,$4,$5::jsonb,$6,$7::jsonb,$8::jsonb,$9,$10)`,
+          [
+            step.workflowId,
+            step.stepId,
+            step.position,
+            step.skill,
+            JSON.stringify(step.payload),
+            step.budget,
+            JSON.stringify(step.dependsOn),
+            JSON.stringify(step.options),
+            step.status,
+            step.updatedAt,
+          ],
+          client,
+        );
+      }
+      return true;
+    });
+    return { created, workflow: await this.getWorkflow(record.id) };
+  }
+
+  async workflowWithSteps(row) {
+    if (!row) return null;
+    const { rows } = await this.query('SELECT * FROM workflow_steps WHERE workflow_id = $1 ORDER BY position', [row.id]);
+    return mapWorkflowRow(row, rows.map(mapWorkflowStepRow));
+  }
+
+  async getWorkflow(id) {
+    const { rows } = await this.query('SELECT * FROM workflows WHERE id = $1 LIMIT 1', [id]);
+    return this.workflowWithSteps(rows[0]);
+  }
+
+  async listWorkflows({ fromAddress, status, limit = null } = {}) {
+    const params = [fromAddress ?? null, status ?? null];
+    const { rows } = await this.query(
+      `SELECT * FROM workflows
+       WHERE ($1::text IS NULL OR from_address = $1) AND ($2::text IS NULL OR status = $2)
+       ORDER BY created_at DESC
+       ${limit == null ? '' : `LIMIT $${params.push(limit)}`}`,
+      params,
+    );
+    return Promise.all(rows.map((row) => this.workflowWithSteps(row)));
+  }
+
+  async updateWorkflowStatus(id, status, { error = null } = {}, ts = now()) {
+    const { rows } = await this.query(
+      'UPDATE workflows SET status = $2, error = $3, updated_at = $4 WHERE id = $1 RETURNING *',
+      [id, status, error, ts],
+    );
+    return this.workflowWithSteps(rows[0]);
+  }
+
+  // Guarded on the step's current status, so a step is started and finished once however many ticks race.
+  async updateWorkflowStep(workflowId, stepId, fromStatus, { status, intentId, output, spent, error, startedAt }, ts = now()) {
+    const { rows } = await this.query(
+      `UPDATE workflow_steps
+       SET status = $4, intent_id = COALESCE($5, intent_id), output = COALESCE($6::jsonb, output),
+         spent_nano = COALESCE($7, spent_nano), error = COALESCE($8, error), started_at = COALESCE($9, started_at),
+         updated_at = $10
+       WHERE workflow_id = $1 AND step_id = $2 AND status = $3
+       RETURNING *`,
+      [
+        workflowId,
+        stepId,
+        fromStatus,
+        status,
+        intentId ?? null,
+        output == null ? null : JSON.stringify(output),
+        spent ?? null,
+        error ?? null,
+        startedAt ?? null,
+        ts,
+      ],
+    );
+    if (rows.length > 0) {
+      return { ok: true, step: mapWorkflowStepRow(rows[0]) };
+    }
+    return this.workflowStepFailure(workflowId, stepId);
+  }
+
+  // Sealed-bid intents stay pending through their reveal window.
+  async expireIntents(ts) {
+    const { rows } = await this.query(
+      `UPDATE intents
+       SET status = 'expired', updated_at = $2
+       WHERE status = 'pending' AND deadline < $1 AND COALESCE(reveal_deadline, deadline) < $1
+       RETURNING *`,
+      [ts, now()],
+    );
+    return rows.map(mapIntentRow);
+  }
+
+  // RETURNING rather than rowCount: an ignored conflict must report nothing inserted on every driver.
+  async markProcessedMessage(meta) {
+    const { rows } = await this.query(
+      `INSERT INTO processed_messages (
+         message_key, message_type, source_chat_id, source_message_id, payload_hash, first_seen_at
+       ) VALUES ($1,$2,$3,$4,$5,$6)
+       ON CONFLICT DO NOTHING
+       RETURNING message_key`,
+      [
+        meta.key,
+        meta.messageType ?? null,
+        meta.sourceChatId == null ? null : String(meta.sourceChatId),
+        meta.sourceMessageId == null ? null : String(meta.sourceMessageId),
+        meta.payloadHash ?? null,
+        meta.firstSeenAt ?? now(),
+      ],
+    );
+    return { inserted: rows.length > 0 };
+  }
+
+  // One transaction per pass; a deal is archived or deleted together with its intent and offers.
+  async compact({
+    processedMessagesBefore,
+    offersBefore,
+    intentsBefore,
+    dealsBefore,
+    peersBefore,
+    archiveDeals = true,
+    ts = now(),
+  } = {}) {
+    return this.withTransaction(async (client) => {
+      const result = { processedMessages: 0, offers: 0, intents: 0, deals: 0, archivedDeals: 0, peers: 0 };
+
+      if (processedMessagesBefore != null) {
+        const { rowCount } = await this.query(
+          'DELETE FROM processed_messages WHERE first_seen_at < $1',
+          [processedMessagesBefore],
+          client,
+        );
+        result.processedMessages = rowCount;
+      }
+
+      const dropIntents = async (ids, before) => {
+        result.offers += (await this.query(`DELETE FROM offers WHERE intent_id IN (${ids})`, [before], client)).rowCount;
+        result.offers += (await this.query(`DELETE FROM offer_commitments WHERE intent_id IN (${ids})`, [before], client)).rowCount;
+        result.intents += (await this.query(`DELETE FROM intents WHERE id IN (${ids})`, [before], client)).rowCount;
+      };
+
+      if (dealsBefore != null) {
+        if (archiveDeals) {
+          const { rows } = await this.query(
+            `INSERT INTO deals_history (
+               intent_id, requester_address, skill, budget_nano, intent_status, executor_address, fee_nano, tx_hash,
+               outcome, rating, settled_at, updated_at, escrow_id, escrow_status, result_status, result_hash,
+               result_ref, result_output, result_error, result_verified, delivered_at, due_at, archived_at
+             )
+             SELECT deals.intent_id, intents.from_address, intents.skill, intents.budget_nano, intents.status,
+               deals.executor_address, deals.fee_nano, deals.tx_hash, deals.outcome, deals.rating, deals.settled_at,
+               deals.updated_at, deals.escrow_id, deals.escrow_status, deals.result_status, deals.result_hash,
+               deals.result_ref, deals.result_output, deals.result_error, deals.result_verified, deals.delivered_at,
+               deals.due_at, $2::bigint
+             FROM deals JOIN intents ON intents.id = deals.intent_id
+             WHERE deals.intent_id IN (${CLOSED_INTENT_IDS})
+             ON CONFLICT DO NOTHING
+             RETURNING intent_id`,
+            [dealsBefore, ts],
+            client,
+          );
+          result.archivedDeals = rows.length;
+        }
+        const { rowCount } = await this.query(
+          `DELETE FROM deals WHERE intent_id IN (${CLOSED_INTENT_IDS})`,
+          [dealsBefore],
+          client,
+        );
+        result.deals = rowCount;
+        await dropIntents(CLOSED_INTENT_IDS, dealsBefore);
+      }
+
+      if (intentsBefore != null) {
+        await dropIntents(UNMATCHED_INTENT_IDS, intentsBefore);
+      }
+
+      if (offersBefore != null) {
+        const { rowCount } = await this.query(
+          `DELETE FROM offers
+           WHERE created_at < $1
+             AND intent_id NOT IN (SELECT id FROM intents WHERE status = 'pending')
+             AND id NOT IN (SELECT accepted_offer_id FROM intents WHERE accepted_offer_id IS NOT NULL)`,
+          [offersBefore],
+          client,
+        );
+        result.offers += rowCount;
+      }
+
+      // Peers with a pinned public key are kept, so a silent peer's key cannot be pinned again by someone else.
+      if (peersBefore != null) {
+        const { rowCount } = await this.query(
+          'DELETE FROM peers WHERE last_seen < $1 AND public_key IS NULL',
+          [peersBefore],
+          client,
+        );
+        result.peers = rowCount;
+      }
+
+      return result;
+    });
+  }
+
+  async listArchivedDeals() {
+    const { rows } = await this.query('SELECT * FROM deals_history ORDER BY archived_at DESC');
+    return rows.map(mapArchivedDealRow);
+  }
+}
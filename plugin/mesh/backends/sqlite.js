@@ -0,0 +1,129 @@
+import { createRequire } from 'node:module';
+import { toSqliteDdl } from '../migrations.js';
+import { SqlBackend } from './sql.js';
+import { getRuntimeConfig } from './shared.js';
+
+const require = createRequire(import.meta.url);
+
+export function resolveSqlitePath(sdk) {
+  const cfg = getRuntimeConfig(sdk);
+  return cfg.sqlitePath || process.env.MESH_SQLITE_PATH || null;
+}
+
+export function isSqliteHandle(db) {
+  return typeof db?.prepare === 'function' && typeof db.exec === 'function';
+}
+
+function openDatabase(sqlitePath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error('sqlitePath is set but the better-sqlite3 package is not installed');
+  }
+  const db = new Database(sqlitePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  return db;
+}
+
+function toSqliteValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+// The registry SQL is written for Postgres; SQLite gets positional ? params with casts dropped.
+function toSqliteStatement(text, params) {
+  const values = [];
+  const sql = text
+    .replace(/::(jsonb|text|int|bigint)\b/g, '')
+    .replace(/\$(\d+)/g, (_, n) => {
+      values.push(toSqliteValue(params[Number(n) - 1]));
+      return '?';
+    });
+  return { sql, values };
+}
+
+// A better-sqlite3 handle: the file at sqlitePath, a compatible host-provided sdk.db, or options.db.
+export class SqliteBackend extends SqlBackend {
+  constructor(sdk, { db } = {}) {
+    super(sdk, 'sqlite');
+    const sqlitePath = resolveSqlitePath(sdk);
+    this.owned = !db && Boolean(sqlitePath);
+    this.db = db || (sqlitePath ? openDatabase(sqlitePath) : sdk?.db);
+    if (!isSqliteHandle(this.db)) {
+      throw new Error('SQLite backend requires sqlitePath or a better-sqlite3 compatible sdk.db');
+    }
+    this.statements = new Map();
+    this.tx = null;
+  }
+
+  async query(text, params = [], client = null) {
+    // Statements outside a transaction wait for it, so they are never committed or rolled back with it.
+    while (!client && this.tx) {
+      await this.tx;
+    }
+
+    const { sql, values } = toSqliteStatement(text, params);
+    let stmt = this.statements.get(sql);
+    if (!stmt) {
+      stmt = this.db.prepare(sql);
+      // Nanoton amounts outgrow 2^53, so integers come back as bigint (per statement; the handle may be the host's).
+      if (stmt.reader) stmt.safeIntegers(true);
+      this.statements.set(sql, stmt);
+    }
+    if (stmt.reader) {
+      const rows = stmt.all(values);
+      return { rows, rowCount: rows.length };
+    }
+    const info = stmt.run(values);
+    return { rows: [], rowCount: info.changes };
+  }
+
+  async withTransaction(fn) {
+    while (this.tx) {
+      await this.tx;
+    }
+    let release;
+    this.tx = new Promise((resolve) => {
+      release = resolve;
+    });
+
+    try {
+      this.db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await fn(this);
+        this.db.exec('COMMIT');
+        return result;
+      } catch (err) {
+        try {
+          this.db.exec('ROLLBACK');
+        } catch {
+          // ignore rollback failure
+        }
+        throw err;
+      }
+    } finally {
+      this.tx = null;
+      release();
+    }
+  }
+
+  async execDdl(sql) {
+    try {
+      this.db.exec(toSqliteDdl(sql));
+    } catch (err) {
+      // SQLite has no ADD COLUMN IF NOT EXISTS; databases created before the history table already have these columns.
+      if (!/duplicate column name/i.test(String(err?.message))) throw err;
+    }
+  }
+
+  arrayContains(column, value, param) {
+    return `EXISTS (SELECT 1 FROM json_each(${column}) WHERE json_each.value = ${param(value)})`;
+  }
+
+  async close() {
+    if (this.owned) this.db.close();
+  }
+}
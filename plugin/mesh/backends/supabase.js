@@ -0,0 +1,810 @@
+import { parseTon } from '../amounts.js';
+import { MIGRATIONS_TABLE, latestMigrationVersion } from '../migrations.js';
+import { RegistryBackend } from './base.js';
+import {
+  CLOSED_DEAL_STATUSES,
+  PEER_SORT_COLUMNS,
+  UNMATCHED_INTENT_STATUSES,
+  buildCommitmentRecord,
+  buildDealRecord,
+  buildDisputeRecord,
+  buildIntentRecord,
+  buildOfferRecord,
+  buildPeerRecord,
+  buildWorkflowRecord,
+  getRuntimeConfig,
+  mapArchivedDealRow,
+  mapCommitmentRow,
+  mapDealRow,
+  mapDisputeRow,
+  mapIntentRow,
+  mapOfferRow,
+  mapPeerRow,
+  mapWorkflowRow,
+  mapWorkflowStepRow,
+  now,
+  tallyBySkill,
+  tallyTrackRecord,
+  toInt,
+} from './shared.js';
+
+const REQUIRED_TABLES = [
+  'peers',
+  'intents',
+  'offers',
+  'deals',
+  'processed_messages',
+  'disputes',
+  'deals_history',
+  'offer_commitments',
+  'workflows',
+  'workflow_steps',
+  MIGRATIONS_TABLE,
+];
+
+// Ids travel in the query string, so compaction works through intents and offers in bounded batches.
+const COMPACT_BATCH_SIZE = 100;
+
+export function resolveSupabaseUrl(sdk) {
+  const cfg = getRuntimeConfig(sdk);
+  return cfg.supabaseUrl || process.env.MESH_SUPABASE_URL || process.env.SUPABASE_URL || null;
+}
+
+export function resolveSupabaseServiceRoleKey(sdk) {
+  const cfg = getRuntimeConfig(sdk);
+  return cfg.supabaseServiceRoleKey || process.env.MESH_SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY || null;
+}
+
+export function hasSupabaseRestConfig(sdk) {
+  return Boolean(resolveSupabaseUrl(sdk) && resolveSupabaseServiceRoleKey(sdk));
+}
+
+function buildSupabaseUrl(baseUrl, path, query = null) {
+  const normalized = String(baseUrl).replace(/\/+$/, '');
+  const url = new URL(`${normalized}/rest/v1/${path}`);
+  if (query) {
+    for (const [k, v] of Object.entries(query)) {
+      if (v == null) continue;
+      url.searchParams.set(k, String(v));
+    }
+  }
+  return url.toString();
+}
+
+function encodeEq(value) {
+  return `eq.${String(value)}`;
+}
+
+function encodeLt(value) {
+  return `lt.${String(value)}`;
+}
+
+function encodeNeq(value) {
+  return `neq.${String(value)}`;
+}
+
+// Values inside in.(...) and logic trees are quoted so commas, dots and parentheses survive.
+function quoteValue(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+function encodeIn(values) {
+  return `in.(${values.map(quoteValue).join(',')})`;
+}
+
+// An `or` filter for intents that selected the executor, alone or among several.
+function selectedExecutorIs(executorAddress) {
+  return `(selected_executor.eq.${quoteValue(executorAddress)},selected_executors.cs.${quoteValue(JSON.stringify([executorAddress]))})`;
+}
+
+// JSON has no bigint: nanotons are sent as strings, which PostgREST casts to BIGINT. They come back as
+// JSON numbers, exact up to 2^53 nanotons (about 9 million TON).
+function nanotonText(value) {
+  return value == null ? null : String(value);
+}
+
+function rows(data) {
+  return Array.isArray(data) ? data : [];
+}
+
+// PostgREST against the Supabase schema in supabase/schema.sql; DDL is applied out of band in the SQL editor,
+// so migrate() only checks that the recorded schema version is current.
+export class SupabaseRestBackend extends RegistryBackend {
+  constructor(sdk) {
+    super(sdk, 'supabase-rest');
+  }
+
+  async request({ method = 'GET', path, query, body, prefer, headers = {}, allow404 = false }) {
+    const baseUrl = resolveSupabaseUrl(this.sdk);
+    const apiKey = resolveSupabaseServiceRoleKey(this.sdk);
+    if (!baseUrl || !apiKey) {
+      throw new Error('Supabase REST not configured');
+    }
+
+    const requestHeaders = {
+      apikey: apiKey,
+      Authorization: `Bearer ${apiKey}`,
+      Accept: 'application/json',
+      ...headers,
+    };
+    if (prefer) requestHeaders.Prefer = prefer;
+
+    let payload;
+    if (body !== undefined) {
+      requestHeaders['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+
+    const res = await fetch(buildSupabaseUrl(baseUrl, path, query), {
+      method,
+      headers: requestHeaders,
+      body: payload,
+    });
+
+    const text = await res.text();
+    let json = null;
+    if (text) {
+      try {
+        json = JSON.parse(text);
+      } catch {
+        json = text;
+      }
+    }
+
+    if (!res.ok) {
+      if (allow404 && res.status === 404) return { ok: false, status: 404, data: json };
+      const msg = typeof json === 'object' && json
+        ? (json.message || json.error || json.hint || JSON.stringify(json))
+        : String(json || `HTTP ${res.status}`);
+      const err = new Error(`Supabase REST ${method} ${path} failed: ${msg}`);
+      err.status = res.status;
+      err.response = json;
+      throw err;
+    }
+
+    return { ok: true, status: res.status, data: json };
+  }
+
+  async selectOne(table, filters) {
+    const { data } = await this.request({
+      method: 'GET',
+      path: table,
+      query: { select: '*', limit: 1, ...filters },
+      headers: { Accept: 'application/json' },
+    });
+    return rows(data)[0] ?? null;
+  }
+
+  async select(table, query) {
+    const { data } = await this.request({ method: 'GET', path: table, query: { select: '*', ...query } });
+    return rows(data);
+  }
+
+  async upsertOne(table, row, onConflict) {
+    const { data } = await this.request({
+      method: 'POST',
+      path: table,
+      query: onConflict ? { on_conflict: onConflict } : undefined,
+      body: row,
+      prefer: 'resolution=merge-duplicates,return=representation',
+    });
+    return rows(data)[0] ?? null;
+  }
+
+  async insertIgnoreDuplicate(table, row) {
+    const { data } = await this.request({
+      method: 'POST',
+      path: table,
+      body: row,
+      prefer: 'resolution=ignore-duplicates,return=representation',
+    });
+    return rows(data);
+  }
+
+  async patch(table, query, body) {
+    const { data } = await this.request({
+      method: 'PATCH',
+      path: table,
+      query: { select: '*', ...query },
+      body,
+      prefer: 'return=representation',
+    });
+    return rows(data);
+  }
+
+  async remove(table, query) {
+    const { data } = await this.request({ method: 'DELETE', path: table, query, prefer: 'return=representation' });
+    return rows(data).length;
+  }
+
+  async migrate({ to } = {}) {
+    for (const table of REQUIRED_TABLES) {
+      const res = await this.request({
+        method: 'GET',
+        path: table,
+        query: { select: '*', limit: 0 },
+        allow404: true,
+      });
+      if (!res.ok && res.status === 404) {
+        const err = new Error(
+          `Supabase table "${table}" not found. Apply SQL schema in Supabase SQL Editor before starting MESH.`,
+        );
+        err.code = 'MESH_SUPABASE_SCHEMA_MISSING';
+        throw err;
+      }
+    }
+
+    const target = to ?? latestMigrationVersion();
+    const current = (await this.appliedMigrations()).reduce((max, m) => Math.max(max, m.version), 0);
+    if (current < target) {
+      const err = new Error(
+        `Supabase schema is at migration ${current} but MESH needs ${target}. Re-run plugin/mesh/supabase/schema.sql in Supabase SQL Editor.`,
+      );
+      err.code = 'MESH_SUPABASE_SCHEMA_OUTDATED';
+      throw err;
+    }
+    return [];
+  }
+
+  async rollback() {
+    throw new Error('Supabase schema changes are applied in the SQL editor; roll back there');
+  }
+
+  async appliedMigrations() {
+    const applied = await this.select(MIGRATIONS_TABLE, { order: 'version.asc' });
+    return applied.map((row) => ({ version: toInt(row.version), name: row.name, appliedAt: toInt(row.applied_at) }));
+  }
+
+  async upsertPeer(peer) {
+    const record = buildPeerRecord(peer, await this.getPeer(peer.address));
+    const row = await this.upsertOne('peers', {
+      address: record.address,
+      skills: record.skills,
+      min_fee_nano: nanotonText(record.minFee),
+      response_time: record.responseTime,
+      reputation: record.reputation,
+      stake_nano: nanotonText(record.stake),
+      stake_age_seconds: record.stakeAgeSeconds,
+      reply_chat: record.replyChat,
+      public_key: record.publicKey,
+      active_deals: record.activeDeals,
+      max_concurrent_deals: record.maxConcurrentDeals,
+      protocol_versions: record.protocolVersions,
+      last_seen: record.lastSeen,
+      created_at: record.createdAt,
+      updated_at: record.updatedAt,
+    }, 'address');
+    return mapPeerRow(row);
+  }
+
+  async getPeer(address) {
+    return mapPeerRow(await this.selectOne('peers', { address: encodeEq(address) }));
+  }
+
+  async listPeers() {
+    return (await this.select('peers', { order: 'last_seen.desc.nullslast' })).map(mapPeerRow);
+  }
+
+  async queryPeers({
+    skill,
+    minReputation,
+    maxMinFee,
+    minStake,
+    seenSince,
+    seenBefore,
+    sort = 'lastSeen',
+    order = 'desc',
+    limit,
+    after,
+  } = {}) {
+    const column = PEER_SORT_COLUMNS[sort];
+    const direction = order === 'asc' ? 'asc' : 'desc';
+    const beyond = order === 'asc' ? 'gt' : 'lt';
+
+    const conditions = [];
+    if (minReputation != null) conditions.push(`reputation.gte.${minReputation}`);
+    if (maxMinFee != null) conditions.push(`min_fee_nano.lte.${maxMinFee}`);
+    if (minStake != null) conditions.push(`stake_nano.gte.${minStake}`);
+    if (seenSince != null) conditions.push(`last_seen.gte.${seenSince}`);
+    if (seenBefore != null) conditions.push(`last_seen.lt.${seenBefore}`);
+    if (after) {
+      const value = quoteValue(after.value);
+      conditions.push(`or(${column}.${beyond}.${value},and(${column}.eq.${value},address.${beyond}.${quoteValue(after.address)}))`);
+    }
+
+    const query = { order: `${column}.${direction},address.${direction}`, limit };
+    if (skill != null) query.skills = `cs.${JSON.stringify([skill])}`;
+    if (conditions.length > 0) query.and = `(${conditions.join(',')})`;
+    return (await this.select('peers', query)).map(mapPeerRow);
+  }
+
+  async saveIntent(intent) {
+    const record = buildIntentRecord(intent, await this.getIntent(intent.id));
+    const row = await this.upsertOne('intents', {
+      id: record.id,
+      from_address: record.fromAddress,
+      skill: record.skill,
+      payload: record.payload,
+      budget_nano: nanotonText(record.budget),
+      deadline: record.deadline,
+      min_reputation: record.minReputation,
+      status: record.status,
+      created_at: record.createdAt,
+      accepted_offer_id: record.acceptedOfferId,
+      selected_executor: record.selectedExecutor,
+      router_weights: record.routerWeights,
+      router_policy: record.routerPolicy,
+      auction: record.auction,
+      reveal_deadline: record.revealDeadline,
+      executors: record.executors,
+      quorum: record.quorum,
+      selected_executors: record.selectedExecutors,
+      quorum_status: record.quorumStatus,
+      quorum_hash: record.quorumHash,
+      updated_at: record.updatedAt,
+    }, 'id');
+    return mapIntentRow(row);
+  }
+
+  async getIntent(id) {
+    return mapIntentRow(await this.selectOne('intents', { id: encodeEq(id) }));
+  }
+
+  async listIntents({ status, fromAddress, selectedExecutor, limit } = {}) {
+    const query = { order: 'created_at.desc', limit };
+    if (status) query.status = encodeEq(status);
+    if (fromAddress) query.from_address = encodeEq(fromAddress);
+    if (selectedExecutor) query.or = selectedExecutorIs(selectedExecutor);
+    return (await this.select('intents', query)).map(mapIntentRow);
+  }
+
+  async countActiveDeals(executorAddress) {
+    const active = await this.select('intents', {
+      select: 'skill',
+      status: encodeEq('accepted'),
+      or: selectedExecutorIs(executorAddress),
+    });
+    return tallyBySkill(active.map((row) => row.skill));
+  }
+
+  async acceptIntentOffer(intentId, offerId, executorAddress, selectedExecutors = null) {
+    const updated = await this.patch('intents', { id: encodeEq(intentId), status: encodeEq('pending') }, {
+      status: 'accepted',
+      accepted_offer_id: offerId,
+      selected_executor: executorAddress,
+      selected_executors: selectedExecutors,
+      updated_at: now(),
+    });
+    if (updated.length > 0) {
+      return { ok: true, intent: mapIntentRow(updated[0]) };
+    }
+    return this.acceptFailure(intentId);
+  }
+
+  async cancelIntent(intentId, fromAddress) {
+    const updated = await this.patch('intents', {
+      id: encodeEq(intentId),
+      from_address: encodeEq(fromAddress),
+      status: encodeEq('pending'),
+    }, { status: 'cancelled', updated_at: now() });
+    if (updated.length > 0) {
+      return { ok: true, intent: mapIntentRow(updated[0]) };
+    }
+    return this.cancelFailure(intentId, fromAddress);
+  }
+
+  async recordOffer(offer) {
+    const record = buildOfferRecord(offer);
+    const row = await this.upsertOne('offers', {
+      id: record.id,
+      intent_id: record.intentId,
+      from_address: record.fromAddress,
+      fee_nano: nanotonText(record.fee),
+      fee_raw: record.feeRaw,
+      eta: record.eta,
+      reputation: record.reputation,
+      stake_age_seconds: record.stakeAgeSeconds,
+      escrow_address: record.escrowAddress,
+      round: record.round,
+      status: record.status,
+      created_at: record.createdAt,
+    }, 'id');
+    return mapOfferRow(row);
+  }
+
+  async listOffersForIntent(intentId) {
+    return (await this.select('offers', { intent_id: encodeEq(intentId), order: 'created_at.asc' })).map(mapOfferRow);
+  }
+
+  async markOfferCountered(offerId, { round, counterFee, counterEta }) {
+    const updated = await this.patch('offers', { id: encodeEq(offerId) }, {
+      status: 'countered',
+      round,
+      counter_fee_nano: nanotonText(parseTon(counterFee, 'counterFee')),
+      counter_eta: counterEta,
+    });
+    return mapOfferRow(updated[0]);
+  }
+
+  async supersedeOffers(intentId, fromAddress, keepOfferId) {
+    const updated = await this.patch('offers', {
+      intent_id: encodeEq(intentId),
+      from_address: encodeEq(fromAddress),
+      id: encodeNeq(keepOfferId),
+      select: 'id',
+    }, { status: 'superseded' });
+    return updated.length;
+  }
+
+  async deleteOffersForIntent(intentId) {
+    return this.remove('offers', { intent_id: encodeEq(intentId), select: 'id' });
+  }
+
+  async commitOffer(commitment) {
+    const record = buildCommitmentRecord(commitment);
+    const inserted = await this.insertIgnoreDuplicate('offer_commitments', {
+      intent_id: record.intentId,
+      from_address: record.fromAddress,
+      commitment: record.commitment,
+      fee_nano: nanotonText(record.fee),
+      eta: record.eta,
+      escrow_address: record.escrowAddress,
+      nonce: record.nonce,
+      status: record.status,
+      created_at: record.createdAt,
+      revealed_at: record.revealedAt,
+      updated_at: record.updatedAt,
+    });
+    if (inserted.length > 0) {
+      return { created: true, commitment: mapCommitmentRow(inserted[0]) };
+    }
+    const existing = (await this.listOfferCommitments(record.intentId)).find((c) => c.fromAddress === record.fromAddress);
+    return { created: false, commitment: existing ?? null };
+  }
+
+  async revealCommitment(intentId, fromAddress, { fee, eta, escrowAddress, nonce, ts = now() }) {
+    const updated = await this.patch('offer_commitments', {
+      intent_id: encodeEq(intentId),
+      from_address: encodeEq(fromAddress),
+      status: encodeEq('committed'),
+    }, {
+      fee_nano: nanotonText(parseTon(fee, 'fee')),
+      eta,
+      escrow_address: escrowAddress ?? null,
+      nonce,
+      status: 'revealed',
+      revealed_at: ts,
+      updated_at: ts,
+    });
+    if (updated.length > 0) {
+      return { ok: true, commitment: mapCommitmentRow(updated[0]) };
+    }
+    return this.revealFailure(intentId, fromAddress);
+  }
+
+  async updateCommitmentStatus(intentId, fromAddress, status, ts = now()) {
+    const updated = await this.patch('offer_commitments', {
+      intent_id: encodeEq(intentId),
+      from_address: encodeEq(fromAddress),
+    }, { status, updated_at: ts });
+    return mapCommitmentRow(updated[0]);
+  }
+
+  async listOfferCommitments(intentId) {
+    return (await this.select('offer_commitments', { intent_id: encodeEq(intentId), order: 'created_at.asc' }))
+      .map(mapCommitmentRow);
+  }
+
+  async settleDeal(deal) {
+    const record = buildDealRecord(deal, await this.getDeal(deal.intentId, deal.executorAddress));
+    const row = await this.upsertOne('deals', {
+      intent_id: record.intentId,
+      executor_address: record.executorAddress ?? '',
+      fee_nano: nanotonText(record.fee),
+      tx_hash: record.txHash,
+      outcome: record.outcome,
+      rating: record.rating,
+      settled_at: record.settledAt,
+      escrow_id: record.escrowId,
+      escrow_status: record.escrowStatus,
+      result_status: record.resultStatus,
+      result_hash: record.resultHash,
+      result_ref: record.resultRef,
+      result_output: record.resultOutput,
+      result_error: record.resultError,
+      result_verified: record.resultVerified,
+      delivered_at: record.deliveredAt,
+      due_at: record.dueAt,
+      updated_at: record.updatedAt,
+    }, 'intent_id,executor_address');
+    return mapDealRow(row);
+  }
+
+  // Without an executor, the intent's deal with the lowest executor address (its only one, unless multi-executor).
+  async getDeal(intentId, executorAddress = null) {
+    const query = { intent_id: encodeEq(intentId), order: 'executor_address.asc' };
+    if (executorAddress) query.executor_address = encodeEq(executorAddress);
+    return mapDealRow(await this.selectOne('deals', query));
+  }
+
+  async listDeals({ executorAddress, intentId } = {}) {
+    const query = { order: 'settled_at.desc.nullslast' };
+    if (executorAddress) query.executor_address = encodeEq(executorAddress);
+    if (intentId) query.intent_id = encodeEq(intentId);
+    return (await this.select('deals', query)).map(mapDealRow);
+  }
+
+  async executorTrackRecord(executorAddress) {
+    const columns = 'outcome,due_at,delivered_at';
+    const deals = await this.select('deals', { select: `intent_id,${columns}`, executor_address: encodeEq(executorAddress) });
+    const intents = deals.length > 0
+      ? await this.select('intents', { select: 'id,skill', id: encodeIn(deals.map((deal) => deal.intent_id)) })
+      : [];
+    const skills = new Map(intents.map((intent) => [intent.id, intent.skill]));
+    const archived = await this.select('deals_history', { select: `skill,${columns}`, executor_address: encodeEq(executorAddress) });
+    return tallyTrackRecord([
+      ...deals.map((deal) => ({ ...deal, skill: skills.get(deal.intent_id) })),
+      ...archived,
+    ].map((row) => ({ skill: row.skill, outcome: row.outcome, dueAt: row.due_at, deliveredAt: row.delivered_at })));
+  }
+
+  async openDispute(dispute) {
+    const record = buildDisputeRecord(dispute);
+    const inserted = await this.insertIgnoreDuplicate('disputes', {
+      id: record.id,
+      intent_id: record.intentId,
+      from_address: record.fromAddress,
+      against_address: record.againstAddress,
+      reason: record.reason,
+      evidence_tx: record.evidenceTx,
+      status: record.status,
+      intent_status: record.intentStatus,
+      resolution: record.resolution,
+      slashed_stake_nano: nanotonText(record.slashedStake),
+      created_at: record.createdAt,
+      resolved_at: record.resolvedAt,
+      updated_at: record.updatedAt,
+    });
+    if (inserted.length > 0) {
+      return { created: true, dispute: mapDisputeRow(inserted[0]) };
+    }
+    return { created: false, dispute: await this.getDispute(record.id) };
+  }
+
+  async getDispute(id) {
+    return mapDisputeRow(await this.selectOne('disputes', { id: encodeEq(id) }));
+  }
+
+  async listDisputes({ intentId, status } = {}) {
+    const query = { order: 'created_at.desc' };
+    if (intentId) query.intent_id = encodeEq(intentId);
+    if (status) query.status = encodeEq(status);
+    return (await this.select('disputes', query)).map(mapDisputeRow);
+  }
+
+  async resolveDispute(id, { status, resolution, slashedStake, ts }) {
+    const updated = await this.patch('disputes', { id: encodeEq(id), status: encodeEq('open') }, {
+      status,
+      resolution,
+      slashed_stake_nano: slashedStake == null ? null : nanotonText(parseTon(slashedStake, 'slashedStake')),
+      resolved_at: ts,
+      updated_at: ts,
+    });
+    if (updated.length > 0) {
+      return { ok: true, dispute: mapDisputeRow(updated[0]) };
+    }
+    return this.resolveFailure(id);
+  }
+
+  async recordDisputeSlash(id, { slashedStake, ts }) {
+    const [updated] = await this.patch('disputes', { id: encodeEq(id) }, {
+      slashed_stake_nano: nanotonText(parseTon(slashedStake, 'slashedStake')),
+      updated_at: ts,
+    });
+    return mapDisputeRow(updated);
+  }
+
+  // Without a transaction the workflow row goes first; its steps are only written by the call that created it.
+  async createWorkflow(workflow) {
+    const record = buildWorkflowRecord(workflow);
+    const inserted = await this.insertIgnoreDuplicate('workflows', {
+      id: record.id,
+      from_address: record.fromAddress,
+      status: record.status,
+      budget_nano: nanotonText(record.budget),
+      error: record.error,
+      created_at: record.createdAt,
+      updated_at: record.updatedAt,
+    });
+    if (inserted.length > 0) {
+      await this.insertIgnoreDuplicate('workflow_steps', record.steps.map((step) => ({
+        workflow_id: step.workflowId,
+        step_id: step.stepId,
+        position: step.position,
+        skill: step.skill,
+        payload: step.payload,
+        budget_nano: nanotonText(step.budget),
+        depends_on: step.dependsOn,
+        options: step.options,
+        status: step.status,
+        updated_at: step.updatedAt,
+      })));
+    }
+    return { created: inserted.length > 0, workflow: await this.getWorkflow(record.id) };
+  }
+
+  async workflowWithSteps(row) {
+    if (!row) return null;
+    const steps = await this.select('workflow_steps', { workflow_id: encodeEq(row.id), order: 'position.asc' });
+    return mapWorkflowRow(row, steps.map(mapWorkflowStepRow));
+  }
+
+  async getWorkflow(id) {
+    return this.workflowWithSteps(await this.selectOne('workflows', { id: encodeEq(id) }));
+  }
+
+  async listWorkflows({ fromAddress, status, limit } = {}) {
+    const query = { order: 'created_at.desc', limit };
+    if (fromAddress) query.from_address = encodeEq(fromAddress);
+    if (status) query.status = encodeEq(status);
+    return Promise.all((await this.select('workflows', query)).map((row) => this.workflowWithSteps(row)));
+  }
+
+  async updateWorkflowStatus(id, status, { error = null } = {}, ts = now()) {
+    const updated = await this.patch('workflows', { id: encodeEq(id) }, { status, error, updated_at: ts });
+    return this.workflowWithSteps(updated[0]);
+  }
+
+  async updateWorkflowStep(workflowId, stepId, fromStatus, { status, intentId, output, spent, error, startedAt }, ts = now()) {
+    const fields = {
+      status,
+      intent_id: intentId,
+      output,
+      spent_nano: spent == null ? undefined : nanotonText(spent),
+      error,
+      started_at: startedAt,
+      updated_at: ts,
+    };
+    const updated = await this.patch('workflow_steps', {
+      workflow_id: encodeEq(workflowId),
+      step_id: encodeEq(stepId),
+      status: encodeEq(fromStatus),
+    }, Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)));
+    if (updated.length > 0) {
+      return { ok: true, step: mapWorkflowStepRow(updated[0]) };
+    }
+    return this.workflowStepFailure(workflowId, stepId);
+  }
+
+  // Sealed-bid intents stay pending through their reveal window.
+  async expireIntents(ts) {
+    const expired = await this.patch('intents', {
+      status: encodeEq('pending'),
+      deadline: encodeLt(ts),
+      or: `(reveal_deadline.is.null,reveal_deadline.lt.${ts})`,
+    }, {
+      status: 'expired',
+      updated_at: now(),
+    });
+    return expired.map(mapIntentRow);
+  }
+
+  async markProcessedMessage(meta) {
+    const inserted = await this.insertIgnoreDuplicate('processed_messages', {
+      message_key: meta.key,
+      message_type: meta.messageType ?? null,
+      source_chat_id: meta.sourceChatId == null ? null : String(meta.sourceChatId),
+      source_message_id: meta.sourceMessageId == null ? null : String(meta.sourceMessageId),
+      payload_hash: meta.payloadHash ?? null,
+      first_seen_at: meta.firstSeenAt ?? now(),
+    });
+    return { inserted: inserted.length > 0 };
+  }
+
+  // PostgREST has no multi-statement transactions: each pass archives before it deletes, so an
+  // interrupted run leaves rows behind for the next one rather than losing them.
+  async compact({
+    processedMessagesBefore,
+    offersBefore,
+    intentsBefore,
+    dealsBefore,
+    peersBefore,
+    archiveDeals = true,
+    ts = now(),
+  } = {}) {
+    const result = { processedMessages: 0, offers: 0, intents: 0, deals: 0, archivedDeals: 0, peers: 0 };
+
+    if (processedMessagesBefore != null) {
+      result.processedMessages = await this.remove('processed_messages', {
+        first_seen_at: encodeLt(processedMessagesBefore),
+        select: 'message_key',
+      });
+    }
+
+    const dropIntents = async (ids) => {
+      if (ids.length === 0) return;
+      result.offers += await this.remove('offers', { intent_id: encodeIn(ids), select: 'id' });
+      result.offers += await this.remove('offer_commitments', { intent_id: encodeIn(ids), select: 'intent_id' });
+      result.intents += await this.remove('intents', { id: encodeIn(ids), select: 'id' });
+    };
+
+    if (dealsBefore != null) {
+      const closed = await this.select('intents', {
+        select: 'id,from_address,skill,budget_nano,status',
+        status: encodeIn(CLOSED_DEAL_STATUSES),
+        updated_at: encodeLt(dealsBefore),
+        limit: COMPACT_BATCH_SIZE,
+      });
+      const deals = closed.length > 0
+        ? await this.select('deals', { intent_id: encodeIn(closed.map((intent) => intent.id)) })
+        : [];
+      const locked = new Set(deals.filter((deal) => deal.escrow_status === 'locked').map((deal) => deal.intent_id));
+      const closing = closed.filter((intent) => !locked.has(intent.id));
+      const closingDeals = deals.filter((deal) => !locked.has(deal.intent_id));
+
+      if (closingDeals.length > 0) {
+        if (archiveDeals) {
+          const intentsById = new Map(closing.map((intent) => [intent.id, intent]));
+          const archived = await this.insertIgnoreDuplicate('deals_history', closingDeals.map((deal) => {
+            const intent = intentsById.get(deal.intent_id);
+            return {
+              ...deal,
+              requester_address: intent.from_address,
+              skill: intent.skill,
+              budget_nano: intent.budget_nano,
+              intent_status: intent.status,
+              archived_at: ts,
+            };
+          }));
+          result.archivedDeals = archived.length;
+        }
+        result.deals = await this.remove('deals', {
+          intent_id: encodeIn(closingDeals.map((deal) => deal.intent_id)),
+          select: 'intent_id',
+        });
+      }
+      await dropIntents(closing.map((intent) => intent.id));
+    }
+
+    if (intentsBefore != null) {
+      const unmatched = await this.select('intents', {
+        select: 'id',
+        status: encodeIn(UNMATCHED_INTENT_STATUSES),
+        updated_at: encodeLt(intentsBefore),
+        limit: COMPACT_BATCH_SIZE,
+      });
+      await dropIntents(unmatched.map((intent) => intent.id));
+    }
+
+    if (offersBefore != null) {
+      const stale = await this.select('offers', {
+        select: 'id,intent_id',
+        created_at: encodeLt(offersBefore),
+        limit: COMPACT_BATCH_SIZE,
+      });
+      const intentIds = [...new Set(stale.map((offer) => offer.intent_id))];
+      const intents = intentIds.length > 0
+        ? await this.select('intents', { select: 'id,status,accepted_offer_id', id: encodeIn(intentIds) })
+        : [];
+      const intentsById = new Map(intents.map((intent) => [intent.id, intent]));
+      const removable = stale.filter((offer) => {
+        const intent = intentsById.get(offer.intent_id);
+        return intent?.status !== 'pending' && intent?.accepted_offer_id !== offer.id;
+      });
+      if (removable.length > 0) {
+        result.offers += await this.remove('offers', { id: encodeIn(removable.map((offer) => offer.id)), select: 'id' });
+      }
+    }
+
+    // Peers with a pinned public key are kept, so a silent peer's key cannot be pinned again by someone else.
+    if (peersBefore != null) {
+      result.peers = await this.remove('peers', { last_seen: encodeLt(peersBefore), public_key: 'is.null', select: 'address' });
+    }
+
+    return result;
+  }
+
+  async listArchivedDeals() {
+    return (await this.select('deals_history', { order: 'archived_at.desc' })).map(mapArchivedDealRow);
+  }
+}
@@ -0,0 +1,176 @@
+import { formatTon, parseTon } from './amounts.js';
+
+function ensureState(sdk) {
+  if (!sdk.__meshEscrow) {
+    sdk.__meshEscrow = {
+      escrows: new Map(),
+    };
+  }
+  return sdk.__meshEscrow;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function modeOf(config = {}) {
+  return String(config.mode || process.env.MESH_MODE || '').toLowerCase();
+}
+
+function isStrictChainMode(config = {}) {
+  if (typeof config.strictChain === 'boolean') return config.strictChain;
+  const mode = modeOf(config);
+  return mode === 'production' || mode === 'mainnet';
+}
+
+function allowLocalFallback(config = {}) {
+  if (typeof config.allowLocalEscrowFallback === 'boolean') {
+    return config.allowLocalEscrowFallback;
+  }
+  if (typeof config.allowLocalReputationFallback === 'boolean') {
+    return config.allowLocalReputationFallback;
+  }
+  return !isStrictChainMode(config);
+}
+
+// One escrow per executor: a multi-executor intent locks a fee for each.
+export function escrowIdForIntent(intentId, beneficiary) {
+  return `escrow:${intentId}:${beneficiary}`;
+}
+
+export function isEscrowRefundable(escrow, ts = now()) {
+  if (!escrow || escrow.status === 'claimed' || escrow.status === 'refunded') return false;
+  return escrow.status === 'failed' || ts >= escrow.expiresAt;
+}
+
+export class MeshEscrowClient {
+  constructor(sdk, config = {}) {
+    this.sdk = sdk;
+    this.config = config;
+    this.strictChain = isStrictChainMode(config);
+    this.localFallbackAllowed = allowLocalFallback(config);
+  }
+
+  get hostAdapter() {
+    return this.sdk?.ton?.meshEscrow || null;
+  }
+
+  ensureFallbackAllowed(op) {
+    if (this.strictChain || !this.localFallbackAllowed) {
+      throw new Error(`Local escrow simulation is disabled (${op}): install sdk.ton.meshEscrow`);
+    }
+  }
+
+  requireLocked(escrowId) {
+    const escrow = ensureState(this.sdk).escrows.get(escrowId);
+    if (!escrow) throw new Error(`Escrow not found: ${escrowId}`);
+    if (escrow.status === 'claimed' || escrow.status === 'refunded') {
+      throw new Error(`Escrow ${escrowId} already ${escrow.status}`);
+    }
+    return escrow;
+  }
+
+  // arbiter, when set, may fail the escrow on a confirmed dispute alongside the two parties.
+  async lock({ intentId, depositor, beneficiary, amount, expiresAt, escrowAddress, arbiter }) {
+    const value = parseTon(amount, 'Escrow amount');
+    if (value <= 0n) {
+      throw new Error('Escrow amount must be greater than 0');
+    }
+
+    if (this.hostAdapter?.lock) {
+      return this.hostAdapter.lock({
+        intentId, depositor, beneficiary, amount: formatTon(value), expiresAt, escrowAddress, arbiter,
+      });
+    }
+
+    this.ensureFallbackAllowed('lock');
+    const state = ensureState(this.sdk);
+    const escrowId = escrowIdForIntent(intentId, beneficiary);
+    const existing = state.escrows.get(escrowId);
+    if (existing && existing.status !== 'refunded') {
+      throw new Error(`Escrow already exists for intent ${intentId} and ${beneficiary}`);
+    }
+
+    const escrow = {
+      escrowId,
+      intentId,
+      depositor,
+      beneficiary,
+      amount: value,
+      escrowAddress: escrowAddress ?? null,
+      arbiter: arbiter ?? null,
+      status: 'locked',
+      lockedAt: now(),
+      expiresAt,
+      txHash: `local-escrow-lock:${escrowId}:${now()}`,
+    };
+    state.escrows.set(escrowId, escrow);
+    return { ...escrow, local: true };
+  }
+
+  async claim({ escrowId, claimant }) {
+    if (this.hostAdapter?.claim) {
+      return this.hostAdapter.claim({ escrowId, claimant });
+    }
+
+    this.ensureFallbackAllowed('claim');
+    const escrow = this.requireLocked(escrowId);
+    if (escrow.beneficiary !== claimant) {
+      throw new Error('Only the escrow beneficiary can claim');
+    }
+    if (escrow.status !== 'locked') {
+      throw new Error(`Escrow ${escrowId} is ${escrow.status} and cannot be claimed`);
+    }
+
+    const claimed = { ...escrow, status: 'claimed', claimedAt: now(), txHash: `local-escrow-claim:${escrowId}:${now()}` };
+    ensureState(this.sdk).escrows.set(escrowId, claimed);
+    return { ...claimed, local: true };
+  }
+
+  async fail({ escrowId, caller, reason = 'execution_failed' }) {
+    if (this.hostAdapter?.fail) {
+      return this.hostAdapter.fail({ escrowId, caller, reason });
+    }
+
+    this.ensureFallbackAllowed('fail');
+    const escrow = this.requireLocked(escrowId);
+    if (!caller || ![escrow.depositor, escrow.beneficiary, escrow.arbiter].includes(caller)) {
+      throw new Error('Only the escrow depositor, beneficiary or arbiter can fail it');
+    }
+    const failed = { ...escrow, status: 'failed', failedAt: now(), failureReason: reason };
+    ensureState(this.sdk).escrows.set(escrowId, failed);
+    return { ...failed, local: true };
+  }
+
+  async refund({ escrowId, requester }) {
+    if (this.hostAdapter?.refund) {
+      return this.hostAdapter.refund({ escrowId, requester });
+    }
+
+    this.ensureFallbackAllowed('refund');
+    const escrow = this.requireLocked(escrowId);
+    if (escrow.depositor !== requester) {
+      throw new Error('Only the escrow depositor can reclaim');
+    }
+    if (!isEscrowRefundable(escrow)) {
+      throw new Error(`Escrow ${escrowId} is locked until ${escrow.expiresAt}`);
+    }
+
+    const refunded = { ...escrow, status: 'refunded', refundedAt: now(), txHash: `local-escrow-refund:${escrowId}:${now()}` };
+    ensureState(this.sdk).escrows.set(escrowId, refunded);
+    return { ...refunded, local: true };
+  }
+
+  async getEscrow(escrowId) {
+    if (this.hostAdapter?.getEscrow) {
+      return this.hostAdapter.getEscrow({ escrowId });
+    }
+
+    this.ensureFallbackAllowed('getEscrow');
+    return ensureState(this.sdk).escrows.get(escrowId) ?? null;
+  }
+}
+
+export function createEscrowClient(sdk, config) {
+  return new MeshEscrowClient(sdk, config);
+}
@@ -1,33 +1,97 @@
-import { createHash } from 'node:crypto';
+import { createHash, randomBytes } from 'node:crypto';
 import { v4 as uuidv4 } from 'uuid';
+import { formatTon, jsonAmounts, parseTon, scaleTon } from './amounts.js';
 import {
   buildAcceptMessage,
   buildBeaconMessage,
+  buildCancelMessage,
+  buildCommitMessage,
+  buildCompleteMessage,
+  buildCounterMessage,
+  buildDisputeMessage,
   buildIntentMessage,
   buildOfferMessage,
+  buildResolutionMessage,
+  buildResultMessage,
+  buildRevealMessage,
   buildSettleMessage,
-  parseMeshMessage,
+  compareMeshVersions,
+  downgradeMeshMessage,
+  hashMeshContent,
+  meshVersion,
+  meshVersions,
+  negotiateMeshVersion,
+  peerMeshVersions,
+  publicKeyFromSecretKey,
+  readMeshMessage,
+  sealedBidCommitment,
   serializeMeshMessage,
+  verifyMeshSignature,
 } from './protocol.js';
 import {
   acceptIntentOffer,
+  cancelIntent,
   closeRegistry,
+  commitOffer,
+  compactRegistry,
+  countActiveDeals,
+  createWorkflow,
+  deleteOffersForIntent,
+  executorTrackRecord,
   expireIntents,
   getDeal,
+  getDispute,
   getIntent,
+  getPeer,
+  getWorkflow,
+  listArchivedDeals,
+  listDeals,
+  listDisputes,
   listIntents,
+  listOfferCommitments,
   listOffersForIntent,
   listPeers,
+  listWorkflows,
+  markOfferCountered,
+  queryPeers,
   markProcessedMessage,
   migrate as migrateRegistry,
+  openDispute,
+  recordDisputeSlash,
   recordOffer,
+  resolveDispute,
+  revealCommitment,
   saveIntent,
   settleDeal,
+  supersedeOffers,
+  updateCommitmentStatus,
   updateIntentStatus,
+  updateWorkflowStatus,
+  updateWorkflowStep,
   upsertPeer,
 } from './registry.js';
-import { pickBestOffer, rankOffers } from './router.js';
+import { createEscrowClient, isEscrowRefundable } from './escrow.js';
+import { PEER_LIVENESS, livenessOptions, livenessWindow, missedBeacons, peerLiveness, withLiveness } from './liveness.js';
+import { priceOffer } from './pricing.js';
+import {
+  executorsOf,
+  isMultiExecutor,
+  quorumOf,
+  selectedExecutorsOf,
+  tallyQuorum,
+  validateQuorum,
+} from './quorum.js';
+import {
+  DEFAULT_ROUTER_WEIGHTS,
+  builtInRouterPolicies,
+  parseEtaSeconds,
+  rankOffers,
+  routerPolicySpec,
+  routerWeights,
+  selectOffer,
+} from './router.js';
 import { createReputationClient } from './reputation.js';
+import { isStepReady, stepInputs, stepOutcome, validateWorkflowSteps, workflowOutcome } from './workflow.js';
 
 export const manifest = {
   name: 'mesh',
@@ -36,6 +100,11 @@ export const manifest = {
   description: 'Agent coordination protocol for MESH network',
 };
 
+const DISPUTABLE_INTENT_STATUSES = new Set(['accepted', 'completed', 'settled']);
+const RATEABLE_INTENT_STATUSES = new Set(['accepted', 'completed']);
+const EXECUTION_STOPPED = 'plugin_stopped';
+const ACTIVITY_ROLES = ['requester', 'executor', 'any'];
+
 function now() {
   return Math.floor(Date.now() / 1000);
 }
@@ -45,12 +114,6 @@ function toNum(value, fallback = 0) {
   return Number.isFinite(n) ? n : fallback;
 }
 
-function parseBudget(value) {
-  const n = Number(value);
-  if (!Number.isFinite(n) || n < 0) throw new Error('Invalid budget');
-  return n;
-}
-
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -76,6 +139,90 @@ function maxPayloadBytes(config = {}) {
   return 16 * 1024;
 }
 
+function maxNegotiationRounds(config = {}) {
+  const raw = Number(config.maxNegotiationRounds);
+  if (Number.isInteger(raw) && raw >= 0) return raw;
+  return 3;
+}
+
+function escrowTimeoutSeconds(config = {}) {
+  const raw = Number(config.escrowTimeoutSeconds);
+  if (Number.isFinite(raw) && raw > 0) return raw;
+  return 3600;
+}
+
+function revealWindowSeconds(config = {}) {
+  const raw = Number(config.revealWindowSeconds);
+  if (Number.isInteger(raw) && raw > 0) return raw;
+  return 30;
+}
+
+function maxExecutorsPerIntent(config = {}) {
+  const raw = Number(config.maxExecutorsPerIntent);
+  if (Number.isInteger(raw) && raw > 0) return raw;
+  return 5;
+}
+
+function maxWorkflowSteps(config = {}) {
+  const raw = Number(config.maxWorkflowSteps);
+  if (Number.isInteger(raw) && raw > 0) return raw;
+  return 20;
+}
+
+function revealDeadlineOf(intent, config) {
+  return intent.revealDeadline ?? (intent.deadline + revealWindowSeconds(config));
+}
+
+// Per-table TTLs in seconds for the scheduler's compaction pass; null keeps a table's rows forever.
+const DEFAULT_RETENTION = {
+  processedMessagesTtlSeconds: 7 * 24 * 3600,
+  offersTtlSeconds: 24 * 3600,
+  intentsTtlSeconds: 24 * 3600,
+  dealsTtlSeconds: 30 * 24 * 3600,
+  peersTtlSeconds: 7 * 24 * 3600,
+  archiveDeals: true,
+  intervalMs: 60 * 1000,
+};
+
+// Message keys outlive the intents, offers and deals a message could touch, so a redelivered message is
+// never processed again against rows that are still there.
+function retentionPolicy(config = {}) {
+  if (config.retention === false) return null;
+  const policy = { ...DEFAULT_RETENTION, ...(config.retention || {}) };
+  const rowTtls = [policy.offersTtlSeconds, policy.intentsTtlSeconds, policy.dealsTtlSeconds];
+  if (policy.processedMessagesTtlSeconds != null) {
+    policy.processedMessagesTtlSeconds = rowTtls.includes(null) || rowTtls.includes(undefined)
+      ? null
+      : Math.max(policy.processedMessagesTtlSeconds, ...rowTtls);
+  }
+  return policy;
+}
+
+// skills is either a list of names or a map of name -> async (payload, ctx) => output.
+function configuredSkills(config = {}) {
+  const { skills } = config;
+  if (Array.isArray(skills)) return skills;
+  if (skills && typeof skills === 'object') return Object.keys(skills);
+  return null;
+}
+
+function skillHandlerFor(config = {}, skill) {
+  const { skills } = config;
+  if (!skills || Array.isArray(skills)) return null;
+  return typeof skills[skill] === 'function' ? skills[skill] : null;
+}
+
+function capacityLimit(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : null;
+}
+
+function skillCapacityLimit(config, skill) {
+  const perSkill = config.maxConcurrentDealsPerSkill;
+  return capacityLimit(perSkill && typeof perSkill === 'object' ? perSkill[skill] : perSkill);
+}
+
 function validateRating(rating) {
   const n = Number(rating);
   if (!Number.isInteger(n) || n < 1 || n > 10) {
@@ -196,15 +343,103 @@ async function replyToChat(sdk, chatId, text) {
   }
 }
 
+function signingSecretKey(config = {}) {
+  return config.signingSecretKey || process.env.MESH_SIGNING_SECRET_KEY || null;
+}
+
+function ownPublicKey(config) {
+  const secretKey = signingSecretKey(config);
+  return secretKey ? publicKeyFromSecretKey(secretKey) : null;
+}
+
+function normalizePublicKeyHex(key) {
+  if (key == null) return null;
+  if (typeof key === 'bigint') return key.toString(16).padStart(64, '0');
+  if (Buffer.isBuffer(key) || key instanceof Uint8Array) return Buffer.from(key).toString('hex');
+  return String(key).trim().replace(/^0x/i, '').toLowerCase() || null;
+}
+
+// Resolution order: operator-pinned keys, host wallet lookup, wallet get_public_key, key pinned from an earlier beacon.
+async function resolveWalletPublicKey(sdk, config, address) {
+  const trusted = config.trustedPublicKeys?.[address];
+  if (trusted) return normalizePublicKeyHex(trusted);
+
+  if (sdk?.ton?.getWalletPublicKey) {
+    const key = normalizePublicKeyHex(await sdk.ton.getWalletPublicKey(address));
+    if (key) return key;
+  }
+
+  try {
+    const raw = sdk?.ton?.getRawClient ? await sdk.ton.getRawClient() : null;
+    if (raw?.runMethod) {
+      const result = await raw.runMethod(address, 'get_public_key', []);
+      const value = result?.stack?.[0]?.value ?? result?.value;
+      if (value != null) return normalizePublicKeyHex(BigInt(value));
+    }
+  } catch {
+    // Not every wallet contract exposes get_public_key; fall back to the pinned key.
+  }
+
+  const peer = await getPeer(sdk, address);
+  return peer?.publicKey ?? null;
+}
+
+async function checkMessageSignature(msg, sdk, config) {
+  const required = config.requireSignedMessages === true;
+  if (!msg.sig) {
+    if (required) return { ok: false, reason: 'unsigned_message' };
+    // Once we know an address's key, unsigned messages claiming to come from it are forgeries.
+    const known = await resolveWalletPublicKey(sdk, config, msg.from);
+    return known ? { ok: false, reason: 'unsigned_message' } : { ok: true, signed: false };
+  }
+
+  const verified = verifyMeshSignature(msg);
+  if (!verified.ok) return { ok: false, reason: verified.reason };
+
+  const expected = await resolveWalletPublicKey(sdk, config, msg.from);
+  if (expected) {
+    return expected === msg.pubkey ? { ok: true, signed: true } : { ok: false, reason: 'signer_mismatch' };
+  }
+  if (msg.type === 'beacon' && config.allowTofuPublicKeys !== false) {
+    return { ok: true, signed: true, firstContact: true };
+  }
+  return required ? { ok: false, reason: 'unknown_signer' } : { ok: true, signed: true };
+}
+
 async function postMeshMessage(sdk, config, message) {
   const meshGroupId = config.meshGroupId;
   if (meshGroupId == null) {
     throw new Error('meshGroupId missing in mesh plugin config');
   }
-  const text = serializeMeshMessage(message);
+  const secretKey = signingSecretKey(config);
+  if (!secretKey && config.requireSignedMessages === true) {
+    throw new Error('requireSignedMessages is enabled but no signingSecretKey is configured');
+  }
+  const version = await outgoingMeshVersion(sdk, config, message);
+  const text = serializeMeshMessage(downgradeMeshMessage(message, version), { secretKey });
   return sendTelegramMessage(sdk, meshGroupId, text);
 }
 
+// Older peers check signatures over the fields they know, so messages go out without fields they would drop:
+// at the newest version the recipient speaks, or for broadcasts the newest one every peer still online or
+// stale speaks (offline peers would not read them anyway). Peers that never advertised versions are assumed
+// to speak 1.0.
+async function outgoingMeshVersion(sdk, config, message) {
+  if (message.to) {
+    const peer = await getPeer(sdk, message.to);
+    return negotiateMeshVersion(peer?.protocolVersions) ?? meshVersion();
+  }
+  const ownAddress = getOwnAddress(sdk, config);
+  const liveness = { ...livenessOptions(config), ts: now() };
+  let version = meshVersion();
+  for (const peer of await listPeers(sdk)) {
+    if (peer.address === ownAddress || peerLiveness(peer, liveness) === 'offline') continue;
+    const shared = negotiateMeshVersion(peer.protocolVersions);
+    if (shared && compareMeshVersions(shared, version) < 0) version = shared;
+  }
+  return version;
+}
+
 function getReputationClient(sdk, config) {
   return createReputationClient(sdk, {
     contractAddress: config.contractAddress,
@@ -214,43 +449,232 @@ function getReputationClient(sdk, config) {
   });
 }
 
+function getEscrowClient(sdk, config) {
+  return createEscrowClient(sdk, {
+    mode: config.mode,
+    strictChain: config.strictChain,
+    allowLocalEscrowFallback: config.allowLocalEscrowFallback,
+    allowLocalReputationFallback: config.allowLocalReputationFallback,
+  });
+}
+
+function escrowEnabled(sdk, config) {
+  return config.useEscrow ?? Boolean(sdk?.ton?.meshEscrow);
+}
+
+// backlog is how many deals must finish before a new one fits under the tightest limit.
+async function capacityState(sdk, config, address, skill) {
+  const load = await countActiveDeals(sdk, address);
+  const checks = [
+    [load.total, capacityLimit(config.maxConcurrentDeals)],
+    [load.bySkill[skill] || 0, skillCapacityLimit(config, skill)],
+  ];
+  const backlog = checks
+    .filter(([, limit]) => limit != null)
+    .reduce((max, [active, limit]) => Math.max(max, active - limit + 1), 0);
+  return { load, saturated: backlog > 0, backlog };
+}
+
+// Saturated executors queue the new deal behind the backlog instead of declining.
+function backloggedEta(eta, backlog) {
+  const seconds = parseEtaSeconds(eta);
+  if (!seconds) return eta;
+  return `${Math.ceil(seconds * (1 + backlog))}s`;
+}
+
 async function beaconFromConfigAndState(sdk, config, overrides = {}) {
   const address = getOwnAddress(sdk, config);
   if (!address) throw new Error('Agent wallet address not configured');
   const rep = getReputationClient(sdk, config);
   const repScore = await rep.getReputation(address);
   const stakeInfo = await rep.getStakeInfo(address);
+  const load = await countActiveDeals(sdk, address);
+  const maxDeals = capacityLimit(config.maxConcurrentDeals);
+  const minFee = parseTon(overrides.minFee ?? config.minFee ?? '0.1', 'minFee');
+  const stake = parseTon(overrides.stake ?? stakeInfo.stake ?? config.stake ?? 0, 'stake');
   return {
     message: buildBeaconMessage({
       from: address,
-      skills: overrides.skills ?? config.skills ?? ['swap'],
-      minFee: String(overrides.minFee ?? config.minFee ?? '0.1'),
+      skills: overrides.skills ?? configuredSkills(config) ?? ['swap'],
+      minFee: formatTon(minFee),
       responseTime: String(overrides.responseTime ?? config.responseTime ?? '< 5s'),
-      stake: String(overrides.stake ?? stakeInfo.stake ?? config.stake ?? '0'),
+      stake: formatTon(stake),
       replyChat: overrides.replyChat ?? config.replyChat ?? config.meshGroupId,
+      activeDeals: load.total,
+      maxDeals: maxDeals || undefined,
     }),
     peerRecord: {
       address,
-      skills: overrides.skills ?? config.skills ?? ['swap'],
-      minFee: toNum(overrides.minFee ?? config.minFee ?? 0.1),
+      skills: overrides.skills ?? configuredSkills(config) ?? ['swap'],
+      minFee,
       responseTime: overrides.responseTime ?? config.responseTime ?? '< 5s',
       reputation: repScore || 100,
-      stake: stakeInfo.stake,
+      stake,
       stakeAgeSeconds: stakeInfo.ageSeconds,
       lastSeen: now(),
       replyChat: overrides.replyChat ?? config.replyChat ?? config.meshGroupId,
+      publicKey: ownPublicKey(config),
+      activeDeals: load.total,
+      maxConcurrentDeals: maxDeals || null,
+      protocolVersions: meshVersions(),
     },
   };
 }
 
-function defaultOfferForIntent(intent, selfPeer, config) {
-  const minFee = toNum(selfPeer?.minFee ?? config.minFee ?? 0.1, 0.1);
-  const budget = toNum(intent.budget, 0);
-  const fee = Math.min(budget, Math.max(minFee, Number((budget * 0.75 || minFee).toFixed(3))));
-  return {
-    fee: String(fee.toFixed(3).replace(/\.000$/, '')),
-    eta: config.defaultEta || '5s',
-  };
+// The lowest fee this agent quotes or accepts, in nanotons.
+function floorFeeFor(selfPeer, config) {
+  return selfPeer?.minFee ?? parseTon(config.minFee ?? '0.1', 'minFee');
+}
+
+async function quoteOfferForIntent(sdk, config, intent, { ownAddress, selfPeer, selfReputation }) {
+  return priceOffer({
+    intent,
+    minFee: floorFeeFor(selfPeer, config),
+    selfReputation,
+    defaultEta: config.defaultEta || '5s',
+    countOpenDeals: async () => (await countActiveDeals(sdk, ownAddress)).total,
+    listCompetingOffers: async () => (await listOffersForIntent(sdk, intent.id))
+      .filter((offer) => offer.fromAddress !== ownAddress && offer.status !== 'superseded'),
+  }, config.pricing, config.pricingStrategies);
+}
+
+function offerIdForRound(intentId, fromAddress, round) {
+  return round > 0 ? `${intentId}:${fromAddress}:r${round}` : undefined;
+}
+
+async function negotiationState(sdk, intentId, executorAddress) {
+  const offers = (await listOffersForIntent(sdk, intentId)).filter((o) => o.fromAddress === executorAddress);
+  const active = offers
+    .filter((o) => o.status !== 'superseded')
+    .sort((a, b) => (b.round - a.round) || (b.createdAt - a.createdAt))[0] ?? null;
+  const round = offers.reduce((max, o) => Math.max(max, o.round || 0), 0);
+  return { active, round };
+}
+
+// Requesters only counter when negotiation.targetFeeRatio is set; executors take any
+// counter at or above their minFee and otherwise hold at minFee until rounds run out.
+function defaultNegotiationPolicy({ role, intent, offer, counter, round, maxRounds, floorFee, config }) {
+  if (role === 'requester') {
+    const ratio = toNum(config.negotiation?.targetFeeRatio, 0);
+    if (ratio <= 0) return null;
+    const target = scaleTon(intent.budget, ratio);
+    if (offer.fee <= target) return null;
+    return { action: 'counter', fee: target, eta: offer.eta };
+  }
+
+  if (counter.fee >= floorFee) return { action: 'accept' };
+  if (round < maxRounds) return { action: 'counter', fee: floorFee, eta: counter.eta };
+  return { action: 'reject' };
+}
+
+async function decideNegotiation(sdk, config, context) {
+  const ctx = { ...context, maxRounds: maxNegotiationRounds(config), config, sdk };
+  if (typeof config.negotiationPolicy === 'function') {
+    const decision = await config.negotiationPolicy(ctx);
+    if (decision !== undefined) return decision;
+  }
+  return defaultNegotiationPolicy(ctx);
+}
+
+async function applyCounter(sdk, intent, counter) {
+  if (counter.from === intent.fromAddress) {
+    const { active } = await negotiationState(sdk, intent.id, counter.to);
+    if (!active) return null;
+    return markOfferCountered(sdk, counter.offerId ?? active.id, {
+      round: counter.round,
+      counterFee: parseTon(counter.fee, 'fee'),
+      counterEta: counter.eta,
+    });
+  }
+
+  const { active } = await negotiationState(sdk, intent.id, counter.from);
+  const offer = await recordOffer(sdk, {
+    id: offerIdForRound(intent.id, counter.from, counter.round),
+    intentId: intent.id,
+    fromAddress: counter.from,
+    fee: parseTon(counter.fee, 'fee'),
+    feeRaw: counter.fee,
+    eta: counter.eta,
+    round: counter.round,
+    reputation: active?.reputation ?? undefined,
+    stakeAgeSeconds: active?.stakeAgeSeconds,
+    escrowAddress: active?.escrowAddress,
+  });
+  await supersedeOffers(sdk, intent.id, counter.from, offer.id);
+  return offer;
+}
+
+async function sendCounter(sdk, config, intent, counter) {
+  if (counter.round > maxNegotiationRounds(config)) {
+    throw new Error(`Negotiation round limit (${maxNegotiationRounds(config)}) reached`);
+  }
+  const fee = parseTon(counter.fee, 'Counter fee');
+  if (fee <= 0n || fee > intent.budget) {
+    throw new Error('Counter fee must be greater than 0 and within the intent budget');
+  }
+
+  const counterMsg = buildCounterMessage({ intentId: intent.id, ...counter, fee: formatTon(fee) });
+  await applyCounter(sdk, intent, counterMsg);
+  await postMeshMessage(sdk, config, counterMsg);
+  return counterMsg;
+}
+
+async function negotiateOffer(sdk, config, intent, offer) {
+  const { round } = await negotiationState(sdk, intent.id, offer.fromAddress);
+  const nextRound = round + 1;
+  if (nextRound > maxNegotiationRounds(config)) return null;
+
+  const decision = await decideNegotiation(sdk, config, { role: 'requester', intent, offer, round: nextRound });
+  if (decision?.action !== 'counter') return null;
+  return sendCounter(sdk, config, intent, {
+    offerId: offer.id,
+    from: intent.fromAddress,
+    to: offer.fromAddress,
+    fee: decision.fee,
+    eta: decision.eta ?? offer.eta,
+    round: nextRound,
+  });
+}
+
+async function respondToCounter(sdk, config, intent, offer, msg) {
+  const selfPeer = await getSelfPeer(sdk, config);
+  const floorFee = floorFeeFor(selfPeer, config);
+  const decision = await decideNegotiation(sdk, config, {
+    role: 'executor',
+    intent,
+    offer,
+    counter: { ...msg, fee: parseTon(msg.fee, 'fee') },
+    round: msg.round,
+    floorFee,
+  });
+
+  if (!decision || decision.action === 'reject') return { action: 'reject' };
+  if (decision.action === 'accept') {
+    const accepted = await runMeshOffer(
+      { intentId: intent.id, fee: msg.fee, eta: msg.eta, round: msg.round },
+      sdk,
+      config,
+      { auto: true },
+    );
+    return { action: 'accept', offer: accepted.offer };
+  }
+
+  const counterMsg = await sendCounter(sdk, config, intent, {
+    offerId: offer?.id,
+    from: msg.to,
+    to: intent.fromAddress,
+    fee: decision.fee,
+    eta: decision.eta ?? msg.eta,
+    round: msg.round + 1,
+  });
+  return { action: 'counter', message: counterMsg };
+}
+
+async function considerOffer(sdk, config, intent, offer) {
+  const counter = await negotiateOffer(sdk, config, intent, offer);
+  if (counter) return { autoAccept: false, counter };
+  const result = await autoAcceptBestOffer(sdk, config, intent.id);
+  return { autoAccept: !!result?.accepted, selection: result ?? null };
 }
 
 async function getSelfPeer(sdk, config) {
@@ -260,17 +684,61 @@ async function getSelfPeer(sdk, config) {
   return peers.find((p) => p.address === address) || null;
 }
 
-async function autoAcceptBestOffer(sdk, config, intentId) {
-  const intent = await getIntent(sdk, intentId);
-  if (!intent || intent.status !== 'pending') return null;
-  const offers = await listOffersForIntent(sdk, intentId);
-  if (offers.length === 0) return null;
+// Live offers (superseded ones dropped), scored and ordered by the intent's router policy (or the configured one),
+// with the offers selected for each of the intent's executors.
+async function rankIntentOffers(sdk, config, intent) {
+  const policy = intent.routerPolicy ?? config.routerPolicy;
+  const offers = (await listOffersForIntent(sdk, intent.id)).filter((offer) => offer.status !== 'superseded');
+  const context = { intent, count: executorsOf(intent) };
+  if (offers.length === 0) return selectOffer([], policy, context, config.routerPolicies);
 
   const repClient = getReputationClient(sdk, config);
+  const liveness = { ...livenessOptions(config), ts: now() };
+  const peers = new Map();
+  const peerOf = (address) => {
+    if (!peers.has(address)) peers.set(address, getPeer(sdk, address));
+    return peers.get(address);
+  };
   const scored = await rankOffers(intent, offers, {
+    weights: routerWeights(config.routerWeights, intent.routerWeights),
     getReputation: async (address) => repClient.getReputation(address),
+    getLiveness: async (address) => {
+      const peer = await peerOf(address);
+      return peer ? peerLiveness(peer, liveness) : null;
+    },
+    getSignals: async (address) => {
+      const peer = await peerOf(address);
+      return {
+        stake: peer?.stake ?? null,
+        trackRecord: await executorTrackRecord(sdk, address),
+        missedBeacons: peer ? missedBeacons(peer, liveness) : null,
+      };
+    },
+    livenessFactors: config.livenessFactors,
   });
-  const best = pickBestOffer(scored);
+  return selectOffer(scored, policy, context, config.routerPolicies);
+}
+
+// Escrows already locked for a selection that fell through are failed and refunded straight away.
+async function releaseEscrows(sdk, config, escrows, reason) {
+  const escrowClient = getEscrowClient(sdk, config);
+  const ownAddress = getOwnAddress(sdk, config);
+  for (const escrow of escrows) {
+    try {
+      await escrowClient.fail({ escrowId: escrow.escrowId, caller: ownAddress, reason });
+      await escrowClient.refund({ escrowId: escrow.escrowId, requester: ownAddress });
+    } catch (err) {
+      getLogger(sdk).error?.(`[MESH] could not release escrow ${escrow.escrowId}`, err);
+    }
+  }
+}
+
+// Only the requester selects: escrows are locked from our wallet, so other agents' intents are never accepted here.
+async function autoAcceptBestOffer(sdk, config, intentId) {
+  const intent = await getIntent(sdk, intentId);
+  const ownAddress = getOwnAddress(sdk, config);
+  if (!intent || intent.status !== 'pending' || intent.fromAddress !== ownAddress) return null;
+  const { best, selected, ranked: scored } = await rankIntentOffers(sdk, config, intent);
   if (!best) return null;
 
   const nowTs = now();
@@ -278,27 +746,61 @@ async function autoAcceptBestOffer(sdk, config, intentId) {
   if (waitForDeadline && nowTs < intent.deadline) {
     return { deferred: true, best };
   }
+  // A multi-executor intent waits for enough executors until its deadline; past it, a quorum of them will do.
+  if (selected.length < executorsOf(intent) && nowTs < intent.deadline) {
+    return { deferred: true, best };
+  }
+  if (selected.length < quorumOf(intent)) return { skipped: true, reason: 'quorum_unreachable' };
 
-  const accepted = await acceptIntentOffer(sdk, intentId, best.id, best.fromAddress);
+  const executors = selected.map((offer) => offer.fromAddress);
+  const accepted = await acceptIntentOffer(sdk, intentId, best.id, best.fromAddress, isMultiExecutor(intent) ? executors : null);
   if (!accepted.ok) return { skipped: true, reason: accepted.reason };
 
-  const ownAddress = getOwnAddress(sdk, config);
-  const acceptMsg = buildAcceptMessage({
-    intentId,
-    from: ownAddress,
-    to: best.fromAddress,
-    fee: String(best.feeRaw ?? best.fee),
-    selectedAt: nowTs,
-  });
-  await postMeshMessage(sdk, config, acceptMsg);
+  const escrows = new Map();
+  if (escrowEnabled(sdk, config)) {
+    for (const offer of selected) {
+      try {
+        escrows.set(offer.fromAddress, await getEscrowClient(sdk, config).lock({
+          intentId,
+          depositor: ownAddress,
+          beneficiary: offer.fromAddress,
+          amount: offer.fee,
+          expiresAt: nowTs + Math.ceil(parseEtaSeconds(offer.eta)) + escrowTimeoutSeconds(config),
+          escrowAddress: offer.escrowAddress ?? config.escrowAddress,
+          arbiter: config.arbiterAddress,
+        }));
+      } catch (err) {
+        getLogger(sdk).error?.(`[MESH] escrow lock failed for intent ${intentId}`, err);
+        await releaseEscrows(sdk, config, escrows.values(), 'escrow_lock_failed');
+        await updateIntentStatus(sdk, intentId, 'failed');
+        return { skipped: true, reason: 'escrow_lock_failed' };
+      }
+    }
+  }
 
-  await settleDeal(sdk, {
-    intentId,
-    executorAddress: best.fromAddress,
-    fee: best.fee,
-  });
+  for (const offer of selected) {
+    const escrow = escrows.get(offer.fromAddress);
+    const acceptMsg = buildAcceptMessage({
+      intentId,
+      from: ownAddress,
+      to: offer.fromAddress,
+      fee: formatTon(offer.fee),
+      selectedAt: nowTs,
+      escrowId: escrow?.escrowId,
+    });
+    await postMeshMessage(sdk, config, acceptMsg);
+
+    await settleDeal(sdk, {
+      intentId,
+      executorAddress: offer.fromAddress,
+      fee: offer.fee,
+      escrowId: escrow?.escrowId,
+      escrowStatus: escrow ? 'locked' : undefined,
+      dueAt: nowTs + Math.ceil(parseEtaSeconds(offer.eta)),
+    });
+  }
 
-  return { accepted: true, best, scored };
+  return { accepted: true, best, selected, scored };
 }
 
 async function handleBeacon(msg, sdk, config) {
@@ -318,18 +820,31 @@ async function handleBeacon(msg, sdk, config) {
     stakeAgeSeconds: stakeInfo.ageSeconds,
     lastSeen: now(),
     replyChat: msg.replyChat,
+    publicKey: msg.sig ? msg.pubkey : undefined,
+    activeDeals: msg.activeDeals,
+    maxConcurrentDeals: msg.maxDeals ?? null,
+    protocolVersions: peerMeshVersions(msg),
   });
 }
 
 async function handleIntent(msg, sdk, config) {
-  await saveIntent(sdk, {
+  const existing = await getIntent(sdk, msg.id);
+  if (existing?.status === 'cancelled' && existing.fromAddress === msg.from) {
+    return { saved: false, autoOffer: false, reason: 'intent_cancelled' };
+  }
+
+  const intent = await saveIntent(sdk, {
     id: msg.id,
     fromAddress: msg.from,
     skill: msg.skill,
     payload: msg.payload,
-    budget: msg.budget,
+    budget: parseTon(msg.budget, 'budget'),
     deadline: msg.deadline,
     minReputation: msg.minReputation,
+    auction: msg.auction,
+    revealDeadline: msg.revealDeadline,
+    executors: msg.executors,
+    quorum: msg.quorum,
     status: 'pending',
     createdAt: now(),
   });
@@ -340,7 +855,7 @@ async function handleIntent(msg, sdk, config) {
   }
 
   const selfPeer = await getSelfPeer(sdk, config);
-  const skills = selfPeer?.skills || config.skills || [];
+  const skills = selfPeer?.skills || configuredSkills(config) || [];
   if (!skills.includes(msg.skill)) {
     return { saved: true, autoOffer: false, reason: 'skill_mismatch' };
   }
@@ -351,26 +866,58 @@ async function handleIntent(msg, sdk, config) {
     return { saved: true, autoOffer: false, reason: 'reputation_too_low' };
   }
 
-  const suggested = defaultOfferForIntent({ ...msg, budget: msg.budget }, selfPeer, config);
-  if (toNum(suggested.fee) > toNum(msg.budget)) {
+  const capacity = await capacityState(sdk, config, ownAddress, msg.skill);
+  if (capacity.saturated && config.saturationPolicy !== 'raiseEta') {
+    return { saved: true, autoOffer: false, reason: 'at_capacity', load: capacity.load };
+  }
+
+  const suggested = await quoteOfferForIntent(sdk, config, intent, { ownAddress, selfPeer, selfReputation: selfRep });
+  if (!suggested) {
+    return { saved: true, autoOffer: false, reason: 'pricing_declined' };
+  }
+  if (suggested.fee > intent.budget) {
     return { saved: true, autoOffer: false, reason: 'budget_too_low' };
   }
 
-  return runMeshOffer({ intentId: msg.id, fee: suggested.fee, eta: suggested.eta }, sdk, config, { auto: true });
+  return runMeshOffer(
+    {
+      intentId: msg.id,
+      fee: suggested.fee,
+      eta: capacity.saturated ? backloggedEta(suggested.eta, capacity.backlog) : suggested.eta,
+    },
+    sdk,
+    config,
+    { auto: true },
+  );
 }
 
 async function handleOffer(msg, sdk, config) {
+  const known = await getIntent(sdk, msg.intentId);
+  if (known?.status === 'cancelled') {
+    return { saved: false, autoAccept: false, reason: 'intent_cancelled' };
+  }
+  // Peers that predate sealed bids read the intent as open; their cleartext offers are not taken.
+  if (known?.auction === 'sealed') {
+    return { saved: false, autoAccept: false, reason: 'sealed_auction' };
+  }
+
   const repClient = getReputationClient(sdk, config);
   const stakeInfo = await repClient.getStakeInfo(msg.from);
   const offer = await recordOffer(sdk, {
+    id: offerIdForRound(msg.intentId, msg.from, msg.round),
     intentId: msg.intentId,
     fromAddress: msg.from,
-    fee: msg.fee,
+    fee: parseTon(msg.fee, 'fee'),
+    feeRaw: msg.fee,
     eta: msg.eta,
     reputation: msg.reputation ?? (await repClient.getReputation(msg.from)),
     stakeAgeSeconds: stakeInfo.ageSeconds,
     escrowAddress: msg.escrowAddress,
+    round: msg.round,
   });
+  if (msg.round > 0) {
+    await supersedeOffers(sdk, msg.intentId, msg.from, offer.id);
+  }
 
   const intent = await getIntent(sdk, msg.intentId);
   const ownAddress = getOwnAddress(sdk, config);
@@ -378,103 +925,898 @@ async function handleOffer(msg, sdk, config) {
     return { saved: true, autoAccept: false, offer };
   }
 
-  const result = await autoAcceptBestOffer(sdk, config, msg.intentId);
-  return { saved: true, autoAccept: !!result?.accepted, offer, selection: result ?? null };
+  return { saved: true, offer, ...(await considerOffer(sdk, config, intent, offer)) };
+}
+
+// Sealed bids on our own pending intents: commitments while bidding is open, reveals once it has closed.
+async function sealedIntentFor(sdk, config, msg) {
+  const intent = await getIntent(sdk, msg.intentId);
+  const ownAddress = getOwnAddress(sdk, config);
+  if (!intent || intent.fromAddress !== ownAddress || msg.to !== ownAddress) return { reason: 'not_our_intent' };
+  if (intent.auction !== 'sealed') return { reason: 'not_sealed' };
+  if (intent.status !== 'pending') return { reason: 'intent_not_pending' };
+  return { intent };
+}
+
+async function handleCommit(msg, sdk, config) {
+  const { intent, reason } = await sealedIntentFor(sdk, config, msg);
+  if (!intent) return { saved: false, reason };
+  if (now() >= intent.deadline) return { saved: false, reason: 'bidding_closed' };
+
+  const committed = await commitOffer(sdk, { intentId: intent.id, fromAddress: msg.from, commitment: msg.commitment });
+  if (!committed.created) return { saved: false, reason: 'already_committed' };
+  return { saved: true, commitment: committed.commitment };
+}
+
+async function handleReveal(msg, sdk, config) {
+  const { intent, reason } = await sealedIntentFor(sdk, config, msg);
+  if (!intent) return { saved: false, reason };
+  const ts = now();
+  if (ts < intent.deadline) return { saved: false, reason: 'bidding_open' };
+  if (ts >= revealDeadlineOf(intent, config)) return { saved: false, reason: 'reveal_closed' };
+
+  // Checked against the commitment when bidding closes (processDeadlinesOnce), not here.
+  const revealed = await revealCommitment(sdk, intent.id, msg.from, {
+    fee: parseTon(msg.fee, 'fee'),
+    eta: msg.eta,
+    escrowAddress: msg.escrowAddress,
+    nonce: msg.nonce,
+  });
+  if (!revealed.ok) return { saved: false, reason: revealed.reason };
+  return { saved: true, commitment: revealed.commitment };
+}
+
+async function handleCounter(msg, sdk, config) {
+  const intent = await getIntent(sdk, msg.intentId);
+  if (!intent || intent.status !== 'pending') {
+    return { ignored: true, reason: 'intent_not_pending' };
+  }
+
+  const fromRequester = msg.from === intent.fromAddress;
+  if (!fromRequester && msg.to !== intent.fromAddress) {
+    return { ignored: true, reason: 'counter_not_between_parties' };
+  }
+  if (!fromRequester && parseTon(msg.fee, 'fee') > intent.budget) {
+    return { ignored: true, reason: 'budget_exceeded' };
+  }
+
+  const executor = fromRequester ? msg.to : msg.from;
+  const { round } = await negotiationState(sdk, intent.id, executor);
+  if (msg.round <= round) return { ignored: true, reason: 'stale_round' };
+  if (msg.round > maxNegotiationRounds(config)) return { ignored: true, reason: 'round_limit_reached' };
+
+  const offer = await applyCounter(sdk, intent, msg);
+  const ownAddress = getOwnAddress(sdk, config);
+  if (fromRequester && ownAddress === executor) {
+    return { countered: true, offer, response: await respondToCounter(sdk, config, intent, offer, msg) };
+  }
+  if (!fromRequester && ownAddress === intent.fromAddress) {
+    return { countered: true, offer, ...(await considerOffer(sdk, config, intent, offer)) };
+  }
+  return { countered: true, offer };
+}
+
+// An escrow backs a deal only while it is locked for the executor and holds at least the fee.
+function escrowCoversFee(escrow, beneficiary, fee) {
+  if (escrow?.status !== 'locked' || escrow.beneficiary !== beneficiary) return false;
+  try {
+    return parseTon(escrow.amount, 'amount') >= fee;
+  } catch {
+    return false;
+  }
 }
 
 async function handleAccept(msg, sdk, config) {
   const intent = await getIntent(sdk, msg.intentId);
-  if (intent && intent.status === 'pending') {
+  if (!intent) return { ignored: true, reason: 'intent_not_found' };
+  // Only the requester selects; an accept from anyone else would get our skill run for free.
+  if (msg.from !== intent.fromAddress) return { ignored: true, reason: 'not_intent_requester' };
+
+  const multi = isMultiExecutor(intent);
+  // Past the deadline our copy may already be swept to expired; the requester's accept still stands.
+  if (intent.status === 'pending' || intent.status === 'expired') {
     await updateIntentStatus(sdk, msg.intentId, 'accepted', {
       selectedExecutor: msg.to,
+      ...(multi ? { selectedExecutors: [msg.to] } : {}),
+    });
+  } else if (multi && intent.status === 'accepted' && !selectedExecutorsOf(intent).includes(msg.to)) {
+    // Each executor of a multi-executor intent gets its own accept.
+    await updateIntentStatus(sdk, msg.intentId, 'accepted', {
+      selectedExecutors: [...selectedExecutorsOf(intent), msg.to],
     });
   }
 
-  const existing = await getDeal(sdk, msg.intentId);
+  const fee = parseTon(msg.fee, 'fee');
+  const escrow = msg.escrowId
+    ? await getEscrowClient(sdk, config).getEscrow(msg.escrowId).catch(() => null)
+    : null;
+  const funded = !msg.escrowId || escrowCoversFee(escrow, msg.to, fee);
+
+  const existing = await getDeal(sdk, msg.intentId, msg.to);
   if (!existing) {
     await settleDeal(sdk, {
       intentId: msg.intentId,
       executorAddress: msg.to,
-      fee: msg.fee,
+      fee,
+      escrowId: msg.escrowId,
+      escrowStatus: msg.escrowId ? (funded ? 'locked' : 'unfunded') : undefined,
     });
   }
 
   const ownAddress = getOwnAddress(sdk, config);
   if (ownAddress === msg.to) {
-    await replyToChat(sdk, config.operatorChatId, `MESH accept received for intent ${msg.intentId}. Fee ${msg.fee} TON.`);
+    // The skill only runs for the fee we offered, and an escrow-backed accept must hold that fee.
+    const { active: offer } = await negotiationState(sdk, msg.intentId, ownAddress);
+    let refused = null;
+    if (!offer || fee !== offer.fee) refused = 'fee_mismatch';
+    else if (!funded) refused = 'escrow_unfunded';
+
+    let escrowNote = '';
+    if (refused === 'fee_mismatch') {
+      escrowNote = ` WARNING: we offered ${offer ? formatTon(offer.fee) : 'nothing'} TON; not executing.`;
+    } else if (msg.escrowId) {
+      escrowNote = funded
+        ? ` Escrow ${msg.escrowId} locked.`
+        : ` WARNING: escrow ${msg.escrowId} is not locked for us with the fee; not executing.`;
+    }
+    await replyToChat(sdk, config.operatorChatId, `MESH accept received for intent ${msg.intentId}. Fee ${msg.fee} TON.${escrowNote}`);
+    if (refused) return { accepted: true, execution: 'refused', reason: refused };
+
+    const handler = skillHandlerFor(config, intent.skill);
+    if (handler) {
+      const started = startExecution(sdk, config, await getIntent(sdk, msg.intentId), msg, handler);
+      return { accepted: true, execution: started ? 'started' : 'already_running' };
+    }
   }
 
   return { accepted: true };
 }
 
-async function handleSettle(msg, sdk, config) {
-  const repClient = getReputationClient(sdk, config);
-  await settleDeal(sdk, {
-    intentId: msg.intentId,
-    executorAddress: msg.from,
-    txHash: msg.txHash,
-    outcome: msg.outcome,
-    rating: msg.rating,
-    settledAt: now(),
-  });
+function ensureExecutions(sdk) {
+  if (!sdk.__meshExecutions) {
+    sdk.__meshExecutions = new Map();
+  }
+  return sdk.__meshExecutions;
+}
 
-  await updateIntentStatus(sdk, msg.intentId, 'settled');
+// Handlers get roughly executionTimeoutFactor x the eta we quoted before the run is abandoned.
+async function executionTimeoutMs(sdk, config, intent, executorAddress) {
+  const ours = (await listOffersForIntent(sdk, intent.id))
+    .filter((offer) => offer.fromAddress === executorAddress && offer.status !== 'superseded')
+    .sort((a, b) => toNum(b.round) - toNum(a.round));
+  const etaSeconds = parseEtaSeconds(ours[0]?.eta);
+  const seconds = etaSeconds > 0
+    ? etaSeconds * toNum(config.executionTimeoutFactor, 2)
+    : toNum(config.defaultExecutionTimeoutSeconds, 60);
+  return Math.max(1000, Math.ceil(seconds * 1000));
+}
 
-  const reputation = await repClient.getReputation(msg.from);
-  await upsertPeer(sdk, {
-    address: msg.from,
-    reputation,
-    lastSeen: now(),
-    skills: (await listPeers(sdk)).find((p) => p.address === msg.from)?.skills || [],
+async function withTimeout(promise, ms, controller) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => controller.abort(new Error(`execution timed out after ${ms}ms`)), ms);
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
   });
-
-  return { settled: true, reputation };
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
-async function withSetup(sdk, config) {
-  sdk.__meshRuntimeConfig = { ...(sdk.__meshRuntimeConfig || {}), ...(config || {}) };
-  if (!sdk.__meshMigrationsComplete) {
-    await migrateRegistry(sdk, { config });
-    sdk.__meshMigrationsComplete = true;
-  }
-  const sweepEveryMs = Math.max(250, Number(config?.expirySweepIntervalMs ?? 1000));
-  const nowMs = Date.now();
-  if (!sdk.__meshLastExpirySweepAt || (nowMs - sdk.__meshLastExpirySweepAt) >= sweepEveryMs) {
-    await expireIntents(sdk);
-    sdk.__meshLastExpirySweepAt = nowMs;
-  }
-  return { sdk, config };
+// Off-bus storage for large results: { put(output, { intentId, hash }) -> ref, get(ref, { intentId, hash }) -> output }.
+function getResultStore(sdk, config) {
+  return config.resultStore || sdk?.meshStorage || null;
 }
 
-async function processDeadlinesOnce(sdk, config) {
-  const pending = await listIntents(sdk, { status: 'pending' });
-  const ts = now();
-  let accepted = 0;
-  let expired = 0;
+function maxInlineResultBytes(config = {}) {
+  const n = Number(config.maxInlineResultBytes);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : maxPayloadBytes(config);
+}
 
-  for (const intent of pending) {
-    if (!Number.isFinite(intent.deadline) || intent.deadline > ts) continue;
-    const selection = await autoAcceptBestOffer(sdk, { ...config, waitForDeadline: false }, intent.id);
-    if (selection?.accepted) {
-      accepted += 1;
-      continue;
-    }
+async function packResult(sdk, config, intent, { status, output, error }) {
+  if (output === undefined) return { status, error };
 
-    const latest = await getIntent(sdk, intent.id);
-    if (latest?.status === 'pending') {
-      await updateIntentStatus(sdk, intent.id, 'expired');
-      expired += 1;
-    }
+  const outputHash = hashMeshContent(output);
+  if (Buffer.byteLength(JSON.stringify(output), 'utf8') <= maxInlineResultBytes(config)) {
+    return { status, output, outputHash, error };
   }
 
-  return { accepted, expired, scanned: pending.length };
+  const store = getResultStore(sdk, config);
+  if (!store?.put) return { status: 'failure', error: 'output_too_large' };
+  const outputRef = await store.put(output, { intentId: intent.id, hash: outputHash });
+  return { status, outputHash, outputRef: String(outputRef), error };
 }
 
-function ensureDeadlineScheduler(sdk, config) {
-  if (!(config.enableScheduler ?? true)) return;
-  if (sdk.__meshDeadlineScheduler) return;
+async function deliverResult(sdk, config, intent, result) {
+  const packed = await packResult(sdk, config, intent, result);
+  const resultMsg = buildResultMessage({
+    intentId: intent.id,
+    from: getOwnAddress(sdk, config),
+    to: intent.fromAddress,
+    ...packed,
+  });
+  await postMeshMessage(sdk, config, resultMsg);
 
-  const intervalMs = Math.max(250, Number(config.schedulerIntervalMs ?? 1000));
+  await settleDeal(sdk, {
+    intentId: intent.id,
+    executorAddress: resultMsg.from,
+    resultStatus: resultMsg.status,
+    resultHash: resultMsg.outputHash,
+    resultRef: resultMsg.outputRef,
+    resultOutput: packed.outputHash ? result.output : undefined,
+    resultError: resultMsg.error,
+    resultVerified: packed.outputHash ? true : undefined,
+    deliveredAt: now(),
+  });
+  return resultMsg;
+}
+
+// Escrowed deals complete on their own; otherwise the operator completes once payment lands.
+async function handOffToSettlement(sdk, config, intent, outcome) {
+  const deal = await getDeal(sdk, intent.id, getOwnAddress(sdk, config));
+  if (deal?.escrowId && config.autoSettle !== false) {
+    return runMeshComplete({ intentId: intent.id, outcome }, sdk, config);
+  }
+  await replyToChat(
+    sdk,
+    config.operatorChatId,
+    `MESH intent ${intent.id} finished (${outcome}). Run mesh_complete once payment is confirmed.`,
+  );
+  return null;
+}
+
+async function executeDeal(sdk, config, intent, accept, handler, controller) {
+  const ownAddress = getOwnAddress(sdk, config);
+  const timeoutMs = await executionTimeoutMs(sdk, config, intent, ownAddress);
+  const ctx = {
+    intent,
+    requester: intent.fromAddress,
+    fee: parseTon(accept.fee, 'fee'),
+    escrowId: accept.escrowId ?? null,
+    timeoutMs,
+    signal: controller.signal,
+    progress: async (percent, note = '') => {
+      if (controller.signal.aborted) return;
+      const pct = Math.max(0, Math.min(100, Math.round(toNum(percent))));
+      await replyToChat(sdk, config.operatorChatId, `MESH intent ${intent.id}: ${pct}%${note ? ` ${note}` : ''}`);
+    },
+  };
+
+  let result;
+  try {
+    const output = await withTimeout(Promise.resolve().then(() => handler(intent.payload, ctx)), timeoutMs, controller);
+    result = { status: 'success', output };
+  } catch (err) {
+    if (controller.signal.reason === EXECUTION_STOPPED) {
+      return { intentId: intent.id, status: 'stopped' };
+    }
+    result = { status: 'failure', error: String(err?.message || err) };
+  }
+
+  const delivered = await deliverResult(sdk, config, intent, result);
+  const settlement = await handOffToSettlement(sdk, config, intent, delivered.status);
+  return { intentId: intent.id, status: delivered.status, settlement };
+}
+
+function startExecution(sdk, config, intent, accept, handler) {
+  const executions = ensureExecutions(sdk);
+  if (executions.has(intent.id)) return null;
+
+  const controller = new AbortController();
+  const done = executeDeal(sdk, config, intent, accept, handler, controller)
+    .catch((err) => {
+      getLogger(sdk).error?.(`[MESH] execution of intent ${intent.id} failed: ${err?.message || err}`);
+      return { intentId: intent.id, status: 'error', error: String(err?.message || err) };
+    })
+    .finally(() => executions.delete(intent.id));
+  executions.set(intent.id, { controller, done });
+  return done;
+}
+
+async function handleResult(msg, sdk, config) {
+  const intent = await getIntent(sdk, msg.intentId);
+  const ownAddress = getOwnAddress(sdk, config);
+  if (!intent || intent.fromAddress !== ownAddress || msg.to !== ownAddress) {
+    return { ignored: true, reason: 'not_our_intent' };
+  }
+  if (!selectedExecutorsOf(intent).includes(msg.from)) {
+    return { ignored: true, reason: 'not_selected_executor' };
+  }
+
+  const { output, hash, verified } = await verifyResultOutput(sdk, config, msg);
+  await settleDeal(sdk, {
+    intentId: msg.intentId,
+    executorAddress: msg.from,
+    resultStatus: msg.status,
+    resultHash: hash,
+    resultRef: msg.outputRef,
+    resultOutput: output,
+    resultError: msg.error,
+    resultVerified: verified ?? undefined,
+    deliveredAt: now(),
+  });
+
+  const check = verified === false ? 'HASH MISMATCH' : (verified ? `sha256 ${hash.slice(0, 12)}… verified` : 'unverified');
+  const detail = msg.status === 'success' ? check : `error: ${msg.error || 'unknown'}`;
+  await replyToChat(sdk, config.operatorChatId, `MESH result for intent ${msg.intentId} from ${msg.from}: ${msg.status} (${detail}).`);
+  if (isMultiExecutor(intent)) {
+    const { quorum } = await aggregateResults(sdk, config, msg.intentId);
+    return { received: true, status: msg.status, verified, output, quorum };
+  }
+  return { received: true, status: msg.status, verified, output };
+}
+
+async function everySelectedDeal(sdk, intent, predicate) {
+  const deals = new Map((await listDeals(sdk, { intentId: intent.id })).map((deal) => [deal.executorAddress, deal]));
+  return selectedExecutorsOf(intent).every((executor) => deals.has(executor) && predicate(deals.get(executor)));
+}
+
+// A multi-executor intent is rated only once its quorum is decided: matching results from `quorum` executors,
+// or too few left to get there. Completions that came in before then are rated at that point, later ones
+// as they come (ratedBy names the executor that just completed).
+async function aggregateResults(sdk, config, intentId, { ratedBy = null } = {}) {
+  let intent = await getIntent(sdk, intentId);
+  const deals = await listDeals(sdk, { intentId });
+  let waiting = ratedBy ? [ratedBy] : [];
+  if (!intent.quorumStatus) {
+    const tally = tallyQuorum(intent, deals);
+    if (tally.status === 'pending') return { quorum: tally, rated: 0 };
+    intent = await updateIntentStatus(sdk, intentId, intent.status, { quorumStatus: tally.status, quorumHash: tally.hash });
+    const note = tally.status === 'reached'
+      ? `reached its quorum: ${tally.votes[tally.hash]} of ${selectedExecutorsOf(intent).length} executors returned sha256 ${tally.hash.slice(0, 12)}…`
+      : `failed to reach its quorum of ${tally.required}`;
+    await replyToChat(sdk, config.operatorChatId, `MESH intent ${intentId} ${note}.`);
+    waiting = selectedExecutorsOf(intent);
+  }
+
+  const quorum = { status: intent.quorumStatus, hash: intent.quorumHash, required: quorumOf(intent) };
+  const completed = deals.filter((deal) => waiting.includes(deal.executorAddress) && deal.outcome && deal.rating == null);
+  let rated = 0;
+  for (const deal of completed) {
+    // Optional host hook, as for single-executor intents, with the quorum the deal is judged against.
+    const rating = typeof config.rateDeal === 'function'
+      ? await config.rateDeal({
+        intent,
+        deal,
+        complete: buildCompleteMessage({
+          intentId, from: deal.executorAddress, to: intent.fromAddress, outcome: deal.outcome, txHash: deal.txHash,
+        }),
+        quorum,
+      })
+      : null;
+    if (rating != null) {
+      await runMeshRate({ intentId, executor: deal.executorAddress, rating }, sdk, config);
+      rated += 1;
+    } else {
+      await replyToChat(
+        sdk,
+        config.operatorChatId,
+        `MESH intent ${intentId} completed by ${deal.executorAddress} (${deal.outcome}). Rate it with mesh_rate.`,
+      );
+    }
+  }
+  return { quorum, rated };
+}
+
+// verified is null when the output could not be checked (no hash claimed, or the ref could not be fetched).
+async function verifyResultOutput(sdk, config, msg) {
+  if (!msg.outputRef) {
+    if (msg.output === undefined) return { output: undefined, hash: undefined, verified: null };
+    const hash = hashMeshContent(msg.output);
+    return { output: msg.output, hash: msg.outputHash ?? hash, verified: msg.outputHash ? hash === msg.outputHash : null };
+  }
+
+  const store = getResultStore(sdk, config);
+  if (!store?.get) return { output: undefined, hash: msg.outputHash, verified: null };
+  try {
+    const output = await store.get(msg.outputRef, { intentId: msg.intentId, hash: msg.outputHash });
+    return { output, hash: msg.outputHash, verified: hashMeshContent(output) === msg.outputHash };
+  } catch (err) {
+    getLogger(sdk).warn?.(`[MESH] could not fetch result ${msg.outputRef} for intent ${msg.intentId}: ${err?.message || err}`);
+    return { output: undefined, hash: msg.outputHash, verified: null };
+  }
+}
+
+async function handleComplete(msg, sdk, config) {
+  const intent = await getIntent(sdk, msg.intentId);
+  const ownAddress = getOwnAddress(sdk, config);
+  if (!intent || intent.fromAddress !== ownAddress || msg.to !== ownAddress) {
+    return { ignored: true, reason: 'not_our_intent' };
+  }
+  if (!selectedExecutorsOf(intent).includes(msg.from)) {
+    return { ignored: true, reason: 'not_selected_executor' };
+  }
+
+  const deal = await getDeal(sdk, msg.intentId, msg.from);
+  await settleDeal(sdk, {
+    intentId: msg.intentId,
+    executorAddress: msg.from,
+    txHash: msg.txHash,
+    outcome: msg.outcome,
+    escrowStatus: deal?.escrowId ? (msg.outcome === 'success' ? 'claimed' : 'failed') : undefined,
+  });
+
+  if (isMultiExecutor(intent)) {
+    if (await everySelectedDeal(sdk, intent, (selected) => selected.outcome != null)) {
+      await updateIntentStatus(sdk, msg.intentId, 'completed');
+    }
+    const { quorum, rated } = await aggregateResults(sdk, config, msg.intentId, { ratedBy: msg.from });
+    return { completed: true, rated: rated > 0, quorum };
+  }
+  await updateIntentStatus(sdk, msg.intentId, 'completed');
+
+  // Optional host hook: async ({ intent, deal, complete }) => rating (1-10) or null to leave rating to the operator.
+  if (typeof config.rateDeal === 'function') {
+    const rating = await config.rateDeal({ intent, deal: await getDeal(sdk, msg.intentId, msg.from), complete: msg });
+    if (rating != null) {
+      const rated = await runMeshRate({ intentId: msg.intentId, rating }, sdk, config);
+      return { completed: true, rated: true, reputation: rated.reputation };
+    }
+  }
+
+  await replyToChat(
+    sdk,
+    config.operatorChatId,
+    `MESH intent ${msg.intentId} completed by ${msg.from} (${msg.outcome}). Rate it with mesh_rate.`,
+  );
+  return { completed: true, rated: false };
+}
+
+async function handleSettle(msg, sdk, config) {
+  const intent = await getIntent(sdk, msg.intentId);
+  if (!intent) {
+    return { ignored: true, reason: 'intent_not_found' };
+  }
+  if (msg.from !== intent.fromAddress) {
+    return { ignored: true, reason: 'not_intent_requester' };
+  }
+
+  const deal = await getDeal(sdk, msg.intentId, msg.to ?? null);
+  const executorAddress = msg.to ?? deal?.executorAddress ?? intent.selectedExecutor;
+  await settleDeal(sdk, {
+    intentId: msg.intentId,
+    executorAddress,
+    txHash: msg.txHash,
+    outcome: msg.outcome,
+    rating: msg.rating,
+    settledAt: now(),
+  });
+
+  // Each executor of a multi-executor intent is settled on its own.
+  if (!isMultiExecutor(intent) || await everySelectedDeal(sdk, intent, (selected) => selected.rating != null)) {
+    await updateIntentStatus(sdk, msg.intentId, 'settled');
+  }
+
+  const reputation = await getReputationClient(sdk, config).getReputation(executorAddress);
+  await upsertPeer(sdk, { address: executorAddress, reputation });
+
+  return { settled: true, reputation };
+}
+
+// Cancels for intents we never saw are dropped rather than kept as half-empty records.
+async function handleCancel(msg, sdk) {
+  const cancelled = await cancelIntent(sdk, msg.intentId, msg.from);
+  if (!cancelled.ok) {
+    return { ignored: true, reason: cancelled.reason };
+  }
+
+  const droppedOffers = await deleteOffersForIntent(sdk, msg.intentId);
+  return { cancelled: true, droppedOffers };
+}
+
+async function checkDisputeParties(sdk, { intentId, from, against }) {
+  const intent = await getIntent(sdk, intentId);
+  if (!intent) return { ok: false, reason: 'intent_not_found' };
+  if (intent.fromAddress !== from) return { ok: false, reason: 'dispute_not_from_requester', intent };
+  // Each executor of a multi-executor intent can be disputed, also while another dispute is open.
+  const disputable = DISPUTABLE_INTENT_STATUSES.has(intent.status)
+    || (intent.status === 'disputed' && isMultiExecutor(intent));
+  if (!disputable) {
+    return { ok: false, reason: 'intent_not_disputable', intent };
+  }
+
+  // A multi-executor intent is disputed against one of its executors, which has to be named.
+  if (!against && isMultiExecutor(intent)) return { ok: false, reason: 'dispute_target_required', intent };
+  const deal = await getDeal(sdk, intentId, against ?? null);
+  const executor = deal?.executorAddress ?? intent.selectedExecutor ?? null;
+  if (!executor) return { ok: false, reason: 'no_executor_selected', intent };
+  if (against && against !== executor) return { ok: false, reason: 'dispute_target_not_executor', intent };
+
+  return { ok: true, intent, deal, executor };
+}
+
+function normalizeArbitrationDecision(decision) {
+  if (!decision) return null;
+  const resolved = typeof decision === 'string' ? { status: decision } : decision;
+  if (resolved.status !== 'confirmed' && resolved.status !== 'rejected') return null;
+  return resolved;
+}
+
+// Disputes are resolved by one agent the mesh agrees on, configured as arbiterAddress.
+function isArbiter(sdk, config) {
+  const ownAddress = getOwnAddress(sdk, config);
+  return Boolean(ownAddress) && config.arbiterAddress === ownAddress;
+}
+
+// Applies a resolved dispute to the deal and intent, on the arbiter and on every agent that hears its resolution.
+// Only the arbiter fails the escrow on chain; the others record that it did.
+async function applyDisputeResolution(sdk, config, dispute, { failEscrow = false } = {}) {
+  const intent = await getIntent(sdk, dispute.intentId);
+  // The intent stays disputed until its last open dispute is resolved.
+  const stillDisputed = (await listDisputes(sdk, { intentId: dispute.intentId, status: 'open' })).length > 0;
+  if (dispute.status === 'confirmed') {
+    const deal = await getDeal(sdk, dispute.intentId, dispute.againstAddress);
+    let escrowStatus;
+    if (deal?.escrowId && deal.escrowStatus === 'locked') {
+      if (failEscrow) {
+        await getEscrowClient(sdk, config).fail({
+          escrowId: deal.escrowId,
+          caller: getOwnAddress(sdk, config),
+          reason: 'dispute_confirmed',
+        });
+      }
+      escrowStatus = 'failed';
+    }
+    await settleDeal(sdk, { intentId: dispute.intentId, executorAddress: dispute.againstAddress, outcome: 'failure', escrowStatus });
+    // The other executors of a multi-executor intent carry on.
+    const multi = intent && isMultiExecutor(intent);
+    if (!stillDisputed) {
+      await updateIntentStatus(sdk, dispute.intentId, multi ? (dispute.intentStatus || 'accepted') : 'failed');
+    }
+  } else if (!stillDisputed) {
+    await updateIntentStatus(sdk, dispute.intentId, dispute.intentStatus || 'settled');
+  }
+
+  const ownAddress = getOwnAddress(sdk, config);
+  if (ownAddress && (ownAddress === dispute.againstAddress || ownAddress === dispute.fromAddress)) {
+    await replyToChat(sdk, config.operatorChatId, `MESH dispute ${dispute.id} ${dispute.status}.`);
+  }
+}
+
+async function resolveMeshDispute(sdk, config, disputeId, { status, resolution = null } = {}) {
+  if (!isArbiter(sdk, config)) {
+    throw new Error('Only the configured arbiter (arbiterAddress) can resolve disputes');
+  }
+  const current = await getDispute(sdk, disputeId);
+  if (!current) throw new Error(`Dispute not found: ${disputeId}`);
+
+  // Claim the dispute before slashing, so racing resolutions slash at most once.
+  const resolved = await resolveDispute(sdk, disputeId, { status, resolution });
+  if (!resolved.ok) return resolved;
+  let { dispute } = resolved;
+
+  let slash = null;
+  if (status === 'confirmed') {
+    try {
+      slash = await getReputationClient(sdk, config).slash({
+        offenderAddress: dispute.againstAddress,
+        reason: resolution || dispute.reason || 'dispute_confirmed',
+      });
+    } catch (err) {
+      getLogger(sdk).error?.(`[MESH] slashing ${dispute.againstAddress} failed for dispute ${disputeId}`, err);
+      await replyToChat(sdk, config.operatorChatId, `WARNING: MESH dispute ${disputeId} confirmed but the slash failed; slash ${dispute.againstAddress} manually.`);
+    }
+    if (slash?.slashedStake != null) {
+      dispute = await recordDisputeSlash(sdk, disputeId, slash.slashedStake) ?? dispute;
+    }
+  }
+
+  await applyDisputeResolution(sdk, config, dispute, { failEscrow: true });
+  await postMeshMessage(sdk, config, buildResolutionMessage({
+    disputeId,
+    intentId: dispute.intentId,
+    from: getOwnAddress(sdk, config),
+    against: dispute.againstAddress,
+    status,
+    resolution,
+    slashedStake: dispute.slashedStake == null ? undefined : formatTon(dispute.slashedStake),
+  }));
+
+  return { ok: true, dispute, slash };
+}
+
+// Resolutions count only when signed with the arbiter's known key; anyone can put its address in `from`.
+async function handleResolution(msg, sdk, config) {
+  if (!config.arbiterAddress || msg.from !== config.arbiterAddress) {
+    return { ignored: true, reason: 'not_arbiter' };
+  }
+  const arbiterKey = msg.sig ? await resolveWalletPublicKey(sdk, config, msg.from) : null;
+  if (!arbiterKey || arbiterKey !== msg.pubkey) {
+    return { ignored: true, reason: 'resolution_not_signed_by_arbiter' };
+  }
+
+  const dispute = await getDispute(sdk, msg.disputeId);
+  if (!dispute || dispute.intentId !== msg.intentId || dispute.againstAddress !== msg.against) {
+    return { ignored: true, reason: 'dispute_not_found' };
+  }
+  const resolved = await resolveDispute(sdk, msg.disputeId, {
+    status: msg.status,
+    resolution: msg.resolution,
+    slashedStake: msg.slashedStake,
+  });
+  if (!resolved.ok) return { ignored: true, reason: resolved.reason };
+
+  await applyDisputeResolution(sdk, config, resolved.dispute);
+  return { resolved: true, dispute: resolved.dispute };
+}
+
+async function arbitrateDispute(sdk, config, dispute, context = {}) {
+  if (!isArbiter(sdk, config)) return null;
+  const hook = typeof config.arbitrateDispute === 'function'
+    ? config.arbitrateDispute
+    : sdk?.meshArbiter?.arbitrateDispute?.bind(sdk.meshArbiter);
+  if (!hook) return null;
+
+  try {
+    const decision = normalizeArbitrationDecision(await hook(dispute, { ...context, sdk, config }));
+    if (!decision) return null;
+    return await resolveMeshDispute(sdk, config, dispute.id, decision);
+  } catch (err) {
+    getLogger(sdk).error?.(`[MESH] arbitration failed for dispute ${dispute.id}`, err);
+    return { ok: false, reason: 'arbitration_failed' };
+  }
+}
+
+async function recordDispute(sdk, config, { intent, deal, from, against, reason, evidenceTx }) {
+  // A second dispute on an intent restores the status from before the first one.
+  let intentStatus = intent.status;
+  if (intentStatus === 'disputed') {
+    const [earlier] = await listDisputes(sdk, { intentId: intent.id, status: 'open' });
+    intentStatus = earlier?.intentStatus || 'accepted';
+  }
+  const opened = await openDispute(sdk, {
+    intentId: intent.id,
+    fromAddress: from,
+    againstAddress: against,
+    reason,
+    evidenceTx,
+    intentStatus,
+  });
+  if (!opened.created) {
+    return { created: false, dispute: opened.dispute, arbitration: null };
+  }
+
+  await updateIntentStatus(sdk, intent.id, 'disputed');
+  const arbitration = await arbitrateDispute(sdk, config, opened.dispute, { intent, deal });
+  return { created: true, dispute: opened.dispute, arbitration };
+}
+
+async function handleDispute(msg, sdk, config) {
+  const parties = await checkDisputeParties(sdk, { intentId: msg.intentId, from: msg.from, against: msg.against });
+  if (!parties.ok) {
+    return { ignored: true, reason: parties.reason };
+  }
+
+  const recorded = await recordDispute(sdk, config, {
+    intent: parties.intent,
+    deal: parties.deal,
+    from: msg.from,
+    against: parties.executor,
+    reason: msg.reason,
+    evidenceTx: msg.evidenceTx,
+  });
+
+  const ownAddress = getOwnAddress(sdk, config);
+  if (recorded.created && ownAddress === parties.executor) {
+    await replyToChat(
+      sdk,
+      config.operatorChatId,
+      `MESH dispute opened against us for intent ${msg.intentId}: ${msg.reason || 'no reason given'}.`,
+    );
+  }
+
+  return { disputed: true, ...recorded };
+}
+
+// sweep: false leaves overdue intents to processDeadlinesOnce, which accepts before it expires.
+async function withSetup(sdk, config, { sweep = true } = {}) {
+  sdk.__meshRuntimeConfig = { ...(sdk.__meshRuntimeConfig || {}), ...(config || {}) };
+  if (!sdk.__meshMigrationsComplete) {
+    await migrateRegistry(sdk, { config });
+    sdk.__meshMigrationsComplete = true;
+  }
+  if (!sweep) return { sdk, config };
+  const sweepEveryMs = Math.max(250, Number(config?.expirySweepIntervalMs ?? 1000));
+  const nowMs = Date.now();
+  if (!sdk.__meshLastExpirySweepAt || (nowMs - sdk.__meshLastExpirySweepAt) >= sweepEveryMs) {
+    await expireIntents(sdk);
+    sdk.__meshLastExpirySweepAt = nowMs;
+  }
+  return { sdk, config };
+}
+
+async function reclaimEscrow(sdk, config, intent, deal) {
+  const ownAddress = getOwnAddress(sdk, config);
+  const refund = await getEscrowClient(sdk, config).refund({ escrowId: deal.escrowId, requester: ownAddress });
+  await settleDeal(sdk, { intentId: intent.id, executorAddress: deal.executorAddress, escrowStatus: 'refunded' });
+  if (!isMultiExecutor(intent) || await everySelectedDeal(sdk, intent, (selected) => selected.escrowStatus === 'refunded')) {
+    await updateIntentStatus(sdk, intent.id, 'refunded');
+  }
+  return refund;
+}
+
+async function reclaimExpiredEscrows(sdk, config) {
+  const ownAddress = getOwnAddress(sdk, config);
+  if (!ownAddress) return 0;
+
+  const candidates = [
+    ...(await listIntents(sdk, { status: 'accepted' })),
+    ...(await listIntents(sdk, { status: 'completed' })),
+    ...(await listIntents(sdk, { status: 'settled' })),
+  ].filter((intent) => intent.fromAddress === ownAddress);
+
+  let reclaimed = 0;
+  for (const intent of candidates) {
+    for (const deal of await listDeals(sdk, { intentId: intent.id })) {
+      if (!deal.escrowId || (deal.escrowStatus !== 'locked' && deal.escrowStatus !== 'failed')) continue;
+      const escrow = await getEscrowClient(sdk, config).getEscrow(deal.escrowId);
+      if (!isEscrowRefundable(escrow)) continue;
+      await reclaimEscrow(sdk, config, await getIntent(sdk, intent.id), deal);
+      reclaimed += 1;
+    }
+  }
+  return reclaimed;
+}
+
+async function processDeadlinesOnce(sdk, config) {
+  const pending = await listIntents(sdk, { status: 'pending' });
+  const ts = now();
+  let accepted = 0;
+  let expired = 0;
+
+  for (const intent of pending) {
+    if (!Number.isFinite(intent.deadline) || intent.deadline > ts) continue;
+    if (intent.auction === 'sealed' && !(await closeSealedBidding(sdk, config, intent, ts))) continue;
+    const selection = await autoAcceptBestOffer(sdk, { ...config, waitForDeadline: false }, intent.id);
+    if (selection?.accepted) {
+      accepted += 1;
+      continue;
+    }
+
+    const latest = await getIntent(sdk, intent.id);
+    if (latest?.status === 'pending') {
+      await updateIntentStatus(sdk, intent.id, 'expired');
+      expired += 1;
+    }
+  }
+
+  const reclaimed = escrowEnabled(sdk, config) && config.autoReclaimEscrow !== false
+    ? await reclaimExpiredEscrows(sdk, config)
+    : 0;
+
+  const workflows = await advanceWorkflows(sdk, config);
+
+  const compacted = await compactIfDue(sdk, config);
+
+  return { accepted, expired, reclaimed, scanned: pending.length, workflows, compacted };
+}
+
+// A sealed-bid intent past its deadline. Executors reveal their bid and leave selection to the requester.
+// Requesters wait until every commitment is revealed or the reveal deadline passes, then keep the reveals
+// that match their commitments as offers. Returns whether the intent is ready for selection.
+async function closeSealedBidding(sdk, config, intent, ts) {
+  const ownAddress = getOwnAddress(sdk, config);
+  if (intent.fromAddress !== ownAddress) {
+    await revealSealedOffer(sdk, config, intent, ownAddress);
+    return false;
+  }
+
+  const commitments = await listOfferCommitments(sdk, intent.id);
+  const waiting = commitments.some((commitment) => commitment.status === 'committed');
+  if (waiting && ts < revealDeadlineOf(intent, config)) return false;
+
+  for (const commitment of commitments) {
+    if (commitment.status === 'committed') {
+      await updateCommitmentStatus(sdk, intent.id, commitment.fromAddress, 'unrevealed');
+    } else if (commitment.status === 'revealed') {
+      await openSealedOffer(sdk, config, intent, commitment);
+    }
+  }
+  return true;
+}
+
+async function revealSealedOffer(sdk, config, intent, ownAddress) {
+  const own = (await listOfferCommitments(sdk, intent.id)).find((commitment) => commitment.fromAddress === ownAddress);
+  if (own?.status !== 'committed') return null;
+
+  const revealMsg = buildRevealMessage({
+    intentId: intent.id,
+    from: ownAddress,
+    to: intent.fromAddress,
+    fee: formatTon(own.fee),
+    eta: own.eta,
+    escrowAddress: own.escrowAddress ?? undefined,
+    nonce: own.nonce,
+  });
+  await postMeshMessage(sdk, config, revealMsg);
+  await updateCommitmentStatus(sdk, intent.id, ownAddress, 'revealed');
+  // Kept like any offer of ours, so an accepted deal's execution timeout follows its eta.
+  await recordOffer(sdk, {
+    intentId: intent.id,
+    fromAddress: ownAddress,
+    fee: own.fee,
+    eta: own.eta,
+    escrowAddress: own.escrowAddress,
+    createdAt: own.createdAt,
+  });
+  return revealMsg;
+}
+
+async function openSealedOffer(sdk, config, intent, commitment) {
+  const expected = sealedBidCommitment({
+    intentId: intent.id,
+    from: commitment.fromAddress,
+    fee: commitment.fee,
+    eta: commitment.eta,
+    escrowAddress: commitment.escrowAddress,
+    nonce: commitment.nonce,
+  });
+  if (expected !== commitment.commitment) {
+    getLogger(sdk).warn?.(`[MESH] sealed bid from ${commitment.fromAddress} on intent ${intent.id} does not match its commitment`);
+    await updateCommitmentStatus(sdk, intent.id, commitment.fromAddress, 'mismatch');
+    return null;
+  }
+
+  const repClient = getReputationClient(sdk, config);
+  const stakeInfo = await repClient.getStakeInfo(commitment.fromAddress);
+  // Arrival order (the stake-age tie-break) is when the bid was committed, not revealed.
+  const offer = await recordOffer(sdk, {
+    intentId: intent.id,
+    fromAddress: commitment.fromAddress,
+    fee: commitment.fee,
+    eta: commitment.eta,
+    reputation: await repClient.getReputation(commitment.fromAddress),
+    stakeAgeSeconds: stakeInfo.ageSeconds,
+    escrowAddress: commitment.escrowAddress,
+    createdAt: commitment.createdAt,
+  });
+  await updateCommitmentStatus(sdk, intent.id, commitment.fromAddress, 'verified');
+  return offer;
+}
+
+async function compactIfDue(sdk, config) {
+  const policy = retentionPolicy(config);
+  if (!policy) return null;
+  const everyMs = Math.max(1000, Number(policy.intervalMs) || DEFAULT_RETENTION.intervalMs);
+  const nowMs = Date.now();
+  if (sdk.__meshLastCompactionAt && (nowMs - sdk.__meshLastCompactionAt) < everyMs) return null;
+  sdk.__meshLastCompactionAt = nowMs;
+  return compactRegistry(sdk, policy);
+}
+
+async function broadcastBeacon(sdk, config) {
+  const { message, peerRecord } = await beaconFromConfigAndState(sdk, config);
+  await upsertPeer(sdk, peerRecord);
+  await postMeshMessage(sdk, config, message);
+  return message;
+}
+
+// Peers judge liveness by missed beacons, so an agent keeps beaconing while it runs.
+function ensureBeaconTimer(sdk, config) {
+  if (!(config.enableRebeacon ?? true)) return;
+  if (sdk.__meshBeaconTimer) return;
+
+  const { beaconIntervalMs } = livenessOptions(config);
+  const logger = getLogger(sdk);
+
+  const timer = setInterval(async () => {
+    try {
+      await broadcastBeacon(sdk, config);
+    } catch (err) {
+      logger.error?.('[MESH] re-beacon failed', err);
+    }
+  }, beaconIntervalMs);
+  if (typeof timer.unref === 'function') timer.unref();
+
+  sdk.__meshBeaconTimer = timer;
+}
+
+function ensureDeadlineScheduler(sdk, config) {
+  if (!(config.enableScheduler ?? true)) return;
+  if (sdk.__meshDeadlineScheduler) return;
+
+  const intervalMs = Math.max(250, Number(config.schedulerIntervalMs ?? 1000));
   const logger = getLogger(sdk);
 
   const timer = setInterval(async () => {
@@ -496,7 +1838,7 @@ async function runMeshRegister(args, sdk, config) {
   const repClient = getReputationClient(sdk, config);
   const registration = await repClient.registerAgent({
     address,
-    stake: toNum(args?.stake ?? config.stake ?? 1),
+    stake: parseTon(args?.stake ?? config.stake ?? 1, 'stake'),
   });
 
   const { message, peerRecord } = await beaconFromConfigAndState(sdk, {
@@ -526,8 +1868,8 @@ async function runMeshBroadcast(args, sdk, config) {
   if (!address) throw new Error('Agent wallet address not configured');
 
   const id = args?.id || uuidv4();
-  const budget = parseBudget(args?.budget);
-  if (budget <= 0) throw new Error('budget must be greater than 0');
+  const budget = parseTon(args?.budget, 'budget');
+  if (budget <= 0n) throw new Error('budget must be greater than 0');
   validateIntentPayloadSize(args?.payload || {}, config);
   const deadline = Number.isInteger(args?.deadline)
     ? args.deadline
@@ -537,156 +1879,698 @@ async function runMeshBroadcast(args, sdk, config) {
   if ((deadline - ts) > maxIntentDeadlineSeconds(config)) {
     throw new Error(`deadline exceeds max horizon of ${maxIntentDeadlineSeconds(config)} seconds`);
   }
+  // Weights and policy stay with the requester: they are checked now and stored on the intent for selection.
+  routerWeights(config.routerWeights, args?.weights);
+  const routerPolicy = args?.policy == null ? null : routerPolicySpec(args.policy, config.routerPolicies);
+  const auction = args?.auction ?? config.auction ?? 'open';
+  if (auction !== 'open' && auction !== 'sealed') throw new Error('auction must be open or sealed');
+  const revealDeadline = auction === 'sealed' ? deadline + revealWindowSeconds(config) : undefined;
+  const { executors, quorum } = validateQuorum(
+    { executors: args?.executors ?? 1, quorum: args?.quorum },
+    maxExecutorsPerIntent(config),
+  );
+  const multi = executors > 1;
 
   const intentMsg = buildIntentMessage({
     id,
     from: address,
     skill: args?.skill,
     payload: args?.payload || {},
-    budget: String(budget),
+    budget: formatTon(budget),
     deadline,
     minReputation: args?.minReputation ?? 0,
+    auction,
+    revealDeadline,
+    executors,
+    quorum: multi ? quorum : undefined,
+  });
+
+  await saveIntent(sdk, {
+    id,
+    fromAddress: address,
+    skill: args?.skill,
+    payload: args?.payload || {},
+    budget,
+    deadline,
+    minReputation: args?.minReputation ?? 0,
+    status: 'pending',
+    createdAt: now(),
+    routerWeights: args?.weights ?? null,
+    routerPolicy,
+    auction,
+    revealDeadline,
+    executors,
+    quorum: multi ? quorum : null,
+  });
+
+  await postMeshMessage(sdk, config, intentMsg);
+  return { ok: true, intent: intentMsg };
+}
+
+async function runMeshOffer(args, sdk, config, { auto = false } = {}) {
+  const intent = await getIntent(sdk, args?.intentId);
+  if (!intent) throw new Error(`Intent not found: ${args?.intentId}`);
+
+  const ownAddress = getOwnAddress(sdk, config);
+  if (!ownAddress) throw new Error('Agent wallet address not configured');
+  if (intent.fromAddress === ownAddress && !auto) {
+    throw new Error('Cannot offer on your own intent');
+  }
+  if (intent.status === 'cancelled') {
+    throw new Error(`Intent ${intent.id} was cancelled`);
+  }
+
+  const selfPeer = await getSelfPeer(sdk, config);
+  const skills = selfPeer?.skills || configuredSkills(config) || [];
+  if (!skills.includes(intent.skill)) {
+    throw new Error(`Agent does not have required skill: ${intent.skill}`);
+  }
+
+  const fee = parseTon(args?.fee, 'Offer fee');
+  if (fee <= 0n) {
+    throw new Error('Offer fee must be greater than 0');
+  }
+  if (fee > intent.budget) {
+    throw new Error('Offer fee exceeds intent budget');
+  }
+  if (intent.auction === 'sealed') {
+    return commitSealedOffer(sdk, config, intent, { ownAddress, fee, eta: args?.eta || '5s', round: args?.round, auto });
+  }
+
+  const repClient = getReputationClient(sdk, config);
+  const reputation = await repClient.getReputation(ownAddress);
+  const stakeInfo = await repClient.getStakeInfo(ownAddress);
+
+  const offerMsg = buildOfferMessage({
+    intentId: intent.id,
+    from: ownAddress,
+    fee: formatTon(fee),
+    eta: args?.eta || '5s',
+    reputation,
+    escrowAddress: config.escrowAddress,
+    round: args?.round,
+  });
+
+  const offer = await recordOffer(sdk, {
+    id: offerIdForRound(intent.id, ownAddress, args?.round),
+    intentId: intent.id,
+    fromAddress: ownAddress,
+    fee,
+    eta: args?.eta || '5s',
+    reputation,
+    stakeAgeSeconds: stakeInfo.ageSeconds,
+    escrowAddress: config.escrowAddress,
+    round: args?.round,
+  });
+  if (args?.round > 0) {
+    await supersedeOffers(sdk, intent.id, ownAddress, offer.id);
+  }
+
+  await postMeshMessage(sdk, config, offerMsg);
+  return { ok: true, auto, offer, message: offerMsg };
+}
+
+// Sealed bids: only a commitment goes out while bidding is open; the offer is revealed after the deadline.
+async function commitSealedOffer(sdk, config, intent, { ownAddress, fee, eta, round, auto }) {
+  if (round > 0) throw new Error(`Intent ${intent.id} takes sealed bids, which cannot be revised`);
+  if (now() >= intent.deadline) throw new Error(`Bidding on intent ${intent.id} has closed`);
+
+  const bid = {
+    intentId: intent.id,
+    from: ownAddress,
+    fee: formatTon(fee),
+    eta,
+    escrowAddress: config.escrowAddress,
+    nonce: randomBytes(16).toString('hex'),
+  };
+  const commitment = sealedBidCommitment(bid);
+  const committed = await commitOffer(sdk, {
+    intentId: intent.id,
+    fromAddress: ownAddress,
+    commitment,
+    fee,
+    eta,
+    escrowAddress: bid.escrowAddress,
+    nonce: bid.nonce,
+  });
+  if (!committed.created) throw new Error(`A sealed bid on intent ${intent.id} was already committed`);
+
+  const commitMsg = buildCommitMessage({ intentId: intent.id, from: ownAddress, to: intent.fromAddress, commitment });
+  await postMeshMessage(sdk, config, commitMsg);
+  return { ok: true, auto, sealed: true, commitment: committed.commitment, message: commitMsg };
+}
+
+async function runMeshCounter(args, sdk, config) {
+  const intent = await getIntent(sdk, args?.intentId);
+  if (!intent) throw new Error(`Intent not found: ${args?.intentId}`);
+  if (intent.status !== 'pending') throw new Error(`Intent ${intent.id} is ${intent.status}`);
+
+  const ownAddress = getOwnAddress(sdk, config);
+  if (!ownAddress) throw new Error('Agent wallet address not configured');
+
+  const asRequester = intent.fromAddress === ownAddress;
+  const executor = asRequester ? args?.to : ownAddress;
+  if (!executor) throw new Error('to (executor address) is required when countering as requester');
+
+  const { active, round } = await negotiationState(sdk, intent.id, executor);
+  if (!active) throw new Error(`No offer from ${executor} to counter`);
+
+  const counterMsg = await sendCounter(sdk, config, intent, {
+    offerId: active.id,
+    from: ownAddress,
+    to: asRequester ? executor : intent.fromAddress,
+    fee: args?.fee,
+    eta: args?.eta || active.eta,
+    round: round + 1,
+  });
+  return { ok: true, message: counterMsg };
+}
+
+async function runMeshCancel(args, sdk, config) {
+  const ownAddress = getOwnAddress(sdk, config);
+  if (!ownAddress) throw new Error('Agent wallet address not configured');
+
+  const cancelled = await cancelIntent(sdk, args?.intentId, ownAddress);
+  if (!cancelled.ok) {
+    throw new Error(`Cannot cancel intent: ${cancelled.reason}`);
+  }
+
+  const droppedOffers = await deleteOffersForIntent(sdk, args.intentId);
+  const cancelMsg = buildCancelMessage({
+    intentId: args.intentId,
+    from: ownAddress,
+    reason: args?.reason,
+  });
+  await postMeshMessage(sdk, config, cancelMsg);
+
+  return { ok: true, intent: cancelled.intent, droppedOffers, message: cancelMsg };
+}
+
+// Executor side: release or fail the escrow (or verify the direct payment) and report completion.
+async function runMeshComplete(args, sdk, config) {
+  const intent = await getIntent(sdk, args?.intentId);
+  if (!intent) throw new Error(`Intent not found: ${args?.intentId}`);
+
+  const ownAddress = getOwnAddress(sdk, config);
+  if (!ownAddress) throw new Error('Agent wallet address not configured');
+  if (!selectedExecutorsOf(intent).includes(ownAddress)) {
+    throw new Error('Only the selected executor can complete a deal');
+  }
+  if (intent.status !== 'accepted') {
+    throw new Error(`Intent ${intent.id} is ${intent.status} and cannot be completed`);
+  }
+  if (args.outcome !== 'success' && args.outcome !== 'failure') {
+    throw new Error('outcome must be success or failure');
+  }
+
+  const deal = await getDeal(sdk, args.intentId, ownAddress);
+  const amount = deal?.fee ?? (args?.amount == null ? 0n : parseTon(args.amount, 'amount'));
+
+  let txHash = args?.txHash;
+  let escrowStatus;
+  if (deal?.escrowId) {
+    const escrowClient = getEscrowClient(sdk, config);
+    const released = args.outcome === 'success'
+      ? await escrowClient.claim({ escrowId: deal.escrowId, claimant: ownAddress })
+      : await escrowClient.fail({ escrowId: deal.escrowId, caller: ownAddress, reason: 'executor_reported_failure' });
+    txHash = txHash || released?.txHash || deal.escrowId;
+    escrowStatus = args.outcome === 'success' ? 'claimed' : 'failed';
+  } else {
+    const payment = await getReputationClient(sdk, config).verifyPayment({
+      txHash,
+      amount,
+      intentId: args.intentId,
+      expectedRecipient: ownAddress,
+      expectedSender: intent.fromAddress ?? null,
+      network: String(config.mode || process.env.MESH_MODE || 'testnet').toLowerCase(),
+    });
+    if (!payment.ok) {
+      throw new Error(`Payment verification failed: ${payment.reason || 'unknown'}`);
+    }
+  }
+
+  const completeMsg = buildCompleteMessage({
+    intentId: args.intentId,
+    from: ownAddress,
+    to: intent.fromAddress,
+    outcome: args.outcome,
+    txHash,
+  });
+  await postMeshMessage(sdk, config, completeMsg);
+
+  await settleDeal(sdk, {
+    intentId: args.intentId,
+    executorAddress: ownAddress,
+    fee: deal?.fee ?? amount,
+    txHash,
+    outcome: args.outcome,
+    escrowStatus,
+  });
+  await updateIntentStatus(sdk, args.intentId, 'completed');
+
+  return { ok: true, complete: completeMsg };
+}
+
+// Requester side: the only place an outcome is rated and written to the reputation contract.
+async function runMeshRate(args, sdk, config) {
+  const intent = await getIntent(sdk, args?.intentId);
+  if (!intent) throw new Error(`Intent not found: ${args?.intentId}`);
+
+  const ownAddress = getOwnAddress(sdk, config);
+  if (!ownAddress) throw new Error('Agent wallet address not configured');
+  if (intent.fromAddress !== ownAddress) {
+    throw new Error('Only the requester of an intent can rate it');
+  }
+  if (!RATEABLE_INTENT_STATUSES.has(intent.status)) {
+    throw new Error(`Intent ${intent.id} is ${intent.status} and cannot be rated`);
+  }
+
+  // Executors of a multi-executor intent are rated one by one, once the quorum is decided.
+  const multi = isMultiExecutor(intent);
+  if (multi) {
+    if (!selectedExecutorsOf(intent).includes(args?.executor)) {
+      throw new Error(`executor must be one of the executors selected for intent ${intent.id}`);
+    }
+    if (!intent.quorumStatus) throw new Error(`Intent ${intent.id} is still waiting for its quorum`);
+  }
+
+  const deal = await getDeal(sdk, args.intentId, args?.executor ?? null);
+  const executorAddress = deal?.executorAddress ?? intent.selectedExecutor;
+  if (!executorAddress) throw new Error(`No executor selected for intent ${intent.id}`);
+  if (multi && deal?.rating != null) throw new Error(`${executorAddress} is already rated for intent ${intent.id}`);
+
+  const rating = validateRating(args.rating);
+  // A result outside the quorum counts as a failure unless the requester says otherwise.
+  const dissented = multi && deal?.resultHash !== intent.quorumHash;
+  const outcome = args?.outcome ?? (dissented ? 'failure' : (deal?.outcome ?? 'success'));
+  const txHash = deal?.txHash ?? args?.txHash;
+  if (!txHash) throw new Error('txHash required: the executor has not reported completion');
+
+  const repUpdate = await getReputationClient(sdk, config).recordOutcome({
+    executorAddress,
+    raterAddress: ownAddress,
+    txHash,
+    rating,
+  });
+
+  const settleMsg = buildSettleMessage({
+    intentId: args.intentId,
+    from: ownAddress,
+    to: executorAddress,
+    txHash,
+    outcome,
+    rating,
+  });
+  await postMeshMessage(sdk, config, settleMsg);
+
+  await settleDeal(sdk, {
+    intentId: args.intentId,
+    executorAddress,
+    txHash,
+    outcome,
+    rating,
+    settledAt: now(),
   });
+  if (!multi || await everySelectedDeal(sdk, intent, (selected) => selected.rating != null)) {
+    await updateIntentStatus(sdk, args.intentId, 'settled');
+  }
+
+  await upsertPeer(sdk, { address: executorAddress, reputation: repUpdate.reputation });
+  // A settled workflow step may be what the next steps are waiting for.
+  await advanceWorkflows(sdk, config, { intentId: args.intentId });
+
+  return { ok: true, settle: settleMsg, reputation: repUpdate };
+}
+
+async function runMeshReclaim(args, sdk, config) {
+  const intent = await getIntent(sdk, args?.intentId);
+  if (!intent) throw new Error(`Intent not found: ${args?.intentId}`);
+
+  const ownAddress = getOwnAddress(sdk, config);
+  if (!ownAddress) throw new Error('Agent wallet address not configured');
+  if (intent.fromAddress !== ownAddress) {
+    throw new Error('Only the requester can reclaim escrow');
+  }
+
+  if (isMultiExecutor(intent) && !selectedExecutorsOf(intent).includes(args?.executor)) {
+    throw new Error(`executor must be one of the executors selected for intent ${intent.id}`);
+  }
+
+  const deal = await getDeal(sdk, intent.id, args?.executor ?? null);
+  if (!deal?.escrowId) throw new Error(`No escrow recorded for intent ${intent.id}`);
+  if (deal.escrowStatus === 'claimed' || deal.escrowStatus === 'refunded') {
+    throw new Error(`Escrow already ${deal.escrowStatus}`);
+  }
+
+  const refund = await reclaimEscrow(sdk, config, intent, deal);
+  return { ok: true, intentId: intent.id, escrow: refund };
+}
+
+async function runMeshDispute(args, sdk, config) {
+  const ownAddress = getOwnAddress(sdk, config);
+  if (!ownAddress) throw new Error('Agent wallet address not configured');
+
+  const parties = await checkDisputeParties(sdk, {
+    intentId: args?.intentId,
+    from: ownAddress,
+    against: args?.against,
+  });
+  if (!parties.ok) {
+    throw new Error(`Cannot open dispute: ${parties.reason}`);
+  }
+
+  const disputeMsg = buildDisputeMessage({
+    intentId: parties.intent.id,
+    from: ownAddress,
+    against: parties.executor,
+    reason: args?.reason,
+    evidenceTx: args?.evidenceTx,
+  });
+
+  const recorded = await recordDispute(sdk, config, {
+    intent: parties.intent,
+    deal: parties.deal,
+    from: ownAddress,
+    against: parties.executor,
+    reason: disputeMsg.reason,
+    evidenceTx: disputeMsg.evidenceTx,
+  });
+  if (!recorded.created) {
+    throw new Error(`Dispute already open against ${parties.executor} for intent ${parties.intent.id}`);
+  }
+
+  await postMeshMessage(sdk, config, disputeMsg);
+  return { ok: true, dispute: recorded.dispute, arbitration: recorded.arbitration, message: disputeMsg };
+}
+
+async function runMeshResolveDispute(args, sdk, config) {
+  let disputeId = args?.disputeId;
+  if (!disputeId && args?.intentId) {
+    const disputes = await listDisputes(sdk, { intentId: args.intentId, status: 'open' });
+    disputeId = disputes.find((dispute) => !args.against || dispute.againstAddress === args.against)?.id;
+  }
+  if (!disputeId) throw new Error('No open dispute found');
+  if (args?.decision !== 'confirmed' && args?.decision !== 'rejected') {
+    throw new Error('decision must be confirmed or rejected');
+  }
+
+  return resolveMeshDispute(sdk, config, disputeId, {
+    status: args.decision,
+    resolution: args?.resolution ?? null,
+  });
+}
+
+async function runMeshPeers(args, sdk, config) {
+  const options = { ...livenessOptions(config), ts: now() };
+  const window = args?.liveness ? livenessWindow(args.liveness, options) : {};
+  let { seenSince } = window;
+  if (args?.seenWithinSeconds != null) {
+    const within = Number(args.seenWithinSeconds);
+    if (!Number.isFinite(within) || within < 0) throw new Error('seenWithinSeconds must be a non-negative number');
+    seenSince = Math.max(seenSince ?? 0, Math.ceil(options.ts - within));
+  }
+
+  const page = await queryPeers(sdk, {
+    skill: args?.skill,
+    minReputation: args?.minReputation,
+    maxMinFee: args?.maxMinFee,
+    minStake: args?.minStake,
+    seenSince,
+    seenBefore: window.seenBefore,
+    sort: args?.sort,
+    order: args?.order,
+    limit: args?.limit,
+    cursor: args?.cursor,
+  });
+  return { ok: true, peers: page.peers.map((peer) => withLiveness(peer, options)), nextCursor: page.nextCursor };
+}
+
+function activityLimit(value) {
+  const n = Math.floor(Number(value ?? 50));
+  return Number.isFinite(n) ? Math.min(200, Math.max(1, n)) : 50;
+}
+
+function activityRole(args, ownAddress) {
+  const role = args?.role ?? 'any';
+  if (!ACTIVITY_ROLES.includes(role)) throw new Error(`role must be one of ${ACTIVITY_ROLES.join(', ')}`);
+  if (role !== 'any' && !ownAddress) throw new Error('Agent wallet address not configured');
+  return role;
+}
+
+function intentRole(intent, ownAddress) {
+  if (!ownAddress) return null;
+  if (intent.fromAddress === ownAddress) return 'requester';
+  if (selectedExecutorsOf(intent).includes(ownAddress)) return 'executor';
+  return null;
+}
+
+async function runMeshIntents(args, sdk, config) {
+  const ownAddress = getOwnAddress(sdk, config);
+  const role = activityRole(args, ownAddress);
+  const intents = await listIntents(sdk, {
+    status: args?.status,
+    fromAddress: role === 'requester' ? ownAddress : undefined,
+    selectedExecutor: role === 'executor' ? ownAddress : undefined,
+    limit: activityLimit(args?.limit),
+  });
+  return { ok: true, intents: intents.map((intent) => ({ ...intent, role: intentRole(intent, ownAddress) })) };
+}
+
+async function runMeshOffers(args, sdk, config) {
+  const intent = await getIntent(sdk, args?.intentId);
+  if (!intent) throw new Error(`Intent not found: ${args?.intentId}`);
+
+  const { policy, ranked } = await rankIntentOffers(sdk, config, intent);
+  const commitments = intent.auction === 'sealed'
+    ? (await listOfferCommitments(sdk, intent.id)).map(({ nonce: _nonce, ...commitment }) => commitment)
+    : undefined;
+  const multi = isMultiExecutor(intent);
+  const selectedExecutors = selectedExecutorsOf(intent);
+  const offers = ranked.map((offer, index) => ({
+    ...Object.fromEntries(Object.entries(offer).filter(([key]) => !key.startsWith('_'))),
+    rank: index + 1,
+    accepted: offer.id === intent.acceptedOfferId
+      || (multi && Boolean(intent.acceptedOfferId) && selectedExecutors.includes(offer.fromAddress)),
+  }));
+  return {
+    ok: true,
+    intentId: intent.id,
+    status: intent.status,
+    acceptedOfferId: intent.acceptedOfferId,
+    executors: executorsOf(intent),
+    quorum: multi ? quorumOf(intent) : undefined,
+    selectedExecutors: multi ? selectedExecutors : undefined,
+    quorumStatus: intent.quorumStatus ?? undefined,
+    policy,
+    auction: intent.auction,
+    offers,
+    commitments,
+  };
+}
+
+// Live deals joined with their intents, plus archived ones (which carry the intent fields themselves).
+async function runMeshDeals(args, sdk, config) {
+  const ownAddress = getOwnAddress(sdk, config);
+  const role = activityRole(args, ownAddress);
+
+  let deals = await listDeals(sdk, { executorAddress: role === 'executor' ? ownAddress : undefined });
+  if (role === 'requester') {
+    const ownIntentIds = new Set((await listIntents(sdk, { fromAddress: ownAddress })).map((intent) => intent.id));
+    deals = deals.filter((deal) => ownIntentIds.has(deal.intentId));
+  }
+  deals = await Promise.all(deals.map(async (deal) => {
+    const intent = await getIntent(sdk, deal.intentId);
+    return {
+      ...deal,
+      requesterAddress: intent?.fromAddress ?? null,
+      skill: intent?.skill ?? null,
+      budget: intent?.budget ?? null,
+      intentStatus: intent?.status ?? null,
+      archived: false,
+    };
+  }));
+
+  if (args?.includeArchived === true) {
+    const archived = (await listArchivedDeals(sdk))
+      .filter((deal) => role !== 'requester' || deal.requesterAddress === ownAddress)
+      .filter((deal) => role !== 'executor' || deal.executorAddress === ownAddress)
+      .map((deal) => ({ ...deal, archived: true }));
+    deals = [...deals, ...archived].sort((a, b) => (b.settledAt || 0) - (a.settledAt || 0));
+  }
+  if (args?.intentId) deals = deals.filter((deal) => deal.intentId === args.intentId);
+
+  const ratings = deals.map((deal) => deal.rating).filter(Number.isFinite);
+  return {
+    ok: true,
+    summary: {
+      deals: deals.length,
+      rated: ratings.length,
+      averageRating: ratings.length > 0
+        ? Number((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length).toFixed(2))
+        : null,
+    },
+    deals: deals.slice(0, activityLimit(args?.limit)),
+  };
+}
+
+// Step options are checked up front, as mesh_broadcast will check them when the step starts.
+// Returns how many executors the step pays.
+function checkWorkflowStep(step, config) {
+  const { deadlineSeconds, executors, quorum, weights, policy, auction } = step.options;
+  try {
+    const maxDeadline = maxIntentDeadlineSeconds(config);
+    if (deadlineSeconds !== undefined && !(Number.isInteger(deadlineSeconds) && deadlineSeconds > 0 && deadlineSeconds <= maxDeadline)) {
+      throw new Error(`deadlineSeconds must be an integer between 1 and ${maxDeadline}`);
+    }
+    if (auction !== undefined && auction !== 'open' && auction !== 'sealed') throw new Error('auction must be open or sealed');
+    routerWeights(config.routerWeights, weights);
+    if (policy != null) routerPolicySpec(policy, config.routerPolicies);
+    validateIntentPayloadSize(step.payload, config);
+    return validateQuorum({ executors: executors ?? 1, quorum }, maxExecutorsPerIntent(config)).executors;
+  } catch (err) {
+    throw new Error(`step ${step.stepId}: ${err.message}`);
+  }
+}
 
-  await saveIntent(sdk, {
-    id,
+// Requester side: stores the DAG and starts the steps without dependencies; the rest start as steps settle.
+async function runMeshWorkflow(args, sdk, config) {
+  const address = getOwnAddress(sdk, config);
+  if (!address) throw new Error('Agent wallet address not configured');
+
+  const steps = validateWorkflowSteps(args?.steps, maxWorkflowSteps(config));
+  // Every executor of a step may be paid up to the step budget.
+  const required = steps.reduce((sum, step) => sum + step.budget * BigInt(checkWorkflowStep(step, config)), 0n);
+  const budget = args?.budget == null ? required : parseTon(args.budget, 'budget');
+  if (budget < required) {
+    throw new Error(`budget ${formatTon(budget)} TON is below the ${formatTon(required)} TON the steps may spend`);
+  }
+
+  const { created, workflow } = await createWorkflow(sdk, {
+    id: args?.id || uuidv4(),
     fromAddress: address,
-    skill: args?.skill,
-    payload: args?.payload || {},
     budget,
-    deadline,
-    minReputation: args?.minReputation ?? 0,
-    status: 'pending',
+    steps,
     createdAt: now(),
   });
-
-  await postMeshMessage(sdk, config, intentMsg);
-  return { ok: true, intent: intentMsg };
+  if (!created) throw new Error(`Workflow ${workflow.id} already exists`);
+  return { ok: true, workflow: await advanceWorkflow(sdk, config, workflow) };
 }
 
-async function runMeshOffer(args, sdk, config, { auto = false } = {}) {
-  const intent = await getIntent(sdk, args?.intentId);
-  if (!intent) throw new Error(`Intent not found: ${args?.intentId}`);
+// Broadcasts a step's intent with the outputs of its dependencies under payload.inputs. Returns false if the
+// broadcast failed, which fails the step.
+async function startWorkflowStep(sdk, config, workflow, step) {
+  const intentId = uuidv4();
+  const started = await updateWorkflowStep(sdk, workflow.id, step.stepId, 'waiting', {
+    status: 'running',
+    intentId,
+    startedAt: now(),
+  });
+  if (!started.ok) return true;
 
-  const ownAddress = getOwnAddress(sdk, config);
-  if (!ownAddress) throw new Error('Agent wallet address not configured');
-  if (intent.fromAddress === ownAddress && !auto) {
-    throw new Error('Cannot offer on your own intent');
+  const { deadlineSeconds, ...options } = step.options;
+  try {
+    await runMeshBroadcast({
+      ...options,
+      id: intentId,
+      skill: step.skill,
+      payload: step.dependsOn.length > 0 ? { ...step.payload, inputs: stepInputs(workflow, step) } : step.payload,
+      budget: formatTon(step.budget),
+      deadline: deadlineSeconds == null ? undefined : now() + deadlineSeconds,
+    }, sdk, config);
+    return true;
+  } catch (err) {
+    await updateWorkflowStep(sdk, workflow.id, step.stepId, 'running', {
+      status: 'failed',
+      error: err?.message || String(err),
+      spent: 0n,
+    });
+    return false;
   }
+}
 
-  const selfPeer = await getSelfPeer(sdk, config);
-  const skills = selfPeer?.skills || config.skills || [];
-  if (!skills.includes(intent.skill)) {
-    throw new Error(`Agent does not have required skill: ${intent.skill}`);
+// Finishes the steps whose intents closed, then starts the steps whose dependencies all settled. Once a step
+// fails, waiting steps are skipped, and the workflow fails when its running steps are done.
+async function advanceWorkflow(sdk, config, workflow) {
+  for (const step of workflow.steps.filter((item) => item.status === 'running')) {
+    const intent = await getIntent(sdk, step.intentId);
+    const outcome = stepOutcome(intent, intent ? await listDeals(sdk, { intentId: intent.id }) : []);
+    if (outcome) await updateWorkflowStep(sdk, workflow.id, step.stepId, 'running', outcome);
   }
 
-  const fee = toNum(args?.fee);
-  if (!Number.isFinite(fee) || fee <= 0) {
-    throw new Error('Offer fee must be greater than 0');
-  }
-  if (fee > toNum(intent.budget)) {
-    throw new Error('Offer fee exceeds intent budget');
+  let current = await getWorkflow(sdk, workflow.id);
+  let failing = current.steps.some((step) => step.status === 'failed');
+  for (const step of current.steps) {
+    if (failing && step.status === 'waiting') {
+      await updateWorkflowStep(sdk, current.id, step.stepId, 'waiting', { status: 'skipped' });
+    } else if (!failing && isStepReady(current, step)) {
+      failing = !(await startWorkflowStep(sdk, config, current, step));
+    }
   }
 
-  const repClient = getReputationClient(sdk, config);
-  const reputation = await repClient.getReputation(ownAddress);
-  const stakeInfo = await repClient.getStakeInfo(ownAddress);
+  current = await getWorkflow(sdk, workflow.id);
+  const status = workflowOutcome(current);
+  if (!status) return current;
 
-  const offerMsg = buildOfferMessage({
-    intentId: intent.id,
-    from: ownAddress,
-    fee: String(args?.fee),
-    eta: args?.eta || '5s',
-    reputation,
-    escrowAddress: config.escrowAddress,
+  const failed = current.steps.find((step) => step.status === 'failed');
+  current = await updateWorkflowStatus(sdk, current.id, status, {
+    error: failed ? `step ${failed.stepId}: ${failed.error}` : null,
   });
+  await replyToChat(
+    sdk,
+    config.operatorChatId,
+    `MESH workflow ${current.id} ${status}${failed ? ` at step ${failed.stepId} (${failed.error})` : ''}. `
+      + `Spent ${formatTon(current.spent)} of ${formatTon(current.budget)} TON.`,
+  );
+  return current;
+}
 
-  const offer = await recordOffer(sdk, {
-    intentId: intent.id,
-    fromAddress: ownAddress,
-    fee: args?.fee,
-    eta: args?.eta || '5s',
-    reputation,
-    stakeAgeSeconds: stakeInfo.ageSeconds,
-    escrowAddress: config.escrowAddress,
-  });
+// Runs on every scheduler tick, and after a rating settles one of the steps (intentId).
+async function advanceWorkflows(sdk, config, { intentId } = {}) {
+  const ownAddress = getOwnAddress(sdk, config);
+  if (!ownAddress) return 0;
 
-  await postMeshMessage(sdk, config, offerMsg);
-  return { ok: true, auto, offer, message: offerMsg };
+  const running = (await listWorkflows(sdk, { fromAddress: ownAddress, status: 'running' }))
+    .filter((workflow) => !intentId || workflow.steps.some((step) => step.intentId === intentId));
+  for (const workflow of running) {
+    try {
+      await advanceWorkflow(sdk, config, workflow);
+    } catch (err) {
+      getLogger(sdk).error?.(`[MESH] workflow ${workflow.id} could not advance`, err);
+    }
+  }
+  return running.length;
 }
 
-async function runMeshSettle(args, sdk, config) {
-  const intent = await getIntent(sdk, args?.intentId);
-  if (!intent) throw new Error(`Intent not found: ${args?.intentId}`);
-
+async function runMeshWorkflows(args, sdk, config) {
   const ownAddress = getOwnAddress(sdk, config);
   if (!ownAddress) throw new Error('Agent wallet address not configured');
 
-  const deal = await getDeal(sdk, args.intentId);
-  const amount = deal?.fee ?? toNum(args?.amount, 0);
-
-  const repClient = getReputationClient(sdk, config);
-  const rating = validateRating(args.rating);
-  const payment = await repClient.verifyPayment({
-    txHash: args?.txHash,
-    amount,
-    intentId: args.intentId,
-    expectedRecipient: ownAddress,
-    expectedSender: intent.fromAddress ?? null,
-    network: String(config.mode || process.env.MESH_MODE || 'testnet').toLowerCase(),
-  });
-  if (!payment.ok) {
-    throw new Error(`Payment verification failed: ${payment.reason || 'unknown'}`);
+  let workflows;
+  if (args?.workflowId) {
+    const workflow = await getWorkflow(sdk, args.workflowId);
+    if (workflow?.fromAddress !== ownAddress) throw new Error(`Workflow not found: ${args.workflowId}`);
+    workflows = [workflow];
+  } else {
+    workflows = await listWorkflows(sdk, { fromAddress: ownAddress, status: args?.status, limit: activityLimit(args?.limit) });
   }
-
-  const settleMsg = buildSettleMessage({
-    intentId: args.intentId,
-    from: ownAddress,
-    txHash: args.txHash,
-    outcome: args.outcome,
-    rating,
-  });
-
-  const repUpdate = await repClient.recordOutcome({
-    executorAddress: ownAddress,
-    txHash: args.txHash,
-    rating,
-  });
-
-  await postMeshMessage(sdk, config, settleMsg);
-
-  await settleDeal(sdk, {
-    intentId: args.intentId,
-    executorAddress: ownAddress,
-    fee: deal?.fee ?? amount,
-    txHash: args.txHash,
-    outcome: args.outcome,
-    rating,
-    settledAt: now(),
-  });
-  await updateIntentStatus(sdk, args.intentId, 'settled');
-
-  await upsertPeer(sdk, {
-    address: ownAddress,
-    skills: (await getSelfPeer(sdk, config))?.skills || config.skills || [],
-    minFee: config.minFee,
-    responseTime: config.responseTime,
-    reputation: repUpdate.reputation,
-    lastSeen: now(),
-  });
-
-  return { ok: true, settle: settleMsg, reputation: repUpdate };
+  return { ok: true, workflows: workflows.map((workflow) => ({ ...workflow, remaining: workflow.budget - workflow.spent })) };
 }
 
-async function runMeshPeers(_args, sdk) {
-  const peers = await listPeers(sdk);
-  return { ok: true, peers };
-}
+// JSON Schemas of the wire protocol, for tooling and agents written in other languages.
+export { meshMessageSchema, meshVersions } from './protocol.js';
 
 export async function migrate(sdk) {
   return migrateRegistry(sdk);
 }
 
+// One scheduler pass, for hosts that set enableScheduler: false and drive deadlines from their own loop.
+export async function processDeadlines(ctx) {
+  const sdk = ctx?.sdk || ctx;
+  const config = getPluginConfigFromAny(ctx);
+  await withSetup(sdk, config, { sweep: false });
+  return jsonAmounts(await processDeadlinesOnce(sdk, config));
+}
+
 export const tools = [
   {
     name: 'mesh_register',
@@ -695,15 +2579,15 @@ export const tools = [
       type: 'object',
       properties: {
         skills: { type: 'array', items: { type: 'string' } },
-        minFee: { type: 'string' },
-        stake: { type: 'number' },
+        minFee: { type: 'string', description: 'Decimal TON' },
+        stake: { type: ['number', 'string'], description: 'Decimal TON' },
       },
       required: ['skills', 'minFee', 'stake'],
     },
     handler: async (args, sdk) => {
       const config = getPluginConfigFromAny(sdk);
       await withSetup(sdk, config);
-      return runMeshRegister(args, sdk, config);
+      return jsonAmounts(await runMeshRegister(args, sdk, config));
     },
   },
   {
@@ -717,13 +2601,78 @@ export const tools = [
         budget: { type: ['number', 'string'] },
         deadline: { type: 'number' },
         minReputation: { type: 'number' },
+        weights: {
+          type: 'object',
+          description: 'Router weight overrides for this intent',
+          properties: Object.fromEntries(Object.keys(DEFAULT_ROUTER_WEIGHTS).map((key) => [key, { type: 'number', minimum: 0 }])),
+          additionalProperties: false,
+        },
+        auction: {
+          type: 'string',
+          enum: ['open', 'sealed'],
+          description: 'open (default): offers are posted in cleartext; sealed: executors commit to a hidden offer and reveal it after the deadline',
+        },
+        policy: {
+          description: `Router policy for this intent: a name (${Object.keys(builtInRouterPolicies).join(', ')}) `
+            + 'or an object { policy, ...options }',
+          oneOf: [
+            { type: 'string' },
+            { type: 'object', properties: { policy: { type: 'string' } }, required: ['policy'] },
+          ],
+        },
+        executors: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Number of executors to run the intent (default 1); results are cross-checked when more than one',
+        },
+        quorum: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Matching results needed to accept a multi-executor intent (default: a majority of executors)',
+        },
       },
       required: ['skill', 'payload', 'budget', 'deadline'],
     },
     handler: async (args, sdk) => {
       const config = getPluginConfigFromAny(sdk);
       await withSetup(sdk, config);
-      return runMeshBroadcast(args, sdk, config);
+      return jsonAmounts(await runMeshBroadcast(args, sdk, config));
+    },
+  },
+  {
+    name: 'mesh_counter',
+    description: 'Counter an offer with a revised fee/eta (requester) or answer a counter (executor)',
+    parameters: {
+      type: 'object',
+      properties: {
+        intentId: { type: 'string' },
+        to: { type: 'string' },
+        fee: { type: ['number', 'string'] },
+        eta: { type: 'string' },
+      },
+      required: ['intentId', 'fee'],
+    },
+    handler: async (args, sdk) => {
+      const config = getPluginConfigFromAny(sdk);
+      await withSetup(sdk, config);
+      return jsonAmounts(await runMeshCounter(args, sdk, config));
+    },
+  },
+  {
+    name: 'mesh_cancel',
+    description: 'Withdraw one of our pending intents from the MESH bus',
+    parameters: {
+      type: 'object',
+      properties: {
+        intentId: { type: 'string' },
+        reason: { type: 'string' },
+      },
+      required: ['intentId'],
+    },
+    handler: async (args, sdk) => {
+      const config = getPluginConfigFromAny(sdk);
+      await withSetup(sdk, config);
+      return jsonAmounts(await runMeshCancel(args, sdk, config));
     },
   },
   {
@@ -741,40 +2690,240 @@ export const tools = [
     handler: async (args, sdk) => {
       const config = getPluginConfigFromAny(sdk);
       await withSetup(sdk, config);
-      return runMeshOffer(args, sdk, config);
+      return jsonAmounts(await runMeshOffer(args, sdk, config));
     },
   },
   {
-    name: 'mesh_settle',
-    description: 'Post settlement and update on-chain reputation for a completed intent',
+    name: 'mesh_complete',
+    description: 'As executor, report an accepted intent as done (claiming the escrow when one is locked, otherwise verifying the payment tx)',
     parameters: {
       type: 'object',
       properties: {
         intentId: { type: 'string' },
         txHash: { type: 'string' },
         outcome: { type: 'string', enum: ['success', 'failure'] },
+      },
+      required: ['intentId', 'outcome'],
+    },
+    handler: async (args, sdk) => {
+      const config = getPluginConfigFromAny(sdk);
+      await withSetup(sdk, config);
+      return jsonAmounts(await runMeshComplete(args, sdk, config));
+    },
+  },
+  {
+    name: 'mesh_rate',
+    description: 'As requester, rate the executor of one of our intents and record the outcome on-chain',
+    parameters: {
+      type: 'object',
+      properties: {
+        intentId: { type: 'string' },
         rating: { type: 'number' },
+        outcome: { type: 'string', enum: ['success', 'failure'] },
+        txHash: { type: 'string' },
+        executor: { type: 'string', description: 'Executor to rate; required for multi-executor intents' },
+      },
+      required: ['intentId', 'rating'],
+    },
+    handler: async (args, sdk) => {
+      const config = getPluginConfigFromAny(sdk);
+      await withSetup(sdk, config);
+      return jsonAmounts(await runMeshRate(args, sdk, config));
+    },
+  },
+  {
+    name: 'mesh_reclaim',
+    description: 'Reclaim the escrowed fee for one of our intents after timeout or executor failure',
+    parameters: {
+      type: 'object',
+      properties: {
+        intentId: { type: 'string' },
+        executor: { type: 'string', description: 'Executor whose escrow to reclaim; required for multi-executor intents' },
+      },
+      required: ['intentId'],
+    },
+    handler: async (args, sdk) => {
+      const config = getPluginConfigFromAny(sdk);
+      await withSetup(sdk, config);
+      return jsonAmounts(await runMeshReclaim(args, sdk, config));
+    },
+  },
+  {
+    name: 'mesh_dispute',
+    description: 'Open a dispute against the executor selected for one of our intents',
+    parameters: {
+      type: 'object',
+      properties: {
+        intentId: { type: 'string' },
+        against: { type: 'string', description: 'Executor to dispute; required for multi-executor intents' },
+        reason: { type: 'string' },
+        evidenceTx: { type: 'string' },
+      },
+      required: ['intentId', 'reason'],
+    },
+    handler: async (args, sdk) => {
+      const config = getPluginConfigFromAny(sdk);
+      await withSetup(sdk, config);
+      return jsonAmounts(await runMeshDispute(args, sdk, config));
+    },
+  },
+  {
+    name: 'mesh_resolve_dispute',
+    description: 'As the configured arbiter, resolve an open dispute; confirming it slashes the executor stake',
+    parameters: {
+      type: 'object',
+      properties: {
+        disputeId: { type: 'string' },
+        intentId: { type: 'string' },
+        against: { type: 'string', description: 'With intentId, the executor whose dispute to resolve' },
+        decision: { type: 'string', enum: ['confirmed', 'rejected'] },
+        resolution: { type: 'string' },
       },
-      required: ['intentId', 'txHash', 'outcome', 'rating'],
+      required: ['decision'],
     },
     handler: async (args, sdk) => {
       const config = getPluginConfigFromAny(sdk);
       await withSetup(sdk, config);
-      return runMeshSettle(args, sdk, config);
+      return jsonAmounts(await runMeshResolveDispute(args, sdk, config));
     },
   },
   {
     name: 'mesh_peers',
-    description: 'List known peers discovered on the MESH network',
+    description: 'List known peers discovered on the MESH network with their beacon liveness',
+    parameters: {
+      type: 'object',
+      properties: {
+        skill: { type: 'string' },
+        minReputation: { type: 'number' },
+        maxMinFee: { type: ['number', 'string'], description: 'Only peers whose advertised minFee is at most this (TON)' },
+        minStake: { type: ['number', 'string'], description: 'Decimal TON' },
+        seenWithinSeconds: { type: 'number', description: 'Only peers that beaconed within this many seconds' },
+        liveness: { type: 'string', enum: PEER_LIVENESS },
+        sort: { type: 'string', enum: ['lastSeen', 'reputation', 'minFee', 'stake'] },
+        order: { type: 'string', enum: ['asc', 'desc'] },
+        limit: { type: 'integer', minimum: 1, maximum: 200 },
+        cursor: { type: 'string', description: 'nextCursor from the previous page' },
+      },
+      additionalProperties: false,
+    },
+    handler: async (args, sdk) => {
+      const config = getPluginConfigFromAny(sdk);
+      await withSetup(sdk, config);
+      return jsonAmounts(await runMeshPeers(args, sdk, config));
+    },
+  },
+  {
+    name: 'mesh_intents',
+    description: 'List intents we requested, intents we were selected to execute, or every known intent',
+    parameters: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['pending', 'accepted', 'completed', 'settled', 'disputed', 'failed', 'refunded', 'expired', 'cancelled'],
+        },
+        role: { type: 'string', enum: ACTIVITY_ROLES },
+        limit: { type: 'integer', minimum: 1, maximum: 200 },
+      },
+      additionalProperties: false,
+    },
+    handler: async (args, sdk) => {
+      const config = getPluginConfigFromAny(sdk);
+      await withSetup(sdk, config);
+      return jsonAmounts(await runMeshIntents(args, sdk, config));
+    },
+  },
+  {
+    name: 'mesh_offers',
+    description: 'Show the offers on an intent ranked by its router policy, with the score breakdown',
+    parameters: {
+      type: 'object',
+      properties: {
+        intentId: { type: 'string' },
+      },
+      required: ['intentId'],
+      additionalProperties: false,
+    },
+    handler: async (args, sdk) => {
+      const config = getPluginConfigFromAny(sdk);
+      await withSetup(sdk, config);
+      return jsonAmounts(await runMeshOffers(args, sdk, config));
+    },
+  },
+  {
+    name: 'mesh_deals',
+    description: 'Show deal history with outcomes and ratings, as requester, executor or both',
+    parameters: {
+      type: 'object',
+      properties: {
+        role: { type: 'string', enum: ACTIVITY_ROLES },
+        intentId: { type: 'string' },
+        includeArchived: { type: 'boolean', description: 'Also list deals moved to deals_history by retention' },
+        limit: { type: 'integer', minimum: 1, maximum: 200 },
+      },
+      additionalProperties: false,
+    },
+    handler: async (args, sdk) => {
+      const config = getPluginConfigFromAny(sdk);
+      await withSetup(sdk, config);
+      return jsonAmounts(await runMeshDeals(args, sdk, config));
+    },
+  },
+  {
+    name: 'mesh_workflow',
+    description: 'Run a DAG of skill steps as intents, broadcasting each step once the steps it depends on settle',
+    parameters: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        budget: { type: ['number', 'string'], description: 'Decimal TON for the whole workflow (default: what its steps may spend)' },
+        steps: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', description: 'Step id, unique in the workflow' },
+              skill: { type: 'string' },
+              payload: { type: 'object', description: 'Gets the outputs of the steps it depends on under inputs.<stepId>' },
+              budget: { type: ['number', 'string'], description: 'Decimal TON per executor of the step' },
+              dependsOn: { type: 'array', items: { type: 'string' } },
+              deadlineSeconds: { type: 'integer', minimum: 1, description: 'Bidding window once the step starts (default 30)' },
+              minReputation: { type: 'number' },
+              executors: { type: 'integer', minimum: 1 },
+              quorum: { type: 'integer', minimum: 1 },
+              policy: { oneOf: [{ type: 'string' }, { type: 'object' }] },
+              weights: { type: 'object' },
+              auction: { type: 'string', enum: ['open', 'sealed'] },
+            },
+            required: ['id', 'skill', 'budget'],
+          },
+        },
+      },
+      required: ['steps'],
+    },
+    handler: async (args, sdk) => {
+      const config = getPluginConfigFromAny(sdk);
+      await withSetup(sdk, config);
+      return jsonAmounts(await runMeshWorkflow(args, sdk, config));
+    },
+  },
+  {
+    name: 'mesh_workflows',
+    description: 'Show our workflows with budget, spend and the status, intent and output of each step',
     parameters: {
       type: 'object',
-      properties: {},
+      properties: {
+        workflowId: { type: 'string' },
+        status: { type: 'string', enum: ['running', 'completed', 'failed'] },
+        limit: { type: 'integer', minimum: 1, maximum: 200 },
+      },
       additionalProperties: false,
     },
     handler: async (args, sdk) => {
       const config = getPluginConfigFromAny(sdk);
       await withSetup(sdk, config);
-      return runMeshPeers(args, sdk, config);
+      return jsonAmounts(await runMeshWorkflows(args, sdk, config));
     },
   },
 ];
@@ -788,14 +2937,29 @@ export async function onMessage(event, sdk) {
   await withSetup(sdk, config);
 
   const text = event?.text ?? event?.message?.text ?? '';
-  const msg = parseMeshMessage(text);
+  const read = readMeshMessage(text);
+  if (read?.error === 'unsupported_version') {
+    getLogger(sdk).warn?.(`[MESH] ignored ${read.type ?? 'message'} from ${read.from ?? 'unknown'}: unsupported protocol version ${read.version}`);
+    return { rejected: true, type: read.type, reason: 'unsupported_version', version: read.version };
+  }
+  const msg = read?.message;
   if (!msg) return null;
 
+  const signature = await checkMessageSignature(msg, sdk, config);
+  if (!signature.ok) {
+    getLogger(sdk).warn?.(`[MESH] rejected ${msg.type} from ${msg.from}: ${signature.reason}`);
+    return { rejected: true, type: msg.type, reason: signature.reason };
+  }
+
   const dedupe = await markProcessedMessage(sdk, buildInboundMessageMeta(event, msg, getOwnAddress(sdk, config) || 'unknown'));
   if (!dedupe.inserted) {
     return { duplicate: true, type: msg.type };
   }
 
+  return jsonAmounts(await dispatchMessage(msg, sdk, config));
+}
+
+async function dispatchMessage(msg, sdk, config) {
   switch (msg.type) {
     case 'beacon':
       return handleBeacon(msg, sdk, config);
@@ -807,6 +2971,22 @@ export async function onMessage(event, sdk) {
       return handleAccept(msg, sdk, config);
     case 'settle':
       return handleSettle(msg, sdk, config);
+    case 'dispute':
+      return handleDispute(msg, sdk, config);
+    case 'resolution':
+      return handleResolution(msg, sdk, config);
+    case 'cancel':
+      return handleCancel(msg, sdk, config);
+    case 'counter':
+      return handleCounter(msg, sdk, config);
+    case 'commit':
+      return handleCommit(msg, sdk, config);
+    case 'reveal':
+      return handleReveal(msg, sdk, config);
+    case 'result':
+      return handleResult(msg, sdk, config);
+    case 'complete':
+      return handleComplete(msg, sdk, config);
     default:
       return null;
   }
@@ -828,12 +3008,11 @@ export async function start(ctx) {
   const repClient = getReputationClient(sdk, config);
   const existingRep = await repClient.getReputation(ownAddress);
   if (existingRep <= 0 && (config.autoRegisterOnStart ?? true)) {
-    await repClient.registerAgent({ address: ownAddress, stake: toNum(config.stake ?? 1, 1) });
+    await repClient.registerAgent({ address: ownAddress, stake: parseTon(config.stake ?? 1, 'stake') });
   }
 
-  const { message, peerRecord } = await beaconFromConfigAndState(sdk, config);
-  await upsertPeer(sdk, peerRecord);
-  await postMeshMessage(sdk, config, message);
+  const message = await broadcastBeacon(sdk, config);
+  ensureBeaconTimer(sdk, config);
 
   return { ok: true, beacon: message };
 }
@@ -844,6 +3023,13 @@ export async function stop(ctx) {
     clearInterval(sdk.__meshDeadlineScheduler);
     sdk.__meshDeadlineScheduler = null;
   }
+  if (sdk?.__meshBeaconTimer) {
+    clearInterval(sdk.__meshBeaconTimer);
+    sdk.__meshBeaconTimer = null;
+  }
+  for (const { controller } of sdk?.__meshExecutions?.values() ?? []) {
+    controller.abort(EXECUTION_STOPPED);
+  }
   await closeRegistry(sdk);
   return { ok: true };
 }
@@ -851,6 +3037,7 @@ export async function stop(ctx) {
 export default {
   manifest,
   migrate,
+  processDeadlines,
   tools,
   onMessage,
   start,
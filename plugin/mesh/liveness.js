@@ -0,0 +1,58 @@
+export const PEER_LIVENESS = ['online', 'stale', 'offline'];
+
+const DEFAULT_BEACON_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_STALE_AFTER = 2;
+const DEFAULT_OFFLINE_AFTER = 6;
+
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+// Every agent re-beacons each beaconIntervalMs, so the network-wide interval turns a peer's lastSeen into
+// a count of missed beacons.
+export function livenessOptions(config = {}) {
+  const beaconIntervalMs = positiveInt(config.beaconIntervalMs, DEFAULT_BEACON_INTERVAL_MS);
+  const staleAfterMissedBeacons = positiveInt(config.peerStaleAfterMissedBeacons, DEFAULT_STALE_AFTER);
+  return {
+    beaconIntervalMs,
+    staleAfterMissedBeacons,
+    offlineAfterMissedBeacons: Math.max(
+      staleAfterMissedBeacons,
+      positiveInt(config.peerOfflineAfterMissedBeacons, DEFAULT_OFFLINE_AFTER),
+    ),
+  };
+}
+
+export function missedBeacons(peer, { beaconIntervalMs, ts }) {
+  if (!Number.isFinite(peer?.lastSeen) || peer.lastSeen <= 0) return Infinity;
+  return Math.max(0, Math.floor(((ts - peer.lastSeen) * 1000) / beaconIntervalMs));
+}
+
+export function peerLiveness(peer, options) {
+  const missed = missedBeacons(peer, options);
+  if (missed >= options.offlineAfterMissedBeacons) return 'offline';
+  if (missed >= options.staleAfterMissedBeacons) return 'stale';
+  return 'online';
+}
+
+export function withLiveness(peer, options) {
+  const missed = missedBeacons(peer, options);
+  return {
+    ...peer,
+    liveness: peerLiveness(peer, options),
+    missedBeacons: Number.isFinite(missed) ? missed : null,
+  };
+}
+
+// The lastSeen range for a liveness state as { seenSince (inclusive), seenBefore (exclusive) }, so a
+// backend can filter by it; lastSeen is in whole seconds.
+export function livenessWindow(liveness, { beaconIntervalMs, staleAfterMissedBeacons, offlineAfterMissedBeacons, ts }) {
+  const boundary = (missed) => Math.floor(ts - ((missed * beaconIntervalMs) / 1000)) + 1;
+  if (liveness === 'online') return { seenSince: boundary(staleAfterMissedBeacons) };
+  if (liveness === 'stale') {
+    return { seenSince: boundary(offlineAfterMissedBeacons), seenBefore: boundary(staleAfterMissedBeacons) };
+  }
+  if (liveness === 'offline') return { seenBefore: boundary(offlineAfterMissedBeacons) };
+  throw new Error(`liveness must be one of ${PEER_LIVENESS.join(', ')}`);
+}
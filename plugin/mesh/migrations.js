@@ -0,0 +1,520 @@
+// Numbered schema migrations, written in Postgres SQL. SQLite runs them through toSqliteDdl and
+// supabase/schema.sql is rendered from them (npm run supabase:schema), so this file is the only copy.
+// Every `up` statement must be idempotent: deployments that predate the history table re-run them once.
+export const MIGRATIONS_TABLE = 'mesh_schema_migrations';
+
+const NANOTON_COLUMNS = [
+  ['peers', 'min_fee'],
+  ['peers', 'stake'],
+  ['intents', 'budget'],
+  ['offers', 'fee'],
+  ['offers', 'counter_fee'],
+  ['deals', 'fee'],
+  ['disputes', 'slashed_stake'],
+  ['deals_history', 'budget'],
+  ['deals_history', 'fee'],
+];
+
+// Columns of the deal tables as of migration 13, which migration 14 rebuilds around a new primary key.
+const DEAL_COLUMNS = `executor_address TEXT,
+        fee NUMERIC,
+        tx_hash TEXT,
+        outcome TEXT,
+        rating INTEGER,
+        settled_at BIGINT,
+        updated_at BIGINT,
+        escrow_id TEXT,
+        escrow_status TEXT,
+        result_status TEXT,
+        result_hash TEXT,
+        result_ref TEXT,
+        result_output JSONB,
+        result_error TEXT,
+        result_verified BOOLEAN,
+        delivered_at BIGINT,
+        fee_nano BIGINT,
+        due_at BIGINT`;
+
+const DEAL_TABLES = {
+  deals: {
+    columns: DEAL_COLUMNS,
+    indexes: [
+      `CREATE INDEX IF NOT EXISTS idx_deals_settled_at ON deals(settled_at DESC);`,
+      `CREATE INDEX IF NOT EXISTS idx_deals_executor ON deals(executor_address);`,
+    ],
+  },
+  deals_history: {
+    columns: `requester_address TEXT,
+        skill TEXT,
+        budget NUMERIC,
+        intent_status TEXT,
+        ${DEAL_COLUMNS},
+        archived_at BIGINT,
+        budget_nano BIGINT`,
+    indexes: [
+      `CREATE INDEX IF NOT EXISTS idx_deals_history_archived_at ON deals_history(archived_at DESC);`,
+      `CREATE INDEX IF NOT EXISTS idx_deals_history_executor ON deals_history(executor_address);`,
+    ],
+  },
+};
+
+// SQLite cannot change a primary key in place, so the table is copied into `${table}_${suffix}` and renamed.
+// A deal without an executor is keyed by '' (primary key columns cannot be null).
+function rebuildDealTable(table, suffix, { byExecutor }) {
+  const { columns, indexes } = DEAL_TABLES[table];
+  const names = ['intent_id', ...columns.split(',').map((column) => column.trim().split(' ')[0])];
+  const executor = byExecutor
+    ? `COALESCE(executor_address, '')`
+    : `CASE WHEN executor_address = '' THEN NULL ELSE executor_address END`;
+  const selected = names.map((name) => (name === 'executor_address' ? `${executor} AS executor_address` : name));
+  const rebuilt = `${table}_${suffix}`;
+  const key = byExecutor
+    ? `intent_id TEXT NOT NULL,
+        ${columns.replace('executor_address TEXT', 'executor_address TEXT NOT NULL')},
+        PRIMARY KEY (intent_id, executor_address)`
+    : `intent_id TEXT PRIMARY KEY,
+        ${columns}`;
+  return [
+    `CREATE TABLE IF NOT EXISTS ${rebuilt} (
+        ${key}
+      );`,
+    `INSERT INTO ${rebuilt} (${names.join(', ')})
+        SELECT ${selected.join(', ')} FROM ${table} WHERE true ON CONFLICT DO NOTHING;`,
+    `DROP TABLE ${table};`,
+    `ALTER TABLE ${rebuilt} RENAME TO ${table};`,
+    ...indexes,
+  ];
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: [
+      `CREATE TABLE IF NOT EXISTS peers (
+        address TEXT PRIMARY KEY,
+        skills JSONB,
+        min_fee NUMERIC,
+        response_time TEXT,
+        reputation INTEGER,
+        stake NUMERIC,
+        stake_age_seconds BIGINT,
+        reply_chat TEXT,
+        last_seen BIGINT,
+        created_at BIGINT,
+        updated_at BIGINT
+      );`,
+      `CREATE TABLE IF NOT EXISTS intents (
+        id TEXT PRIMARY KEY,
+        from_address TEXT,
+        skill TEXT,
+        payload JSONB,
+        budget NUMERIC,
+        deadline BIGINT,
+        min_reputation INTEGER,
+        status TEXT,
+        created_at BIGINT,
+        accepted_offer_id TEXT,
+        selected_executor TEXT,
+        updated_at BIGINT
+      );`,
+      `CREATE TABLE IF NOT EXISTS deals (
+        intent_id TEXT PRIMARY KEY,
+        executor_address TEXT,
+        fee NUMERIC,
+        tx_hash TEXT,
+        outcome TEXT,
+        rating INTEGER,
+        settled_at BIGINT,
+        updated_at BIGINT
+      );`,
+      `CREATE TABLE IF NOT EXISTS offers (
+        id TEXT PRIMARY KEY,
+        intent_id TEXT,
+        from_address TEXT,
+        fee NUMERIC,
+        fee_raw TEXT,
+        eta TEXT,
+        reputation INTEGER,
+        stake_age_seconds BIGINT,
+        escrow_address TEXT,
+        created_at BIGINT
+      );`,
+      `CREATE TABLE IF NOT EXISTS processed_messages (
+        message_key TEXT PRIMARY KEY,
+        message_type TEXT,
+        source_chat_id TEXT,
+        source_message_id TEXT,
+        payload_hash TEXT,
+        first_seen_at BIGINT
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_peers_last_seen ON peers(last_seen DESC);`,
+      `CREATE INDEX IF NOT EXISTS idx_intents_status_deadline ON intents(status, deadline);`,
+      `CREATE INDEX IF NOT EXISTS idx_offers_intent_created ON offers(intent_id, created_at);`,
+      `CREATE INDEX IF NOT EXISTS idx_deals_settled_at ON deals(settled_at DESC);`,
+    ],
+    down: [
+      `DROP TABLE IF EXISTS processed_messages;`,
+      `DROP TABLE IF EXISTS offers;`,
+      `DROP TABLE IF EXISTS deals;`,
+      `DROP TABLE IF EXISTS intents;`,
+      `DROP TABLE IF EXISTS peers;`,
+    ],
+  },
+  {
+    version: 2,
+    name: 'disputes',
+    up: [
+      `CREATE TABLE IF NOT EXISTS disputes (
+        id TEXT PRIMARY KEY,
+        intent_id TEXT,
+        from_address TEXT,
+        against_address TEXT,
+        reason TEXT,
+        evidence_tx TEXT,
+        status TEXT,
+        intent_status TEXT,
+        resolution TEXT,
+        slashed_stake NUMERIC,
+        created_at BIGINT,
+        resolved_at BIGINT,
+        updated_at BIGINT
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_disputes_intent_status ON disputes(intent_id, status);`,
+    ],
+    down: [
+      `DROP TABLE IF EXISTS disputes;`,
+    ],
+  },
+  {
+    version: 3,
+    name: 'peer_public_keys',
+    up: [
+      `ALTER TABLE peers ADD COLUMN IF NOT EXISTS public_key TEXT;`,
+    ],
+    down: [
+      `ALTER TABLE peers DROP COLUMN IF EXISTS public_key;`,
+    ],
+  },
+  {
+    version: 4,
+    name: 'deal_escrow',
+    up: [
+      `ALTER TABLE deals ADD COLUMN IF NOT EXISTS escrow_id TEXT;`,
+      `ALTER TABLE deals ADD COLUMN IF NOT EXISTS escrow_status TEXT;`,
+    ],
+    down: [
+      `ALTER TABLE deals DROP COLUMN IF EXISTS escrow_status;`,
+      `ALTER TABLE deals DROP COLUMN IF EXISTS escrow_id;`,
+    ],
+  },
+  {
+    version: 5,
+    name: 'offer_negotiation',
+    up: [
+      `ALTER TABLE offers ADD COLUMN IF NOT EXISTS round INTEGER DEFAULT 0;`,
+      `ALTER TABLE offers ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'open';`,
+      `ALTER TABLE offers ADD COLUMN IF NOT EXISTS counter_fee NUMERIC;`,
+      `ALTER TABLE offers ADD COLUMN IF NOT EXISTS counter_eta TEXT;`,
+    ],
+    down: [
+      `ALTER TABLE offers DROP COLUMN IF EXISTS counter_eta;`,
+      `ALTER TABLE offers DROP COLUMN IF EXISTS counter_fee;`,
+      `ALTER TABLE offers DROP COLUMN IF EXISTS status;`,
+      `ALTER TABLE offers DROP COLUMN IF EXISTS round;`,
+    ],
+  },
+  {
+    version: 6,
+    name: 'executor_capacity',
+    up: [
+      `ALTER TABLE peers ADD COLUMN IF NOT EXISTS active_deals INTEGER DEFAULT 0;`,
+      `ALTER TABLE peers ADD COLUMN IF NOT EXISTS max_concurrent_deals INTEGER;`,
+      `CREATE INDEX IF NOT EXISTS idx_intents_executor_status ON intents(selected_executor, status);`,
+    ],
+    down: [
+      `DROP INDEX IF EXISTS idx_intents_executor_status;`,
+      `ALTER TABLE peers DROP COLUMN IF EXISTS max_concurrent_deals;`,
+      `ALTER TABLE peers DROP COLUMN IF EXISTS active_deals;`,
+    ],
+  },
+  {
+    version: 7,
+    name: 'deal_results',
+    up: [
+      `ALTER TABLE deals ADD COLUMN IF NOT EXISTS result_status TEXT;`,
+      `ALTER TABLE deals ADD COLUMN IF NOT EXISTS result_hash TEXT;`,
+      `ALTER TABLE deals ADD COLUMN IF NOT EXISTS result_ref TEXT;`,
+      `ALTER TABLE deals ADD COLUMN IF NOT EXISTS result_output JSONB;`,
+      `ALTER TABLE deals ADD COLUMN IF NOT EXISTS result_error TEXT;`,
+      `ALTER TABLE deals ADD COLUMN IF NOT EXISTS result_verified BOOLEAN;`,
+      `ALTER TABLE deals ADD COLUMN IF NOT EXISTS delivered_at BIGINT;`,
+    ],
+    down: [
+      `ALTER TABLE deals DROP COLUMN IF EXISTS delivered_at;`,
+      `ALTER TABLE deals DROP COLUMN IF EXISTS result_verified;`,
+      `ALTER TABLE deals DROP COLUMN IF EXISTS result_error;`,
+      `ALTER TABLE deals DROP COLUMN IF EXISTS result_output;`,
+      `ALTER TABLE deals DROP COLUMN IF EXISTS result_ref;`,
+      `ALTER TABLE deals DROP COLUMN IF EXISTS result_hash;`,
+      `ALTER TABLE deals DROP COLUMN IF EXISTS result_status;`,
+    ],
+  },
+  {
+    version: 8,
+    name: 'retention',
+    up: [
+      `CREATE TABLE IF NOT EXISTS deals_history (
+        intent_id TEXT PRIMARY KEY,
+        requester_address TEXT,
+        skill TEXT,
+        budget NUMERIC,
+        intent_status TEXT,
+        executor_address TEXT,
+        fee NUMERIC,
+        tx_hash TEXT,
+        outcome TEXT,
+        rating INTEGER,
+        settled_at BIGINT,
+        updated_at BIGINT,
+        escrow_id TEXT,
+        escrow_status TEXT,
+        result_status TEXT,
+        result_hash TEXT,
+        result_ref TEXT,
+        result_output JSONB,
+        result_error TEXT,
+        result_verified BOOLEAN,
+        delivered_at BIGINT,
+        archived_at BIGINT
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_deals_history_archived_at ON deals_history(archived_at DESC);`,
+      `CREATE INDEX IF NOT EXISTS idx_processed_messages_first_seen ON processed_messages(first_seen_at);`,
+      `CREATE INDEX IF NOT EXISTS idx_intents_status_updated ON intents(status, updated_at);`,
+    ],
+    down: [
+      `DROP INDEX IF EXISTS idx_intents_status_updated;`,
+      `DROP INDEX IF EXISTS idx_processed_messages_first_seen;`,
+      `DROP TABLE IF EXISTS deals_history;`,
+    ],
+  },
+  {
+    // Amounts move to whole nanotons. The NUMERIC columns stay (unwritten) so rollback can restore them.
+    version: 9,
+    name: 'nanoton_amounts',
+    up: [
+      ...NANOTON_COLUMNS.map(([table, column]) => `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column}_nano BIGINT;`),
+      ...NANOTON_COLUMNS.map(([table, column]) => `UPDATE ${table} SET ${column}_nano = CAST(ROUND(${column} * 1000000000) AS BIGINT)
+        WHERE ${column}_nano IS NULL AND ${column} IS NOT NULL;`),
+    ],
+    down: [
+      ...NANOTON_COLUMNS.map(([table, column]) => `UPDATE ${table} SET ${column} = ${column}_nano / 1000000000.0
+        WHERE ${column}_nano IS NOT NULL;`),
+      ...NANOTON_COLUMNS.map(([table, column]) => `ALTER TABLE ${table} DROP COLUMN IF EXISTS ${column}_nano;`),
+    ],
+  },
+  {
+    version: 10,
+    name: 'peer_protocol_versions',
+    up: [
+      `ALTER TABLE peers ADD COLUMN IF NOT EXISTS protocol_versions JSONB;`,
+    ],
+    down: [
+      `ALTER TABLE peers DROP COLUMN IF EXISTS protocol_versions;`,
+    ],
+  },
+  {
+    version: 11,
+    name: 'router_signals',
+    up: [
+      `ALTER TABLE intents ADD COLUMN IF NOT EXISTS router_weights JSONB;`,
+      `ALTER TABLE deals ADD COLUMN IF NOT EXISTS due_at BIGINT;`,
+      `ALTER TABLE deals_history ADD COLUMN IF NOT EXISTS due_at BIGINT;`,
+      `CREATE INDEX IF NOT EXISTS idx_deals_executor ON deals(executor_address);`,
+      `CREATE INDEX IF NOT EXISTS idx_deals_history_executor ON deals_history(executor_address);`,
+    ],
+    down: [
+      `DROP INDEX IF EXISTS idx_deals_history_executor;`,
+      `DROP INDEX IF EXISTS idx_deals_executor;`,
+      `ALTER TABLE deals_history DROP COLUMN IF EXISTS due_at;`,
+      `ALTER TABLE deals DROP COLUMN IF EXISTS due_at;`,
+      `ALTER TABLE intents DROP COLUMN IF EXISTS router_weights;`,
+    ],
+  },
+  {
+    version: 12,
+    name: 'router_policy',
+    up: [
+      `ALTER TABLE intents ADD COLUMN IF NOT EXISTS router_policy JSONB;`,
+    ],
+    down: [
+      `ALTER TABLE intents DROP COLUMN IF EXISTS router_policy;`,
+    ],
+  },
+  {
+    version: 13,
+    name: 'sealed_bids',
+    up: [
+      `ALTER TABLE intents ADD COLUMN IF NOT EXISTS auction TEXT;`,
+      `ALTER TABLE intents ADD COLUMN IF NOT EXISTS reveal_deadline BIGINT;`,
+      `CREATE TABLE IF NOT EXISTS offer_commitments (
+        intent_id TEXT NOT NULL,
+        from_address TEXT NOT NULL,
+        commitment TEXT NOT NULL,
+        fee_nano BIGINT,
+        eta TEXT,
+        escrow_address TEXT,
+        nonce TEXT,
+        status TEXT NOT NULL,
+        created_at BIGINT,
+        revealed_at BIGINT,
+        updated_at BIGINT,
+        PRIMARY KEY (intent_id, from_address)
+      );`,
+    ],
+    down: [
+      `DROP TABLE IF EXISTS offer_commitments;`,
+      `ALTER TABLE intents DROP COLUMN IF EXISTS reveal_deadline;`,
+      `ALTER TABLE intents DROP COLUMN IF EXISTS auction;`,
+    ],
+  },
+  {
+    // An intent may select several executors, each with its own deal row.
+    version: 14,
+    name: 'multi_executor',
+    up: [
+      `ALTER TABLE intents ADD COLUMN IF NOT EXISTS executors INTEGER;`,
+      `ALTER TABLE intents ADD COLUMN IF NOT EXISTS quorum INTEGER;`,
+      `ALTER TABLE intents ADD COLUMN IF NOT EXISTS selected_executors JSONB;`,
+      `ALTER TABLE intents ADD COLUMN IF NOT EXISTS quorum_status TEXT;`,
+      `ALTER TABLE intents ADD COLUMN IF NOT EXISTS quorum_hash TEXT;`,
+      ...rebuildDealTable('deals', 'by_executor', { byExecutor: true }),
+      ...rebuildDealTable('deals_history', 'by_executor', { byExecutor: true }),
+    ],
+    // Rolling back keeps one deal per intent.
+    down: [
+      ...rebuildDealTable('deals_history', 'by_intent', { byExecutor: false }),
+      ...rebuildDealTable('deals', 'by_intent', { byExecutor: false }),
+      `ALTER TABLE intents DROP COLUMN IF EXISTS quorum_hash;`,
+      `ALTER TABLE intents DROP COLUMN IF EXISTS quorum_status;`,
+      `ALTER TABLE intents DROP COLUMN IF EXISTS selected_executors;`,
+      `ALTER TABLE intents DROP COLUMN IF EXISTS quorum;`,
+      `ALTER TABLE intents DROP COLUMN IF EXISTS executors;`,
+    ],
+  },
+  {
+    version: 15,
+    name: 'workflows',
+    up: [
+      `CREATE TABLE IF NOT EXISTS workflows (
+        id TEXT PRIMARY KEY,
+        from_address TEXT NOT NULL,
+        status TEXT NOT NULL,
+        budget_nano BIGINT NOT NULL,
+        error TEXT,
+        created_at BIGINT,
+        updated_at BIGINT
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_workflows_from_status ON workflows(from_address, status);`,
+      `CREATE TABLE IF NOT EXISTS workflow_steps (
+        workflow_id TEXT NOT NULL,
+        step_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        skill TEXT NOT NULL,
+        payload JSONB,
+        budget_nano BIGINT NOT NULL,
+        depends_on JSONB,
+        options JSONB,
+        status TEXT NOT NULL,
+        intent_id TEXT,
+        output JSONB,
+        spent_nano BIGINT,
+        error TEXT,
+        started_at BIGINT,
+        updated_at BIGINT,
+        PRIMARY KEY (workflow_id, step_id)
+      );`,
+    ],
+    down: [
+      `DROP TABLE IF EXISTS workflow_steps;`,
+      `DROP TABLE IF EXISTS workflows;`,
+    ],
+  },
+  {
+    version: 16,
+    name: 'dispute_targets',
+    up: [
+      `UPDATE disputes SET id = intent_id || ':' || from_address || ':' || against_address
+       WHERE against_address IS NOT NULL;`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_disputes_parties ON disputes(intent_id, from_address, against_address);`,
+    ],
+    // Requesters with disputes against several executors of one intent keep the new ids.
+    down: [
+      `DROP INDEX IF EXISTS idx_disputes_parties;`,
+      `UPDATE disputes SET id = intent_id || ':' || from_address
+       WHERE intent_id || ':' || from_address NOT IN (
+         SELECT a.intent_id || ':' || a.from_address FROM disputes a
+         JOIN disputes b ON b.intent_id = a.intent_id AND b.from_address = a.from_address AND b.id <> a.id
+       );`,
+    ],
+  },
+];
+
+export const MIGRATIONS_TABLE_DDL = `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at BIGINT NOT NULL
+);`;
+
+export function latestMigrationVersion() {
+  return MIGRATIONS[MIGRATIONS.length - 1].version;
+}
+
+// Applied versions above `to`, newest first, each paired with its migration (undefined if unknown to this build).
+export function migrationsToRollBack(appliedVersions, to) {
+  return appliedVersions
+    .filter((version) => version > to)
+    .sort((a, b) => b - a)
+    .map((version) => ({ version, migration: MIGRATIONS.find((m) => m.version === version) }));
+}
+
+export function toSqliteDdl(sql) {
+  return sql
+    .replace(/\bJSONB\b/g, 'TEXT')
+    .replace(/\bNUMERIC\b/g, 'REAL')
+    .replace(/\bBIGINT\b/g, 'INTEGER')
+    .replace(/\bBOOLEAN\b/g, 'INTEGER')
+    .replace(/ADD COLUMN IF NOT EXISTS/g, 'ADD COLUMN')
+    .replace(/DROP COLUMN IF EXISTS/g, 'DROP COLUMN');
+}
+
+function sqlLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// Supabase applies the schema by hand in the SQL editor, so the file replays every migration and records it.
+export function renderSupabaseSchema() {
+  const lines = [
+    '-- MESH schema for Supabase (run in Supabase SQL Editor)',
+    '-- Generated from plugin/mesh/migrations.js by `npm run supabase:schema`; do not edit by hand.',
+    '',
+    MIGRATIONS_TABLE_DDL,
+  ];
+  for (const migration of MIGRATIONS) {
+    lines.push('', `-- ${String(migration.version).padStart(4, '0')} ${migration.name}`);
+    for (const sql of migration.up) {
+      lines.push(sql.replace(/\n {6}/g, '\n'));
+    }
+    lines.push(
+      `INSERT INTO ${MIGRATIONS_TABLE} (version, name, applied_at) VALUES `
+        + `(${migration.version}, ${sqlLiteral(migration.name)}, extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;`,
+    );
+  }
+  lines.push(
+    '',
+    '-- For service role usage via PostgREST, RLS can remain enabled; service role bypasses it.',
+    '-- If you plan to use anon/authenticated keys, define explicit RLS policies instead.',
+    '',
+  );
+  return lines.join('\n');
+}
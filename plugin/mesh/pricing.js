@@ -0,0 +1,112 @@
+import { maxTon, minTon, parseTon, scaleTon } from './amounts.js';
+
+const MILLITON = 1_000_000n;
+
+function toNum(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function tonOrNull(value) {
+  try {
+    return parseTon(value);
+  } catch {
+    return null;
+  }
+}
+
+// Quotes are kept to 0.001 TON steps.
+function round3(nano) {
+  return ((nano + (MILLITON / 2n)) / MILLITON) * MILLITON;
+}
+
+function payloadKb(payload) {
+  return Buffer.byteLength(JSON.stringify(payload ?? {}), 'utf8') / 1024;
+}
+
+// Original behaviour: bid 75% of the budget, never below minFee and never above the budget.
+async function budgetShare({ intent, minFee }, options = {}) {
+  const share = toNum(options.share, 0.75);
+  const fee = round3(scaleTon(intent.budget, share)) || minFee;
+  return { fee: minTon(intent.budget, maxTon(minFee, fee)) };
+}
+
+async function fixed({ intent }, options = {}) {
+  const prices = options.prices || {};
+  const price = prices[intent.skill] ?? prices.default ?? options.price;
+  if (price == null) return null;
+  return { fee: parseTon(price, 'price') };
+}
+
+async function costPlus({ intent, minFee }, options = {}) {
+  const base = options.base == null ? minFee : parseTon(options.base, 'base');
+  const perKb = parseTon(options.perKb ?? 0, 'perKb');
+  const margin = toNum(options.margin, 0.2);
+  const cost = base + scaleTon(perKb, payloadKb(intent.payload));
+  return { fee: round3(scaleTon(cost, 1 + margin)) };
+}
+
+async function surge(context, options = {}) {
+  const base = await resolveStrategy(options.base || 'budgetShare', context.strategies)(context, options.baseOptions || {});
+  if (!base) return null;
+  const openDeals = await context.countOpenDeals();
+  const step = toNum(options.step, 0.1);
+  const maxMultiplier = toNum(options.maxMultiplier, 2);
+  const multiplier = Math.min(maxMultiplier, 1 + (step * openDeals));
+  return { ...base, fee: round3(scaleTon(parseTon(base.fee, 'fee'), multiplier)) };
+}
+
+// Undercut the cheapest competitor only when it out-ranks us on reputation; otherwise match it.
+async function undercut(context, options = {}) {
+  const base = await resolveStrategy(options.base || 'budgetShare', context.strategies)(context, options.baseOptions || {});
+  const competitors = await context.listCompetingOffers();
+  if (competitors.length === 0) return base;
+
+  const cheapest = competitors.reduce((best, o) => (o.fee < best.fee ? o : best));
+  const undercutBy = Math.min(1, toNum(options.undercutBy, 0.05));
+  const theirRep = toNum(cheapest.reputation, 100);
+  const fee = context.selfReputation > theirRep
+    ? cheapest.fee
+    : scaleTon(cheapest.fee, 1 - undercutBy);
+  const capped = base ? minTon(parseTon(base.fee, 'fee'), fee) : fee;
+  return { ...(base || {}), fee: round3(capped) };
+}
+
+export const builtInPricingStrategies = {
+  budgetShare,
+  fixed,
+  costPlus,
+  surge,
+  undercut,
+};
+
+function resolveStrategy(name, strategies = builtInPricingStrategies) {
+  if (typeof name === 'function') return name;
+  const strategy = strategies[name];
+  if (!strategy) throw new Error(`Unknown pricing strategy: ${name}`);
+  return strategy;
+}
+
+function pricingSpecFor(pricing, skill) {
+  if (!pricing) return { strategy: 'budgetShare' };
+  if (typeof pricing === 'function' || typeof pricing === 'string') return { strategy: pricing };
+  const perSkill = pricing.perSkill?.[skill];
+  if (perSkill) return typeof perSkill === 'object' ? { strategy: 'budgetShare', ...perSkill } : { strategy: perSkill };
+  return { strategy: 'budgetShare', ...pricing };
+}
+
+// Strategies receive { intent, minFee, selfReputation, defaultEta, countOpenDeals(), listCompetingOffers() },
+// with amounts in nanotons, and return { fee, eta? } or null to skip the intent. The fee may be nanotons or
+// decimal TON; fees below minFee are raised to minFee.
+export async function priceOffer(context, pricing, customStrategies = {}) {
+  const strategies = { ...builtInPricingStrategies, ...customStrategies };
+  const { strategy, ...options } = pricingSpecFor(pricing, context.intent.skill);
+  const quote = await resolveStrategy(strategy, strategies)({ ...context, strategies }, options);
+  const fee = quote ? tonOrNull(quote.fee) : null;
+  if (fee == null) return null;
+
+  return {
+    fee: maxTon(context.minFee, fee),
+    eta: quote.eta || options.eta || context.defaultEta,
+  };
+}
@@ -1,7 +1,13 @@
+import { createHash, createPrivateKey, createPublicKey, sign, verify } from 'node:crypto';
+import { TON_AMOUNT_PATTERN, formatTon, isTonAmount, parseTon } from './amounts.js';
+
 const MESH_PREFIX = 'MESH:';
-const MESH_VERSION = '1.0';
+// Messages without `v` predate versioning.
+const LEGACY_VERSION = '1.0';
 
-const KNOWN_TYPES = new Set(['beacon', 'intent', 'offer', 'accept', 'settle', 'dispute']);
+// DER prefixes that wrap raw 32-byte ed25519 keys into PKCS#8 / SPKI for node:crypto.
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
 
 function isObject(value) {
   return value !== null && typeof value === 'object' && !Array.isArray(value);
@@ -13,6 +19,12 @@ function asString(value) {
   return s.length > 0 ? s : null;
 }
 
+// Amounts stay decimal TON strings on the wire; handlers convert them to nanotons.
+function asTonAmount(value) {
+  const s = asString(value);
+  return s && isTonAmount(s) ? s : null;
+}
+
 function asNumber(value) {
   return typeof value === 'number' && Number.isFinite(value) ? value : null;
 }
@@ -27,178 +39,491 @@ function asStringArray(value) {
   return items.length === value.length ? items : null;
 }
 
-function hasFields(obj, required) {
-  return required.every((key) => obj[key] !== undefined && obj[key] !== null);
+function asHash(value) {
+  const s = asString(value);
+  return s && /^[0-9a-f]{64}$/.test(s) ? s : null;
+}
+
+function asPayload(value) {
+  return isObject(value) || Array.isArray(value) ? value : null;
+}
+
+function asVersionList(value) {
+  const items = asStringArray(value);
+  return items && items.length > 0 && items.every((item) => parseVersion(item)) ? items : null;
 }
 
 function normalizeBase(obj) {
-  const v = asString(obj.v) ?? MESH_VERSION;
+  const v = asString(obj.v) ?? LEGACY_VERSION;
   const type = asString(obj.type);
-  if (!type || !KNOWN_TYPES.has(type)) {
-    return null;
+  return type ? { v, type } : null;
+}
+
+const VERSION_PATTERN = '^\\d+\\.\\d+$';
+
+// How each field kind is read off the wire and described in JSON Schema.
+const FIELD_KINDS = {
+  string: { read: asString, schema: { type: 'string', pattern: '\\S' } },
+  ton: { read: asTonAmount, schema: { type: 'string', pattern: TON_AMOUNT_PATTERN } },
+  integer: { read: asInteger, schema: { type: 'integer' } },
+  number: { read: asNumber, schema: { type: 'number' } },
+  strings: { read: asStringArray, schema: { type: 'array', items: { type: 'string' } } },
+  versions: { read: asVersionList, schema: { type: 'array', minItems: 1, items: { type: 'string', pattern: VERSION_PATTERN } } },
+  hash: { read: asHash, schema: { type: 'string', pattern: '^[0-9a-f]{64}$' } },
+  payload: { read: asPayload, schema: { type: ['object', 'array'] } },
+  // Passed through as sent; only a missing field is absent (null is a value).
+  any: { read: (value) => value, present: (value) => value !== undefined, schema: {} },
+};
+
+// The wire protocol, one field list per message type; it drives both the sanitizers and meshMessageSchema().
+// A field is optional unless `required`; an optional field that is sent must be valid unless it has a
+// `fallback`. `default` stands in for a missing field, `fallback` for an invalid one (and for a missing one
+// without a `default`). `requires` names a field that must come with it, and `values` lists the allowed ones.
+// An `essential` field changes what the message means, so a message setting it to anything but its default
+// is not downgraded for peers that predate it.
+const MESSAGES_V1_0 = {
+  beacon: {
+    from: { kind: 'string', required: true },
+    skills: { kind: 'strings', required: true },
+    minFee: { kind: 'ton' },
+    responseTime: { kind: 'string', fallback: null },
+    stake: { kind: 'ton' },
+    replyChat: { kind: 'number', fallback: null },
+  },
+  intent: {
+    id: { kind: 'string', required: true },
+    from: { kind: 'string', required: true },
+    skill: { kind: 'string', required: true },
+    payload: { kind: 'payload', fallback: () => ({}) },
+    budget: { kind: 'ton', required: true },
+    deadline: { kind: 'integer', required: true, min: 1 },
+    minReputation: { kind: 'integer', default: 0, min: 0 },
+  },
+  offer: {
+    intentId: { kind: 'string', required: true },
+    from: { kind: 'string', required: true },
+    fee: { kind: 'ton', required: true },
+    eta: { kind: 'string', required: true },
+    reputation: { kind: 'integer', default: undefined, fallback: null },
+    escrowAddress: { kind: 'string', default: undefined, fallback: null },
+  },
+  accept: {
+    intentId: { kind: 'string', required: true },
+    from: { kind: 'string', required: true },
+    to: { kind: 'string', required: true },
+    fee: { kind: 'ton', required: true },
+    selectedAt: { kind: 'integer', fallback: () => Math.floor(Date.now() / 1000) },
+  },
+  settle: {
+    intentId: { kind: 'string', required: true },
+    from: { kind: 'string', required: true },
+    txHash: { kind: 'string', required: true },
+    outcome: { kind: 'string', required: true },
+    rating: { kind: 'integer', required: true, min: 1, max: 10 },
+  },
+  dispute: {
+    intentId: { kind: 'string', required: true },
+    from: { kind: 'string', required: true },
+    against: { kind: 'string', required: true },
+    reason: { kind: 'string', fallback: null },
+    evidenceTx: { kind: 'string', fallback: null },
+  },
+};
+
+// 1.1: beacons list the protocol versions the sender speaks. It also carries what was added to the wire
+// before messages were versioned: executor load in beacons, negotiation rounds on offers, escrow-backed
+// accepts, the executor's address on settles, and the cancel, counter, result and complete messages.
+const MESSAGES_V1_1 = {
+  ...MESSAGES_V1_0,
+  beacon: {
+    ...MESSAGES_V1_0.beacon,
+    activeDeals: { kind: 'integer', min: 0 },
+    maxDeals: { kind: 'integer', min: 1 },
+    versions: { kind: 'versions' },
+  },
+  offer: { ...MESSAGES_V1_0.offer, round: { kind: 'integer', min: 0 } },
+  accept: { ...MESSAGES_V1_0.accept, escrowId: { kind: 'string', default: undefined, fallback: null } },
+  settle: { ...MESSAGES_V1_0.settle, to: { kind: 'string' } },
+  cancel: {
+    intentId: { kind: 'string', required: true },
+    from: { kind: 'string', required: true },
+    reason: { kind: 'string', fallback: null },
+  },
+  counter: {
+    intentId: { kind: 'string', required: true },
+    offerId: { kind: 'string', default: undefined, fallback: null },
+    from: { kind: 'string', required: true },
+    to: { kind: 'string', required: true },
+    fee: { kind: 'ton', required: true },
+    eta: { kind: 'string', required: true },
+    round: { kind: 'integer', required: true, min: 1 },
+  },
+  result: {
+    intentId: { kind: 'string', required: true },
+    from: { kind: 'string', required: true },
+    to: { kind: 'string', required: true },
+    status: { kind: 'string', required: true },
+    output: { kind: 'any' },
+    outputHash: { kind: 'hash' },
+    outputRef: { kind: 'string', requires: 'outputHash' },
+    error: { kind: 'string', default: undefined, fallback: null },
+  },
+  complete: {
+    intentId: { kind: 'string', required: true },
+    from: { kind: 'string', required: true },
+    to: { kind: 'string', required: true },
+    outcome: { kind: 'string', required: true },
+    txHash: { kind: 'string', default: undefined, fallback: null },
+  },
+};
+
+// 1.2: sealed-bid intents. Executors send a commitment to their offer while bidding is open and reveal it
+// once the deadline has passed.
+const MESSAGES_V1_2 = {
+  ...MESSAGES_V1_1,
+  intent: {
+    ...MESSAGES_V1_1.intent,
+    auction: { kind: 'string', default: 'open', values: ['open', 'sealed'], essential: true },
+    revealDeadline: { kind: 'integer', min: 1 },
+  },
+  commit: {
+    intentId: { kind: 'string', required: true },
+    from: { kind: 'string', required: true },
+    to: { kind: 'string', required: true },
+    commitment: { kind: 'hash', required: true },
+  },
+  reveal: {
+    intentId: { kind: 'string', required: true },
+    from: { kind: 'string', required: true },
+    to: { kind: 'string', required: true },
+    fee: { kind: 'ton', required: true },
+    eta: { kind: 'string', required: true },
+    escrowAddress: { kind: 'string', default: undefined, fallback: null },
+    nonce: { kind: 'string', required: true },
+  },
+};
+
+// 1.3: multi-executor intents. The requester accepts up to `executors` offers and settles once `quorum` of
+// the selected executors returned the same output.
+const MESSAGES_V1_3 = {
+  ...MESSAGES_V1_2,
+  intent: {
+    ...MESSAGES_V1_2.intent,
+    executors: { kind: 'integer', default: 1, min: 1, essential: true },
+    quorum: { kind: 'integer', min: 1 },
+  },
+};
+
+// 1.4: the arbiter broadcasts how it resolved a dispute, so the parties do not have to ask it.
+const MESSAGES_V1_4 = {
+  ...MESSAGES_V1_3,
+  resolution: {
+    disputeId: { kind: 'string', required: true },
+    intentId: { kind: 'string', required: true },
+    from: { kind: 'string', required: true },
+    against: { kind: 'string', required: true },
+    status: { kind: 'string', required: true, values: ['confirmed', 'rejected'] },
+    resolution: { kind: 'string', fallback: null },
+    slashedStake: { kind: 'ton', default: undefined, fallback: null },
+  },
+};
+
+const INVALID = Symbol('invalid');
+
+function orDefault(value) {
+  return typeof value === 'function' ? value() : value;
+}
+
+function readField(field, value) {
+  const kind = FIELD_KINDS[field.kind];
+  if (!(kind.present ?? ((v) => v != null))(value)) {
+    return field.required ? INVALID : orDefault('default' in field ? field.default : field.fallback);
   }
-  return { v, type };
+  const read = kind.read(value);
+  const valid = (read !== null || field.kind === 'any') && !(read < field.min) && !(read > field.max)
+    && (!field.values || field.values.includes(read));
+  if (valid) return read;
+  return field.required || !('fallback' in field) ? INVALID : orDefault(field.fallback);
 }
 
-function sanitizeBeacon(obj) {
-  if (!isObject(obj)) return null;
-  const base = normalizeBase(obj);
-  if (!base) return null;
-  const msg = {
-    ...base,
-    from: asString(obj.from),
-    skills: asStringArray(obj.skills),
-    minFee: asString(obj.minFee),
-    responseTime: asString(obj.responseTime),
-    stake: asString(obj.stake),
-    replyChat: typeof obj.replyChat === 'number' ? obj.replyChat : null,
+function sanitizerFor(fields) {
+  return (obj) => {
+    if (!isObject(obj)) return null;
+    const base = normalizeBase(obj);
+    if (!base) return null;
+    const msg = { ...base };
+    for (const [name, field] of Object.entries(fields)) {
+      msg[name] = readField(field, obj[name]);
+      if (msg[name] === INVALID) return null;
+    }
+    for (const [name, field] of Object.entries(fields)) {
+      if (field.requires && msg[name] != null && msg[field.requires] == null) return null;
+    }
+    return msg;
   };
-  return hasFields(msg, ['from', 'skills']) ? msg : null;
 }
 
-function sanitizeIntent(obj) {
-  if (!isObject(obj)) return null;
-  const base = normalizeBase(obj);
-  if (!base) return null;
-  const msg = {
-    ...base,
-    id: asString(obj.id),
-    from: asString(obj.from),
-    skill: asString(obj.skill),
-    payload: isObject(obj.payload) || Array.isArray(obj.payload) ? obj.payload : {},
-    budget: asString(obj.budget),
-    deadline: asInteger(obj.deadline),
-    minReputation: obj.minReputation == null ? 0 : asInteger(obj.minReputation),
-  };
-  if (msg.minReputation === null || msg.minReputation < 0) return null;
-  if (msg.deadline === null || msg.deadline <= 0) return null;
-  return hasFields(msg, ['id', 'from', 'skill', 'budget', 'deadline']) ? msg : null;
+function fieldSchema(field) {
+  const schema = { ...FIELD_KINDS[field.kind].schema };
+  if (field.fallback === null && schema.type) schema.type = [schema.type, 'null'];
+  if (field.min !== undefined) schema.minimum = field.min;
+  if (field.max !== undefined) schema.maximum = field.max;
+  if (field.values) schema.enum = field.values;
+  if (field.default !== undefined && typeof field.default !== 'function') schema.default = field.default;
+  return schema;
 }
 
-function sanitizeOffer(obj) {
-  if (!isObject(obj)) return null;
-  const base = normalizeBase(obj);
-  if (!base) return null;
-  const msg = {
-    ...base,
-    intentId: asString(obj.intentId),
-    from: asString(obj.from),
-    fee: asString(obj.fee),
-    eta: asString(obj.eta),
-    reputation: obj.reputation == null ? undefined : asInteger(obj.reputation),
-    escrowAddress: obj.escrowAddress == null ? undefined : asString(obj.escrowAddress),
+function messageSchema(type, fields) {
+  const dependentRequired = { pubkey: ['sig'], sig: ['pubkey'] };
+  for (const [name, field] of Object.entries(fields)) {
+    if (field.requires) dependentRequired[name] = [field.requires];
+  }
+  return {
+    type: 'object',
+    properties: {
+      v: { type: 'string', pattern: VERSION_PATTERN },
+      type: { const: type },
+      ...Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, fieldSchema(field)])),
+      pubkey: { type: 'string', pattern: '^[0-9a-fA-F]{64}$' },
+      sig: { type: 'string', pattern: '\\S' },
+    },
+    required: ['type', ...Object.keys(fields).filter((name) => fields[name].required)],
+    dependentRequired,
   };
-  return hasFields(msg, ['intentId', 'from', 'fee', 'eta']) ? msg : null;
 }
 
-function sanitizeAccept(obj) {
-  if (!isObject(obj)) return null;
-  const base = normalizeBase(obj);
-  if (!base) return null;
-  const msg = {
-    ...base,
-    intentId: asString(obj.intentId),
-    from: asString(obj.from),
-    to: asString(obj.to),
-    fee: asString(obj.fee),
-    selectedAt: asInteger(obj.selectedAt) ?? Math.floor(Date.now() / 1000),
-  };
-  return hasFields(msg, ['intentId', 'from', 'to', 'fee']) ? msg : null;
+function sanitizeSignature(obj, msg) {
+  if (!msg) return null;
+  const sig = asString(obj.sig);
+  const pubkey = asString(obj.pubkey);
+  if (sig == null && pubkey == null) return msg;
+  if (!sig || !pubkey || !/^[0-9a-f]{64}$/i.test(pubkey)) return null;
+  return { ...msg, pubkey: pubkey.toLowerCase(), sig };
 }
 
-function sanitizeSettle(obj) {
-  if (!isObject(obj)) return null;
-  const base = normalizeBase(obj);
-  if (!base) return null;
-  const msg = {
-    ...base,
-    intentId: asString(obj.intentId),
-    from: asString(obj.from),
-    txHash: asString(obj.txHash),
-    outcome: asString(obj.outcome),
-    rating: asInteger(obj.rating),
-  };
-  if (msg.rating == null || msg.rating < 1 || msg.rating > 10) return null;
-  return hasFields(msg, ['intentId', 'from', 'txHash', 'outcome', 'rating']) ? msg : null;
+// Oldest first. A minor version may only add optional fields, so a message is downgraded for an older
+// minor by dropping the fields added since. A new major gets its own message definitions.
+const PROTOCOL_VERSIONS = [
+  { version: '1.0', messages: MESSAGES_V1_0 },
+  { version: '1.1', messages: MESSAGES_V1_1 },
+  { version: '1.2', messages: MESSAGES_V1_2 },
+  { version: '1.3', messages: MESSAGES_V1_3 },
+  { version: '1.4', messages: MESSAGES_V1_4 },
+].map((spec) => ({
+  ...spec,
+  sanitizers: Object.fromEntries(Object.entries(spec.messages).map(([type, fields]) => [type, sanitizerFor(fields)])),
+}));
+
+const MESH_VERSION = PROTOCOL_VERSIONS[PROTOCOL_VERSIONS.length - 1].version;
+
+function parseVersion(value) {
+  const match = typeof value === 'string' ? value.trim().match(/^(\d+)\.(\d+)$/) : null;
+  return match ? { major: Number(match[1]), minor: Number(match[2]) } : null;
 }
 
-function sanitizeDispute(obj) {
-  if (!isObject(obj)) return null;
-  const base = normalizeBase(obj);
-  if (!base) return null;
-  const msg = {
-    ...base,
-    intentId: asString(obj.intentId),
-    from: asString(obj.from),
-    against: asString(obj.against),
-    reason: asString(obj.reason),
-    evidenceTx: asString(obj.evidenceTx),
-  };
-  return hasFields(msg, ['intentId', 'from', 'against']) ? msg : null;
+export function compareMeshVersions(a, b) {
+  const x = parseVersion(a);
+  const y = parseVersion(b);
+  return x.major - y.major || x.minor - y.minor;
 }
 
-function sanitizeMessage(obj) {
-  switch (obj?.type) {
-    case 'beacon':
-      return sanitizeBeacon(obj);
-    case 'intent':
-      return sanitizeIntent(obj);
-    case 'offer':
-      return sanitizeOffer(obj);
-    case 'accept':
-      return sanitizeAccept(obj);
-    case 'settle':
-      return sanitizeSettle(obj);
-    case 'dispute':
-      return sanitizeDispute(obj);
-    default:
-      return null;
+// The newest version we speak that a peer at `value` understands: same major, minor not above theirs.
+function resolveVersion(value) {
+  const wanted = parseVersion(value ?? LEGACY_VERSION);
+  if (!wanted) return null;
+  let resolved = null;
+  for (const spec of PROTOCOL_VERSIONS) {
+    const { major, minor } = parseVersion(spec.version);
+    if (major === wanted.major && minor <= wanted.minor) {
+      resolved = { ...spec, newer: wanted.minor > minor };
+    }
   }
+  return resolved;
 }
 
-export function parseMeshMessage(text) {
+function sanitizeMessage(obj) {
+  const msg = sanitizeSignature(obj, sanitizeBody(obj));
+  if (!msg || !resolveVersion(msg.v).newer) return msg;
+  // Fields from a newer minor version ride along unread, so the sender's signature still verifies.
+  return { ...obj, ...msg };
+}
+
+function sanitizeBody(obj) {
+  if (!isObject(obj)) return null;
+  const spec = resolveVersion(asString(obj.v) ?? LEGACY_VERSION);
+  const sanitize = spec && Object.hasOwn(spec.sanitizers, obj.type) ? spec.sanitizers[obj.type] : null;
+  return sanitize ? sanitize(obj) : null;
+}
+
+// Like parseMeshMessage, but says why a MESH: message was dropped: `unsupported_version` for a major
+// version this build does not speak, `invalid_message` for anything else.
+export function readMeshMessage(text) {
   if (typeof text !== 'string') return null;
   const trimmed = text.trim();
   if (!trimmed.startsWith(MESH_PREFIX)) return null;
-  const jsonText = trimmed.slice(MESH_PREFIX.length).trim();
+  let parsed;
   try {
-    const parsed = JSON.parse(jsonText);
-    return sanitizeMessage(parsed);
+    parsed = JSON.parse(trimmed.slice(MESH_PREFIX.length).trim());
   } catch {
-    return null;
+    return { error: 'invalid_message' };
+  }
+  const version = isObject(parsed) ? asString(parsed.v) ?? LEGACY_VERSION : null;
+  if (version && parseVersion(version) && !resolveVersion(version)) {
+    return { error: 'unsupported_version', version, type: asString(parsed.type), from: asString(parsed.from) };
+  }
+  const message = sanitizeMessage(parsed);
+  return message ? { message } : { error: 'invalid_message' };
+}
+
+export function parseMeshMessage(text) {
+  return readMeshMessage(text)?.message ?? null;
+}
+
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map((item) => canonicalize(item ?? null));
+  if (!isObject(value)) return value;
+  const out = {};
+  for (const key of Object.keys(value).sort()) {
+    if (value[key] === undefined) continue;
+    out[key] = canonicalize(value[key]);
   }
+  return out;
 }
 
-export function serializeMeshMessage(message) {
-  const sanitized = sanitizeMessage(message);
+export function canonicalJson(value) {
+  return JSON.stringify(canonicalize(value));
+}
+
+export function hashMeshContent(value) {
+  return createHash('sha256').update(canonicalJson(value ?? null), 'utf8').digest('hex');
+}
+
+function toKeyBytes(key) {
+  if (Buffer.isBuffer(key) || key instanceof Uint8Array) return Buffer.from(key);
+  if (typeof key === 'string' && /^[0-9a-f]+$/i.test(key.trim())) return Buffer.from(key.trim(), 'hex');
+  throw new Error('Signing key must be hex or bytes');
+}
+
+// Accepts a 32-byte ed25519 seed or a 64-byte TON/NaCl secret key (seed || public key).
+function signingKeyFrom(secretKey) {
+  const bytes = toKeyBytes(secretKey);
+  if (bytes.length !== 32 && bytes.length !== 64) {
+    throw new Error('ed25519 secret key must be 32 or 64 bytes');
+  }
+  const privateKey = createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, bytes.subarray(0, 32)]),
+    format: 'der',
+    type: 'pkcs8',
+  });
+  const spki = createPublicKey(privateKey).export({ format: 'der', type: 'spki' });
+  return { privateKey, publicKeyHex: spki.subarray(ED25519_SPKI_PREFIX.length).toString('hex') };
+}
+
+function signingPayload(message) {
+  const { sig: _sig, ...unsigned } = message;
+  return Buffer.from(canonicalJson(unsigned), 'utf8');
+}
+
+export function publicKeyFromSecretKey(secretKey) {
+  return signingKeyFrom(secretKey).publicKeyHex;
+}
+
+export function signMeshMessage(message, secretKey) {
+  const { sig: _sig, pubkey: _pubkey, ...body } = message;
+  const sanitized = sanitizeBody(body);
+  if (!sanitized) {
+    throw new Error('Invalid MESH message');
+  }
+  const { privateKey, publicKeyHex } = signingKeyFrom(secretKey);
+  const unsigned = { ...sanitized, pubkey: publicKeyHex };
+  const sig = sign(null, signingPayload(unsigned), privateKey).toString('base64');
+  return { ...unsigned, sig };
+}
+
+export function verifyMeshSignature(message) {
+  if (!message?.sig || !message?.pubkey) {
+    return { ok: false, reason: 'unsigned' };
+  }
+  try {
+    const publicKey = createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(message.pubkey, 'hex')]),
+      format: 'der',
+      type: 'spki',
+    });
+    const ok = verify(null, signingPayload(message), publicKey, Buffer.from(message.sig, 'base64'));
+    return ok ? { ok: true, pubkey: message.pubkey } : { ok: false, reason: 'bad_signature' };
+  } catch {
+    return { ok: false, reason: 'bad_signature' };
+  }
+}
+
+export function serializeMeshMessage(message, { secretKey } = {}) {
+  const sanitized = secretKey ? signMeshMessage(message, secretKey) : sanitizeMessage(message);
   if (!sanitized) {
     throw new Error('Invalid MESH message');
   }
   return `${MESH_PREFIX} ${JSON.stringify(sanitized)}`;
 }
 
-export function buildBeaconMessage({ from, skills, minFee = '0.1', responseTime = '< 5s', stake = '1.0', replyChat }) {
-  return sanitizeBeacon({ v: MESH_VERSION, type: 'beacon', from, skills, minFee, responseTime, stake, replyChat });
+export function buildBeaconMessage({ from, skills, minFee = '0.1', responseTime = '< 5s', stake = '1.0', replyChat, activeDeals, maxDeals }) {
+  return sanitizeBody({
+    v: MESH_VERSION, type: 'beacon', from, skills, minFee, responseTime, stake, replyChat, activeDeals, maxDeals, versions: meshVersions(),
+  });
+}
+
+export function buildIntentMessage({
+  id, from, skill, payload = {}, budget, deadline, minReputation = 0, auction, revealDeadline, executors, quorum,
+}) {
+  return sanitizeBody({
+    v: MESH_VERSION, type: 'intent', id, from, skill, payload, budget, deadline, minReputation, auction, revealDeadline,
+    executors, quorum,
+  });
 }
 
-export function buildIntentMessage({ id, from, skill, payload = {}, budget, deadline, minReputation = 0 }) {
-  return sanitizeIntent({ v: MESH_VERSION, type: 'intent', id, from, skill, payload, budget, deadline, minReputation });
+export function buildOfferMessage({ intentId, from, fee, eta, reputation, escrowAddress, round }) {
+  return sanitizeBody({ v: MESH_VERSION, type: 'offer', intentId, from, fee, eta, reputation, escrowAddress, round });
 }
 
-export function buildOfferMessage({ intentId, from, fee, eta, reputation, escrowAddress }) {
-  return sanitizeOffer({ v: MESH_VERSION, type: 'offer', intentId, from, fee, eta, reputation, escrowAddress });
+export function buildAcceptMessage({ intentId, from, to, fee, selectedAt = Math.floor(Date.now() / 1000), escrowId }) {
+  return sanitizeBody({ v: MESH_VERSION, type: 'accept', intentId, from, to, fee, selectedAt, escrowId });
 }
 
-export function buildAcceptMessage({ intentId, from, to, fee, selectedAt = Math.floor(Date.now() / 1000) }) {
-  return sanitizeAccept({ v: MESH_VERSION, type: 'accept', intentId, from, to, fee, selectedAt });
+export function buildSettleMessage({ intentId, from, to, txHash, outcome, rating }) {
+  return sanitizeBody({ v: MESH_VERSION, type: 'settle', intentId, from, to, txHash, outcome, rating });
 }
 
-export function buildSettleMessage({ intentId, from, txHash, outcome, rating }) {
-  return sanitizeSettle({ v: MESH_VERSION, type: 'settle', intentId, from, txHash, outcome, rating });
+export function buildCompleteMessage({ intentId, from, to, outcome, txHash }) {
+  return sanitizeBody({ v: MESH_VERSION, type: 'complete', intentId, from, to, outcome, txHash });
 }
 
 export function buildDisputeMessage({ intentId, from, against, reason, evidenceTx }) {
-  return sanitizeDispute({ v: MESH_VERSION, type: 'dispute', intentId, from, against, reason, evidenceTx });
+  return sanitizeBody({ v: MESH_VERSION, type: 'dispute', intentId, from, against, reason, evidenceTx });
+}
+
+export function buildResolutionMessage({ disputeId, intentId, from, against, status, resolution, slashedStake }) {
+  return sanitizeBody({ v: MESH_VERSION, type: 'resolution', disputeId, intentId, from, against, status, resolution, slashedStake });
+}
+
+export function buildCancelMessage({ intentId, from, reason }) {
+  return sanitizeBody({ v: MESH_VERSION, type: 'cancel', intentId, from, reason });
+}
+
+export function buildCounterMessage({ intentId, offerId, from, to, fee, eta, round }) {
+  return sanitizeBody({ v: MESH_VERSION, type: 'counter', intentId, offerId, from, to, fee, eta, round });
+}
+
+export function buildCommitMessage({ intentId, from, to, commitment }) {
+  return sanitizeBody({ v: MESH_VERSION, type: 'commit', intentId, from, to, commitment });
+}
+
+export function buildRevealMessage({ intentId, from, to, fee, eta, escrowAddress, nonce }) {
+  return sanitizeBody({ v: MESH_VERSION, type: 'reveal', intentId, from, to, fee, eta, escrowAddress, nonce });
+}
+
+// What a sealed bid commits to: the sha256 of the canonical JSON of the offer it will reveal. The fee is
+// hashed in its canonical decimal form, so "0.50" and "0.5" commit alike.
+export function sealedBidCommitment({ intentId, from, fee, eta, escrowAddress, nonce }) {
+  return hashMeshContent({ intentId, from, fee: formatTon(parseTon(fee, 'fee')), eta, escrowAddress: escrowAddress ?? undefined, nonce });
 }
 
 export function meshMessagePrefix() {
@@ -208,3 +533,58 @@ export function meshMessagePrefix() {
 export function meshVersion() {
   return MESH_VERSION;
 }
+
+export function meshVersions() {
+  return PROTOCOL_VERSIONS.map((spec) => spec.version);
+}
+
+// JSON Schema (draft 2020-12) for the messages of one protocol version, for validating them outside this plugin.
+export function meshMessageSchema(version = MESH_VERSION) {
+  const spec = PROTOCOL_VERSIONS.find((item) => item.version === version);
+  if (!spec) throw new Error(`Unknown MESH protocol version ${version}`);
+  const types = Object.keys(spec.messages);
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: `MESH protocol ${version}`,
+    description: `A MESH message: the JSON after the \`${MESH_PREFIX}\` prefix. Fields added by newer minor versions are allowed.`,
+    oneOf: types.map((type) => ({ $ref: `#/$defs/${type}` })),
+    $defs: Object.fromEntries(types.map((type) => [type, messageSchema(type, spec.messages[type])])),
+  };
+}
+
+// What a peer speaks, from its beacon: `versions` when advertised, else every minor up to the beacon's `v`.
+export function peerMeshVersions(beacon) {
+  return beacon?.versions?.slice() ?? [asString(beacon?.v) ?? LEGACY_VERSION];
+}
+
+// The newest version we share with a peer advertising `peerVersions` (each entry implies its older minors),
+// or null when there is no common major.
+export function negotiateMeshVersion(peerVersions) {
+  let best = null;
+  for (const advertised of peerVersions ?? [LEGACY_VERSION]) {
+    const spec = resolveVersion(advertised);
+    if (spec && (!best || compareMeshVersions(spec.version, best) > 0)) best = spec.version;
+  }
+  return best;
+}
+
+// Drops the fields added by minors after `version`. Beacons keep their `v`, which is how peers learn what we speak.
+// Messages an older minor cannot express (a type it lacks, an essential field it would drop) go out unchanged.
+export function downgradeMeshMessage(message, version) {
+  const from = parseVersion(message?.v);
+  const to = parseVersion(version);
+  if (!from || !to || from.major !== to.major || to.minor >= from.minor) return message;
+  const known = resolveVersion(version).messages[message.type];
+  const added = resolveVersion(message.v).messages[message.type] ?? {};
+  if (!known) return message;
+  const essential = Object.entries(added).filter(([key, field]) => field.essential && !(key in known));
+  if (essential.some(([key, field]) => message[key] !== undefined && message[key] !== field.default)) return message;
+  const { sig: _sig, pubkey: _pubkey, ...body } = message;
+  const downgraded = Object.fromEntries(Object.entries(body).filter(([key]) => !(key in added) || key in known));
+  return { ...downgraded, v: message.type === 'beacon' ? message.v : version };
+}
+
+// Results carry output inline or as outputRef (off-bus location); outputHash covers the canonical JSON of the output.
+export function buildResultMessage({ intentId, from, to, status, output, outputHash, outputRef, error }) {
+  return sanitizeBody({ v: MESH_VERSION, type: 'result', intentId, from, to, status, output, outputHash, outputRef, error });
+}
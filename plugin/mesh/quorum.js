@@ -0,0 +1,58 @@
+// Multi-executor intents: the requester selects `executors` offers and accepts a result once `quorum` of the
+// selected executors delivered the same output (by outputHash).
+
+export function defaultQuorum(executors) {
+  return Math.floor(executors / 2) + 1;
+}
+
+export function executorsOf(intent) {
+  return Number.isInteger(intent?.executors) && intent.executors > 0 ? intent.executors : 1;
+}
+
+export function quorumOf(intent) {
+  return Number.isInteger(intent?.quorum) ? intent.quorum : defaultQuorum(executorsOf(intent));
+}
+
+export function isMultiExecutor(intent) {
+  return executorsOf(intent) > 1;
+}
+
+// Intents from before multi-executor selection only have selectedExecutor.
+export function selectedExecutorsOf(intent) {
+  if (Array.isArray(intent?.selectedExecutors) && intent.selectedExecutors.length > 0) return intent.selectedExecutors;
+  return intent?.selectedExecutor ? [intent.selectedExecutor] : [];
+}
+
+// Checks executors and quorum as given to mesh_broadcast; returns them with the quorum defaulted.
+export function validateQuorum({ executors = 1, quorum } = {}, maxExecutors = Infinity) {
+  if (!Number.isInteger(executors) || executors < 1 || executors > maxExecutors) {
+    throw new Error(`executors must be an integer between 1 and ${maxExecutors}`);
+  }
+  const resolved = quorum ?? defaultQuorum(executors);
+  if (!Number.isInteger(resolved) || resolved < 1 || resolved > executors) {
+    throw new Error(`quorum must be an integer between 1 and ${executors}`);
+  }
+  return { executors, quorum: resolved };
+}
+
+// Successful results vote for their outputHash; a result whose output failed verification does not vote.
+// The quorum is reached once one hash has enough votes, and failed once no hash can get them from the
+// executors still to deliver.
+export function tallyQuorum(intent, deals) {
+  const required = quorumOf(intent);
+  const byExecutor = new Map(deals.map((deal) => [deal.executorAddress, deal]));
+  const votes = {};
+  let outstanding = 0;
+  for (const executor of selectedExecutorsOf(intent)) {
+    const deal = byExecutor.get(executor);
+    if (!deal?.resultStatus) {
+      outstanding += 1;
+    } else if (deal.resultStatus === 'success' && deal.resultHash && deal.resultVerified !== false) {
+      votes[deal.resultHash] = (votes[deal.resultHash] || 0) + 1;
+    }
+  }
+  const [hash, count] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0] ?? [null, 0];
+  if (count >= required) return { status: 'reached', hash, required, votes };
+  if (count + outstanding < required) return { status: 'failed', hash: null, required, votes };
+  return { status: 'pending', hash: null, required, votes };
+}
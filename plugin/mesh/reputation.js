@@ -1,3 +1,8 @@
+import { NANOTON_PER_TON, formatTon, parseTon } from './amounts.js';
+
+const MIN_STAKE = NANOTON_PER_TON;
+const SLASH_PERCENT = 20n;
+
 function ensureState(sdk) {
   if (!sdk.__meshReputation) {
     sdk.__meshReputation = {
@@ -14,11 +19,6 @@ function now() {
   return Math.floor(Date.now() / 1000);
 }
 
-function toNum(value, fallback = 0) {
-  const n = Number(value);
-  return Number.isFinite(n) ? n : fallback;
-}
-
 export function reputationDeltaForRating(rating) {
   if (rating >= 9) return 15;
   if (rating >= 7) return 8;
@@ -27,8 +27,9 @@ export function reputationDeltaForRating(rating) {
   return -25;
 }
 
+// Stakes are nanotons; the penalty rounds down to a whole nanoton.
 export function slashPenalty(currentStake) {
-  return currentStake * 0.2;
+  return (parseTon(currentStake, 'stake') * SLASH_PERCENT) / 100n;
 }
 
 async function getRawClientMaybe(sdk) {
@@ -87,13 +88,18 @@ export class MeshReputationClient {
   }
 
   async registerAgent({ address, stake }) {
-    const amount = toNum(stake);
-    if (amount < 1) {
+    const amount = parseTon(stake, 'stake');
+    if (amount < MIN_STAKE) {
       throw new Error('Minimum stake is 1 TON');
     }
 
     if (this.hostAdapter?.registerAgent) {
-      return this.hostAdapter.registerAgent({ address, stake: amount, contractAddress: this.config.contractAddress });
+      const registration = await this.hostAdapter.registerAgent({
+        address,
+        stake: formatTon(amount),
+        contractAddress: this.config.contractAddress,
+      });
+      return { ...registration, stake: parseTon(registration?.stake ?? amount, 'stake') };
     }
 
     const raw = await this.requireRawClient('registerAgent');
@@ -145,16 +151,18 @@ export class MeshReputationClient {
 
   async getStakeInfo(address) {
     if (this.hostAdapter?.getStakeInfo) {
-      return this.hostAdapter.getStakeInfo({ address, contractAddress: this.config.contractAddress });
+      const info = await this.hostAdapter.getStakeInfo({ address, contractAddress: this.config.contractAddress });
+      return { ...info, stake: parseTon(info?.stake ?? 0, 'stake') };
     }
 
     const raw = await this.requireRawClient('getStakeInfo');
     if (raw && this.config.contractAddress && raw.runMethod) {
       try {
+        // The getter returns coins, i.e. nanotons.
         const result = await raw.runMethod(this.config.contractAddress, 'get_stake', [address]);
-        const stake = Number(result?.stack?.[0]?.value ?? result?.value ?? 0);
+        const stake = BigInt(result?.stack?.[0]?.value ?? result?.value ?? 0);
         const since = Number(result?.stack?.[1]?.value ?? now());
-        if (Number.isFinite(stake)) {
+        if (stake >= 0n) {
           return {
             stake,
             since: Number.isFinite(since) ? since : now(),
@@ -173,7 +181,7 @@ export class MeshReputationClient {
     }
     this.ensureFallbackAllowed('getStakeInfo');
     const state = ensureState(this.sdk);
-    const amount = state.stakes.get(address) ?? 0;
+    const amount = state.stakes.get(address) ?? 0n;
     const since = state.stakeSince.get(address) ?? now();
     return {
       stake: amount,
@@ -182,10 +190,14 @@ export class MeshReputationClient {
     };
   }
 
-  async recordOutcome({ executorAddress, txHash, rating }) {
+  async recordOutcome({ executorAddress, raterAddress, txHash, rating }) {
+    if (!raterAddress || raterAddress === executorAddress) {
+      throw new Error('Outcomes must be rated by the requester, not the executor');
+    }
     if (this.hostAdapter?.recordOutcome) {
       return this.hostAdapter.recordOutcome({
         executorAddress,
+        raterAddress,
         txHash,
         rating,
         contractAddress: this.config.contractAddress,
@@ -218,16 +230,21 @@ export class MeshReputationClient {
 
   async slash({ offenderAddress, reason = 'dispute_confirmed' }) {
     if (this.hostAdapter?.slash) {
-      return this.hostAdapter.slash({ offenderAddress, reason, contractAddress: this.config.contractAddress });
+      const slashed = await this.hostAdapter.slash({ offenderAddress, reason, contractAddress: this.config.contractAddress });
+      return {
+        ...slashed,
+        slashedStake: slashed?.slashedStake == null ? null : parseTon(slashed.slashedStake, 'slashedStake'),
+        remainingStake: slashed?.remainingStake == null ? null : parseTon(slashed.remainingStake, 'remainingStake'),
+      };
     }
     if (this.strictChain) {
       throw new Error('slash on-chain path not implemented in strictChain mode');
     }
     this.ensureFallbackAllowed('slash');
     const state = ensureState(this.sdk);
-    const currentStake = state.stakes.get(offenderAddress) ?? 0;
+    const currentStake = state.stakes.get(offenderAddress) ?? 0n;
     const slashAmt = slashPenalty(currentStake);
-    state.stakes.set(offenderAddress, Math.max(0, currentStake - slashAmt));
+    state.stakes.set(offenderAddress, currentStake - slashAmt);
 
     const currentRep = state.scores.get(offenderAddress) ?? 100;
     const nextRep = Math.max(0, currentRep - 50);
@@ -244,14 +261,15 @@ export class MeshReputationClient {
 
   async withdrawStake({ address }) {
     if (this.hostAdapter?.withdrawStake) {
-      return this.hostAdapter.withdrawStake({ address, contractAddress: this.config.contractAddress });
+      const withdrawn = await this.hostAdapter.withdrawStake({ address, contractAddress: this.config.contractAddress });
+      return { ...withdrawn, amount: parseTon(withdrawn?.amount ?? 0, 'amount') };
     }
     if (this.strictChain) {
       throw new Error('withdrawStake on-chain path not implemented in strictChain mode');
     }
     this.ensureFallbackAllowed('withdrawStake');
     const state = ensureState(this.sdk);
-    const amount = state.stakes.get(address) ?? 0;
+    const amount = state.stakes.get(address) ?? 0n;
     state.stakes.delete(address);
     state.scores.delete(address);
     state.stakeSince.delete(address);
@@ -1,3 +1,5 @@
+import { parseTon, scaleTon, tonToNumber } from './amounts.js';
+
 function toNum(value, fallback = 0) {
   const n = Number(value);
   return Number.isFinite(n) ? n : fallback;
@@ -17,6 +19,41 @@ export function parseEtaSeconds(eta) {
   return value;
 }
 
+// Score multipliers for offers from peers that have stopped beaconing; unknown peers are not penalised.
+const DEFAULT_LIVENESS_FACTORS = { online: 1, stale: 0.5, offline: 0.1 };
+
+// Relative weights of the scoring dimensions; they are scaled to sum to 1.
+export const DEFAULT_ROUTER_WEIGHTS = {
+  reputation: 0.4,
+  fee: 0.25,
+  speed: 0.15,
+  stake: 0.05,
+  onTime: 0.05,
+  successRate: 0.05,
+  recency: 0.05,
+};
+
+// Merges weight overrides (config, then per intent) over the defaults and scales them to sum to 1.
+export function routerWeights(...overrides) {
+  const weights = { ...DEFAULT_ROUTER_WEIGHTS };
+  for (const override of overrides) {
+    if (override == null) continue;
+    if (typeof override !== 'object' || Array.isArray(override)) throw new Error('router weights must be an object');
+    for (const [key, value] of Object.entries(override)) {
+      if (!Object.hasOwn(DEFAULT_ROUTER_WEIGHTS, key)) {
+        throw new Error(`unknown router weight ${key}; expected ${Object.keys(DEFAULT_ROUTER_WEIGHTS).join(', ')}`);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`router weight ${key} must be a non-negative number`);
+      }
+      weights[key] = value;
+    }
+  }
+  const total = Object.values(weights).reduce((sum, value) => sum + value, 0);
+  if (total <= 0) throw new Error('at least one router weight must be positive');
+  return Object.fromEntries(Object.entries(weights).map(([key, value]) => [key, value / total]));
+}
+
 function normalize(values) {
   const nums = values.map((v) => toNum(v));
   const min = Math.min(...nums);
@@ -27,25 +64,43 @@ function normalize(values) {
   return nums.map((n) => (n - min) / (max - min));
 }
 
+// Smoothed share, so an executor without history sits at 0.5 rather than at either end.
+function rate(hits, total) {
+  return (toNum(hits) + 1) / (toNum(total) + 2);
+}
+
+// signals: { stake (nanotons), trackRecord (executorTrackRecord), missedBeacons } from the registry.
 export async function scoreOffers(intent, offers, options = {}) {
-  const weights = {
-    reputation: options.reputationWeight ?? 0.5,
-    fee: options.feeWeight ?? 0.3,
-    speed: options.speedWeight ?? 0.2,
-  };
+  const weights = options.weights ?? routerWeights({
+    reputation: options.reputationWeight ?? DEFAULT_ROUTER_WEIGHTS.reputation,
+    fee: options.feeWeight ?? DEFAULT_ROUTER_WEIGHTS.fee,
+    speed: options.speedWeight ?? DEFAULT_ROUTER_WEIGHTS.speed,
+  });
   const getReputation = options.getReputation || (async (address, offer) => offer.reputation ?? 100);
+  const getLiveness = options.getLiveness || (async () => null);
+  const getSignals = options.getSignals || (async () => null);
+  const livenessFactors = { ...DEFAULT_LIVENESS_FACTORS, ...(options.livenessFactors || {}) };
 
   if (!Array.isArray(offers) || offers.length === 0) return [];
 
   const enriched = [];
   for (const offer of offers) {
     const liveReputation = await getReputation(offer.fromAddress || offer.from, offer);
+    const liveness = await getLiveness(offer.fromAddress || offer.from, offer);
+    const signals = (await getSignals(offer.fromAddress || offer.from, offer)) || {};
+    const skillRecord = signals.trackRecord?.bySkill?.[intent?.skill] ?? {};
     enriched.push({
       ...offer,
       _liveReputation: Number.isFinite(liveReputation) ? liveReputation : (offer.reputation ?? 100),
-      _feeNum: toNum(offer.fee),
+      _liveness: liveness ?? null,
+      _feeNum: tonToNumber(parseTon(offer.fee, 'fee')),
       _etaSeconds: parseEtaSeconds(offer.eta),
       _stakeAgeSeconds: toNum(offer.stakeAgeSeconds),
+      _stakeNum: signals.stake == null ? 0 : tonToNumber(parseTon(signals.stake, 'stake')),
+      _onTimeRate: rate(signals.trackRecord?.onTime, signals.trackRecord?.delivered),
+      _successRate: rate(skillRecord.succeeded, skillRecord.settled),
+      // Peers that never beaconed are not penalised, as with liveness.
+      _recency: Number.isFinite(signals.missedBeacons) ? 1 / (1 + signals.missedBeacons) : 1,
     });
   }
 
@@ -55,23 +110,29 @@ export async function scoreOffers(intent, offers, options = {}) {
     const eta = o._etaSeconds;
     return eta === 0 ? Number.MAX_SAFE_INTEGER : 1 / eta;
   }));
+  const stakeNorm = normalize(enriched.map((o) => o._stakeNum));
 
   return enriched.map((offer, i) => {
-    const score =
-      (weights.reputation * repNorm[i]) +
-      (weights.fee * (1 - feeNorm[i])) +
-      (weights.speed * speedNorm[i]);
+    const livenessFactor = toNum(livenessFactors[offer._liveness], 1);
+    const parts = {
+      reputation: weights.reputation * repNorm[i],
+      fee: weights.fee * (1 - feeNorm[i]),
+      speed: weights.speed * speedNorm[i],
+      stake: weights.stake * stakeNorm[i],
+      onTime: weights.onTime * offer._onTimeRate,
+      successRate: weights.successRate * offer._successRate,
+      recency: weights.recency * offer._recency,
+    };
+    const score = livenessFactor * Object.values(parts).reduce((sum, value) => sum + value, 0);
 
     return {
       ...offer,
       intentId: offer.intentId || intent?.id,
       liveReputation: offer._liveReputation,
+      liveness: offer._liveness,
+      livenessFactor,
       score: Number(score.toFixed(4)),
-      breakdown: {
-        reputation: Number((weights.reputation * repNorm[i]).toFixed(4)),
-        fee: Number((weights.fee * (1 - feeNorm[i])).toFixed(4)),
-        speed: Number((weights.speed * speedNorm[i]).toFixed(4)),
-      },
+      breakdown: Object.fromEntries(Object.entries(parts).map(([key, value]) => [key, Number(value.toFixed(4))])),
     };
   });
 }
@@ -102,3 +163,141 @@ export async function rankOffers(intent, offers, options = {}) {
   const scored = await scoreOffers(intent, offers, options);
   return scored.slice().sort((a, b) => b.score - a.score);
 }
+
+function byScore(a, b) {
+  return b.score - a.score;
+}
+
+function ineligible(offers) {
+  return offers.map((offer) => ({ ...offer, eligible: false }));
+}
+
+// Original behaviour: highest score, near-ties broken by stake age and then by who offered first.
+function weightedSum(scored, context, options = {}) {
+  const ranked = scored.slice().sort(byScore);
+  const best = pickBestOffer(ranked, options);
+  return [best, ...ranked.filter((offer) => offer !== best)];
+}
+
+// Cheapest offer from an executor at or above the reputation floor (the intent's minReputation by default).
+function cheapestAboveReputation(scored, { intent }, options = {}) {
+  const floor = toNum(options.minReputation ?? intent?.minReputation, 0);
+  const above = scored.filter((offer) => offer.liveReputation >= floor);
+  const below = scored.filter((offer) => offer.liveReputation < floor);
+  above.sort((a, b) => (a._feeNum - b._feeNum) || byScore(a, b));
+  return [...above, ...ineligible(below.sort(byScore))];
+}
+
+// Fastest offer whose fee fits in budgetShare of the intent budget; offers without a usable eta go last.
+function fastestWithinBudget(scored, { intent }, options = {}) {
+  const limit = intent?.budget == null ? null : scaleTon(intent.budget, toNum(options.budgetShare, 1));
+  const fits = (offer) => limit == null || parseTon(offer.fee, 'fee') <= limit;
+  const eta = (offer) => offer._etaSeconds || Infinity;
+  const within = scored.filter(fits);
+  within.sort((a, b) => (eta(a) - eta(b)) || byScore(a, b));
+  return [...within, ...ineligible(scored.filter((offer) => !fits(offer)).sort(byScore))];
+}
+
+// Larger is better for every dimension, matching the scorer's direction.
+const LEXICOGRAPHIC_KEYS = {
+  reputation: (offer) => offer.liveReputation,
+  fee: (offer) => -offer._feeNum,
+  speed: (offer) => (offer._etaSeconds ? -offer._etaSeconds : -Infinity),
+  stake: (offer) => offer._stakeNum,
+  onTime: (offer) => offer._onTimeRate,
+  successRate: (offer) => offer._successRate,
+  recency: (offer) => offer._recency,
+};
+
+// Compares one dimension at a time in the given order; the weighted score settles what is left.
+function lexicographic(scored, context, options = {}) {
+  const order = options.order ?? ['reputation', 'fee', 'speed'];
+  if (!Array.isArray(order) || order.length === 0) throw new Error('lexicographic policy needs an order');
+  for (const key of order) {
+    if (!Object.hasOwn(LEXICOGRAPHIC_KEYS, key)) {
+      throw new Error(`unknown router dimension ${key}; expected ${Object.keys(LEXICOGRAPHIC_KEYS).join(', ')}`);
+    }
+  }
+  return scored.slice().sort((a, b) => {
+    for (const key of order) {
+      const diff = LEXICOGRAPHIC_KEYS[key](b) - LEXICOGRAPHIC_KEYS[key](a);
+      if (diff) return diff;
+    }
+    return byScore(a, b);
+  });
+}
+
+// Draws offers in proportion to score^exponent, so work spreads across executors instead of piling on the top one.
+function randomizedWeighted(scored, context, options = {}) {
+  const random = context.random || Math.random;
+  const exponent = toNum(options.exponent, 1);
+  const pool = scored.slice().sort(byScore);
+  const ranked = [];
+  while (pool.length > 0) {
+    const weights = pool.map((offer) => Math.max(0, offer.score) ** exponent);
+    const total = weights.reduce((sum, value) => sum + value, 0);
+    let draw = random() * (total || pool.length);
+    let index = pool.length - 1;
+    for (let i = 0; i < pool.length; i += 1) {
+      draw -= total ? weights[i] : 1;
+      if (draw < 0) {
+        index = i;
+        break;
+      }
+    }
+    ranked.push(...pool.splice(index, 1));
+  }
+  return ranked;
+}
+
+export const builtInRouterPolicies = {
+  weightedSum,
+  cheapestAboveReputation,
+  fastestWithinBudget,
+  lexicographic,
+  randomizedWeighted,
+};
+
+function resolvePolicy(name, policies = builtInRouterPolicies) {
+  if (typeof name === 'function') return name;
+  const policy = Object.hasOwn(policies, name) ? policies[name] : null;
+  if (!policy) throw new Error(`Unknown router policy: ${name}`);
+  return policy;
+}
+
+function policySpecFor(policy) {
+  if (!policy) return { policy: 'weightedSum' };
+  if (typeof policy === 'function' || typeof policy === 'string') return { policy };
+  if (typeof policy !== 'object' || Array.isArray(policy)) throw new Error('router policy must be a name or an object');
+  return { policy: 'weightedSum', ...policy };
+}
+
+// Normalises a policy name or object to { policy, ...options }, throwing for one selectOffer could not run.
+export function routerPolicySpec(policy, customPolicies = {}) {
+  const spec = policySpecFor(policy);
+  const { policy: name, ...options } = spec;
+  resolvePolicy(name, { ...builtInRouterPolicies, ...customPolicies });
+  if (name === 'lexicographic') lexicographic([], {}, options);
+  return spec;
+}
+
+// Policies receive scored offers (each keeping its breakdown) and { intent, random }, and return them
+// best first, marking offers they refuse with eligible: false. The first eligible offer is selected, or
+// the first context.count eligible offers from distinct executors for a multi-executor intent.
+export function selectOffer(scoredOffers, policy, context = {}, customPolicies = {}) {
+  const { policy: name, ...options } = policySpecFor(policy);
+  const run = resolvePolicy(name, { ...builtInRouterPolicies, ...customPolicies });
+  const ordered = Array.isArray(scoredOffers) && scoredOffers.length > 0 ? run(scoredOffers, context, options) : [];
+  const ranked = ordered.map((offer) => ({ ...offer, eligible: offer.eligible !== false }));
+  const selected = [];
+  for (const offer of ranked) {
+    if (selected.length >= (context.count ?? 1)) break;
+    if (offer.eligible && !selected.some((other) => other.fromAddress === offer.fromAddress)) selected.push(offer);
+  }
+  return {
+    policy: typeof name === 'function' ? (name.name || 'custom') : name,
+    best: selected[0] ?? null,
+    selected,
+    ranked,
+  };
+}
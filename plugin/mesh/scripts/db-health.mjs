@@ -1,11 +1,13 @@
+import { getBackendMode } from '../backends/index.js';
 import { closeRegistry, migrate, listDeals, listIntents, listPeers } from '../registry.js';
 
 const databaseUrl = process.env.MESH_DATABASE_URL || process.env.DATABASE_URL;
 const supabaseUrl = process.env.MESH_SUPABASE_URL || process.env.SUPABASE_URL;
 const supabaseServiceRoleKey = process.env.MESH_SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+const sqlitePath = process.env.MESH_SQLITE_PATH;
 
-if (!databaseUrl && !(supabaseUrl && supabaseServiceRoleKey)) {
-  console.error('Missing DB config. Set MESH_DATABASE_URL or (MESH_SUPABASE_URL + MESH_SUPABASE_SERVICE_ROLE_KEY)');
+if (!databaseUrl && !(supabaseUrl && supabaseServiceRoleKey) && !sqlitePath) {
+  console.error('Missing DB config. Set MESH_DATABASE_URL, (MESH_SUPABASE_URL + MESH_SUPABASE_SERVICE_ROLE_KEY) or MESH_SQLITE_PATH');
   process.exit(1);
 }
 
@@ -15,6 +17,7 @@ const sdk = {
     databaseUrl,
     supabaseUrl,
     supabaseServiceRoleKey,
+    sqlitePath,
     dbSsl: process.env.MESH_DB_SSL === 'false' ? false : true,
     dbPoolMax: 2,
   },
@@ -32,7 +35,7 @@ try {
     peers: peers.length,
     intents: intents.length,
     deals: deals.length,
-    mode: databaseUrl ? 'postgres' : 'supabase-rest',
+    mode: getBackendMode(sdk),
   }, null, 2));
 } catch (err) {
   console.error('DB health check failed:', err?.message || err);
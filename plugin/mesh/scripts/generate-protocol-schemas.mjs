@@ -0,0 +1,10 @@
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { meshMessageSchema, meshVersions } from '../protocol.js';
+
+const dir = new URL('../schemas/', import.meta.url);
+mkdirSync(dir, { recursive: true });
+for (const version of meshVersions()) {
+  const target = new URL(`mesh-${version}.schema.json`, dir);
+  writeFileSync(target, `${JSON.stringify(meshMessageSchema(version), null, 2)}\n`);
+  console.log(`Wrote ${target.pathname}`);
+}
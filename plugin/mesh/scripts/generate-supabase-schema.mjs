@@ -0,0 +1,6 @@
+import { writeFileSync } from 'node:fs';
+import { renderSupabaseSchema } from '../migrations.js';
+
+const target = new URL('../supabase/schema.sql', import.meta.url);
+writeFileSync(target, renderSupabaseSchema());
+console.log(`Wrote ${target.pathname}`);
@@ -1,4 +1,4 @@
-import { migrate, closeRegistry } from '../registry.js';
+import { closeRegistry, listAppliedMigrations, migrate, migrations, rollbackMigrations } from '../registry.js';
 
 const databaseUrl = process.env.MESH_DATABASE_URL || process.env.DATABASE_URL;
 if (!databaseUrl) {
@@ -6,6 +6,15 @@ if (!databaseUrl) {
   process.exit(1);
 }
 
+// Usage: migrate-postgres.mjs [--to <version>] [--down] [--status]
+const args = process.argv.slice(2);
+const toIndex = args.indexOf('--to');
+const to = toIndex >= 0 ? Number(args[toIndex + 1]) : undefined;
+if (toIndex >= 0 && !Number.isInteger(to)) {
+  console.error('--to expects a migration version number');
+  process.exit(1);
+}
+
 const sdk = {
   logger: console,
   __meshRuntimeConfig: {
@@ -15,9 +24,23 @@ const sdk = {
   },
 };
 
+function describe(list) {
+  return list.map((m) => `${m.version} ${m.name}`).join(', ') || 'none';
+}
+
 try {
-  const statements = await migrate(sdk, { config: sdk.__meshRuntimeConfig });
-  console.log(`MESH Postgres migrations applied: ${statements.length}`);
+  if (args.includes('--status')) {
+    const applied = new Set((await listAppliedMigrations(sdk)).map((m) => m.version));
+    for (const m of migrations()) {
+      console.log(`${applied.has(m.version) ? 'applied' : 'pending'}  ${m.version} ${m.name}`);
+    }
+  } else if (args.includes('--down')) {
+    const rolledBack = await rollbackMigrations(sdk, { to });
+    console.log(`MESH Postgres migrations rolled back: ${describe(rolledBack)}`);
+  } else {
+    const applied = await migrate(sdk, { config: sdk.__meshRuntimeConfig, to });
+    console.log(`MESH Postgres migrations applied: ${describe(applied)}`);
+  }
 } catch (err) {
   console.error('Migration failed:', err?.message || err);
   process.exitCode = 1;
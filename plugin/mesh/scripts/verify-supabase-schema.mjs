@@ -21,7 +21,7 @@ try {
   console.log('Supabase schema verified for MESH tables.');
 } catch (err) {
   console.error('Supabase schema verification failed:', err?.message || err);
-  if (err?.code === 'MESH_SUPABASE_SCHEMA_MISSING') {
+  if (err?.code === 'MESH_SUPABASE_SCHEMA_MISSING' || err?.code === 'MESH_SUPABASE_SCHEMA_OUTDATED') {
     console.error('Run the SQL in plugin/mesh/supabase/schema.sql in Supabase SQL Editor, then rerun this check.');
   }
   if (err?.response) {
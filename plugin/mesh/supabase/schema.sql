@@ -1,70 +1,328 @@
 -- MESH schema for Supabase (run in Supabase SQL Editor)
-create table if not exists public.peers (
-  address text primary key,
-  skills jsonb,
-  min_fee numeric,
-  response_time text,
-  reputation integer,
-  stake numeric,
-  stake_age_seconds bigint,
-  reply_chat text,
-  last_seen bigint,
-  created_at bigint,
-  updated_at bigint
+-- Generated from plugin/mesh/migrations.js by `npm run supabase:schema`; do not edit by hand.
+
+CREATE TABLE IF NOT EXISTS mesh_schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at BIGINT NOT NULL
+);
+
+-- 0001 initial_schema
+CREATE TABLE IF NOT EXISTS peers (
+  address TEXT PRIMARY KEY,
+  skills JSONB,
+  min_fee NUMERIC,
+  response_time TEXT,
+  reputation INTEGER,
+  stake NUMERIC,
+  stake_age_seconds BIGINT,
+  reply_chat TEXT,
+  last_seen BIGINT,
+  created_at BIGINT,
+  updated_at BIGINT
+);
+CREATE TABLE IF NOT EXISTS intents (
+  id TEXT PRIMARY KEY,
+  from_address TEXT,
+  skill TEXT,
+  payload JSONB,
+  budget NUMERIC,
+  deadline BIGINT,
+  min_reputation INTEGER,
+  status TEXT,
+  created_at BIGINT,
+  accepted_offer_id TEXT,
+  selected_executor TEXT,
+  updated_at BIGINT
+);
+CREATE TABLE IF NOT EXISTS deals (
+  intent_id TEXT PRIMARY KEY,
+  executor_address TEXT,
+  fee NUMERIC,
+  tx_hash TEXT,
+  outcome TEXT,
+  rating INTEGER,
+  settled_at BIGINT,
+  updated_at BIGINT
 );
+CREATE TABLE IF NOT EXISTS offers (
+  id TEXT PRIMARY KEY,
+  intent_id TEXT,
+  from_address TEXT,
+  fee NUMERIC,
+  fee_raw TEXT,
+  eta TEXT,
+  reputation INTEGER,
+  stake_age_seconds BIGINT,
+  escrow_address TEXT,
+  created_at BIGINT
+);
+CREATE TABLE IF NOT EXISTS processed_messages (
+  message_key TEXT PRIMARY KEY,
+  message_type TEXT,
+  source_chat_id TEXT,
+  source_message_id TEXT,
+  payload_hash TEXT,
+  first_seen_at BIGINT
+);
+CREATE INDEX IF NOT EXISTS idx_peers_last_seen ON peers(last_seen DESC);
+CREATE INDEX IF NOT EXISTS idx_intents_status_deadline ON intents(status, deadline);
+CREATE INDEX IF NOT EXISTS idx_offers_intent_created ON offers(intent_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_deals_settled_at ON deals(settled_at DESC);
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (1, 'initial_schema', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
+
+-- 0002 disputes
+CREATE TABLE IF NOT EXISTS disputes (
+  id TEXT PRIMARY KEY,
+  intent_id TEXT,
+  from_address TEXT,
+  against_address TEXT,
+  reason TEXT,
+  evidence_tx TEXT,
+  status TEXT,
+  intent_status TEXT,
+  resolution TEXT,
+  slashed_stake NUMERIC,
+  created_at BIGINT,
+  resolved_at BIGINT,
+  updated_at BIGINT
+);
+CREATE INDEX IF NOT EXISTS idx_disputes_intent_status ON disputes(intent_id, status);
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (2, 'disputes', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
+
+-- 0003 peer_public_keys
+ALTER TABLE peers ADD COLUMN IF NOT EXISTS public_key TEXT;
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (3, 'peer_public_keys', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
 
-create table if not exists public.intents (
-  id text primary key,
-  from_address text,
-  skill text,
-  payload jsonb,
-  budget numeric,
-  deadline bigint,
-  min_reputation integer,
-  status text,
-  created_at bigint,
-  accepted_offer_id text,
-  selected_executor text,
-  updated_at bigint
+-- 0004 deal_escrow
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS escrow_id TEXT;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS escrow_status TEXT;
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (4, 'deal_escrow', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
+
+-- 0005 offer_negotiation
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS round INTEGER DEFAULT 0;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'open';
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS counter_fee NUMERIC;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS counter_eta TEXT;
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (5, 'offer_negotiation', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
+
+-- 0006 executor_capacity
+ALTER TABLE peers ADD COLUMN IF NOT EXISTS active_deals INTEGER DEFAULT 0;
+ALTER TABLE peers ADD COLUMN IF NOT EXISTS max_concurrent_deals INTEGER;
+CREATE INDEX IF NOT EXISTS idx_intents_executor_status ON intents(selected_executor, status);
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (6, 'executor_capacity', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
+
+-- 0007 deal_results
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS result_status TEXT;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS result_hash TEXT;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS result_ref TEXT;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS result_output JSONB;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS result_error TEXT;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS result_verified BOOLEAN;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS delivered_at BIGINT;
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (7, 'deal_results', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
+
+-- 0008 retention
+CREATE TABLE IF NOT EXISTS deals_history (
+  intent_id TEXT PRIMARY KEY,
+  requester_address TEXT,
+  skill TEXT,
+  budget NUMERIC,
+  intent_status TEXT,
+  executor_address TEXT,
+  fee NUMERIC,
+  tx_hash TEXT,
+  outcome TEXT,
+  rating INTEGER,
+  settled_at BIGINT,
+  updated_at BIGINT,
+  escrow_id TEXT,
+  escrow_status TEXT,
+  result_status TEXT,
+  result_hash TEXT,
+  result_ref TEXT,
+  result_output JSONB,
+  result_error TEXT,
+  result_verified BOOLEAN,
+  delivered_at BIGINT,
+  archived_at BIGINT
 );
+CREATE INDEX IF NOT EXISTS idx_deals_history_archived_at ON deals_history(archived_at DESC);
+CREATE INDEX IF NOT EXISTS idx_processed_messages_first_seen ON processed_messages(first_seen_at);
+CREATE INDEX IF NOT EXISTS idx_intents_status_updated ON intents(status, updated_at);
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (8, 'retention', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
+
+-- 0009 nanoton_amounts
+ALTER TABLE peers ADD COLUMN IF NOT EXISTS min_fee_nano BIGINT;
+ALTER TABLE peers ADD COLUMN IF NOT EXISTS stake_nano BIGINT;
+ALTER TABLE intents ADD COLUMN IF NOT EXISTS budget_nano BIGINT;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS fee_nano BIGINT;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS counter_fee_nano BIGINT;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS fee_nano BIGINT;
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS slashed_stake_nano BIGINT;
+ALTER TABLE deals_history ADD COLUMN IF NOT EXISTS budget_nano BIGINT;
+ALTER TABLE deals_history ADD COLUMN IF NOT EXISTS fee_nano BIGINT;
+UPDATE peers SET min_fee_nano = CAST(ROUND(min_fee * 1000000000) AS BIGINT)
+  WHERE min_fee_nano IS NULL AND min_fee IS NOT NULL;
+UPDATE peers SET stake_nano = CAST(ROUND(stake * 1000000000) AS BIGINT)
+  WHERE stake_nano IS NULL AND stake IS NOT NULL;
+UPDATE intents SET budget_nano = CAST(ROUND(budget * 1000000000) AS BIGINT)
+  WHERE budget_nano IS NULL AND budget IS NOT NULL;
+UPDATE offers SET fee_nano = CAST(ROUND(fee * 1000000000) AS BIGINT)
+  WHERE fee_nano IS NULL AND fee IS NOT NULL;
+UPDATE offers SET counter_fee_nano = CAST(ROUND(counter_fee * 1000000000) AS BIGINT)
+  WHERE counter_fee_nano IS NULL AND counter_fee IS NOT NULL;
+UPDATE deals SET fee_nano = CAST(ROUND(fee * 1000000000) AS BIGINT)
+  WHERE fee_nano IS NULL AND fee IS NOT NULL;
+UPDATE disputes SET slashed_stake_nano = CAST(ROUND(slashed_stake * 1000000000) AS BIGINT)
+  WHERE slashed_stake_nano IS NULL AND slashed_stake IS NOT NULL;
+UPDATE deals_history SET budget_nano = CAST(ROUND(budget * 1000000000) AS BIGINT)
+  WHERE budget_nano IS NULL AND budget IS NOT NULL;
+UPDATE deals_history SET fee_nano = CAST(ROUND(fee * 1000000000) AS BIGINT)
+  WHERE fee_nano IS NULL AND fee IS NOT NULL;
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (9, 'nanoton_amounts', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
 
-create table if not exists public.deals (
-  intent_id text primary key,
-  executor_address text,
-  fee numeric,
-  tx_hash text,
-  outcome text,
-  rating integer,
-  settled_at bigint,
-  updated_at bigint
+-- 0010 peer_protocol_versions
+ALTER TABLE peers ADD COLUMN IF NOT EXISTS protocol_versions JSONB;
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (10, 'peer_protocol_versions', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
+
+-- 0011 router_signals
+ALTER TABLE intents ADD COLUMN IF NOT EXISTS router_weights JSONB;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS due_at BIGINT;
+ALTER TABLE deals_history ADD COLUMN IF NOT EXISTS due_at BIGINT;
+CREATE INDEX IF NOT EXISTS idx_deals_executor ON deals(executor_address);
+CREATE INDEX IF NOT EXISTS idx_deals_history_executor ON deals_history(executor_address);
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (11, 'router_signals', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
+
+-- 0012 router_policy
+ALTER TABLE intents ADD COLUMN IF NOT EXISTS router_policy JSONB;
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (12, 'router_policy', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
+
+-- 0013 sealed_bids
+ALTER TABLE intents ADD COLUMN IF NOT EXISTS auction TEXT;
+ALTER TABLE intents ADD COLUMN IF NOT EXISTS reveal_deadline BIGINT;
+CREATE TABLE IF NOT EXISTS offer_commitments (
+  intent_id TEXT NOT NULL,
+  from_address TEXT NOT NULL,
+  commitment TEXT NOT NULL,
+  fee_nano BIGINT,
+  eta TEXT,
+  escrow_address TEXT,
+  nonce TEXT,
+  status TEXT NOT NULL,
+  created_at BIGINT,
+  revealed_at BIGINT,
+  updated_at BIGINT,
+  PRIMARY KEY (intent_id, from_address)
 );
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (13, 'sealed_bids', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
 
-create table if not exists public.offers (
-  id text primary key,
-  intent_id text,
-  from_address text,
-  fee numeric,
-  fee_raw text,
-  eta text,
-  reputation integer,
-  stake_age_seconds bigint,
-  escrow_address text,
-  created_at bigint
+-- 0014 multi_executor
+ALTER TABLE intents ADD COLUMN IF NOT EXISTS executors INTEGER;
+ALTER TABLE intents ADD COLUMN IF NOT EXISTS quorum INTEGER;
+ALTER TABLE intents ADD COLUMN IF NOT EXISTS selected_executors JSONB;
+ALTER TABLE intents ADD COLUMN IF NOT EXISTS quorum_status TEXT;
+ALTER TABLE intents ADD COLUMN IF NOT EXISTS quorum_hash TEXT;
+CREATE TABLE IF NOT EXISTS deals_by_executor (
+  intent_id TEXT NOT NULL,
+  executor_address TEXT NOT NULL,
+  fee NUMERIC,
+  tx_hash TEXT,
+  outcome TEXT,
+  rating INTEGER,
+  settled_at BIGINT,
+  updated_at BIGINT,
+  escrow_id TEXT,
+  escrow_status TEXT,
+  result_status TEXT,
+  result_hash TEXT,
+  result_ref TEXT,
+  result_output JSONB,
+  result_error TEXT,
+  result_verified BOOLEAN,
+  delivered_at BIGINT,
+  fee_nano BIGINT,
+  due_at BIGINT,
+  PRIMARY KEY (intent_id, executor_address)
 );
+INSERT INTO deals_by_executor (intent_id, executor_address, fee, tx_hash, outcome, rating, settled_at, updated_at, escrow_id, escrow_status, result_status, result_hash, result_ref, result_output, result_error, result_verified, delivered_at, fee_nano, due_at)
+  SELECT intent_id, COALESCE(executor_address, '') AS executor_address, fee, tx_hash, outcome, rating, settled_at, updated_at, escrow_id, escrow_status, result_status, result_hash, result_ref, result_output, result_error, result_verified, delivered_at, fee_nano, due_at FROM deals WHERE true ON CONFLICT DO NOTHING;
+DROP TABLE deals;
+ALTER TABLE deals_by_executor RENAME TO deals;
+CREATE INDEX IF NOT EXISTS idx_deals_settled_at ON deals(settled_at DESC);
+CREATE INDEX IF NOT EXISTS idx_deals_executor ON deals(executor_address);
+CREATE TABLE IF NOT EXISTS deals_history_by_executor (
+  intent_id TEXT NOT NULL,
+  requester_address TEXT,
+  skill TEXT,
+  budget NUMERIC,
+  intent_status TEXT,
+  executor_address TEXT NOT NULL,
+  fee NUMERIC,
+  tx_hash TEXT,
+  outcome TEXT,
+  rating INTEGER,
+  settled_at BIGINT,
+  updated_at BIGINT,
+  escrow_id TEXT,
+  escrow_status TEXT,
+  result_status TEXT,
+  result_hash TEXT,
+  result_ref TEXT,
+  result_output JSONB,
+  result_error TEXT,
+  result_verified BOOLEAN,
+  delivered_at BIGINT,
+  fee_nano BIGINT,
+  due_at BIGINT,
+  archived_at BIGINT,
+  budget_nano BIGINT,
+  PRIMARY KEY (intent_id, executor_address)
+);
+INSERT INTO deals_history_by_executor (intent_id, requester_address, skill, budget, intent_status, executor_address, fee, tx_hash, outcome, rating, settled_at, updated_at, escrow_id, escrow_status, result_status, result_hash, result_ref, result_output, result_error, result_verified, delivered_at, fee_nano, due_at, archived_at, budget_nano)
+  SELECT intent_id, requester_address, skill, budget, intent_status, COALESCE(executor_address, '') AS executor_address, fee, tx_hash, outcome, rating, settled_at, updated_at, escrow_id, escrow_status, result_status, result_hash, result_ref, result_output, result_error, result_verified, delivered_at, fee_nano, due_at, archived_at, budget_nano FROM deals_history WHERE true ON CONFLICT DO NOTHING;
+DROP TABLE deals_history;
+ALTER TABLE deals_history_by_executor RENAME TO deals_history;
+CREATE INDEX IF NOT EXISTS idx_deals_history_archived_at ON deals_history(archived_at DESC);
+CREATE INDEX IF NOT EXISTS idx_deals_history_executor ON deals_history(executor_address);
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (14, 'multi_executor', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
 
-create table if not exists public.processed_messages (
-  message_key text primary key,
-  message_type text,
-  source_chat_id text,
-  source_message_id text,
-  payload_hash text,
-  first_seen_at bigint
+-- 0015 workflows
+CREATE TABLE IF NOT EXISTS workflows (
+  id TEXT PRIMARY KEY,
+  from_address TEXT NOT NULL,
+  status TEXT NOT NULL,
+  budget_nano BIGINT NOT NULL,
+  error TEXT,
+  created_at BIGINT,
+  updated_at BIGINT
+);
+CREATE INDEX IF NOT EXISTS idx_workflows_from_status ON workflows(from_address, status);
+CREATE TABLE IF NOT EXISTS workflow_steps (
+  workflow_id TEXT NOT NULL,
+  step_id TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  skill TEXT NOT NULL,
+  payload JSONB,
+  budget_nano BIGINT NOT NULL,
+  depends_on JSONB,
+  options JSONB,
+  status TEXT NOT NULL,
+  intent_id TEXT,
+  output JSONB,
+  spent_nano BIGINT,
+  error TEXT,
+  started_at BIGINT,
+  updated_at BIGINT,
+  PRIMARY KEY (workflow_id, step_id)
 );
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (15, 'workflows', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
 
-create index if not exists idx_peers_last_seen on public.peers(last_seen desc);
-create index if not exists idx_intents_status_deadline on public.intents(status, deadline);
-create index if not exists idx_offers_intent_created on public.offers(intent_id, created_at);
-create index if not exists idx_deals_settled_at on public.deals(settled_at desc);
+-- 0016 dispute_targets
+UPDATE disputes SET id = intent_id || ':' || from_address || ':' || against_address
+ WHERE against_address IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_disputes_parties ON disputes(intent_id, from_address, against_address);
+INSERT INTO mesh_schema_migrations (version, name, applied_at) VALUES (16, 'dispute_targets', extract(epoch from now())::bigint) ON CONFLICT DO NOTHING;
 
 -- For service role usage via PostgREST, RLS can remain enabled; service role bypasses it.
 -- If you plan to use anon/authenticated keys, define explicit RLS policies instead.
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import * as mesh from '../index.js';
+import { buildCancelMessage, serializeMeshMessage } from '../protocol.js';
+import { createMeshNet } from './helpers.js';
+
+describe('cancelling intents', () => {
+  let net;
+  let requester;
+  let executor;
+
+  beforeEach(async () => {
+    net = createMeshNet(mesh);
+    requester = net.agent('EQREQ');
+    executor = net.agent('EQEXE', { skills: ['swap'] });
+    await requester.register();
+    await executor.register();
+    await net.deliver();
+  });
+
+  afterEach(() => net.close());
+
+  async function offeredIntent() {
+    const { intent } = await requester.tool('mesh_broadcast', {
+      skill: 'swap', payload: {}, budget: '1', deadline: Math.floor(Date.now() / 1000) + 60,
+    });
+    await net.deliver();
+    return intent;
+  }
+
+  it('withdraw the intent everywhere and stop offers on a replayed intent', async () => {
+    const intent = await offeredIntent();
+    const result = await requester.tool('mesh_cancel', { intentId: intent.id, reason: 'changed my mind' });
+    assert.equal(result.droppedOffers, 1);
+
+    const [cancel] = (await net.deliver()).filter((item) => item.type === 'cancel' && item.to === executor.address);
+    assert.deepEqual(cancel.result, { cancelled: true, droppedOffers: 1 });
+    assert.equal((await executor.tool('mesh_intents', {})).intents[0].status, 'cancelled');
+
+    assert.deepEqual(await executor.receive(serializeMeshMessage(intent)), {
+      saved: false, autoOffer: false, reason: 'intent_cancelled',
+    });
+    assert.equal(net.queue.length, 0);
+  });
+
+  it('ignore cancels from anyone but the requester', async () => {
+    const intent = await offeredIntent();
+    const forged = serializeMeshMessage(buildCancelMessage({ intentId: intent.id, from: 'EQMAL' }));
+    assert.deepEqual(await executor.receive(forged), { ignored: true, reason: 'not_intent_owner' });
+    assert.equal((await executor.tool('mesh_intents', {})).intents[0].status, 'pending');
+  });
+
+  it('drop cancels for intents never seen', async () => {
+    const unknown = serializeMeshMessage(buildCancelMessage({ intentId: 'never-broadcast', from: requester.address }));
+    assert.deepEqual(await executor.receive(unknown), { ignored: true, reason: 'intent_not_found' });
+    assert.deepEqual((await executor.tool('mesh_intents', {})).intents, []);
+  });
+});
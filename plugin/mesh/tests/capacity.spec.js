@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import * as mesh from '../index.js';
+import { createMeshNet } from './helpers.js';
+
+describe('executor capacity', () => {
+  let clock;
+  let net;
+  let requester;
+
+  beforeEach(async () => {
+    clock = Date.now();
+    mock.method(Date, 'now', () => clock);
+    net = createMeshNet(mesh);
+    requester = net.agent('EQREQ');
+    await requester.register();
+  });
+
+  afterEach(async () => {
+    await net.close();
+    mock.restoreAll();
+  });
+
+  async function executorWith(config) {
+    const executor = net.agent('EQEXE', { skills: ['swap', 'bridge'], ...config });
+    await executor.register();
+    await net.deliver();
+    return executor;
+  }
+
+  // Broadcasts an intent and returns what the executor did with it.
+  async function broadcast(executor, skill = 'swap') {
+    const { intent } = await requester.tool('mesh_broadcast', {
+      skill, payload: {}, budget: '1', deadline: Math.floor(clock / 1000) + 10,
+    });
+    const [handled] = (await net.deliver()).filter((item) => item.type === 'intent' && item.to === executor.address);
+    return { intent, handled: handled.result };
+  }
+
+  async function acceptDeal(executor) {
+    const { intent } = await broadcast(executor);
+    clock += 11_000;
+    await requester.tick();
+    await net.deliver();
+    return intent;
+  }
+
+  it('stop offering at maxConcurrentDeals until a deal completes', async () => {
+    const executor = await executorWith({ maxConcurrentDeals: 1 });
+    const open = await acceptDeal(executor);
+
+    assert.deepEqual((await broadcast(executor)).handled, {
+      saved: true, autoOffer: false, reason: 'at_capacity', load: { total: 1, bySkill: { swap: 1 } },
+    });
+
+    await executor.tool('mesh_complete', { intentId: open.id, outcome: 'success', txHash: 'tx-1' });
+    await net.deliver();
+    assert.equal((await broadcast(executor)).handled.offer.fee, '0.75');
+  });
+
+  it('cap each skill separately with maxConcurrentDealsPerSkill', async () => {
+    const executor = await executorWith({ maxConcurrentDealsPerSkill: { swap: 1 } });
+    await acceptDeal(executor);
+
+    assert.equal((await broadcast(executor)).handled.reason, 'at_capacity');
+    assert.equal((await broadcast(executor, 'bridge')).handled.offer.fee, '0.75');
+  });
+
+  it('quote a later eta when saturated under saturationPolicy raiseEta', async () => {
+    const executor = await executorWith({ maxConcurrentDeals: 1, saturationPolicy: 'raiseEta', defaultEta: '30s' });
+    await acceptDeal(executor);
+    assert.equal((await broadcast(executor)).handled.offer.eta, '60s');
+  });
+
+  it('advertise load in beacons', async () => {
+    const executor = await executorWith({ maxConcurrentDeals: 3 });
+    await acceptDeal(executor);
+    await executor.register();
+
+    const [beacon] = (await net.deliver()).filter((item) => item.type === 'beacon' && item.to === requester.address);
+    assert.equal(beacon.message.activeDeals, 1);
+    assert.equal(beacon.message.maxDeals, 3);
+    const { peers } = await requester.tool('mesh_peers', {});
+    const peer = peers.find((item) => item.address === executor.address);
+    assert.equal(peer.activeDeals, 1);
+    assert.equal(peer.maxConcurrentDeals, 3);
+  });
+});
@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { parseTon } from '../amounts.js';
+import * as mesh from '../index.js';
+import { buildResolutionMessage, serializeMeshMessage } from '../protocol.js';
+import { createMeshNet } from './helpers.js';
+
+const ARBITER_KEY = '44'.repeat(32);
+
+describe('disputes', () => {
+  let clock;
+  let net;
+  let requester;
+  let executor;
+  let arbiter;
+  let hookCalls;
+
+  beforeEach(async () => {
+    clock = Date.now();
+    mock.method(Date, 'now', () => clock);
+    hookCalls = [];
+    // Every agent has an arbitration hook; only the configured arbiter may call it.
+    const withHook = (address, config = {}) => net.agent(address, {
+      ...config,
+      arbiterAddress: 'EQARB',
+      arbitrateDispute: async () => {
+        hookCalls.push(address);
+        return 'confirmed';
+      },
+    });
+    net = createMeshNet(mesh);
+    requester = withHook('EQREQ');
+    executor = withHook('EQEXE', { skills: ['swap'] });
+    arbiter = withHook('EQARB', { signingSecretKey: ARBITER_KEY });
+    for (const agent of [requester, executor, arbiter]) await agent.register();
+    await net.deliver();
+  });
+
+  afterEach(async () => {
+    await net.close();
+    mock.restoreAll();
+  });
+
+  async function acceptedIntent() {
+    const { intent } = await requester.tool('mesh_broadcast', {
+      skill: 'swap', payload: {}, budget: '1', deadline: Math.floor(clock / 1000) + 10,
+    });
+    await net.deliver();
+    clock += 11_000;
+    await requester.tick();
+    await net.deliver();
+    return intent;
+  }
+
+  it('are recorded by every agent and arbitrated only by the arbiter', async () => {
+    const intent = await acceptedIntent();
+    const stakeBefore = net.chain.reputation.stakes.get(executor.address);
+
+    const opened = await requester.tool('mesh_dispute', { intentId: intent.id, reason: 'no delivery' });
+    assert.equal(opened.arbitration, null);
+    const delivered = (await net.deliver()).filter((item) => item.type === 'dispute' && item.to !== requester.address);
+    assert.deepEqual(delivered.map((item) => item.result.disputed), [true, true]);
+    assert.deepEqual(hookCalls, [arbiter.address]);
+
+    const byArbiter = delivered.find((item) => item.to === arbiter.address).result;
+    assert.equal(byArbiter.arbitration.ok, true);
+    assert.equal(byArbiter.arbitration.dispute.status, 'confirmed');
+    assert.ok(net.chain.reputation.stakes.get(executor.address) < stakeBefore);
+    assert.equal(delivered.find((item) => item.to === executor.address).result.arbitration, null);
+  });
+
+  it('cannot be resolved by anyone but the arbiter', async () => {
+    const intent = await acceptedIntent();
+    mock.method(arbiter.config, 'arbitrateDispute', async () => null);
+    await requester.tool('mesh_dispute', { intentId: intent.id, reason: 'no delivery' });
+    await net.deliver();
+
+    for (const party of [requester, executor]) {
+      await assert.rejects(
+        party.tool('mesh_resolve_dispute', { intentId: intent.id, decision: 'rejected' }),
+        /Only the configured arbiter/,
+      );
+    }
+    const resolved = await arbiter.tool('mesh_resolve_dispute', { intentId: intent.id, decision: 'rejected' });
+    assert.equal(resolved.dispute.status, 'rejected');
+  });
+
+  it('slash once when resolutions race', async () => {
+    const intent = await acceptedIntent();
+    mock.method(arbiter.config, 'arbitrateDispute', async () => null);
+    await requester.tool('mesh_dispute', { intentId: intent.id, reason: 'no delivery' });
+    await net.deliver();
+    const stakeBefore = net.chain.reputation.stakes.get(executor.address);
+
+    const resolutions = await Promise.all([1, 2].map(() => (
+      arbiter.tool('mesh_resolve_dispute', { intentId: intent.id, decision: 'confirmed' })
+    )));
+    const [won] = resolutions.filter((item) => item.ok);
+    assert.deepEqual(resolutions.map((item) => item.ok).sort(), [false, true]);
+    assert.equal(net.chain.reputation.stakes.get(executor.address), stakeBefore - parseTon(won.dispute.slashedStake));
+  });
+
+  it('reach both parties through the arbiter\'s signed resolution', async () => {
+    const intent = await acceptedIntent();
+    await requester.tool('mesh_dispute', { intentId: intent.id, reason: 'no delivery' });
+
+    const resolutions = (await net.deliver()).filter((item) => item.type === 'resolution' && item.to !== arbiter.address);
+    assert.deepEqual(resolutions.map((item) => item.result.resolved), [true, true]);
+    for (const party of [requester, executor]) {
+      const { intents: [disputed] } = await party.tool('mesh_intents', {});
+      assert.equal(disputed.status, 'failed');
+    }
+
+    const forged = serializeMeshMessage(buildResolutionMessage({
+      disputeId: `${intent.id}:${requester.address}:${executor.address}`,
+      intentId: intent.id, from: arbiter.address, against: executor.address, status: 'rejected',
+    }));
+    assert.deepEqual(await executor.receive(forged), { rejected: true, type: 'resolution', reason: 'unsigned_message' });
+  });
+});
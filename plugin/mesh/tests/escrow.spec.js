@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { parseTon } from '../amounts.js';
+import { createEscrowClient } from '../escrow.js';
+import * as mesh from '../index.js';
+import { buildAcceptMessage, serializeMeshMessage } from '../protocol.js';
+import { createMeshNet } from './helpers.js';
+
+describe('escrow-backed deals', () => {
+  let clock;
+  let net;
+  let requester;
+  let executor;
+
+  beforeEach(async () => {
+    clock = Date.now();
+    mock.method(Date, 'now', () => clock);
+    net = createMeshNet(mesh);
+    requester = net.agent('EQREQ', { useEscrow: true });
+    executor = net.agent('EQEXE', { useEscrow: true, skills: ['swap'] });
+    await requester.register();
+    await executor.register();
+    await net.deliver();
+  });
+
+  afterEach(async () => {
+    await net.close();
+    mock.restoreAll();
+  });
+
+  async function offeredIntent() {
+    const { intent } = await requester.tool('mesh_broadcast', {
+      skill: 'swap', payload: {}, budget: '1', deadline: Math.floor(clock / 1000) + 10,
+    });
+    const delivered = await net.deliver();
+    assert.ok(delivered.some((item) => item.type === 'offer' && item.from === executor.address));
+    clock += 11_000;
+    return intent;
+  }
+
+  const escrows = () => [...net.chain.escrow.escrows.values()];
+
+  it('lock the fee from the requester only, and release it to the executor on completion', async () => {
+    const intent = await offeredIntent();
+
+    // The executor's scheduler sees the same pending intent and its own offer, and must leave them alone.
+    await executor.tick();
+    assert.equal(net.queue.length, 0);
+    assert.deepEqual(escrows(), []);
+
+    await requester.tick();
+    const accepts = (await net.deliver()).filter((item) => item.type === 'accept' && item.to === executor.address);
+    assert.equal(accepts.length, 1);
+    assert.equal(accepts[0].from, requester.address);
+    assert.equal(accepts[0].result.accepted, true);
+
+    const [escrow] = escrows();
+    assert.equal(escrow.depositor, requester.address);
+    assert.equal(escrow.beneficiary, executor.address);
+    assert.equal(escrow.amount, parseTon(accepts[0].message.fee));
+    assert.equal(escrow.status, 'locked');
+
+    await executor.tool('mesh_complete', { intentId: intent.id, outcome: 'success' });
+    await net.deliver();
+    assert.equal(escrows()[0].status, 'claimed');
+
+    await requester.tool('mesh_rate', { intentId: intent.id, rating: 9 });
+    const { deals: [deal] } = await requester.tool('mesh_deals', { intentId: intent.id });
+    assert.equal(deal.escrowStatus, 'claimed');
+    assert.equal(deal.intentStatus, 'settled');
+  });
+
+  it('refuse to execute on an escrow holding less than the fee', async () => {
+    const intent = await offeredIntent();
+    const { escrowId } = await createEscrowClient(requester.sdk, requester.config).lock({
+      intentId: intent.id,
+      depositor: requester.address,
+      beneficiary: executor.address,
+      amount: 1n,
+      expiresAt: Math.floor(clock / 1000) + 3600,
+    });
+    const accept = serializeMeshMessage(buildAcceptMessage({
+      intentId: intent.id, from: requester.address, to: executor.address, fee: '0.75', escrowId,
+    }));
+
+    assert.deepEqual(await executor.receive(accept), { accepted: true, execution: 'refused', reason: 'escrow_unfunded' });
+    const { deals: [deal] } = await executor.tool('mesh_deals', { intentId: intent.id });
+    assert.equal(deal.escrowStatus, 'unfunded');
+  });
+
+  it('refund the requester once the escrow times out', async () => {
+    const intent = await offeredIntent();
+    await requester.tick();
+    await net.deliver();
+
+    await assert.rejects(requester.tool('mesh_reclaim', { intentId: intent.id }), /locked until/);
+    clock += 2 * 3600 * 1000;
+    const { reclaimed } = await requester.tick();
+    assert.equal(reclaimed, 1);
+    assert.equal(escrows()[0].status, 'refunded');
+    assert.equal((await requester.tool('mesh_intents', { role: 'requester' })).intents[0].status, 'refunded');
+    await assert.rejects(executor.tool('mesh_complete', { intentId: intent.id, outcome: 'success' }), /refunded/);
+  });
+});
+
+describe('local escrow simulation', () => {
+  it('let only the parties and the arbiter fail an escrow', async () => {
+    const client = createEscrowClient({}, {});
+    const { escrowId } = await client.lock({
+      intentId: 'i1', depositor: 'EQREQ', beneficiary: 'EQEXE', amount: '0.5', expiresAt: 0, arbiter: 'EQARB',
+    });
+    for (const caller of ['EQMAL', undefined]) {
+      await assert.rejects(client.fail({ escrowId, caller }), /Only the escrow depositor, beneficiary or arbiter/);
+    }
+    assert.equal((await client.getEscrow(escrowId)).status, 'locked');
+    assert.equal((await client.fail({ escrowId, caller: 'EQARB', reason: 'dispute_confirmed' })).status, 'failed');
+  });
+});
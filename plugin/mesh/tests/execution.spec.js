@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import * as mesh from '../index.js';
+import { buildAcceptMessage, serializeMeshMessage } from '../protocol.js';
+import { createMeshNet } from './helpers.js';
+
+describe('skill execution', () => {
+  let clock;
+  let net;
+  let requester;
+  let executor;
+  let runs;
+
+  beforeEach(async () => {
+    clock = Date.now();
+    mock.method(Date, 'now', () => clock);
+    runs = [];
+    net = createMeshNet(mesh);
+    requester = net.agent('EQREQ');
+    executor = net.agent('EQEXE', {
+      skills: {
+        swap: async (payload, ctx) => {
+          runs.push({ payload, requester: ctx.requester });
+          return { filled: payload.pair };
+        },
+      },
+    });
+    await requester.register();
+    await executor.register();
+    await net.deliver();
+  });
+
+  afterEach(async () => {
+    await net.close();
+    mock.restoreAll();
+  });
+
+  async function offeredIntent() {
+    const { intent } = await requester.tool('mesh_broadcast', {
+      skill: 'swap', payload: { pair: 'TON/USDT' }, budget: '1', deadline: Math.floor(clock / 1000) + 10,
+    });
+    await net.deliver();
+    clock += 11_000;
+    return intent;
+  }
+
+  it('run the skill once the requester accepts and deliver the result', async () => {
+    const intent = await offeredIntent();
+    await requester.tick();
+    const [accept] = (await net.deliver()).filter((item) => item.type === 'accept' && item.to === executor.address);
+    assert.deepEqual(accept.result, { accepted: true, execution: 'started' });
+
+    await executor.executions();
+    assert.deepEqual(runs, [{ payload: { pair: 'TON/USDT' }, requester: requester.address }]);
+    const [result] = (await net.deliver()).filter((item) => item.type === 'result' && item.to === requester.address);
+    assert.equal(result.result.received, true);
+    assert.equal(result.result.verified, true);
+    assert.deepEqual(result.result.output, { filled: 'TON/USDT' });
+
+    const { intents: [executed] } = await executor.tool('mesh_intents', { role: 'executor' });
+    assert.equal(executed.id, intent.id);
+    assert.equal(executed.status, 'accepted');
+  });
+
+  it('refuse accepts below the fee we offered', async () => {
+    const intent = await offeredIntent();
+    const underpriced = serializeMeshMessage(buildAcceptMessage({
+      intentId: intent.id, from: requester.address, to: executor.address, fee: '0.5',
+    }));
+
+    assert.deepEqual(await executor.receive(underpriced), { accepted: true, execution: 'refused', reason: 'fee_mismatch' });
+    await executor.executions();
+    assert.deepEqual(runs, []);
+  });
+
+  it('ignore accepts that do not come from the requester', async () => {
+    const intent = await offeredIntent();
+    const forged = serializeMeshMessage(buildAcceptMessage({
+      intentId: intent.id, from: 'EQMAL', to: executor.address, fee: '0.5',
+    }));
+
+    assert.deepEqual(await executor.receive(forged), { ignored: true, reason: 'not_intent_requester' });
+    await executor.executions();
+    assert.deepEqual(runs, []);
+    assert.deepEqual((await executor.tool('mesh_deals', {})).deals, []);
+    assert.notEqual((await executor.tool('mesh_intents', {})).intents[0].status, 'accepted');
+  });
+});
@@ -0,0 +1,116 @@
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+function optional(name) {
+  try {
+    return require(name);
+  } catch {
+    return null;
+  }
+}
+
+export const Database = optional('better-sqlite3');
+export const pgMem = optional('pg-mem');
+
+export function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// pg-mem has no advisory locks (a single in-process database needs none) and no round().
+export function createPgMemPool() {
+  const db = pgMem.newDb();
+  db.public.registerFunction({
+    name: 'pg_advisory_xact_lock',
+    args: [pgMem.DataType.integer],
+    returns: pgMem.DataType.text,
+    implementation: () => null,
+  });
+  db.public.registerFunction({
+    name: 'round',
+    args: [pgMem.DataType.float],
+    returns: pgMem.DataType.float,
+    implementation: (value) => Math.round(value),
+  });
+  const { Pool } = db.adapters.createPg();
+  return new Pool();
+}
+
+const MESH_GROUP = -100;
+
+// Agents on one simulated MESH group. Posts queue up until deliver() hands each one to every agent, in order.
+// The agents share the local reputation and escrow simulations, as they would share the chain.
+export function createMeshNet(mesh) {
+  const chain = {
+    reputation: { scores: new Map(), stakes: new Map(), stakeSince: new Map(), txSeen: new Set() },
+    escrow: { escrows: new Map() },
+  };
+  const agents = [];
+  const queue = [];
+  let messageId = 0;
+
+  function agent(address, config = {}) {
+    const operator = [];
+    const sdk = {
+      logger: { info() {}, warn() {}, error() {} },
+      telegram: {
+        sendMessage: async (chatId, text) => {
+          (chatId === MESH_GROUP ? queue : operator).push(text);
+          return { ok: true };
+        },
+      },
+      __meshReputation: chain.reputation,
+      __meshEscrow: chain.escrow,
+    };
+    sdk.config = {
+      pluginConfig: {
+        address,
+        meshGroupId: MESH_GROUP,
+        operatorChatId: 1,
+        enableScheduler: false,
+        enableRebeacon: false,
+        ...config,
+      },
+    };
+    const tool = (name, args) => mesh.tools.find((item) => item.name === name).handler(args, sdk);
+    const created = {
+      address,
+      sdk,
+      config: sdk.config.pluginConfig,
+      operator,
+      tool,
+      // Registers with the local reputation contract and beacons, as mesh_register does.
+      register: () => tool('mesh_register', { skills: sdk.config.pluginConfig.skills ?? [], minFee: '0.1', stake: 1 }),
+      tick: () => mesh.processDeadlines(sdk),
+      // Waits for the skill handlers started by accepts to deliver their results.
+      executions: () => Promise.all([...(sdk.__meshExecutions?.values() ?? [])].map(({ done }) => done)),
+      receive: (text) => mesh.onMessage({ text, chatId: MESH_GROUP, messageId: `raw-${(messageId += 1)}` }, sdk),
+    };
+    agents.push(created);
+    return created;
+  }
+
+  // Delivers queued posts, and whatever they trigger, to every agent. Returns what each handler returned.
+  async function deliver() {
+    const delivered = [];
+    while (queue.length > 0) {
+      const text = queue.shift();
+      messageId += 1;
+      const message = JSON.parse(text.slice(text.indexOf('{')));
+      for (const to of agents) {
+        const result = await mesh.onMessage({ text, chatId: MESH_GROUP, messageId }, to.sdk);
+        delivered.push({ to: to.address, type: message.type, from: message.from, message, result });
+      }
+    }
+    return delivered;
+  }
+
+  async function close() {
+    for (const item of agents) {
+      await item.executions();
+      await mesh.stop(item.sdk);
+    }
+  }
+
+  return { agent, deliver, close, queue, chain };
+}
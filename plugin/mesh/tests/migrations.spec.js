@@ -0,0 +1,163 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import { PostgresBackend, SqliteBackend } from '../backends/index.js';
+import { MIGRATIONS, MIGRATIONS_TABLE, latestMigrationVersion, renderSupabaseSchema } from '../migrations.js';
+import { Database, createPgMemPool, pgMem } from './helpers.js';
+
+const SQL_BACKENDS = [
+  {
+    name: 'sqlite',
+    skip: !Database && 'better-sqlite3 is not installed',
+    create: () => new SqliteBackend({}, { db: new Database(':memory:') }),
+    columnsSql: `SELECT m.name AS table_name, p.name AS column_name
+      FROM sqlite_master m JOIN pragma_table_info(m.name) p WHERE m.type = 'table'`,
+  },
+  {
+    name: 'postgres (pg-mem)',
+    skip: !pgMem && 'pg-mem is not installed',
+    create: () => new PostgresBackend({}, { pool: createPgMemPool() }),
+    columnsSql: `SELECT table_name, column_name FROM information_schema.columns WHERE table_schema = 'public'`,
+    // pg-mem rejects CREATE TABLE IF NOT EXISTS with constraints once the table exists, and keeps the
+    // primary key index of a dropped table, so it cannot replay DDL over an existing or dropped schema.
+    replaySkip: 'pg-mem cannot replay DDL over an existing or dropped table',
+  },
+];
+
+const ALL_VERSIONS = MIGRATIONS.map((m) => m.version);
+
+async function appliedVersions(backend) {
+  return (await backend.appliedMigrations()).map((m) => m.version);
+}
+
+async function schemaColumns(backend, columnsSql) {
+  const { rows } = await backend.query(columnsSql);
+  return rows.map((row) => `${row.table_name}.${row.column_name}`).sort();
+}
+
+async function hasColumn(backend, table, column) {
+  try {
+    await backend.query(`SELECT ${column} FROM ${table} LIMIT 1`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+describe('migrations', () => {
+  it('are numbered consecutively and can all be rolled back', () => {
+    MIGRATIONS.forEach((migration, index) => {
+      assert.equal(migration.version, index + 1);
+      assert.ok(migration.up.length > 0, migration.name);
+      assert.ok(migration.down.length > 0, migration.name);
+    });
+  });
+
+  it('render supabase/schema.sql', () => {
+    const committed = readFileSync(new URL('../supabase/schema.sql', import.meta.url), 'utf8');
+    assert.equal(committed, renderSupabaseSchema(), 'run `npm run supabase:schema` and commit the result');
+  });
+});
+
+for (const { name, skip, create, columnsSql, replaySkip } of SQL_BACKENDS) {
+  describe(`migrations on ${name}`, { skip }, () => {
+    it('apply every pending migration once and record it', async () => {
+      const backend = create();
+      const ran = await backend.migrate();
+      assert.deepEqual(ran.map((m) => m.version), ALL_VERSIONS);
+      assert.deepEqual(await appliedVersions(backend), ALL_VERSIONS);
+      assert.deepEqual(await backend.migrate(), []);
+      await backend.close();
+    });
+
+    it('migrate up to a target version, then the rest', async () => {
+      const backend = create();
+      await backend.migrate({ to: 3 });
+      assert.deepEqual(await appliedVersions(backend), [1, 2, 3]);
+      assert.equal(await hasColumn(backend, 'offers', 'counter_fee'), false);
+
+      const ran = await backend.migrate();
+      assert.deepEqual(ran.map((m) => m.version), ALL_VERSIONS.slice(3));
+      assert.equal(await hasColumn(backend, 'offers', 'counter_fee'), true);
+      await backend.close();
+    });
+
+    it('roll back the latest migration, or down to a target version', async () => {
+      const backend = create();
+      await backend.migrate();
+
+      const [latest] = await backend.rollback();
+      assert.equal(latest.version, latestMigrationVersion());
+      assert.deepEqual(await appliedVersions(backend), ALL_VERSIONS.slice(0, -1));
+      const previous = create();
+      await previous.migrate({ to: latestMigrationVersion() - 1 });
+      assert.deepEqual(await schemaColumns(backend, columnsSql), await schemaColumns(previous, columnsSql));
+      await previous.close();
+
+      const rolledBack = await backend.rollback({ to: 0 });
+      assert.deepEqual(rolledBack.map((m) => m.version), ALL_VERSIONS.slice(0, -1).reverse());
+      assert.deepEqual(await appliedVersions(backend), []);
+      assert.equal(await hasColumn(backend, 'intents', 'id'), false);
+      await backend.close();
+    });
+
+    it('carry amounts between the decimal and nanoton columns', async () => {
+      const backend = create();
+      await backend.migrate({ to: 8 });
+      await backend.query(
+        `INSERT INTO intents (id, from_address, skill, budget, deadline, status) VALUES ($1,$2,$3,$4,$5,$6)`,
+        ['legacy', 'EQR', 'swap', 1.029, 10, 'pending'],
+      );
+
+      await backend.migrate();
+      assert.equal((await backend.getIntent('legacy')).budget, 1_029_000_000n);
+      await backend.saveIntent({ id: 'legacy', budget: '2.5' });
+
+      await backend.rollback({ to: 8 });
+      const { rows } = await backend.query('SELECT budget FROM intents WHERE id = $1', ['legacy']);
+      assert.equal(Number(rows[0].budget), 2.5);
+      await backend.close();
+    });
+
+    it('re-apply every migration after a full rollback', { skip: replaySkip }, async () => {
+      const backend = create();
+      await backend.migrate();
+      await backend.rollback({ to: 0 });
+
+      assert.deepEqual((await backend.migrate()).map((m) => m.version), ALL_VERSIONS);
+      const intent = await backend.saveIntent({ id: 'i1', fromAddress: 'EQR', skill: 'swap', budget: 1, deadline: 10 });
+      assert.equal(intent.status, 'pending');
+      await backend.close();
+    });
+
+    it('refuse to roll back a version this build does not know', async () => {
+      const backend = create();
+      await backend.migrate();
+      await backend.query(
+        `INSERT INTO ${MIGRATIONS_TABLE} (version, name, applied_at) VALUES ($1,$2,$3)`,
+        [999, 'from_the_future', 0],
+      );
+      await assert.rejects(backend.rollback({ to: 0 }), /migration 999/);
+      assert.ok((await appliedVersions(backend)).includes(1));
+      await backend.close();
+    });
+
+    it('adopt a database created before the history table', { skip: replaySkip }, async () => {
+      const backend = create();
+      for (const migration of MIGRATIONS) {
+        for (const sql of migration.up) {
+          await backend.execDdl(sql);
+        }
+      }
+      await backend.query(
+        `INSERT INTO intents (id, status, deadline) VALUES ($1,$2,$3)`,
+        ['legacy', 'pending', 10],
+      );
+
+      const ran = await backend.migrate();
+      assert.deepEqual(ran.map((m) => m.version), ALL_VERSIONS);
+      assert.equal((await backend.getIntent('legacy')).status, 'pending');
+      await backend.close();
+    });
+  });
+}
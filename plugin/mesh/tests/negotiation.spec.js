@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import * as mesh from '../index.js';
+import { buildCounterMessage, serializeMeshMessage } from '../protocol.js';
+import { createMeshNet } from './helpers.js';
+
+describe('counter-offers', () => {
+  let clock;
+  let net;
+
+  beforeEach(() => {
+    clock = Date.now();
+    mock.method(Date, 'now', () => clock);
+    net = createMeshNet(mesh);
+  });
+
+  afterEach(async () => {
+    await net.close();
+    mock.restoreAll();
+  });
+
+  async function negotiate(requesterConfig, executorConfig = {}) {
+    const requester = net.agent('EQREQ', { negotiation: { targetFeeRatio: 0.5 }, ...requesterConfig });
+    const executor = net.agent('EQEXE', { skills: ['swap'], ...executorConfig });
+    await requester.register();
+    await executor.register();
+    await net.deliver();
+    const { intent } = await requester.tool('mesh_broadcast', {
+      skill: 'swap', payload: {}, budget: '1', deadline: Math.floor(clock / 1000) + 10,
+    });
+    const delivered = await net.deliver();
+    const counters = delivered
+      .filter((item) => item.type === 'counter' && item.to !== item.from)
+      .map(({ from, message }) => [from, message.fee, message.round]);
+    return { requester, executor, intent, counters };
+  }
+
+  async function acceptedFee(requester) {
+    clock += 11_000;
+    await requester.tick();
+    const [accept] = (await net.deliver()).filter((item) => item.type === 'accept' && item.to === item.message.to);
+    return accept.message.fee;
+  }
+
+  it('let the executor take a counter at or above its minimum fee', async () => {
+    const { requester, counters } = await negotiate({});
+    assert.deepEqual(counters, [['EQREQ', '0.5', 1]]);
+    assert.equal(await acceptedFee(requester), '0.5');
+  });
+
+  it('stop countering once maxNegotiationRounds is reached', async () => {
+    const { requester, counters } = await negotiate(
+      { maxNegotiationRounds: 2 },
+      { negotiationPolicy: ({ role }) => (role === 'executor' ? { action: 'counter', fee: 700_000_000n } : undefined) },
+    );
+    assert.deepEqual(counters, [['EQREQ', '0.5', 1], ['EQEXE', '0.7', 2]]);
+    assert.equal(net.queue.length, 0);
+    assert.equal(await acceptedFee(requester), '0.7');
+  });
+
+  it('ignore counters outside the negotiation', async () => {
+    const { requester, executor, intent } = await negotiate({ maxNegotiationRounds: 2 });
+    const counter = (fields) => requester.receive(serializeMeshMessage(buildCounterMessage({
+      intentId: intent.id, from: executor.address, to: requester.address, fee: '0.6', eta: '5s', round: 2, ...fields,
+    })));
+
+    assert.deepEqual(await counter({ from: 'EQMAL', to: 'EQOTHER' }), { ignored: true, reason: 'counter_not_between_parties' });
+    assert.deepEqual(await counter({ fee: '1.5' }), { ignored: true, reason: 'budget_exceeded' });
+    assert.deepEqual(await counter({ round: 1 }), { ignored: true, reason: 'stale_round' });
+    assert.deepEqual(await counter({ round: 3 }), { ignored: true, reason: 'round_limit_reached' });
+  });
+
+  it('only send counters within the budget', async () => {
+    const { requester, executor, intent } = await negotiate({ negotiation: {} });
+    await assert.rejects(
+      requester.tool('mesh_counter', { intentId: intent.id, to: executor.address, fee: '1.5' }),
+      /within the intent budget/,
+    );
+  });
+});
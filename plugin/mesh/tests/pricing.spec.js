@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import * as mesh from '../index.js';
+import { serializeMeshMessage } from '../protocol.js';
+import { createMeshNet } from './helpers.js';
+
+describe('offer pricing', () => {
+  let clock;
+  let net;
+  let requester;
+
+  beforeEach(async () => {
+    clock = Date.now();
+    mock.method(Date, 'now', () => clock);
+    net = createMeshNet(mesh);
+    requester = net.agent('EQREQ');
+    await requester.register();
+  });
+
+  afterEach(async () => {
+    await net.close();
+    mock.restoreAll();
+  });
+
+  async function executorWith(config) {
+    const executor = net.agent('EQEXE', { skills: ['swap'], ...config });
+    await executor.register();
+    await net.deliver();
+    return executor;
+  }
+
+  // Broadcasts an intent and returns what the executor did with it.
+  async function quote(executor, args = {}) {
+    await requester.tool('mesh_broadcast', {
+      skill: 'swap', payload: {}, budget: '1', deadline: Math.floor(clock / 1000) + 10, ...args,
+    });
+    const [handled] = (await net.deliver()).filter((item) => item.type === 'intent' && item.to === executor.address);
+    return handled.result;
+  }
+
+  it('quote 75% of the budget by default', async () => {
+    const executor = await executorWith({});
+    assert.equal((await quote(executor)).offer.fee, '0.75');
+  });
+
+  it('quote fixed prices per skill and skip skills without one', async () => {
+    const perSkill = await executorWith({ pricing: { perSkill: { swap: { strategy: 'fixed', price: '0.3' } } } });
+    assert.equal((await quote(perSkill)).offer.fee, '0.3');
+
+    perSkill.config.pricing = { strategy: 'fixed', prices: { bridge: '0.3' } };
+    assert.deepEqual(await quote(perSkill), { saved: true, autoOffer: false, reason: 'pricing_declined' });
+  });
+
+  it('never quote below minFee or above the budget', async () => {
+    const executor = await executorWith({ pricing: { strategy: 'fixed', price: '0.05' } });
+    assert.equal((await quote(executor)).offer.fee, '0.1');
+
+    executor.config.pricing.price = '2';
+    assert.deepEqual(await quote(executor), { saved: true, autoOffer: false, reason: 'budget_too_low' });
+  });
+
+  it('price payload size with cost-plus', async () => {
+    const executor = await executorWith({ pricing: { strategy: 'costPlus', base: '0.2', perKb: '0.1', margin: 0.5 } });
+    // {"data":"…"} of exactly 1 KB: (0.2 + 0.1) * 1.5.
+    assert.equal((await quote(executor, { payload: { data: 'x'.repeat(1013) } })).offer.fee, '0.45');
+  });
+
+  it('surge with the deals already open', async () => {
+    const executor = await executorWith({
+      pricing: { strategy: 'surge', base: 'fixed', baseOptions: { price: '0.4' }, step: 0.25 },
+    });
+    assert.equal((await quote(executor)).offer.fee, '0.4');
+    clock += 11_000;
+    await requester.tick();
+    await net.deliver();
+
+    assert.equal((await quote(executor)).offer.fee, '0.5');
+  });
+
+  it('undercut a competing offer unless we out-rank it', async () => {
+    const rival = await executorWith({});
+    await requester.tool('mesh_broadcast', {
+      skill: 'swap', payload: {}, budget: '1', deadline: Math.floor(clock / 1000) + 10,
+    });
+    const [intent] = net.queue;
+    const [offer] = (await net.deliver()).filter((item) => item.type === 'offer' && item.from === rival.address);
+
+    // Joins after the rival offered, so it prices the intent knowing the rival's 0.75.
+    const pricing = { strategy: 'undercut', undercutBy: 0.2 };
+    const undercutter = net.agent('EQCUT', { skills: ['swap'], pricing });
+    await undercutter.register();
+    await undercutter.receive(serializeMeshMessage(offer.message));
+    assert.equal((await undercutter.receive(intent)).offer.fee, '0.6');
+
+    const matcher = net.agent('EQTOP', { skills: ['swap'], pricing });
+    await matcher.register();
+    net.chain.reputation.scores.set(matcher.address, 150);
+    await matcher.receive(serializeMeshMessage(offer.message));
+    assert.equal((await matcher.receive(intent)).offer.fee, '0.75');
+  });
+
+  it('use strategies from pricingStrategies', async () => {
+    const executor = await executorWith({
+      pricing: 'flat',
+      pricingStrategies: { flat: async () => ({ fee: 420_000_000n, eta: '1m' }) },
+    });
+    const { offer } = await quote(executor);
+    assert.equal(offer.fee, '0.42');
+    assert.equal(offer.eta, '1m');
+  });
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import {
+  buildAcceptMessage,
+  buildBeaconMessage,
+  buildCancelMessage,
+  buildResultMessage,
+  downgradeMeshMessage,
+  meshMessageSchema,
+  meshVersion,
+  meshVersions,
+  buildIntentMessage,
+  negotiateMeshVersion,
+  parseMeshMessage,
+  readMeshMessage,
+  sealedBidCommitment,
+} from '../protocol.js';
+
+function wire(message) {
+  return `MESH: ${JSON.stringify(message)}`;
+}
+
+// A minor release this build does not know yet.
+function newerMinor() {
+  const [major, minor] = meshVersion().split('.').map(Number);
+  return `${major}.${minor + 4}`;
+}
+
+describe('protocol schemas', () => {
+  it('render schemas/mesh-<version>.schema.json', () => {
+    for (const version of meshVersions()) {
+      const committed = readFileSync(new URL(`../schemas/mesh-${version}.schema.json`, import.meta.url), 'utf8');
+      assert.equal(committed, `${JSON.stringify(meshMessageSchema(version), null, 2)}\n`, 'run `npm run protocol:schema` and commit the result');
+    }
+  });
+
+  it('describe what the sanitizers require and what each version added', () => {
+    const legacy = meshMessageSchema('1.0').$defs;
+    const current = meshMessageSchema('1.1').$defs;
+    assert.deepEqual(current.intent.required, ['type', 'id', 'from', 'skill', 'budget', 'deadline']);
+    assert.deepEqual(current.settle.properties.rating, { type: 'integer', minimum: 1, maximum: 10 });
+    assert.deepEqual(current.result.dependentRequired.outputRef, ['outputHash']);
+    assert.equal(legacy.beacon.properties.versions, undefined);
+    assert.ok(current.beacon.properties.versions);
+    // 1.0 is frozen at the messages agents spoke before versioning.
+    assert.deepEqual(Object.keys(legacy), ['beacon', 'intent', 'offer', 'accept', 'settle', 'dispute']);
+    assert.equal(legacy.offer.properties.round, undefined);
+    assert.equal(legacy.accept.properties.escrowId, undefined);
+    assert.equal(legacy.beacon.properties.activeDeals, undefined);
+    assert.throws(() => meshMessageSchema('9.0'), /Unknown MESH protocol version/);
+  });
+
+  it('sanitize messages from the same definition', () => {
+    const result = { v: '1.1', type: 'result', intentId: 'i1', from: 'EQX', to: 'EQR', status: 'ok', output: null };
+    assert.deepEqual(parseMeshMessage(wire(result)).output, null);
+    assert.equal(parseMeshMessage(wire({ ...result, outputRef: 'ipfs://x' })), null);
+    assert.equal(parseMeshMessage(wire({ ...result, error: 42 })).error, null);
+    assert.equal(buildResultMessage({ ...result, status: undefined }), null);
+    assert.equal(parseMeshMessage(wire({ type: 'settle', intentId: 'i1', from: 'EQR', txHash: 't', outcome: 'success', rating: 11 })), null);
+  });
+});
+
+describe('protocol versions', () => {
+  it('advertise versions in beacons and drop them for 1.0 peers', () => {
+    const beacon = buildBeaconMessage({ from: 'EQA', skills: ['swap'] });
+    assert.deepEqual(beacon.versions, meshVersions());
+    const downgraded = downgradeMeshMessage(beacon, negotiateMeshVersion(['1.0']));
+    assert.equal(downgraded.versions, undefined);
+    assert.equal(downgraded.v, beacon.v);
+  });
+
+  it('drop 1.1 fields for 1.0 peers and keep 1.1 messages as they are', () => {
+    const accept = buildAcceptMessage({ intentId: 'i1', from: 'EQR', to: 'EQX', fee: '0.5', selectedAt: 1, escrowId: 'e1' });
+    const { escrowId: _escrowId, ...baseline } = accept;
+    assert.deepEqual(downgradeMeshMessage(accept, '1.0'), { ...baseline, v: '1.0' });
+    const cancel = buildCancelMessage({ intentId: 'i1', from: 'EQR' });
+    assert.equal(downgradeMeshMessage(cancel, '1.0'), cancel);
+    assert.equal(parseMeshMessage(wire({ ...cancel, v: '1.0' })), null);
+  });
+
+  it('keep sealed-bid intents at the version that can express them', () => {
+    const intent = { id: 'i1', from: 'EQR', skill: 'swap', budget: '1', deadline: 100 };
+    const open = buildIntentMessage(intent);
+    const sealed = buildIntentMessage({ ...intent, auction: 'sealed', revealDeadline: 130 });
+    assert.equal(downgradeMeshMessage(open, '1.1').auction, undefined);
+    assert.equal(downgradeMeshMessage(sealed, '1.1'), sealed);
+    assert.equal(parseMeshMessage(wire({ ...sealed, auction: 'dutch' })), null);
+  });
+
+  it('keep multi-executor intents at the version that can express them', () => {
+    const intent = { id: 'i1', from: 'EQR', skill: 'price_feed', budget: '1', deadline: 100 };
+    const single = buildIntentMessage(intent);
+    const multi = buildIntentMessage({ ...intent, executors: 3, quorum: 2 });
+    assert.equal(single.executors, 1);
+    assert.equal(downgradeMeshMessage(single, '1.2').executors, undefined);
+    assert.equal(downgradeMeshMessage(multi, '1.2'), multi);
+    assert.equal(parseMeshMessage(wire({ ...multi, executors: 0 })), null);
+  });
+
+  it('commit to the canonical form of a sealed bid', () => {
+    const bid = { intentId: 'i1', from: 'EQX', eta: '30s', nonce: 'n1' };
+    assert.equal(sealedBidCommitment({ ...bid, fee: '0.50' }), sealedBidCommitment({ ...bid, fee: 500_000_000n }));
+    assert.notEqual(sealedBidCommitment({ ...bid, fee: '0.5' }), sealedBidCommitment({ ...bid, fee: '0.4' }));
+  });
+
+  it('read newer minors and reject unknown majors', () => {
+    const cancel = { v: newerMinor(), type: 'cancel', intentId: 'i1', from: 'EQR', extra: { z: 1 } };
+    assert.deepEqual(parseMeshMessage(wire(cancel)).extra, { z: 1 });
+    assert.equal(negotiateMeshVersion([newerMinor()]), meshVersion());
+    assert.equal(negotiateMeshVersion(['2.0']), null);
+    assert.deepEqual(readMeshMessage(wire({ ...cancel, v: '2.0' })), {
+      error: 'unsupported_version', version: '2.0', type: 'cancel', from: 'EQR',
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import * as mesh from '../index.js';
+import { selectedExecutorsOf, tallyQuorum, validateQuorum } from '../quorum.js';
+import { createMeshNet } from './helpers.js';
+
+const intent = { executors: 3, quorum: 2, selectedExecutors: ['EQa', 'EQb', 'EQc'] };
+const result = (executorAddress, resultHash, extra = {}) => ({ executorAddress, resultStatus: 'success', resultHash, ...extra });
+
+describe('quorum', () => {
+  it('default to a majority and stay within the executors', () => {
+    assert.deepEqual(validateQuorum(), { executors: 1, quorum: 1 });
+    assert.deepEqual(validateQuorum({ executors: 4 }), { executors: 4, quorum: 3 });
+    assert.throws(() => validateQuorum({ executors: 3, quorum: 4 }), /quorum must be an integer between 1 and 3/);
+    assert.throws(() => validateQuorum({ executors: 6 }, 5), /executors must be an integer between 1 and 5/);
+    assert.deepEqual(selectedExecutorsOf({ selectedExecutor: 'EQa' }), ['EQa']);
+  });
+
+  it('reach a quorum on matching hashes and fail once it is out of reach', () => {
+    assert.equal(tallyQuorum(intent, [result('EQa', 'h1'), result('EQb', 'h2')]).status, 'pending');
+    assert.deepEqual(
+      tallyQuorum(intent, [result('EQa', 'h1'), result('EQb', 'h2'), result('EQc', 'h1')]),
+      { status: 'reached', hash: 'h1', required: 2, votes: { h1: 2, h2: 1 } },
+    );
+    const unverified = [result('EQa', 'h1'), result('EQb', 'h1', { resultVerified: false }), result('EQc', 'h3')];
+    assert.equal(tallyQuorum(intent, unverified).status, 'failed');
+    assert.equal(tallyQuorum(intent, [result('EQa', 'h1'), result('EQx', 'h1'), result('EQb', null, { resultStatus: 'failure' })]).status, 'pending');
+  });
+});
+
+describe('multi-executor disputes', () => {
+  let clock;
+  let net;
+  let requester;
+  let arbiter;
+
+  beforeEach(async () => {
+    clock = Date.now();
+    mock.method(Date, 'now', () => clock);
+    net = createMeshNet(mesh);
+    requester = net.agent('EQREQ', { arbiterAddress: 'EQARB' });
+    arbiter = net.agent('EQARB', { arbiterAddress: 'EQARB' });
+    const executors = ['EQEXA', 'EQEXB'].map((address) => net.agent(address, { skills: ['swap'], arbiterAddress: 'EQARB' }));
+    for (const agent of [requester, arbiter, ...executors]) await agent.register();
+    await net.deliver();
+  });
+
+  afterEach(async () => {
+    await net.close();
+    mock.restoreAll();
+  });
+
+  it('dispute each executor separately and settle the intent with the last resolution', async () => {
+    const { intent } = await requester.tool('mesh_broadcast', {
+      skill: 'swap', payload: {}, budget: '1', deadline: Math.floor(clock / 1000) + 10, executors: 2, quorum: 2,
+    });
+    await net.deliver();
+    clock += 11_000;
+    await requester.tick();
+    await net.deliver();
+
+    for (const against of ['EQEXA', 'EQEXB']) {
+      const opened = await requester.tool('mesh_dispute', { intentId: intent.id, against, reason: 'wrong result' });
+      assert.equal(opened.dispute.againstAddress, against);
+      await net.deliver();
+    }
+    const { intents: [disputed] } = await arbiter.tool('mesh_intents', {});
+    assert.equal(disputed.status, 'disputed');
+
+    const first = await arbiter.tool('mesh_resolve_dispute', { intentId: intent.id, against: 'EQEXA', decision: 'confirmed' });
+    assert.equal(first.dispute.againstAddress, 'EQEXA');
+    assert.equal((await arbiter.tool('mesh_intents', {})).intents[0].status, 'disputed');
+
+    const second = await arbiter.tool('mesh_resolve_dispute', { intentId: intent.id, against: 'EQEXB', decision: 'rejected' });
+    assert.equal(second.dispute.status, 'rejected');
+    assert.equal((await arbiter.tool('mesh_intents', {})).intents[0].status, 'accepted');
+  });
+});
@@ -0,0 +1,491 @@
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { after, before, describe, it } from 'node:test';
+import {
+  MemoryBackend,
+  PostgresBackend,
+  REGISTRY_BACKEND_METHODS,
+  SqliteBackend,
+  SupabaseRestBackend,
+} from '../backends/index.js';
+import { Database, createPgMemPool, now, pgMem } from './helpers.js';
+
+// Every backend runs the same suite. Live Postgres and Supabase run only when pointed at a disposable database.
+const BACKENDS = [
+  {
+    name: 'memory',
+    create: (sdk) => new MemoryBackend(sdk),
+  },
+  {
+    name: 'sqlite',
+    skip: !Database && 'better-sqlite3 is not installed',
+    create: (sdk) => new SqliteBackend(sdk, { db: new Database(':memory:') }),
+  },
+  {
+    name: 'postgres (pg-mem)',
+    skip: !pgMem && 'pg-mem is not installed',
+    create: (sdk) => new PostgresBackend(sdk, { pool: createPgMemPool() }),
+  },
+  {
+    name: 'postgres',
+    skip: !process.env.MESH_TEST_DATABASE_URL && 'MESH_TEST_DATABASE_URL is not set',
+    create: (sdk) => {
+      sdk.__meshRuntimeConfig = { databaseUrl: process.env.MESH_TEST_DATABASE_URL, dbSsl: false };
+      return new PostgresBackend(sdk);
+    },
+  },
+  {
+    name: 'supabase-rest',
+    skip: !(process.env.MESH_TEST_SUPABASE_URL && process.env.MESH_TEST_SUPABASE_SERVICE_ROLE_KEY)
+      && 'MESH_TEST_SUPABASE_URL is not set',
+    create: (sdk) => {
+      sdk.__meshRuntimeConfig = {
+        supabaseUrl: process.env.MESH_TEST_SUPABASE_URL,
+        supabaseServiceRoleKey: process.env.MESH_TEST_SUPABASE_SERVICE_ROLE_KEY,
+      };
+      return new SupabaseRestBackend(sdk);
+    },
+  },
+];
+
+for (const { name, skip, create } of BACKENDS) {
+  describe(`registry backend: ${name}`, { skip }, () => {
+    let backend;
+    const sdk = { logger: { error() {} } };
+
+    before(async () => {
+      backend = create(sdk);
+      await backend.migrate();
+    });
+
+    after(async () => {
+      await backend?.close();
+    });
+
+    // Ids are unique per run so the live backends can share a database between runs.
+    async function pendingIntent(overrides = {}) {
+      return backend.saveIntent({
+        id: randomUUID(),
+        fromAddress: `EQR-${randomUUID()}`,
+        skill: 'swap',
+        payload: { pair: 'TON/USDT' },
+        budget: 1.5,
+        deadline: now() + 60,
+        minReputation: 0,
+        ...overrides,
+      });
+    }
+
+    it('implements every registry operation', () => {
+      for (const method of REGISTRY_BACKEND_METHODS) {
+        assert.equal(typeof backend[method], 'function', method);
+      }
+    });
+
+    it('marks a processed message exactly once', async () => {
+      const meta = { key: `msg-${randomUUID()}`, messageType: 'intent', sourceChatId: 42, sourceMessageId: 7 };
+      assert.deepEqual(await backend.markProcessedMessage(meta), { inserted: true });
+      assert.deepEqual(await backend.markProcessedMessage(meta), { inserted: false });
+
+      const concurrentKey = { key: `msg-${randomUUID()}` };
+      const results = await Promise.all(Array.from({ length: 5 }, () => backend.markProcessedMessage(concurrentKey)));
+      assert.equal(results.filter((r) => r.inserted).length, 1);
+    });
+
+    it('accepts exactly one of several concurrent offers', async () => {
+      const intent = await pendingIntent();
+      const executors = ['EQX', 'EQY', 'EQZ'];
+      const results = await Promise.all(
+        executors.map((executor) => backend.acceptIntentOffer(intent.id, `offer-${executor}`, executor)),
+      );
+
+      const winners = results.filter((r) => r.ok);
+      assert.equal(winners.length, 1);
+      for (const loser of results.filter((r) => !r.ok)) {
+        assert.equal(loser.reason, 'intent_not_pending');
+      }
+
+      const stored = await backend.getIntent(intent.id);
+      assert.equal(stored.status, 'accepted');
+      assert.equal(stored.selectedExecutor, winners[0].intent.selectedExecutor);
+      assert.equal(stored.acceptedOfferId, `offer-${stored.selectedExecutor}`);
+    });
+
+    it('reports a missing intent on accept', async () => {
+      const result = await backend.acceptIntentOffer(randomUUID(), 'offer', 'EQX');
+      assert.deepEqual(result, { ok: false, reason: 'intent_not_found' });
+    });
+
+    it('expires only pending intents past their deadline', async () => {
+      const ts = now();
+      const overdue = await pendingIntent({ deadline: ts - 10 });
+      const current = await pendingIntent({ deadline: ts + 600 });
+      const accepted = await pendingIntent({ deadline: ts - 10 });
+      await backend.acceptIntentOffer(accepted.id, 'offer', 'EQX');
+
+      const expired = await backend.expireIntents(ts);
+      assert.ok(expired.some((item) => item.id === overdue.id && item.status === 'expired'));
+      assert.ok(!expired.some((item) => item.id === current.id || item.id === accepted.id));
+
+      assert.equal((await backend.getIntent(overdue.id)).status, 'expired');
+      assert.equal((await backend.getIntent(current.id)).status, 'pending');
+      assert.equal((await backend.getIntent(accepted.id)).status, 'accepted');
+
+      const again = await backend.expireIntents(ts);
+      assert.ok(!again.some((item) => item.id === overdue.id));
+    });
+
+    it('keeps a sealed-bid intent pending until its reveal deadline', async () => {
+      const ts = now();
+      const revealing = await pendingIntent({ deadline: ts - 10, auction: 'sealed', revealDeadline: ts + 20 });
+      const closed = await pendingIntent({ deadline: ts - 40, auction: 'sealed', revealDeadline: ts - 10 });
+
+      const expired = await backend.expireIntents(ts);
+      assert.ok(!expired.some((item) => item.id === revealing.id));
+      assert.ok(expired.some((item) => item.id === closed.id));
+      assert.equal((await backend.getIntent(revealing.id)).status, 'pending');
+      assert.ok((await backend.expireIntents(ts + 30)).some((item) => item.id === revealing.id));
+    });
+
+    it('lists intents and deals by party', async () => {
+      const requester = `EQR-${randomUUID()}`;
+      const executor = `EQX-${randomUUID()}`;
+      const first = await pendingIntent({ fromAddress: requester, createdAt: now() - 20 });
+      const second = await pendingIntent({ fromAddress: requester, createdAt: now() - 10 });
+      await backend.acceptIntentOffer(first.id, 'offer', executor);
+      await backend.settleDeal({ intentId: first.id, executorAddress: executor, fee: 0.5 });
+
+      const ids = (intents) => intents.map((intent) => intent.id);
+      assert.deepEqual(ids(await backend.listIntents({ fromAddress: requester })), [second.id, first.id]);
+      assert.deepEqual(ids(await backend.listIntents({ fromAddress: requester, limit: 1 })), [second.id]);
+      assert.deepEqual(ids(await backend.listIntents({ fromAddress: requester, status: 'accepted' })), [first.id]);
+      assert.deepEqual(ids(await backend.listIntents({ selectedExecutor: executor })), [first.id]);
+      assert.deepEqual((await backend.listDeals({ executorAddress: executor })).map((deal) => deal.intentId), [first.id]);
+    });
+
+    it('keeps one deal per executor of a multi-executor intent', async () => {
+      const intent = await pendingIntent({ executors: 3, quorum: 2 });
+      const [x, y] = [`EQX-${randomUUID()}`, `EQY-${randomUUID()}`].sort();
+      const accepted = await backend.acceptIntentOffer(intent.id, 'offer-x', x, [x, y]);
+      assert.deepEqual([accepted.intent.executors, accepted.intent.quorum], [3, 2]);
+      assert.deepEqual(accepted.intent.selectedExecutors, [x, y]);
+
+      await backend.settleDeal({ intentId: intent.id, executorAddress: y, escrowId: 'esc-y', escrowStatus: 'locked' });
+      await backend.settleDeal({ intentId: intent.id, executorAddress: x, escrowId: 'esc-x', escrowStatus: 'locked' });
+      await backend.settleDeal({ intentId: intent.id, executorAddress: y, resultStatus: 'success', resultHash: 'h1' });
+      assert.equal((await backend.getDeal(intent.id, y)).escrowId, 'esc-y');
+      assert.equal((await backend.getDeal(intent.id, y)).resultHash, 'h1');
+      assert.equal((await backend.getDeal(intent.id)).executorAddress, x);
+      assert.deepEqual((await backend.listDeals({ intentId: intent.id })).map((deal) => deal.executorAddress).sort(), [x, y]);
+
+      assert.deepEqual((await backend.listIntents({ selectedExecutor: y })).map((item) => item.id), [intent.id]);
+      assert.equal((await backend.countActiveDeals(y)).total, 1);
+
+      await backend.updateIntentStatus(intent.id, 'settled', { quorumStatus: 'reached', quorumHash: 'h1' });
+      assert.deepEqual(
+        [(await backend.getIntent(intent.id)).quorumStatus, (await backend.getIntent(intent.id)).quorumHash],
+        ['reached', 'h1'],
+      );
+      await backend.compact({ dealsBefore: now() + 1 });
+      assert.equal((await backend.getDeal(intent.id, x)).escrowStatus, 'locked');
+
+      await backend.settleDeal({ intentId: intent.id, executorAddress: x, escrowStatus: 'claimed' });
+      await backend.settleDeal({ intentId: intent.id, executorAddress: y, escrowStatus: 'claimed' });
+      await backend.compact({ dealsBefore: now() + 1 });
+      assert.deepEqual(await backend.listDeals({ intentId: intent.id }), []);
+      const archived = (await backend.listArchivedDeals()).filter((deal) => deal.intentId === intent.id);
+      assert.deepEqual(archived.map((deal) => deal.executorAddress).sort(), [x, y]);
+    });
+
+    it('only lets the requester cancel a pending intent', async () => {
+      const intent = await pendingIntent();
+      const stranger = await backend.cancelIntent(intent.id, 'EQ-stranger');
+      assert.equal(stranger.reason, 'not_intent_owner');
+
+      const cancelled = await backend.cancelIntent(intent.id, intent.fromAddress);
+      assert.equal(cancelled.ok, true);
+      assert.equal(cancelled.intent.status, 'cancelled');
+
+      const twice = await backend.cancelIntent(intent.id, intent.fromAddress);
+      assert.equal(twice.reason, 'intent_not_pending');
+    });
+
+    it('round-trips records and merges partial updates', async () => {
+      const address = `EQP-${randomUUID()}`;
+      await backend.upsertPeer({
+        address, skills: ['swap', 'bridge'], minFee: '0.2', maxConcurrentDeals: 3, protocolVersions: ['1.0', '1.1'], lastSeen: 1000,
+      });
+      const peer = await backend.upsertPeer({ address, reputation: 120 });
+      assert.equal(peer.lastSeen, 1000);
+      assert.deepEqual(peer.skills, ['swap', 'bridge']);
+      assert.equal(peer.minFee, 200_000_000n);
+      assert.equal(peer.reputation, 120);
+      assert.equal(peer.maxConcurrentDeals, 3);
+      assert.deepEqual(peer.protocolVersions, ['1.0', '1.1']);
+
+      const intent = await pendingIntent();
+      assert.deepEqual((await backend.getIntent(intent.id)).payload, { pair: 'TON/USDT' });
+
+      const offer = await backend.recordOffer({ intentId: intent.id, fromAddress: 'EQX', fee: '0.300000001', eta: '1m' });
+      assert.equal(offer.fee, 300_000_001n);
+      assert.equal(offer.feeRaw, '0.300000001');
+      const countered = await backend.markOfferCountered(offer.id, { round: 1, counterFee: 250_000_000n, counterEta: '2m' });
+      assert.equal(countered.counterFee, 250_000_000n);
+
+      await backend.settleDeal({ intentId: intent.id, executorAddress: 'EQX', fee: offer.fee, resultOutput: { ok: 1 } });
+      const deal = await backend.settleDeal({ intentId: intent.id, resultVerified: false });
+      assert.equal(deal.executorAddress, 'EQX');
+      assert.equal(deal.fee, 300_000_001n);
+      assert.deepEqual(deal.resultOutput, { ok: 1 });
+      assert.equal(deal.resultVerified, false);
+    });
+
+    it('opens a dispute once and resolves it once', async () => {
+      const dispute = { intentId: randomUUID(), fromAddress: 'EQR', againstAddress: 'EQX', reason: 'no result' };
+      const first = await backend.openDispute(dispute);
+      const second = await backend.openDispute(dispute);
+      assert.equal(first.created, true);
+      assert.equal(second.created, false);
+      assert.equal(second.dispute.id, first.dispute.id);
+      const otherExecutor = await backend.openDispute({ ...dispute, againstAddress: 'EQY' });
+      assert.equal(otherExecutor.created, true);
+      assert.notEqual(otherExecutor.dispute.id, first.dispute.id);
+
+      const ts = now();
+      const resolved = await backend.resolveDispute(first.dispute.id, { status: 'rejected', resolution: null, slashedStake: null, ts });
+      assert.equal(resolved.ok, true);
+      assert.equal(resolved.dispute.status, 'rejected');
+
+      const again = await backend.resolveDispute(first.dispute.id, { status: 'confirmed', resolution: null, slashedStake: null, ts });
+      assert.equal(again.reason, 'dispute_not_open');
+      const slashed = await backend.recordDisputeSlash(first.dispute.id, { slashedStake: 250_000_000n, ts });
+      assert.equal(slashed.slashedStake, 250_000_000n);
+      assert.equal(slashed.status, 'rejected');
+    });
+
+    it('compacts old rows and archives closed deals with their intents', async () => {
+      const ts = now();
+      const old = ts - 1000;
+      const oldMessage = { key: `msg-${randomUUID()}`, firstSeenAt: old };
+      const freshMessage = { key: `msg-${randomUUID()}`, firstSeenAt: ts };
+      await backend.markProcessedMessage(oldMessage);
+      await backend.markProcessedMessage(freshMessage);
+
+      const settled = await pendingIntent();
+      await backend.recordOffer({ intentId: settled.id, fromAddress: 'EQX', fee: 0.5, eta: '1m', createdAt: old });
+      await backend.settleDeal({ intentId: settled.id, executorAddress: 'EQX', fee: 0.5, outcome: 'success', resultOutput: { ok: 1 } });
+      await backend.updateIntentStatus(settled.id, 'settled');
+
+      const locked = await pendingIntent();
+      await backend.settleDeal({ intentId: locked.id, executorAddress: 'EQX', escrowId: 'esc-1', escrowStatus: 'locked' });
+      await backend.updateIntentStatus(locked.id, 'settled');
+
+      const expired = await pendingIntent({ deadline: ts - 10 });
+      await backend.recordOffer({ intentId: expired.id, fromAddress: 'EQY', fee: 0.4, eta: '1m', createdAt: ts });
+      await backend.expireIntents(ts);
+
+      const accepted = await pendingIntent();
+      const winner = await backend.recordOffer({ intentId: accepted.id, fromAddress: 'EQX', fee: 0.5, eta: '1m', createdAt: old });
+      await backend.recordOffer({ intentId: accepted.id, fromAddress: 'EQY', fee: 0.9, eta: '1m', createdAt: old });
+      await backend.acceptIntentOffer(accepted.id, winner.id, 'EQX');
+
+      const open = await pendingIntent();
+      const openOffer = await backend.recordOffer({ intentId: open.id, fromAddress: 'EQZ', fee: 0.6, eta: '1m', createdAt: old });
+
+      // Intents were updated just now, possibly in a later second than ts.
+      const result = await backend.compact({
+        processedMessagesBefore: ts - 500,
+        offersBefore: ts - 500,
+        intentsBefore: now() + 1,
+        dealsBefore: now() + 1,
+        ts,
+      });
+      assert.ok(result.processedMessages >= 1);
+      assert.ok(result.intents >= 2);
+      assert.ok(result.deals >= 1);
+      assert.ok(result.archivedDeals >= 1);
+      assert.ok(result.offers >= 3);
+
+      assert.deepEqual(await backend.markProcessedMessage(oldMessage), { inserted: true });
+      assert.deepEqual(await backend.markProcessedMessage(freshMessage), { inserted: false });
+
+      assert.equal(await backend.getIntent(settled.id), null);
+      assert.equal(await backend.getDeal(settled.id), null);
+      assert.deepEqual(await backend.listOffersForIntent(settled.id), []);
+      const archived = (await backend.listArchivedDeals()).find((deal) => deal.intentId === settled.id);
+      assert.equal(archived.requesterAddress, settled.fromAddress);
+      assert.equal(archived.intentStatus, 'settled');
+      assert.equal(archived.outcome, 'success');
+      assert.deepEqual(archived.resultOutput, { ok: 1 });
+      assert.equal(archived.archivedAt, ts);
+
+      assert.equal((await backend.getDeal(locked.id)).escrowStatus, 'locked');
+      assert.equal(await backend.getIntent(expired.id), null);
+      assert.deepEqual(await backend.listOffersForIntent(expired.id), []);
+      assert.deepEqual((await backend.listOffersForIntent(accepted.id)).map((offer) => offer.id), [winner.id]);
+      assert.deepEqual((await backend.listOffersForIntent(open.id)).map((offer) => offer.id), [openOffer.id]);
+    });
+
+    it('deletes closed deals without archiving them when asked to', async () => {
+      const settled = await pendingIntent();
+      await backend.settleDeal({ intentId: settled.id, executorAddress: 'EQX', outcome: 'failure' });
+      await backend.updateIntentStatus(settled.id, 'failed');
+
+      await backend.compact({ dealsBefore: now() + 1, archiveDeals: false });
+      assert.equal(await backend.getDeal(settled.id), null);
+      assert.equal(await backend.getIntent(settled.id), null);
+      assert.ok(!(await backend.listArchivedDeals()).some((deal) => deal.intentId === settled.id));
+    });
+
+    it('tallies an executor track record across live and archived deals', async () => {
+      const executor = `EQT-${randomUUID()}`;
+      const intent = await pendingIntent({ routerWeights: { stake: 0.5 }, routerPolicy: { policy: 'lexicographic', order: ['fee'] } });
+      assert.deepEqual((await backend.getIntent(intent.id)).routerWeights, { stake: 0.5 });
+      assert.deepEqual((await backend.getIntent(intent.id)).routerPolicy, { policy: 'lexicographic', order: ['fee'] });
+
+      const archived = await pendingIntent();
+      await backend.settleDeal({ intentId: archived.id, executorAddress: executor, outcome: 'success', dueAt: 100, deliveredAt: 90 });
+      await backend.updateIntentStatus(archived.id, 'settled');
+      await backend.compact({ dealsBefore: now() + 1 });
+
+      await backend.settleDeal({ intentId: intent.id, executorAddress: executor, dueAt: 100, deliveredAt: 120 });
+      await backend.settleDeal({ intentId: intent.id, outcome: 'failure' });
+      const other = await pendingIntent({ skill: 'bridge' });
+      await backend.settleDeal({ intentId: other.id, executorAddress: executor, outcome: 'success' });
+
+      const record = await backend.executorTrackRecord(executor);
+      assert.deepEqual(record, {
+        settled: 3,
+        succeeded: 2,
+        delivered: 2,
+        onTime: 1,
+        bySkill: { swap: { settled: 2, succeeded: 1 }, bridge: { settled: 1, succeeded: 1 } },
+      });
+    });
+
+    it('commits a sealed bid once and reveals it once', async () => {
+      const intent = await pendingIntent({ auction: 'sealed', revealDeadline: now() + 90 });
+      assert.equal((await backend.getIntent(intent.id)).auction, 'sealed');
+      const executor = `EQS-${randomUUID()}`;
+      const commitment = 'a'.repeat(64);
+
+      assert.equal((await backend.commitOffer({ intentId: intent.id, fromAddress: executor, commitment })).created, true);
+      const again = await backend.commitOffer({ intentId: intent.id, fromAddress: executor, commitment: 'b'.repeat(64) });
+      assert.equal(again.created, false);
+      assert.equal(again.commitment.commitment, commitment);
+
+      const reveal = { fee: 1_200_000_000n, eta: '30s', nonce: 'n1', ts: now() };
+      const revealed = await backend.revealCommitment(intent.id, executor, reveal);
+      assert.equal(revealed.ok, true);
+      assert.equal(revealed.commitment.fee, 1_200_000_000n);
+      assert.equal(revealed.commitment.status, 'revealed');
+      assert.equal((await backend.revealCommitment(intent.id, executor, reveal)).reason, 'already_revealed');
+      assert.equal((await backend.revealCommitment(intent.id, 'EQ-nobody', reveal)).reason, 'no_commitment');
+
+      await backend.updateCommitmentStatus(intent.id, executor, 'verified');
+      const [listed] = await backend.listOfferCommitments(intent.id);
+      assert.deepEqual([listed.status, listed.nonce, listed.eta], ['verified', 'n1', '30s']);
+    });
+
+    it('stores a workflow once and moves each step on once', async () => {
+      const fromAddress = `EQW-${randomUUID()}`;
+      const workflow = {
+        id: randomUUID(),
+        fromAddress,
+        budget: 2,
+        steps: [
+          { stepId: 'fetch', skill: 'fetch', payload: { pair: 'TON/USDT' }, budget: 0.5, dependsOn: [], options: { deadlineSeconds: 60 } },
+          { stepId: 'swap', skill: 'swap', payload: {}, budget: 1, dependsOn: ['fetch'], options: {} },
+        ],
+      };
+      const { created, workflow: stored } = await backend.createWorkflow(workflow);
+      assert.equal(created, true);
+      assert.deepEqual([stored.status, stored.budget, stored.spent], ['running', 2_000_000_000n, 0n]);
+      assert.deepEqual(stored.steps.map((step) => [step.stepId, step.status, step.dependsOn]), [
+        ['fetch', 'waiting', []],
+        ['swap', 'waiting', ['fetch']],
+      ]);
+      assert.deepEqual(stored.steps[0].options, { deadlineSeconds: 60 });
+      assert.equal((await backend.createWorkflow(workflow)).created, false);
+
+      const started = await backend.updateWorkflowStep(workflow.id, 'fetch', 'waiting', { status: 'running', intentId: 'i-fetch', startedAt: 100 });
+      assert.deepEqual([started.ok, started.step.intentId], [true, 'i-fetch']);
+      const again = await backend.updateWorkflowStep(workflow.id, 'fetch', 'waiting', { status: 'running', intentId: 'i-other' });
+      assert.deepEqual([again.ok, again.reason, again.step.intentId], [false, 'step_status_changed', 'i-fetch']);
+      assert.equal((await backend.updateWorkflowStep(workflow.id, 'nope', 'waiting', { status: 'running' })).reason, 'step_not_found');
+
+      await backend.updateWorkflowStep(workflow.id, 'fetch', 'running', { status: 'settled', output: { prices: [1, 2] }, spent: 300_000_000n });
+      const fetched = await backend.getWorkflow(workflow.id);
+      assert.deepEqual(fetched.steps[0].output, { prices: [1, 2] });
+      assert.deepEqual([fetched.steps[0].intentId, fetched.steps[0].startedAt], ['i-fetch', 100]);
+      assert.equal(fetched.spent, 300_000_000n);
+
+      await backend.updateWorkflowStatus(workflow.id, 'failed', { error: 'step swap: intent expired' });
+      assert.deepEqual((await backend.listWorkflows({ fromAddress })).map((item) => [item.status, item.error]), [
+        ['failed', 'step swap: intent expired'],
+      ]);
+      assert.deepEqual(await backend.listWorkflows({ fromAddress, status: 'running' }), []);
+    });
+
+    it('filters, sorts and pages peers', async () => {
+      const ts = now();
+      const skill = `skill-${randomUUID()}`;
+      const peers = [
+        { address: `EQ1-${randomUUID()}`, skills: [skill], reputation: 150, minFee: 0.1, stake: 5, lastSeen: ts },
+        { address: `EQ2-${randomUUID()}`, skills: ['other', skill], reputation: 120, minFee: 0.2, stake: 2, lastSeen: ts - 100 },
+        { address: `EQ3-${randomUUID()}`, skills: [skill], reputation: 120, minFee: 0.5, stake: 8, lastSeen: ts - 10 },
+        { address: `EQ4-${randomUUID()}`, skills: [skill], reputation: 90, minFee: 0.1, stake: 1, lastSeen: ts - 5000 },
+        { address: `EQ5-${randomUUID()}`, skills: ['other'], reputation: 200, minFee: 0.1, stake: 9, lastSeen: ts },
+      ];
+      for (const peer of peers) {
+        await backend.upsertPeer(peer);
+      }
+      const addresses = (rows) => rows.map((peer) => peer.address);
+
+      assert.deepEqual(
+        addresses(await backend.queryPeers({ skill, sort: 'lastSeen', order: 'desc' })),
+        addresses([peers[0], peers[2], peers[1], peers[3]]),
+      );
+      assert.deepEqual(
+        addresses(await backend.queryPeers({ skill, minReputation: 100, maxMinFee: 300_000_000n, sort: 'minFee', order: 'asc' })),
+        addresses([peers[0], peers[1]]),
+      );
+      assert.deepEqual(addresses(await backend.queryPeers({ skill, minStake: 3_000_000_000n, sort: 'stake', order: 'desc' })), addresses([peers[2], peers[0]]));
+      assert.deepEqual(
+        addresses(await backend.queryPeers({ skill, seenSince: ts - 100, seenBefore: ts, sort: 'lastSeen', order: 'asc' })),
+        addresses([peers[1], peers[2]]),
+      );
+
+      const byReputation = [peers[0], ...[peers[1], peers[2]].sort((a, b) => (a.address < b.address ? 1 : -1)), peers[3]];
+      const pages = [];
+      let after = null;
+      do {
+        const page = await backend.queryPeers({ skill, sort: 'reputation', order: 'desc', limit: 2, after });
+        pages.push(addresses(page));
+        const last = page[page.length - 1];
+        after = page.length === 2 ? { value: last.reputation, address: last.address } : null;
+      } while (after);
+      assert.deepEqual(pages.flat(), addresses(byReputation));
+      assert.equal(pages[0].length, 2);
+    });
+
+    it('evicts peers not seen since the cutoff', async () => {
+      const ts = now();
+      const silent = await backend.upsertPeer({ address: `EQS-${randomUUID()}`, lastSeen: ts - 1000 });
+      const live = await backend.upsertPeer({ address: `EQL-${randomUUID()}`, lastSeen: ts });
+
+      const result = await backend.compact({ peersBefore: ts - 500, ts });
+      assert.ok(result.peers >= 1);
+      assert.equal(await backend.getPeer(silent.address), null);
+      assert.equal((await backend.getPeer(live.address)).lastSeen, ts);
+    });
+
+    it('keeps silent peers that have a pinned public key', async () => {
+      const ts = now();
+      const pinned = await backend.upsertPeer({ address: `EQP-${randomUUID()}`, lastSeen: ts - 1000, publicKey: 'ab'.repeat(32) });
+
+      await backend.compact({ peersBefore: ts - 500, ts });
+      assert.equal((await backend.getPeer(pinned.address)).publicKey, 'ab'.repeat(32));
+    });
+  });
+}
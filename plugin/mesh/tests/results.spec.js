@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import * as mesh from '../index.js';
+import { buildResultMessage, hashMeshContent, serializeMeshMessage } from '../protocol.js';
+import { createMeshNet } from './helpers.js';
+
+const REPORT = { rows: Array.from({ length: 20 }, (_, i) => ({ i, price: 1.5 + i })) };
+
+// Off-bus storage both agents can reach; `tamper` makes reads return something else than was stored.
+function sharedStore() {
+  const blobs = new Map();
+  return {
+    tamper: false,
+    async put(output, { hash }) {
+      blobs.set(`blob://${hash}`, output);
+      return `blob://${hash}`;
+    },
+    async get(ref) {
+      if (!blobs.has(ref)) throw new Error(`no blob at ${ref}`);
+      return this.tamper ? { ...blobs.get(ref), rows: [] } : blobs.get(ref);
+    },
+  };
+}
+
+describe('result delivery', () => {
+  let clock;
+  let net;
+  let requester;
+  let store;
+
+  beforeEach(async () => {
+    clock = Date.now();
+    mock.method(Date, 'now', () => clock);
+    net = createMeshNet(mesh);
+    store = sharedStore();
+    requester = net.agent('EQREQ', { resultStore: store });
+    await requester.register();
+  });
+
+  afterEach(async () => {
+    await net.close();
+    mock.restoreAll();
+  });
+
+  async function executorWith(config) {
+    const executor = net.agent('EQEXE', { skills: { report: async () => REPORT }, ...config });
+    await executor.register();
+    await net.deliver();
+    return executor;
+  }
+
+  // Runs one deal and returns the executor's result message and what the requester made of it.
+  async function deliveredResult(executor) {
+    const { intent } = await requester.tool('mesh_broadcast', {
+      skill: 'report', payload: {}, budget: '1', deadline: Math.floor(clock / 1000) + 10,
+    });
+    await net.deliver();
+    clock += 11_000;
+    await requester.tick();
+    await net.deliver();
+    await executor.executions();
+    const [result] = (await net.deliver()).filter((item) => item.type === 'result' && item.to === requester.address);
+    return { intent, message: result.message, received: result.result };
+  }
+
+  it('send large outputs by reference and verify them against their hash', async () => {
+    const executor = await executorWith({ resultStore: store, maxInlineResultBytes: 64 });
+    const { intent, message, received } = await deliveredResult(executor);
+
+    assert.equal(message.output, undefined);
+    assert.equal(message.outputHash, hashMeshContent(REPORT));
+    assert.equal(message.outputRef, `blob://${message.outputHash}`);
+    assert.equal(received.verified, true);
+    assert.deepEqual(received.output, REPORT);
+
+    const { deals: [deal] } = await requester.tool('mesh_deals', { intentId: intent.id });
+    assert.equal(deal.resultHash, message.outputHash);
+    assert.equal(deal.resultRef, message.outputRef);
+    assert.equal(deal.resultVerified, true);
+  });
+
+  it('flag outputs that do not match their hash', async () => {
+    const executor = await executorWith({ resultStore: store, maxInlineResultBytes: 64 });
+    store.tamper = true;
+    const { received } = await deliveredResult(executor);
+
+    assert.equal(received.verified, false);
+    assert.match(requester.operator.at(-1), /HASH MISMATCH/);
+  });
+
+  it('fail the result when the output is too large and there is no store', async () => {
+    const executor = await executorWith({ maxInlineResultBytes: 64 });
+    const { message, received } = await deliveredResult(executor);
+
+    assert.equal(message.status, 'failure');
+    assert.equal(message.error, 'output_too_large');
+    assert.equal(received.verified, null);
+  });
+
+  it('ignore results from anyone but the selected executor', async () => {
+    const executor = await executorWith({});
+    const { intent } = await deliveredResult(executor);
+    const forged = serializeMeshMessage(buildResultMessage({
+      intentId: intent.id, from: 'EQMAL', to: requester.address, status: 'success', output: { rows: [] },
+    }));
+    assert.deepEqual(await requester.receive(forged), { ignored: true, reason: 'not_selected_executor' });
+  });
+});
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import * as mesh from '../index.js';
+import { buildBeaconMessage, buildIntentMessage, serializeMeshMessage } from '../protocol.js';
+import { createMeshNet } from './helpers.js';
+
+const DAY_MS = 24 * 3600 * 1000;
+const SIGNER_KEY = '11'.repeat(32);
+const IMPOSTOR_KEY = '22'.repeat(32);
+
+describe('retention', () => {
+  let clock;
+  let net;
+  let agent;
+
+  beforeEach(() => {
+    clock = Date.now();
+    mock.method(Date, 'now', () => clock);
+    net = createMeshNet(mesh);
+    agent = net.agent('EQAGT');
+  });
+
+  afterEach(async () => {
+    await net.close();
+    mock.restoreAll();
+  });
+
+  it('keeps a silent peer whose public key was pinned from its beacons', async () => {
+    const signer = net.agent('EQSIG', { skills: ['swap'], signingSecretKey: SIGNER_KEY });
+    await signer.register();
+    const [first] = (await net.deliver()).filter((item) => item.to === agent.address);
+    assert.equal(first.result.rejected, undefined);
+
+    clock += 8 * DAY_MS;
+    await agent.tick();
+    const beacon = buildBeaconMessage({ from: signer.address, skills: ['swap'] });
+    const impostor = await agent.receive(serializeMeshMessage(beacon, { secretKey: IMPOSTOR_KEY }));
+    assert.equal(impostor.rejected, true);
+    assert.equal(impostor.reason, 'signer_mismatch');
+  });
+
+  it('still drops a redelivered message after a week while its intent is stored', async () => {
+    const executor = net.agent('EQEXE', { skills: ['swap'] });
+    const intent = buildIntentMessage({
+      id: 'intent-kept', from: agent.address, skill: 'swap', payload: {}, budget: '1', deadline: Math.floor(clock / 1000) + 60,
+    });
+    const event = { text: serializeMeshMessage(intent), chatId: -100, messageId: 'intent-1' };
+    assert.equal((await mesh.onMessage(event, executor.sdk)).duplicate, undefined);
+
+    clock += 8 * DAY_MS;
+    await executor.tick();
+    assert.deepEqual(await mesh.onMessage(event, executor.sdk), { duplicate: true, type: 'intent' });
+  });
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { NANOTON_PER_TON as TON } from '../amounts.js';
+import { routerPolicySpec, scoreOffers, selectOffer } from '../router.js';
+
+const intent = { id: 'i1', skill: 'swap', budget: 2n * TON, minReputation: 60 };
+
+function offer(id, fee, eta, reputation) {
+  return { id, fromAddress: `EQ${id}`, fee, eta, reputation };
+}
+
+const offers = [
+  offer('a', TON / 2n, '30s', 95),
+  offer('b', TON / 10n, '5m', 50),
+  offer('c', TON / 5n, '10s', 70),
+  offer('d', 3n * TON, '1s', 99),
+];
+
+async function select(policy, context = {}) {
+  return selectOffer(await scoreOffers(intent, offers), policy, { intent, ...context });
+}
+
+describe('router policies', () => {
+  it('default to the weighted sum and keep the breakdown on every offer', async () => {
+    const { policy, best, ranked } = await select(undefined);
+    assert.equal(policy, 'weightedSum');
+    assert.deepEqual(ranked.map((o) => o.id).sort(), ['a', 'b', 'c', 'd']);
+    assert.ok(ranked.every((o) => o.eligible && Object.keys(o.breakdown).length === 7));
+    assert.equal(best.id, ranked[0].id);
+  });
+
+  it('pick the cheapest offer above the reputation floor', async () => {
+    assert.equal((await select('cheapestAboveReputation')).best.id, 'c');
+    const { best, ranked } = await select({ policy: 'cheapestAboveReputation', minReputation: 96 });
+    assert.equal(best.id, 'd');
+    assert.deepEqual(ranked.filter((o) => !o.eligible).map((o) => o.id).sort(), ['a', 'b', 'c']);
+  });
+
+  it('pick the fastest offer within the budget', async () => {
+    assert.equal((await select('fastestWithinBudget')).best.id, 'c');
+    assert.equal((await select({ policy: 'fastestWithinBudget', budgetShare: 0.075 })).best.id, 'b');
+  });
+
+  it('order lexicographically by the given dimensions', async () => {
+    assert.deepEqual((await select({ policy: 'lexicographic', order: ['fee'] })).ranked.map((o) => o.id), ['b', 'c', 'a', 'd']);
+    assert.equal((await select('lexicographic')).best.id, 'd');
+  });
+
+  it('draw in proportion to score with an injected random source', async () => {
+    const low = await select('randomizedWeighted', { random: () => 0 });
+    const high = await select('randomizedWeighted', { random: () => 0.999999 });
+    assert.notEqual(low.best.id, high.best.id);
+    assert.equal(high.ranked.length, 4);
+  });
+
+  it('select the top eligible offers from distinct executors', async () => {
+    const scored = await scoreOffers(intent, [...offers, { ...offer('c2', TON / 5n, '10s', 70), fromAddress: 'EQc' }]);
+    const pair = selectOffer(scored, 'cheapestAboveReputation', { intent, count: 2 });
+    assert.deepEqual(pair.selected.map((o) => o.fromAddress), ['EQc', 'EQa']);
+    assert.equal(pair.best, pair.selected[0]);
+    const all = selectOffer(scored, 'cheapestAboveReputation', { intent, count: 5 });
+    assert.deepEqual(all.selected.map((o) => o.fromAddress), ['EQc', 'EQa', 'EQd']);
+  });
+
+  it('reject unknown policies and options', () => {
+    assert.throws(() => routerPolicySpec('cheapest'), /Unknown router policy: cheapest/);
+    assert.throws(() => routerPolicySpec({ policy: 'lexicographic', order: ['size'] }), /unknown router dimension size/);
+    assert.deepEqual(routerPolicySpec('custom', { custom: () => [] }), { policy: 'custom' });
+  });
+});
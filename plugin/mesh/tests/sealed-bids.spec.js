@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import * as mesh from '../index.js';
+import { createMeshNet } from './helpers.js';
+
+describe('sealed-bid intents', () => {
+  let clock;
+  let net;
+  let requester;
+  let executor;
+  let observer;
+
+  beforeEach(async () => {
+    clock = Date.now();
+    mock.method(Date, 'now', () => clock);
+    net = createMeshNet(mesh);
+    requester = net.agent('EQREQ');
+    executor = net.agent('EQEXE', { skills: ['swap'] });
+    observer = net.agent('EQOBS', { skills: ['analytics'] });
+    for (const agent of [requester, executor, observer]) await agent.register();
+    await net.deliver();
+  });
+
+  afterEach(async () => {
+    await net.close();
+    mock.restoreAll();
+  });
+
+  async function broadcastSealed() {
+    const deadline = Math.floor(clock / 1000) + 10;
+    const { intent } = await requester.tool('mesh_broadcast', {
+      skill: 'swap', payload: {}, budget: '1', deadline, auction: 'sealed',
+    });
+    const delivered = await net.deliver();
+    assert.ok(delivered.some((item) => item.type === 'commit' && item.from === executor.address));
+    return intent;
+  }
+
+  it('take reveals inside the reveal window and accept the winner', async () => {
+    const intent = await broadcastSealed();
+
+    clock += 12_000;
+    await executor.tick();
+    await observer.tick();
+    const reveals = await net.deliver();
+    const reveal = reveals.find((item) => item.type === 'reveal' && item.to === requester.address);
+    assert.equal(reveal.result.saved, true);
+    assert.equal(reveal.result.commitment.status, 'revealed');
+
+    await requester.tick();
+    const accepts = (await net.deliver()).filter((item) => item.type === 'accept');
+    assert.ok(accepts.length > 0);
+    assert.ok(accepts.every((item) => item.from === requester.address && item.message.to === executor.address));
+
+    const offers = await requester.tool('mesh_offers', { intentId: intent.id });
+    assert.equal(offers.status, 'accepted');
+    assert.deepEqual(offers.commitments.map((item) => item.status), ['verified']);
+    assert.equal(offers.offers[0].fromAddress, executor.address);
+  });
+
+  it('leave closing the bidding to the requester', async () => {
+    const intent = await broadcastSealed();
+
+    clock = (intent.revealDeadline * 1000);
+    await executor.tick();
+    await observer.tick();
+    const posted = await net.deliver();
+    assert.deepEqual([...new Set(posted.map((item) => item.type))], ['reveal']);
+
+    const [known] = (await executor.tool('mesh_intents', {})).intents;
+    assert.equal(known.status, 'pending');
+  });
+});
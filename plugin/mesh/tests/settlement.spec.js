@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import * as mesh from '../index.js';
+import { createMeshNet } from './helpers.js';
+
+describe('completion and rating', () => {
+  let clock;
+  let net;
+  let requester;
+  let executor;
+  let observer;
+
+  beforeEach(async () => {
+    clock = Date.now();
+    mock.method(Date, 'now', () => clock);
+    net = createMeshNet(mesh);
+    requester = net.agent('EQREQ');
+    executor = net.agent('EQEXE', { skills: ['swap'] });
+    observer = net.agent('EQOBS');
+    for (const agent of [requester, executor, observer]) await agent.register();
+    await net.deliver();
+  });
+
+  afterEach(async () => {
+    await net.close();
+    mock.restoreAll();
+  });
+
+  async function acceptedIntent() {
+    const { intent } = await requester.tool('mesh_broadcast', {
+      skill: 'swap', payload: {}, budget: '1', deadline: Math.floor(clock / 1000) + 10,
+    });
+    await net.deliver();
+    clock += 11_000;
+    await requester.tick();
+    await net.deliver();
+    return intent;
+  }
+
+  it('complete on the executor side and settle once the requester rates', async () => {
+    const intent = await acceptedIntent();
+    await executor.tool('mesh_complete', { intentId: intent.id, outcome: 'success', txHash: 'tx-1' });
+    const [complete] = (await net.deliver()).filter((item) => item.type === 'complete' && item.to === requester.address);
+    assert.deepEqual(complete.result, { completed: true, rated: false });
+
+    await assert.rejects(observer.tool('mesh_rate', { intentId: intent.id, rating: 9 }), /Only the requester/);
+    const rated = await requester.tool('mesh_rate', { intentId: intent.id, rating: 9 });
+    assert.equal(rated.settle.outcome, 'success');
+    const settles = (await net.deliver()).filter((item) => item.type === 'settle' && item.to !== requester.address);
+    assert.ok(settles.every((item) => item.result.settled));
+
+    const { deals: [deal] } = await executor.tool('mesh_deals', { intentId: intent.id });
+    assert.equal(deal.rating, 9);
+    assert.equal(deal.intentStatus, 'settled');
+  });
+
+  it('only let the selected executor complete an accepted intent', async () => {
+    const intent = await acceptedIntent();
+    for (const agent of [requester, observer]) {
+      await assert.rejects(
+        agent.tool('mesh_complete', { intentId: intent.id, outcome: 'success', txHash: 'tx-1' }),
+        /Only the selected executor/,
+      );
+    }
+    await assert.rejects(
+      executor.tool('mesh_complete', { intentId: intent.id, outcome: 'partial', txHash: 'tx-1' }),
+      /outcome must be success or failure/,
+    );
+
+    await executor.tool('mesh_complete', { intentId: intent.id, outcome: 'success', txHash: 'tx-1' });
+    await assert.rejects(
+      executor.tool('mesh_complete', { intentId: intent.id, outcome: 'failure', txHash: 'tx-2' }),
+      /is completed and cannot be completed/,
+    );
+  });
+});
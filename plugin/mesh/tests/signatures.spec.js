@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import * as mesh from '../index.js';
+import { buildBeaconMessage, buildIntentMessage, publicKeyFromSecretKey, serializeMeshMessage } from '../protocol.js';
+import { createMeshNet } from './helpers.js';
+
+const SIGNER_KEY = '11'.repeat(32);
+const IMPOSTOR_KEY = '22'.repeat(32);
+
+describe('message signatures', () => {
+  let net;
+  let observer;
+  let signer;
+
+  beforeEach(async () => {
+    net = createMeshNet(mesh);
+    observer = net.agent('EQOBS');
+    signer = net.agent('EQSIG', { skills: ['swap'], signingSecretKey: SIGNER_KEY });
+    await signer.register();
+  });
+
+  afterEach(() => net.close());
+
+  function intentFrom(from, secretKey) {
+    const intent = buildIntentMessage({ id: 'i1', from, skill: 'swap', budget: '1', deadline: Math.floor(Date.now() / 1000) + 60 });
+    return serializeMeshMessage(intent, { secretKey });
+  }
+
+  it('pin the key of a signed first beacon and reject other signers for that address', async () => {
+    const [beacon] = (await net.deliver()).filter((item) => item.to === observer.address);
+    assert.equal(beacon.message.pubkey, publicKeyFromSecretKey(SIGNER_KEY));
+    assert.equal(beacon.result.rejected, undefined);
+    const { peers: [peer] } = await observer.tool('mesh_peers', {});
+    assert.equal(peer.publicKey, publicKeyFromSecretKey(SIGNER_KEY));
+
+    assert.equal((await observer.receive(intentFrom(signer.address, SIGNER_KEY))).rejected, undefined);
+    assert.deepEqual(await observer.receive(intentFrom(signer.address, IMPOSTOR_KEY)), {
+      rejected: true, type: 'intent', reason: 'signer_mismatch',
+    });
+  });
+
+  it('reject messages whose signature does not cover their content', async () => {
+    const signed = JSON.parse(intentFrom(signer.address, SIGNER_KEY).slice('MESH:'.length));
+    const tampered = `MESH: ${JSON.stringify({ ...signed, budget: '100' })}`;
+    assert.deepEqual(await observer.receive(tampered), { rejected: true, type: 'intent', reason: 'bad_signature' });
+  });
+
+  it('reject unsigned messages from addresses with a known key', async () => {
+    await net.deliver();
+    assert.deepEqual(await observer.receive(intentFrom(signer.address)), {
+      rejected: true, type: 'intent', reason: 'unsigned_message',
+    });
+    assert.equal((await observer.receive(intentFrom('EQLEGACY'))).rejected, undefined);
+  });
+
+  it('check first beacons against operator-pinned keys', async () => {
+    const pinned = net.agent('EQPIN', { trustedPublicKeys: { [signer.address]: publicKeyFromSecretKey(IMPOSTOR_KEY) } });
+    const [beacon] = (await net.deliver()).filter((item) => item.to === pinned.address);
+    assert.deepEqual(beacon.result, { rejected: true, type: 'beacon', reason: 'signer_mismatch' });
+  });
+
+  describe('with requireSignedMessages', () => {
+    let strict;
+
+    beforeEach(() => {
+      strict = net.agent('EQSTR', { requireSignedMessages: true, signingSecretKey: '33'.repeat(32) });
+    });
+
+    it('reject unsigned messages', async () => {
+      const unsigned = serializeMeshMessage(buildBeaconMessage({ from: 'EQUNS', skills: ['swap'] }));
+      assert.deepEqual(await strict.receive(unsigned), { rejected: true, type: 'beacon', reason: 'unsigned_message' });
+    });
+
+    it('reject signed messages from signers no beacon introduced', async () => {
+      assert.deepEqual(await strict.receive(intentFrom('EQNEW', IMPOSTOR_KEY)), {
+        rejected: true, type: 'intent', reason: 'unknown_signer',
+      });
+      await net.deliver();
+      assert.equal((await strict.receive(intentFrom(signer.address, SIGNER_KEY))).rejected, undefined);
+    });
+
+    it('refuse to post without a signing key', async () => {
+      const keyless = net.agent('EQKEY', { requireSignedMessages: true });
+      await assert.rejects(keyless.register(), /no signingSecretKey is configured/);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import * as mesh from '../index.js';
+import { Database, createMeshNet } from './helpers.js';
+
+describe('agents on a sqlite registry', { skip: !Database && 'better-sqlite3 is not installed' }, () => {
+  let clock;
+  let dir;
+  let sqlitePath;
+  let net;
+  let requester;
+
+  beforeEach(async () => {
+    clock = Date.now();
+    mock.method(Date, 'now', () => clock);
+    dir = mkdtempSync(join(tmpdir(), 'mesh-sqlite-'));
+    sqlitePath = join(dir, 'registry.db');
+    net = createMeshNet(mesh);
+    requester = net.agent('EQREQ', { sqlitePath });
+    const executors = [net.agent('EQEXA', { skills: ['swap'] }), net.agent('EQEXB', { skills: ['swap'] })];
+    for (const agent of [requester, ...executors]) await agent.register();
+    await net.deliver();
+  });
+
+  afterEach(async () => {
+    await net.close();
+    mock.restoreAll();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function closedIntent() {
+    const { intent } = await requester.tool('mesh_broadcast', {
+      skill: 'swap', payload: {}, budget: '1', deadline: Math.floor(clock / 1000) + 10,
+    });
+    await net.deliver();
+    clock += 11_000;
+    return intent;
+  }
+
+  it('accept exactly one offer when deadline passes overlap', async () => {
+    await closedIntent();
+    const ticks = await Promise.all([requester.tick(), requester.tick()]);
+    assert.equal(ticks.reduce((sum, tick) => sum + tick.accepted, 0), 1);
+
+    const accepts = (await net.deliver()).filter((item) => item.type === 'accept' && item.to === item.message.to);
+    assert.equal(accepts.length, 1);
+    assert.equal(accepts[0].result.accepted, true);
+  });
+
+  it('keep deals in the file across restarts', async () => {
+    const intent = await closedIntent();
+    await requester.tick();
+    await net.deliver();
+    await mesh.stop(requester.sdk);
+
+    const restarted = net.agent('EQREQ', { sqlitePath });
+    const { intents: [stored] } = await restarted.tool('mesh_intents', {});
+    assert.equal(stored.id, intent.id);
+    assert.equal(stored.status, 'accepted');
+    const { deals } = await restarted.tool('mesh_deals', { intentId: intent.id });
+    assert.equal(deals.length, 1);
+  });
+});
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import * as mesh from '../index.js';
+import { meshVersion, serializeMeshMessage } from '../protocol.js';
+import { createMeshNet } from './helpers.js';
+
+// A beacon from an agent that predates versioning: no `versions`, read as 1.0.
+function legacyBeacon(from) {
+  return serializeMeshMessage({
+    v: '1.0', type: 'beacon', from, skills: ['swap'], minFee: '0.1', responseTime: '< 5s', stake: '1',
+  });
+}
+
+describe('version negotiation', () => {
+  let clock;
+  let net;
+  let agent;
+  let legacy;
+
+  beforeEach(async () => {
+    clock = Date.now();
+    mock.method(Date, 'now', () => clock);
+    net = createMeshNet(mesh);
+    agent = net.agent('EQNEW');
+    legacy = net.agent('EQOLD');
+    await legacy.register();
+    net.queue.length = 0;
+    await agent.receive(legacyBeacon(legacy.address));
+  });
+
+  afterEach(async () => {
+    await net.close();
+    mock.restoreAll();
+  });
+
+  async function postedBeacon() {
+    await agent.register();
+    return JSON.parse(net.queue.pop().slice('MESH:'.length));
+  }
+
+  it('send broadcasts without the fields a live 1.0 peer would drop', async () => {
+    const beacon = await postedBeacon();
+    assert.equal(beacon.v, meshVersion());
+    assert.equal(beacon.versions, undefined);
+  });
+
+  it('stop holding broadcasts back for a peer once it is offline', async () => {
+    clock += 31 * 60 * 1000;
+    const beacon = await postedBeacon();
+    assert.ok(beacon.versions.includes(meshVersion()));
+  });
+
+  it('reject messages of an unsupported major', async () => {
+    const text = `MESH: ${JSON.stringify({ v: '2.0', type: 'cancel', intentId: 'i1', from: legacy.address })}`;
+    assert.deepEqual(await agent.receive(text), {
+      rejected: true, type: 'cancel', reason: 'unsupported_version', version: '2.0',
+    });
+  });
+});
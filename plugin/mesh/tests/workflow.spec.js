@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { isStepReady, stepInputs, stepOutcome, validateWorkflowSteps, workflowOutcome } from '../workflow.js';
+
+const step = (id, dependsOn = [], extra = {}) => ({ id, skill: 'fetch', budget: '0.5', dependsOn, ...extra });
+
+describe('workflows', () => {
+  it('order steps by their dependencies and reject cycles', () => {
+    const ordered = validateWorkflowSteps([step('swap', ['analyze']), step('analyze', ['fetch', 'news']), step('fetch'), step('news')]);
+    assert.deepEqual(ordered.map((item) => item.stepId), ['fetch', 'news', 'analyze', 'swap']);
+    assert.equal(ordered[0].budget, 500_000_000n);
+    assert.deepEqual(validateWorkflowSteps([step('a', [], { executors: 3, deadlineSeconds: 60 })])[0].options, { executors: 3, deadlineSeconds: 60 });
+
+    assert.throws(() => validateWorkflowSteps([step('a', ['c']), step('b', ['a']), step('c', ['b'])]), /steps a, b, c depend on each other/);
+    assert.throws(() => validateWorkflowSteps([step('a', ['z'])]), /depends on unknown step z/);
+    assert.throws(() => validateWorkflowSteps([step('a'), step('a')]), /duplicate step id: a/);
+    assert.throws(() => validateWorkflowSteps([step('a'), step('b')], 1), /at most 1 steps/);
+  });
+
+  it('start a step once its dependencies settled, with their outputs as inputs', () => {
+    const workflow = {
+      steps: [
+        { stepId: 'fetch', status: 'settled', dependsOn: [], output: { prices: [1, 2] } },
+        { stepId: 'news', status: 'running', dependsOn: [], output: null },
+        { stepId: 'analyze', status: 'waiting', dependsOn: ['fetch'], output: null },
+        { stepId: 'swap', status: 'waiting', dependsOn: ['analyze', 'news'], output: null },
+      ],
+    };
+    assert.equal(isStepReady(workflow, workflow.steps[2]), true);
+    assert.equal(isStepReady(workflow, workflow.steps[3]), false);
+    assert.deepEqual(stepInputs(workflow, workflow.steps[2]), { fetch: { prices: [1, 2] } });
+    assert.equal(workflowOutcome(workflow), null);
+    assert.equal(workflowOutcome({ steps: [{ status: 'failed' }, { status: 'skipped' }] }), 'failed');
+    assert.equal(workflowOutcome({ steps: [{ status: 'failed' }, { status: 'running' }] }), null);
+  });
+
+  it('take a step outcome from its intent and deals', () => {
+    const deal = { executorAddress: 'EQa', fee: 200_000_000n, outcome: 'success', resultHash: 'h1', resultOutput: { ok: 1 } };
+    assert.equal(stepOutcome({ status: 'completed' }, [deal]), null);
+    assert.deepEqual(stepOutcome({ status: 'settled' }, [deal]), { status: 'settled', output: { ok: 1 }, spent: 200_000_000n });
+    assert.deepEqual(
+      stepOutcome({ status: 'settled' }, [{ ...deal, resultOutput: null, resultRef: 'ipfs://x' }]).output,
+      { outputRef: 'ipfs://x', outputHash: 'h1' },
+    );
+    assert.deepEqual(stepOutcome({ status: 'expired' }, []), { status: 'failed', error: 'intent expired', spent: 0n });
+    assert.equal(stepOutcome({ status: 'refunded' }, [{ ...deal, escrowStatus: 'refunded' }]).spent, 0n);
+
+    const multi = { status: 'settled', executors: 2, quorum: 2, quorumStatus: 'reached', quorumHash: 'h1' };
+    const dissent = { ...deal, executorAddress: 'EQb', resultHash: 'h2', resultOutput: { ok: 2 }, outcome: 'failure' };
+    assert.deepEqual(stepOutcome(multi, [dissent, deal]), { status: 'settled', output: { ok: 1 }, spent: 400_000_000n });
+    assert.equal(stepOutcome({ ...multi, quorumStatus: 'failed' }, [dissent, deal]).status, 'failed');
+  });
+});
@@ -0,0 +1,104 @@
+// Workflows: a DAG of skill steps run as one intent each. A step is broadcast once every step it depends on
+// settled, with their outputs under `inputs` in its payload; the workflow fails as soon as one step does.
+import { parseTon } from './amounts.js';
+import { isMultiExecutor } from './quorum.js';
+
+const STEP_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const STEP_OPTIONS = ['deadlineSeconds', 'minReputation', 'executors', 'quorum', 'policy', 'weights', 'auction'];
+const FAILED_INTENT_STATUSES = new Set(['expired', 'cancelled', 'failed', 'refunded']);
+
+// Checks the DAG given to mesh_workflow and returns its steps in dependency order.
+export function validateWorkflowSteps(steps, maxSteps = Infinity) {
+  if (!Array.isArray(steps) || steps.length === 0) throw new Error('steps must be a non-empty array');
+  if (steps.length > maxSteps) throw new Error(`a workflow has at most ${maxSteps} steps`);
+
+  const byId = new Map();
+  for (const step of steps) {
+    if (!STEP_ID_PATTERN.test(String(step?.id ?? ''))) {
+      throw new Error('each step needs an id of letters, digits, _ or - (at most 64)');
+    }
+    if (byId.has(step.id)) throw new Error(`duplicate step id: ${step.id}`);
+    if (typeof step.skill !== 'string' || !step.skill) throw new Error(`step ${step.id} needs a skill`);
+    const budget = parseTon(step.budget, `step ${step.id} budget`);
+    if (budget <= 0n) throw new Error(`step ${step.id} budget must be greater than 0`);
+    const dependsOn = step.dependsOn ?? [];
+    if (!Array.isArray(dependsOn)) throw new Error(`step ${step.id} dependsOn must be an array of step ids`);
+    byId.set(step.id, {
+      stepId: step.id,
+      skill: step.skill,
+      payload: step.payload ?? {},
+      budget,
+      dependsOn: [...new Set(dependsOn)],
+      options: Object.fromEntries(STEP_OPTIONS.filter((key) => step[key] !== undefined).map((key) => [key, step[key]])),
+    });
+  }
+
+  for (const step of byId.values()) {
+    for (const dependency of step.dependsOn) {
+      if (!byId.has(dependency)) throw new Error(`step ${step.stepId} depends on unknown step ${dependency}`);
+    }
+  }
+
+  // Steps are taken in rounds once their dependencies are taken; steps never taken sit on a cycle.
+  const ordered = [];
+  const taken = new Set();
+  while (ordered.length < byId.size) {
+    const ready = [...byId.values()].filter((step) => !taken.has(step.stepId) && step.dependsOn.every((id) => taken.has(id)));
+    if (ready.length === 0) {
+      const cycle = [...byId.keys()].filter((id) => !taken.has(id));
+      throw new Error(`steps ${cycle.join(', ')} depend on each other in a cycle`);
+    }
+    for (const step of ready) {
+      ordered.push(step);
+      taken.add(step.stepId);
+    }
+  }
+  return ordered;
+}
+
+export function isStepReady(workflow, step) {
+  return step.status === 'waiting' && step.dependsOn.every(
+    (dependency) => workflow.steps.find((item) => item.stepId === dependency)?.status === 'settled',
+  );
+}
+
+// Outputs of the steps a step depends on, by step id.
+export function stepInputs(workflow, step) {
+  return Object.fromEntries(step.dependsOn.map((dependency) => [
+    dependency,
+    workflow.steps.find((item) => item.stepId === dependency)?.output ?? null,
+  ]));
+}
+
+// Outputs that were only delivered by reference are passed on as that reference.
+function dealOutput(deal) {
+  if (deal?.resultOutput != null) return deal.resultOutput;
+  return deal?.resultRef ? { outputRef: deal.resultRef, outputHash: deal.resultHash } : null;
+}
+
+// How a running step ended, from its intent and deals; null while it is still going.
+export function stepOutcome(intent, deals) {
+  if (!intent) return null;
+  const spent = deals
+    .filter((deal) => deal.escrowStatus !== 'refunded')
+    .reduce((sum, deal) => sum + (deal.fee ?? 0n), 0n);
+  if (FAILED_INTENT_STATUSES.has(intent.status)) return { status: 'failed', error: `intent ${intent.status}`, spent };
+  if (intent.status !== 'settled') return null;
+
+  if (isMultiExecutor(intent)) {
+    if (intent.quorumStatus !== 'reached') return { status: 'failed', error: 'quorum not reached', spent };
+    const agreeing = deals.filter((deal) => deal.resultHash === intent.quorumHash);
+    return { status: 'settled', output: dealOutput(agreeing.find((deal) => deal.resultOutput != null) ?? agreeing[0]), spent };
+  }
+  const [deal] = deals;
+  if (deal?.outcome !== 'success') return { status: 'failed', error: 'executor failed', spent };
+  return { status: 'settled', output: dealOutput(deal), spent };
+}
+
+// completed once every step settled, failed once a step failed and none is still running.
+export function workflowOutcome(workflow) {
+  const statuses = workflow.steps.map((step) => step.status);
+  if (statuses.every((status) => status === 'settled')) return 'completed';
+  if (statuses.includes('failed') && !statuses.includes('running')) return 'failed';
+  return null;
+}